@@ -3,6 +3,15 @@
 
 import { FloorPlanEditor } from './floorplan-editor.js';
 import { ThreeJSGenerator } from './threejs-generator.js';
+import { ProjectStorage } from './project-storage.js';
+import { AutosaveManager } from './autosave.js';
+import { ProjectBrowser } from './project-browser.js';
+import { getRoofStyle } from './roof-geometry.js';
+import { ModelExporter } from './model-exporter.js';
+import { PlanSheetExporter } from './plan-sheet-exporter.js';
+import { DxfConverter } from './dxf-converter.js';
+import { ViewportGizmos } from './viewport-gizmos.js';
+import { WalkControls } from './walk-controls.js';
 
 class FloorPlanApp {
     constructor() {
@@ -10,10 +19,34 @@ class FloorPlanApp {
         
         // Initialize 2D floor plan editor
         this.floorPlanEditor = new FloorPlanEditor('floor-plan-canvas');
+        this.planSheetExporter = new PlanSheetExporter(this.floorPlanEditor);
+        this.dxfConverter = new DxfConverter(this.floorPlanEditor);
         console.log('✅ Floor Plan Editor initialized');
         
         // Initialize 3D generator
         this.threejsGenerator = new ThreeJSGenerator('three-canvas');
+        this.modelExporter = new ModelExporter(this.threejsGenerator);
+        // Drag handles for the selection and roofs; pitch changes show on the sliders
+        this.viewportGizmos = new ViewportGizmos(this.threejsGenerator, this.floorPlanEditor, () => {
+            this.update3DModel();
+            this.syncFloorControls();
+        });
+        // Clicking a wall, door, window or patio in 3D selects it in the plan
+        this.threejsGenerator.onElementSelected = (elementId) => {
+            const floorIndex = this.floorPlanEditor.currentFloor;
+            this.floorPlanEditor.selectElement(elementId);
+            this.viewportGizmos.update();
+            // Elements on another floor switch to it; the sidebar follows
+            if (this.floorPlanEditor.currentFloor !== floorIndex) {
+                this.syncFloorControls();
+            }
+        };
+        // Roof items that no longer fit their roof are reported, not just left out
+        this.threejsGenerator.onWarning = (message) => this.floorPlanEditor.showToast(message, 'warning');
+        // First-person walkthrough; Esc ends it
+        this.walkControls = new WalkControls(this.threejsGenerator, this.floorPlanEditor, (walking) => {
+            this.updateWalkButton(walking);
+        });
         console.log('✅ Three.js Generator initialized');
         
         // Setup event listeners
@@ -21,6 +54,23 @@ class FloorPlanApp {
         
         // Initial 3D generation
         this.update3DModel();
+
+        // Autosave to browser storage and offer to recover unsaved work
+        this.projectStorage = new ProjectStorage();
+        this.autosave = new AutosaveManager(this.floorPlanEditor, this.projectStorage);
+        this.projectBrowser = new ProjectBrowser(this.floorPlanEditor, this.threejsGenerator, this.projectStorage, {
+            autosave: this.autosave,
+            onOpen: (design) => {
+                this.applyDesignSettings(design);
+                this.syncFloorControls();
+                this.update3DModel();
+            }
+        });
+        this.autosave.checkForRecovery((snapshot) => {
+            this.projectBrowser.resumeProject(snapshot.projectId);
+            this.syncFloorControls();
+            this.update3DModel();
+        });
     }
 
     setupEventListeners() {
@@ -34,6 +84,11 @@ class FloorPlanApp {
             }
         });
         
+        // Projects button
+        document.getElementById('open-projects')?.addEventListener('click', () => {
+            this.projectBrowser?.show();
+        });
+        
         // Undo button (sidebar)
         document.getElementById('undo')?.addEventListener('click', () => {
             if (this.floorPlanEditor) {
@@ -71,6 +126,7 @@ class FloorPlanApp {
         document.getElementById('add-floor')?.addEventListener('click', () => {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.addFloor();
+                this.syncFloorControls();
                 this.update3DModel();
             }
         });
@@ -79,41 +135,7 @@ class FloorPlanApp {
         document.getElementById('floor-selector')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.switchFloor(parseInt(e.target.value));
-                
-                // Update wall height slider
-                const currentHeight = this.floorPlanEditor.getCurrentFloorWallHeight();
-                const heightSlider = document.getElementById('wall-height');
-                if (heightSlider) {
-                    heightSlider.value = currentHeight;
-                    document.getElementById('wall-height-value').textContent = `${currentHeight}ft`;
-                }
-                
-                // Update roof settings
-                const hasRoof = this.floorPlanEditor.getCurrentFloorHasRoof();
-                const hasRoofCheckbox = document.getElementById('floor-has-roof');
-                if (hasRoofCheckbox) {
-                    hasRoofCheckbox.checked = hasRoof;
-                }
-                
-                const roofStyle = this.floorPlanEditor.getCurrentFloorRoofStyle();
-                const roofStyleSelect = document.getElementById('roof-style');
-                if (roofStyleSelect) {
-                    roofStyleSelect.value = roofStyle;
-                }
-                
-                const roofPitch = this.floorPlanEditor.getCurrentFloorRoofPitch();
-                const pitchSlider = document.getElementById('roof-pitch');
-                if (pitchSlider) {
-                    pitchSlider.value = roofPitch;
-                    document.getElementById('roof-pitch-value').textContent = `${roofPitch}:12`;
-                }
-                
-                const roofOverhang = this.floorPlanEditor.getCurrentFloorRoofOverhang();
-                const overhangSlider = document.getElementById('roof-overhang');
-                if (overhangSlider) {
-                    overhangSlider.value = roofOverhang;
-                    document.getElementById('roof-overhang-value').textContent = `${roofOverhang} ft`;
-                }
+                this.syncFloorControls();
             }
         });
         
@@ -127,7 +149,60 @@ class FloorPlanApp {
         document.getElementById('export-design')?.addEventListener('click', () => {
             this.exportDesign();
         });
-        
+
+        // Walk Through button - pointer lock and WASD, Esc to exit
+        document.getElementById('walk-mode')?.addEventListener('click', () => {
+            this.walkControls.toggle();
+        });
+
+        // Export 3D Model button - GLB for Blender, SketchUp and web viewers
+        document.getElementById('export-model')?.addEventListener('click', () => {
+            this.export3DModel();
+        });
+
+        // Export OBJ / STL button - format, scale and sealing come from the controls above it
+        document.getElementById('export-model-file')?.addEventListener('click', () => {
+            this.exportModelFile();
+        });
+
+        // Plan sheet buttons - scaled construction drawings of the 2D plan
+        document.getElementById('export-sheet-pdf')?.addEventListener('click', () => {
+            this.exportPlanSheet('pdf');
+        });
+        document.getElementById('export-sheet-svg')?.addEventListener('click', () => {
+            this.exportPlanSheet('svg');
+        });
+
+        // Import Design button - opens the hidden file picker
+        document.getElementById('import-design')?.addEventListener('click', () => {
+            document.getElementById('import-design-input')?.click();
+        });
+
+        document.getElementById('import-design-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importDesign(file);
+            }
+            e.target.value = ''; // Allow re-importing the same file
+        });
+
+        // DXF buttons - AutoCAD drawings out, wall lines in
+        document.getElementById('export-dxf')?.addEventListener('click', () => {
+            this.exportDXF();
+        });
+
+        document.getElementById('import-dxf')?.addEventListener('click', () => {
+            document.getElementById('import-dxf-input')?.click();
+        });
+
+        document.getElementById('import-dxf-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importDXF(file);
+            }
+            e.target.value = '';
+        });
+
         // ==================== 3D MODEL UPSCALE BUTTON ====================
         // Desktop upscale button - open lead generation modal
         document.getElementById('upscale-3d-btn')?.addEventListener('click', () => {
@@ -191,6 +266,16 @@ class FloorPlanApp {
             }
         });
         
+        // Floor System Slider - depth under the current floor, in inches
+        document.getElementById('floor-thickness')?.addEventListener('input', (e) => {
+            const inches = parseFloat(e.target.value);
+            document.getElementById('floor-thickness-value').textContent = `${inches}in`;
+            if (this.floorPlanEditor) {
+                this.floorPlanEditor.setCurrentFloorThickness(inches / 12);
+                this.update3DModel();
+            }
+        });
+        
         // Floor Has Roof Checkbox
         document.getElementById('floor-has-roof')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
@@ -211,6 +296,8 @@ class FloorPlanApp {
         document.getElementById('roof-style')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.setCurrentFloorRoofStyle(e.target.value);
+                this.syncRoofSecondaryPitch();
+                this.syncRoofGables();
                 this.update3DModel();
             }
         });
@@ -225,6 +312,24 @@ class FloorPlanApp {
             }
         });
         
+        // Gable ends facing the front, the sides, or the short ends - per floor
+        document.getElementById('roof-gables')?.addEventListener('change', (e) => {
+            if (this.floorPlanEditor) {
+                this.floorPlanEditor.setCurrentFloorRoofGables(e.target.value);
+                this.update3DModel();
+            }
+        });
+        
+        // Second slope (gambrel/mansard lower slope, saltbox back slope) - per floor
+        document.getElementById('roof-secondary-pitch')?.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            document.getElementById('roof-secondary-pitch-value').textContent = `${value}:12`;
+            if (this.floorPlanEditor) {
+                this.floorPlanEditor.setCurrentFloorRoofSecondaryPitch(value);
+                this.update3DModel();
+            }
+        });
+        
         // Roof Overhang Slider - per floor
         document.getElementById('roof-overhang')?.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
@@ -257,7 +362,9 @@ class FloorPlanApp {
             'mode-edit': 'edit',
             'mode-door': 'door',
             'mode-window': 'window',
-            'mode-patio': 'patio'
+            'mode-patio': 'patio',
+            'mode-roof': 'roof',
+            'mode-stair': 'stair'
         };
 
         // Function to update active button state
@@ -317,8 +424,157 @@ class FloorPlanApp {
         
         const floorplanData = this.floorPlanEditor.getFloorPlanData();
         this.threejsGenerator.generate3DFromFloorplan(floorplanData);
+        this.viewportGizmos?.update();
+        this.walkControls?.refresh();
     }
-    
+
+    updateWalkButton(walking) {
+        const button = document.getElementById('walk-mode');
+        if (!button) return;
+        button.classList.toggle('active', walking);
+        button.querySelector('.walk-text').textContent = walking ? 'Exit Walk' : 'Walk Through';
+    }
+
+    update3DSelection() {
+        // Outline the element selected in the plan
+        if (!this.floorPlanEditor || !this.threejsGenerator) {
+            return;
+        }
+        
+        // Handles only move with the selection here; edits refresh them through update3DModel()
+        const elementId = this.floorPlanEditor.getSelectedElement()?.id ?? null;
+        if (elementId === this.threejsGenerator.selectedElementId) {
+            return;
+        }
+        this.threejsGenerator.setSelectedElement(elementId);
+        this.viewportGizmos?.update();
+    }
+
+    syncFloorControls() {
+        // Update sidebar controls to match the current floor's settings
+        const currentHeight = this.floorPlanEditor.getCurrentFloorWallHeight();
+        const heightSlider = document.getElementById('wall-height');
+        if (heightSlider) {
+            heightSlider.value = currentHeight;
+            document.getElementById('wall-height-value').textContent = `${currentHeight}ft`;
+        }
+
+        // The ground floor sits on the slab, so only upper floors have a floor system to size
+        const floorThicknessGroup = document.getElementById('floor-thickness-group');
+        if (floorThicknessGroup) {
+            floorThicknessGroup.style.display = this.floorPlanEditor.currentFloor > 0 ? '' : 'none';
+        }
+
+        const floorThicknessInches = Math.round(this.floorPlanEditor.getCurrentFloorThickness() * 12);
+        const floorThicknessSlider = document.getElementById('floor-thickness');
+        if (floorThicknessSlider) {
+            floorThicknessSlider.value = floorThicknessInches;
+            document.getElementById('floor-thickness-value').textContent = `${floorThicknessInches}in`;
+        }
+
+        // Update roof settings
+        const hasRoof = this.floorPlanEditor.getCurrentFloorHasRoof();
+        const hasRoofCheckbox = document.getElementById('floor-has-roof');
+        if (hasRoofCheckbox) {
+            hasRoofCheckbox.checked = hasRoof;
+        }
+
+        const roofStyle = this.floorPlanEditor.getCurrentFloorRoofStyle();
+        const roofStyleSelect = document.getElementById('roof-style');
+        if (roofStyleSelect) {
+            roofStyleSelect.value = roofStyle;
+        }
+
+        const roofPitch = this.floorPlanEditor.getCurrentFloorRoofPitch();
+        const pitchSlider = document.getElementById('roof-pitch');
+        if (pitchSlider) {
+            pitchSlider.value = roofPitch;
+            document.getElementById('roof-pitch-value').textContent = `${roofPitch}:12`;
+        }
+
+        this.syncRoofSecondaryPitch();
+        this.syncRoofGables();
+
+        const roofOverhang = this.floorPlanEditor.getCurrentFloorRoofOverhang();
+        const overhangSlider = document.getElementById('roof-overhang');
+        if (overhangSlider) {
+            overhangSlider.value = roofOverhang;
+            document.getElementById('roof-overhang-value').textContent = `${roofOverhang} ft`;
+        }
+    }
+
+    syncRoofSecondaryPitch() {
+        // Only styles with a second slope show its slider, labelled for what it controls
+        const group = document.getElementById('roof-secondary-pitch-group');
+        if (!group) return;
+
+        const secondaryPitch = getRoofStyle(this.floorPlanEditor.getCurrentFloorRoofStyle()).secondaryPitch;
+        group.style.display = secondaryPitch ? '' : 'none';
+        if (!secondaryPitch) return;
+
+        const value = this.floorPlanEditor.getCurrentFloorRoofSecondaryPitch();
+        document.getElementById('roof-secondary-pitch-label').textContent = secondaryPitch.label;
+        document.getElementById('roof-secondary-pitch').value = value;
+        document.getElementById('roof-secondary-pitch-value').textContent = `${value}:12`;
+    }
+
+    syncRoofGables() {
+        // Only roofs with gable ends offer the front/side choice
+        const group = document.getElementById('roof-gables-group');
+        if (!group) return;
+
+        group.style.display = getRoofStyle(this.floorPlanEditor.getCurrentFloorRoofStyle()).gableEnds ? '' : 'none';
+        document.getElementById('roof-gables').value = this.floorPlanEditor.getCurrentFloorRoofGables();
+    }
+
+    applyDesignSettings(design) {
+        // Restore global 3D settings saved with the design
+        const showRoof = design.settings.showRoof;
+        if (typeof showRoof === 'boolean') {
+            const showRoofCheckbox = document.getElementById('show-roof');
+            if (showRoofCheckbox) {
+                showRoofCheckbox.checked = showRoof;
+            }
+            // Loading already rebuilt the model; only a change in roof visibility needs another pass
+            if (showRoof !== this.threejsGenerator.showRoof) {
+                this.threejsGenerator.setShowRoof(showRoof);
+                this.update3DModel();
+            }
+        }
+    }
+
+    async importDesign(file) {
+        if (!this.floorPlanEditor) {
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (parseError) {
+                throw new Error('File is not valid JSON.');
+            }
+
+            const design = this.floorPlanEditor.importDesign(data);
+
+            // An imported file is a new, unsaved plan rather than part of the open project
+            this.projectBrowser.setCurrentProject(null);
+
+            // loadPlan() already rebuilt the 3D model
+            this.applyDesignSettings(design);
+            this.syncFloorControls();
+
+            const totalWalls = design.floors.reduce((sum, floor) => sum + floor.walls.length, 0);
+            console.log('✅ Floor plan imported successfully');
+            alert(`Imported ${design.floors.length} floor(s) with ${totalWalls} walls from ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to import design:', error);
+            alert(`Could not import ${file.name}:\n${error.message}`);
+        }
+    }
+
     exportDesign() {
         if (!this.floorPlanEditor) {
             console.log('No floor plan to export');
@@ -329,11 +585,11 @@ class FloorPlanApp {
         
         // Create export data
         const exportData = {
-            version: '3.0-Multi-Floor-With-3D',
+            version: '4.1-Multi-Floor-With-3D',
             created: new Date().toISOString(),
             floors: floorPlanData.floors,
             settings: {
-                gridSize: floorPlanData.gridSize,
+                units: floorPlanData.units,
                 wallHeight: this.threejsGenerator.wallHeight,
                 showRoof: this.threejsGenerator.showRoof
             }
@@ -357,6 +613,98 @@ class FloorPlanApp {
         const totalWindows = floorPlanData.floors.reduce((sum, floor) => sum + floor.windows.length, 0);
         alert(`Exported ${floorPlanData.floors.length} floor(s):\n${totalWalls} walls, ${totalDoors} doors, ${totalWindows} windows`);
     }
+
+    async export3DModel() {
+        if (!this.floorPlanEditor || !this.threejsGenerator) {
+            return;
+        }
+
+        // Export the model as the plan stands now
+        this.update3DModel();
+
+        try {
+            await this.modelExporter.downloadGLB(this.floorPlanEditor.getFloorPlanData().floors);
+        } catch (error) {
+            console.error('❌ Failed to export 3D model:', error);
+            alert(`Could not export the 3D model:\n${error.message}`);
+        }
+    }
+
+    exportModelFile() {
+        if (!this.floorPlanEditor || !this.threejsGenerator) {
+            return;
+        }
+
+        const format = document.getElementById('model-file-format')?.value || 'obj';
+        const options = {
+            scale: document.getElementById('model-file-scale')?.value,
+            sealed: document.getElementById('model-file-sealed')?.checked || false
+        };
+
+        // Export the model as the plan stands now
+        this.update3DModel();
+
+        try {
+            this.modelExporter.downloadModelFile(format, this.floorPlanEditor.getFloorPlanData().floors, options);
+        } catch (error) {
+            console.error('❌ Failed to export 3D model:', error);
+            alert(`Could not export the 3D model:\n${error.message}`);
+        }
+    }
+
+    exportPlanSheet(format) {
+        if (!this.floorPlanEditor) {
+            return;
+        }
+
+        const options = {
+            scale: document.getElementById('sheet-scale')?.value,
+            size: document.getElementById('sheet-size')?.value,
+            allFloors: document.getElementById('sheet-all-floors')?.checked ?? true,
+            title: this.projectBrowser?.currentProject?.name
+        };
+
+        try {
+            if (format === 'svg') {
+                this.planSheetExporter.downloadSVG(options);
+            } else {
+                this.planSheetExporter.downloadPDF(options);
+            }
+        } catch (error) {
+            console.error('❌ Failed to export plan sheet:', error);
+            alert(`Could not export the plan sheet:\n${error.message}`);
+        }
+    }
+
+    exportDXF() {
+        if (!this.floorPlanEditor) {
+            return;
+        }
+
+        try {
+            this.dxfConverter.downloadDXF();
+        } catch (error) {
+            console.error('❌ Failed to export DXF:', error);
+            alert(`Could not export the DXF:\n${error.message}`);
+        }
+    }
+
+    async importDXF(file) {
+        if (!this.floorPlanEditor) {
+            return;
+        }
+
+        try {
+            const message = await this.dxfConverter.importFile(file);
+            if (message === null) return;
+
+            this.update3DModel();
+            alert(message);
+        } catch (error) {
+            console.error('❌ Failed to import DXF:', error);
+            alert(`Could not import ${file.name}:\n${error.message}`);
+        }
+    }
 }
 
 // Wait for DOM to be fully loaded before initializing
@@ -1,15 +1,22 @@
 // Area Calculator System for 3D Home Design Application
 // Calculates comprehensive area measurements for floor plans
 
+import { RoomDetector } from './room-detector.js';
+import { RoofGeometry } from './roof-geometry.js';
+import { RoofAccessoryGeometry } from './roof-accessories.js';
+import { getDoorHeight, getWindowHeight } from './opening-catalog.js';
+
 export class AreaCalculator {
-    constructor(gridSize = 20) {
-        this.gridSize = gridSize; // pixels per foot
-        this.epsilon = 5; // pixels - tolerance for point matching
-        
-        // Standard dimensions (in feet)
+    constructor() {
+        // Floor plan geometry is stored in feet, so no pixel scaling is needed
+        this.units = 'feet';
+        this.epsilon = 0.25; // feet - tolerance for point matching
+        this.roomDetector = new RoomDetector(this.epsilon);
+        this.roofGeometry = new RoofGeometry(this.epsilon);
+        this.roofAccessoryGeometry = new RoofAccessoryGeometry(this.roofGeometry);
+        
+        // Standard dimensions (in feet) - door and window sizes come from the opening catalog
         this.standardDimensions = {
-            windowHeight: 4,
-            doorHeight: 7,
             wallThickness: 0.5
         };
     }
@@ -68,7 +75,7 @@ export class AreaCalculator {
             totals,
             breakdown,
             timestamp: new Date().toISOString(),
-            gridSize: this.gridSize
+            units: this.units
         };
 
         console.log('✅ Area calculations complete:', result);
@@ -87,17 +94,27 @@ export class AreaCalculator {
         const windows = floor.windows || [];
         const patios = floor.patios || [];
         
-        // Calculate floor area using polygon method
-        const floorArea = this.calculateFloorArea(walls);
+        // Floor area is the sum of every enclosed room
+        const detected = this.roomDetector.detectRooms(walls);
+        const rooms = this.roomDetector.assignLabels(detected.rooms, floor.rooms).map((room, index) => ({
+            name: room.name || `Room ${index + 1}`,
+            type: room.type,
+            area: room.area,
+            perimeter: room.perimeter,
+            polygon: room.polygon
+        }));
+        const floorArea = this.sumRoomAreas(detected.rooms);
         
         // Calculate wall areas
         const wallHeight = floor.wallHeight || 8;
         const totalWallArea = this.calculateTotalWallArea(walls, wallHeight, doors, windows);
-        const exteriorWallArea = this.calculateExteriorWallArea(walls, wallHeight, doors, windows);
+        // Walls that don't enclose anything can't be told apart, so they all count as exterior
+        const exteriorWallIndices = detected.footprints.length > 0 ? detected.exteriorWallIndices : null;
+        const exteriorWallArea = this.calculateExteriorWallArea(walls, wallHeight, doors, windows, exteriorWallIndices);
         const interiorWallArea = totalWallArea - exteriorWallArea;
         
         // Calculate roof area
-        const roofArea = this.calculateRoofArea(floor, floorArea);
+        const roofArea = this.calculateRoofArea(floor);
         
         // Calculate patio area
         const patioArea = this.calculatePatioArea(patios);
@@ -122,38 +139,23 @@ export class AreaCalculator {
             doorArea,
             ceilingArea: floorArea, // Same as floor area
             wallHeight,
-            perimeter
+            perimeter,
+            rooms
         };
     }
 
     /**
-     * Calculate floor area using shoelace formula for polygon
+     * Calculate floor area as the sum of all rooms enclosed by the walls
      * @param {Array} walls - Array of wall objects
      * @returns {number} Floor area in square feet
      */
     calculateFloorArea(walls) {
         if (walls.length < 3) {
-            return 0; // Need at least 3 walls to form a closed polygon
+            return 0; // Need at least 3 walls to enclose a room
         }
 
         try {
-            const polygon = this.getFloorPolygon(walls);
-            if (polygon.length < 3) {
-                return 0;
-            }
-
-            // Shoelace formula for polygon area
-            let area = 0;
-            for (let i = 0; i < polygon.length; i++) {
-                const j = (i + 1) % polygon.length;
-                area += polygon[i].x * polygon[j].y;
-                area -= polygon[j].x * polygon[i].y;
-            }
-            
-            const areaPixels = Math.abs(area) / 2;
-            const areaFeet = areaPixels / (this.gridSize * this.gridSize);
-            
-            return Math.round(areaFeet * 100) / 100; // Round to 2 decimal places
+            return this.sumRoomAreas(this.roomDetector.detectRooms(walls).rooms);
         } catch (error) {
             console.warn('⚠️ Error calculating floor area:', error);
             return 0;
@@ -161,76 +163,32 @@ export class AreaCalculator {
     }
 
     /**
-     * Trace connected walls to form a closed polygon
+     * Total area of detected rooms
+     * @param {Array} rooms - Rooms from RoomDetector
+     * @returns {number} Area in square feet
+     */
+    sumRoomAreas(rooms) {
+        const area = rooms.reduce((sum, room) => sum + room.area, 0);
+        return Math.round(area * 100) / 100; // Round to 2 decimal places
+    }
+
+    /**
+     * Outer outline of the building, with interior partitions ignored
      * @param {Array} walls - Array of wall objects
-     * @returns {Array} Array of points forming the polygon
+     * @returns {Array} Array of points forming the polygon (empty if the walls don't enclose anything)
      */
     getFloorPolygon(walls) {
         if (walls.length < 3) {
             return [];
         }
 
-        const visited = new Set();
-        const polygon = [];
-        
-        // Start with the first wall
-        let currentWall = walls[0];
-        let currentPoint = { x: currentWall.startX, y: currentWall.startY };
-        polygon.push(currentPoint);
-        visited.add(0);
-        
-        // Find the end point of the first wall
-        let endPoint = { x: currentWall.endX, y: currentWall.endY };
-        
-        // Trace the perimeter
-        while (polygon.length < walls.length) {
-            polygon.push(endPoint);
-            
-            // Find the next wall that connects to this end point
-            let nextWallIndex = -1;
-            for (let i = 0; i < walls.length; i++) {
-                if (visited.has(i)) continue;
-                
-                const wall = walls[i];
-                const startConnects = this.pointsClose(endPoint, { x: wall.startX, y: wall.startY });
-                const endConnects = this.pointsClose(endPoint, { x: wall.endX, y: wall.endY });
-                
-                if (startConnects) {
-                    nextWallIndex = i;
-                    endPoint = { x: wall.endX, y: wall.endY };
-                    break;
-                } else if (endConnects) {
-                    nextWallIndex = i;
-                    endPoint = { x: wall.startX, y: wall.startY };
-                    break;
-                }
-            }
-            
-            if (nextWallIndex === -1) {
-                // No more connected walls found
-                break;
-            }
-            
-            visited.add(nextWallIndex);
-        }
-        
-        // Check if we've formed a closed polygon
-        if (polygon.length > 2) {
-            const firstPoint = polygon[0];
-            const lastPoint = polygon[polygon.length - 1];
-            if (!this.pointsClose(firstPoint, lastPoint)) {
-                // Connect the last point to the first point to close the polygon
-                polygon.push({ x: firstPoint.x, y: firstPoint.y });
-            }
-        }
-        
-        return polygon;
+        return this.roomDetector.detectRooms(walls).footprint || [];
     }
 
     /**
      * Calculate total wall area (including openings)
      * @param {Array} walls - Array of wall objects
-     * @param {number} wallHeight - Wall height in feet
+     * @param {number} wallHeight - Floor wall height in feet (walls may override it)
      * @param {Array} doors - Array of door objects
      * @param {Array} windows - Array of window objects
      * @returns {number} Total wall area in square feet
@@ -239,9 +197,8 @@ export class AreaCalculator {
         let totalArea = 0;
         
         walls.forEach(wall => {
-            const length = this.getWallLength(wall);
-            const lengthFeet = length / this.gridSize;
-            const wallArea = lengthFeet * wallHeight;
+            const lengthFeet = this.getWallLength(wall);
+            const wallArea = lengthFeet * (wall.height || wallHeight);
             totalArea += wallArea;
         });
         
@@ -255,104 +212,58 @@ export class AreaCalculator {
     /**
      * Calculate exterior wall area (perimeter walls only)
      * @param {Array} walls - Array of wall objects
-     * @param {number} wallHeight - Wall height in feet
+     * @param {number} wallHeight - Floor wall height in feet
      * @param {Array} doors - Array of door objects
      * @param {Array} windows - Array of window objects
+     * @param {Array|null} exteriorWallIndices - Walls on the building outline (null = treat all as exterior)
      * @returns {number} Exterior wall area in square feet
      */
-    calculateExteriorWallArea(walls, wallHeight, doors, windows) {
-        // For now, assume all walls are exterior walls
-        // In a more complex implementation, we'd determine which walls are exterior
-        // based on their position relative to the building perimeter
-        return this.calculateTotalWallArea(walls, wallHeight, doors, windows);
+    calculateExteriorWallArea(walls, wallHeight, doors, windows, exteriorWallIndices = null) {
+        // A wall's own exterior/interior setting wins over its position on the outline
+        const exteriorIndices = walls
+            .map((wall, index) => index)
+            .filter(index => this.isExteriorWall(walls[index], index, exteriorWallIndices));
+        const exteriorIds = exteriorIndices.map(index => walls[index].id);
+        const isOnExteriorWall = (item) => exteriorIds.includes(item.wallId);
+        
+        return this.calculateTotalWallArea(
+            exteriorIndices.map(index => walls[index]),
+            wallHeight,
+            doors.filter(isOnExteriorWall),
+            windows.filter(isOnExteriorWall)
+        );
     }
 
     /**
-     * Calculate roof area based on roof style and pitch
-     * @param {Object} floor - Floor data
-     * @param {number} floorArea - Floor area in square feet
-     * @returns {number} Roof area in square feet
+     * Whether a wall is exterior, from its type or else its position
+     * @param {Object} wall - Wall object ({ type: 'auto' | 'exterior' | 'interior' })
+     * @param {number} index - Wall index on its floor
+     * @param {Array|null} exteriorWallIndices - Walls on the building outline (null = all)
+     * @returns {boolean} True if exterior
      */
-    calculateRoofArea(floor, floorArea) {
-        if (!floor.hasRoof) {
-            return 0;
-        }
-
-        const roofStyle = floor.roofStyle || 'flat';
-        const roofPitch = floor.roofPitch || 6;
-        const roofOverhang = floor.roofOverhang || 1.0;
-        
-        // Get floor bounds to calculate roof dimensions
-        const bounds = this.getFloorBounds(floor);
-        
-        switch (roofStyle.toLowerCase()) {
-            case 'flat':
-                return this.calculateFlatRoofArea(bounds, roofOverhang);
-                
-            case 'gable':
-                return this.calculateGableRoofArea(bounds, roofPitch, roofOverhang);
-                
-            case 'hip':
-                return this.calculateHipRoofArea(bounds, roofPitch, roofOverhang);
-                
-            default:
-                console.warn('⚠️ Unknown roof style:', roofStyle);
-                return floorArea;
+    isExteriorWall(wall, index, exteriorWallIndices) {
+        if (wall.type === 'exterior' || wall.type === 'interior') {
+            return wall.type === 'exterior';
         }
+        return !exteriorWallIndices || exteriorWallIndices.includes(index);
     }
 
     /**
-     * Calculate flat roof area
-     * @param {Object} bounds - Floor bounds
-     * @param {number} overhang - Roof overhang in feet
-     * @returns {number} Roof area in square feet
-     */
-    calculateFlatRoofArea(bounds, overhang) {
-        const width = bounds.width + (overhang * 2);
-        const depth = bounds.depth + (overhang * 2);
-        return Math.round((width * depth) * 100) / 100;
-    }
-
-    /**
-     * Calculate gable roof area
-     * @param {Object} bounds - Floor bounds
-     * @param {number} pitch - Roof pitch (rise:run ratio)
-     * @param {number} overhang - Roof overhang in feet
-     * @returns {number} Roof area in square feet
+     * Calculate roof area from the same footprint-following planes the 3D view builds
+     * @param {Object} floor - Floor data
+     * @returns {number} Roof area in square feet (sloped surface, including overhang and dormer roofs,
+     *                   less skylight and dormer openings)
      */
-    calculateGableRoofArea(bounds, pitch, overhang) {
-        const width = bounds.width + (overhang * 2);
-        const depth = bounds.depth + (overhang * 2);
-        
-        // Calculate slope length for gable roof
-        const rise = (depth / 2) * (pitch / 12);
-        const slopeLength = Math.sqrt(Math.pow(depth / 2, 2) + Math.pow(rise, 2));
-        
-        // Two slopes for gable roof
-        const roofArea = 2 * (width * slopeLength);
-        return Math.round(roofArea * 100) / 100;
-    }
+    calculateRoofArea(floor) {
+        if (!floor.hasRoof) {
+            return 0;
+        }
 
-    /**
-     * Calculate hip roof area
-     * @param {Object} bounds - Floor bounds
-     * @param {number} pitch - Roof pitch (rise:run ratio)
-     * @param {number} overhang - Roof overhang in feet
-     * @returns {number} Roof area in square feet
-     */
-    calculateHipRoofArea(bounds, pitch, overhang) {
-        const width = bounds.width + (overhang * 2);
-        const depth = bounds.depth + (overhang * 2);
-        
-        // Hip roof has four triangular faces
-        const rise = Math.min(width, depth) / 2 * (pitch / 12);
-        const slopeLength = Math.sqrt(Math.pow(Math.min(width, depth) / 2, 2) + Math.pow(rise, 2));
-        
-        // Simplified hip roof calculation
-        const baseArea = width * depth;
-        const slopeFactor = 1.2; // Approximate factor for hip roof complexity
-        const roofArea = baseArea * slopeFactor;
-        
+        const roofs = this.roofGeometry.buildFloorRoofs(floor);
+        const accessoryArea = this.roofAccessoryGeometry.buildFloorAccessories(floor, roofs)
+            .filter(accessory => !accessory.error)
+            .reduce((sum, accessory) => sum + accessory.roofAreaChange, 0);
+        const roofArea = roofs.reduce((sum, roof) => sum + roof.area, 0) + accessoryArea;
         return Math.round(roofArea * 100) / 100;
     }
 
@@ -365,9 +276,7 @@ export class AreaCalculator {
         let totalArea = 0;
         
         patios.forEach(patio => {
-            const widthFeet = patio.width / this.gridSize;
-            const heightFeet = patio.height / this.gridSize;
-            totalArea += widthFeet * heightFeet;
+            totalArea += patio.width * patio.height;
         });
         
         return Math.round(totalArea * 100) / 100;
@@ -383,7 +292,7 @@ export class AreaCalculator {
         
         windows.forEach(window => {
             const widthFeet = window.width;
-            const heightFeet = this.standardDimensions.windowHeight;
+            const heightFeet = getWindowHeight(window);
             totalArea += widthFeet * heightFeet;
         });
         
@@ -400,7 +309,7 @@ export class AreaCalculator {
         
         doors.forEach(door => {
             const widthFeet = door.width;
-            const heightFeet = this.standardDimensions.doorHeight;
+            const heightFeet = getDoorHeight(door);
             totalArea += widthFeet * heightFeet;
         });
         
@@ -416,9 +325,7 @@ export class AreaCalculator {
         let perimeter = 0;
         
         walls.forEach(wall => {
-            const length = this.getWallLength(wall);
-            const lengthFeet = length / this.gridSize;
-            perimeter += lengthFeet;
+            perimeter += this.getWallLength(wall);
         });
         
         return Math.round(perimeter * 100) / 100;
@@ -445,8 +352,8 @@ export class AreaCalculator {
             maxY = Math.max(maxY, wall.startY, wall.endY);
         });
         
-        const width = (maxX - minX) / this.gridSize;
-        const depth = (maxY - minY) / this.gridSize;
+        const width = maxX - minX;
+        const depth = maxY - minY;
         
         return {
             minX,
@@ -459,9 +366,9 @@ export class AreaCalculator {
     }
 
     /**
-     * Get wall length in pixels
+     * Get wall length in feet
      * @param {Object} wall - Wall object
-     * @returns {number} Wall length in pixels
+     * @returns {number} Wall length in feet
      */
     getWallLength(wall) {
         const dx = wall.endX - wall.startX;
@@ -519,7 +426,12 @@ export class AreaCalculator {
             report += `    Roof: ${this.formatNumber(floor.roofArea)} sq ft\n`;
             report += `    Patios: ${this.formatNumber(floor.patioArea)} sq ft\n`;
             report += `    Perimeter: ${this.formatNumber(floor.perimeter)} ft\n`;
-            report += `    Wall Height: ${floor.wallHeight} ft\n\n`;
+            report += `    Wall Height: ${floor.wallHeight} ft\n`;
+            (floor.rooms || []).forEach(room => {
+                const type = room.type ? ` (${room.type})` : '';
+                report += `    - ${room.name}${type}: ${this.formatNumber(room.area)} sq ft, ${this.formatNumber(room.perimeter)} ft perimeter\n`;
+            });
+            report += '\n';
         });
         
         return report;
@@ -555,7 +467,7 @@ export class AreaCalculator {
                 doorArea: 0
             },
             timestamp: new Date().toISOString(),
-            gridSize: this.gridSize
+            units: this.units
         };
     }
 }
@@ -2,10 +2,11 @@
 // Handles UI integration and real-time area calculations
 
 import { AreaCalculator } from './area-calculator.js';
+import { escapeHTML } from './html-escape.js';
 
 class AreaIntegration {
     constructor() {
-        // Initialize area calculator as null - will be created with correct gridSize later
+        // Initialize area calculator as null - created on first calculation
         this.areaCalculator = null;
         this.currentAreaData = null;
         this.updateTimeout = null;
@@ -138,9 +139,9 @@ class AreaIntegration {
                 return null;
             }
             
-            // Initialize AreaCalculator if not already done or if gridSize has changed
-            if (!this.areaCalculator || this.areaCalculator.gridSize !== floorplanData.gridSize) {
-                this.initializeAreaCalculator(floorplanData);
+            // Initialize AreaCalculator if not already done
+            if (!this.areaCalculator) {
+                this.initializeAreaCalculator();
             }
             
             // Calculate areas
@@ -190,21 +191,12 @@ class AreaIntegration {
     }
 
     /**
-     * Initialize AreaCalculator with correct gridSize from floorplan data
-     * @param {Object} floorplanData - Floorplan data containing gridSize
+     * Initialize AreaCalculator (floor plan geometry is already in feet)
      * @returns {boolean} True if initialized successfully
      */
-    initializeAreaCalculator(floorplanData) {
-        if (!floorplanData || typeof floorplanData.gridSize !== 'number') {
-            console.warn('⚠️ No valid gridSize found in floorplan data, using default of 5 pixels per foot');
-            // Default to 5 pixels per foot (desktop) if gridSize not available
-            this.areaCalculator = new AreaCalculator(5);
-            return true;
-        }
-        
-        // Create AreaCalculator with the correct gridSize from floorplan data
-        this.areaCalculator = new AreaCalculator(floorplanData.gridSize);
-        console.log(`✅ AreaCalculator initialized with gridSize: ${floorplanData.gridSize} pixels per foot`);
+    initializeAreaCalculator() {
+        this.areaCalculator = new AreaCalculator();
+        console.log('✅ AreaCalculator initialized (units: feet)');
         return true;
     }
 
@@ -561,7 +553,7 @@ class AreaIntegration {
             html += `
                 <div style="margin-bottom: 32px;">
                     <h3 style="color: #667eea; font-size: 18px; margin: 0 0 16px 0; padding-bottom: 8px; border-bottom: 2px solid #e0e0e0;">
-                        🏢 ${floor.floorName}
+                        🏢 ${escapeHTML(floor.floorName)}
                     </h3>
                     <table style="width: 100%; border-collapse: collapse;">
                         <tr style="border-bottom: 1px solid #f0f0f0;">
@@ -599,6 +591,21 @@ class AreaIntegration {
                             </td>
                         </tr>
                     </table>
+                    ${(floor.rooms || []).length > 0 ? `
+                    <h4 style="color: #2c3e50; font-size: 15px; margin: 16px 0 8px 0;">🏷️ Rooms</h4>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        ${floor.rooms.map(room => `
+                        <tr style="border-bottom: 1px solid #f0f0f0;">
+                            <td style="padding: 8px 0; color: #555; font-weight: 500;">
+                                ${escapeHTML(room.name)}${room.type ? ` <span style="color: #999; font-size: 12px;">${escapeHTML(this.formatRoomType(room.type))}</span>` : ''}
+                            </td>
+                            <td style="padding: 8px 0; text-align: right; font-weight: 700; color: #667eea;">
+                                ${room.area.toLocaleString()} sq ft
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </table>
+                    ` : ''}
                 </div>
             `;
         });
@@ -698,7 +705,7 @@ class AreaIntegration {
             floors.forEach(floor => {
                 html += `
                     <tr>
-                        <td>${floor.floorName}</td>
+                        <td>${escapeHTML(floor.floorName)}</td>
                         <td class="area-value">${this.areaCalculator.formatNumber(floor.floorArea)} sq ft</td>
                         <td class="area-value">${this.areaCalculator.formatNumber(floor.totalWallArea)} sq ft</td>
                         <td class="area-value">${this.areaCalculator.formatNumber(floor.roofArea)} sq ft</td>
@@ -715,9 +722,51 @@ class AreaIntegration {
             `;
         }
         
+        // Rooms
+        const rooms = (floors || []).flatMap(floor => (floor.rooms || []).map(room => ({ ...room, floorName: floor.floorName })));
+        if (rooms.length > 0) {
+            html += `
+                <div class="area-section">
+                    <h3>🏷️ Rooms</h3>
+                    <table class="area-table">
+                        <thead>
+                            <tr>
+                                <th>Floor</th>
+                                <th>Room</th>
+                                <th>Type</th>
+                                <th>Area</th>
+                                <th>Perimeter</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rooms.map(room => `
+                            <tr>
+                                <td>${escapeHTML(room.floorName)}</td>
+                                <td>${escapeHTML(room.name)}</td>
+                                <td>${escapeHTML(this.formatRoomType(room.type))}</td>
+                                <td class="area-value">${this.areaCalculator.formatNumber(room.area)} sq ft</td>
+                                <td class="area-value">${this.areaCalculator.formatNumber(room.perimeter)} ft</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+        
         return html;
     }
 
+    /**
+     * Display name for a room type value
+     * @param {string} type - Room type (e.g. 'bedroom')
+     * @returns {string} Label, or an empty string if untyped
+     */
+    formatRoomType(type) {
+        const editor = window.floorPlanApp?.floorPlanEditor || window.mobileApp?.floorPlanEditor;
+        return editor?.getRoomTypeLabel(type) || type || '';
+    }
+
     /**
      * Setup modal event listeners
      * @param {HTMLElement} modal - Modal element
@@ -823,7 +872,7 @@ class AreaIntegration {
         const workflowData = {
             areas: this.currentAreaData,
             timestamp: new Date().toISOString(),
-            gridSize: this.areaCalculator ? this.areaCalculator.gridSize : null
+            units: 'feet'
         };
         
         console.log('📐 Area data formatted for n8n workflow:', workflowData);
@@ -0,0 +1,195 @@
+// autosave.js
+// Continuous autosave of the floor plan and crash recovery prompt
+
+export class AutosaveManager {
+    /**
+     * @param {FloorPlanEditor} editor - Editor whose plan is persisted
+     * @param {ProjectStorage} storage - Storage backend
+     * @param {Object} options - { includeHistory: also persist the undo stack, historyLimit: most undo steps kept, delay: debounce in ms }
+     */
+    constructor(editor, storage, options = {}) {
+        this.editor = editor;
+        this.storage = storage;
+        this.includeHistory = options.includeHistory ?? true;
+        this.historyLimit = options.historyLimit ?? 10;
+        this.delay = options.delay ?? 1000;
+
+        // Project the plan belongs to (set by ProjectBrowser), restored with the snapshot
+        this.projectId = null;
+
+        this.saveTimeout = null;
+        this.lastSavedJSON = null;
+        this.isStarted = false;
+    }
+
+    /**
+     * Check for unsaved work from a previous session, offer to restore it,
+     * then start autosaving. Autosave stays off until the prompt is answered
+     * so the empty startup plan can't overwrite the recoverable one.
+     * @param {Function} onRestore - Called after a snapshot was loaded into the editor
+     */
+    async checkForRecovery(onRestore) {
+        let snapshot = null;
+        try {
+            snapshot = await this.storage.loadAutosave();
+        } catch (error) {
+            console.warn('⚠️ Could not read autosave:', error);
+        }
+
+        if (!snapshot || !this.hasContent(snapshot)) {
+            this.start();
+            return;
+        }
+
+        this.showRecoveryPrompt(snapshot, async (restore) => {
+            if (restore) {
+                try {
+                    this.editor.restoreAutosave(snapshot);
+                    console.log('✅ Restored unsaved work from', snapshot.savedAt);
+                    if (onRestore) {
+                        onRestore(snapshot);
+                    }
+                } catch (error) {
+                    console.error('❌ Failed to restore unsaved work:', error);
+                    alert(`Could not restore unsaved work:\n${error.message}`);
+                }
+            } else {
+                await this.storage.clearAutosave().catch(() => {});
+                console.log('🗑️ Discarded unsaved work');
+            }
+            this.start();
+        });
+    }
+
+    /**
+     * Start persisting editor changes
+     */
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+
+        // Every edit re-renders the plan, so hook the render cycle like area-integration.js
+        const originalRender = this.editor.render.bind(this.editor);
+        this.editor.render = (...args) => {
+            const result = originalRender(...args);
+            this.scheduleSave();
+            return result;
+        };
+
+        // Flush pending changes when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveNow();
+            }
+        });
+        window.addEventListener('pagehide', () => this.saveNow());
+
+        console.log('✅ Autosave started');
+    }
+
+    /**
+     * Debounced save so drags and previews don't write on every frame
+     */
+    scheduleSave() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+        this.saveTimeout = setTimeout(() => this.saveNow(), this.delay);
+    }
+
+    /**
+     * Write the current plan immediately if it changed since the last save
+     * @returns {Promise<void>}
+     */
+    async saveNow() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        const snapshot = this.createSnapshot();
+        const json = JSON.stringify([snapshot.floors, snapshot.historyIndex, snapshot.projectId]);
+        if (json === this.lastSavedJSON) {
+            return;
+        }
+
+        try {
+            await this.storage.saveAutosave(snapshot);
+            this.lastSavedJSON = json;
+        } catch (error) {
+            console.warn('⚠️ Autosave failed:', error);
+        }
+    }
+
+    /**
+     * Build a serializable snapshot of the editor
+     * @returns {Object} Snapshot in the design file format plus optional history
+     */
+    createSnapshot() {
+        const snapshot = {
+            version: '4.1-Autosave',
+            savedAt: new Date().toISOString(),
+            floors: JSON.parse(JSON.stringify(this.editor.floors)),
+            currentFloor: this.editor.currentFloor,
+            projectId: this.projectId,
+            settings: { units: 'feet' }
+        };
+
+        // Only the last few undo steps around the current state are kept so each
+        // write stays small however long the session has been
+        if (this.includeHistory && this.historyLimit > 0) {
+            const { history, historyIndex } = this.editor;
+            const start = Math.max(0, historyIndex + 1 - this.historyLimit);
+            snapshot.history = history.slice(start, start + this.historyLimit);
+            snapshot.historyIndex = historyIndex - start;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Whether a snapshot holds anything worth restoring
+     * @param {Object} snapshot - Autosave snapshot
+     * @returns {boolean} True if any floor has walls or patios
+     */
+    hasContent(snapshot) {
+        return Array.isArray(snapshot.floors) && snapshot.floors.some(floor =>
+            (floor.walls?.length || 0) + (floor.patios?.length || 0) > 0
+        );
+    }
+
+    /**
+     * Show the "restore unsaved work" banner
+     * @param {Object} snapshot - Autosave snapshot
+     * @param {Function} onChoice - Called with true (restore) or false (discard)
+     */
+    showRecoveryPrompt(snapshot, onChoice) {
+        document.querySelector('.recovery-prompt')?.remove();
+
+        const savedAt = snapshot.savedAt ? new Date(snapshot.savedAt) : null;
+        const when = savedAt ? savedAt.toLocaleString() : 'a previous session';
+        const wallCount = snapshot.floors.reduce((sum, floor) => sum + (floor.walls?.length || 0), 0);
+
+        const prompt = document.createElement('div');
+        prompt.className = 'recovery-prompt';
+        prompt.innerHTML = `
+            <div class="recovery-prompt-text">
+                <strong>💾 Restore unsaved work?</strong>
+                <span>${snapshot.floors.length} floor(s), ${wallCount} walls from ${when}</span>
+            </div>
+            <div class="recovery-prompt-actions">
+                <button class="btn-primary recovery-restore">Restore</button>
+                <button class="btn-secondary recovery-discard">Discard</button>
+            </div>
+        `;
+
+        const choose = (restore) => {
+            prompt.remove();
+            onChoice(restore);
+        };
+        prompt.querySelector('.recovery-restore').addEventListener('click', () => choose(true));
+        prompt.querySelector('.recovery-discard').addEventListener('click', () => choose(false));
+
+        document.body.appendChild(prompt);
+    }
+}
@@ -0,0 +1,99 @@
+// Dimension Parser for 3D Home Design Application
+// Reads typed lengths like 12'6", 12' 6 1/2", 150", 12.5 or 3.2m (in feet) and formats feet-inches
+
+const METRIC_TO_FEET = {
+    mm: 1 / 304.8,
+    cm: 1 / 30.48,
+    m: 1 / 0.3048
+};
+
+/**
+ * Parse a typed length
+ * @param {string} text - e.g. 12'6", 12'-6", 12ft 6in, 150", 6 1/2", 12.5 (bare numbers are feet), 3.2m
+ * @returns {number|null} Length in feet, or null if the text isn't a positive length
+ */
+export function parseDimension(text) {
+    const input = String(text ?? '').trim().toLowerCase();
+    if (!input) return null;
+
+    const metric = input.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(mm|cm|m)$/);
+    if (metric) {
+        return positiveOrNull(parseFloat(metric[1]) * METRIC_TO_FEET[metric[2]]);
+    }
+
+    // [feet ('|ft|feet|foot)] [-] [inches] [fraction] [("|in|inch|inches)]
+    const match = input.match(
+        /^(?:(\d+(?:\.\d+)?|\.\d+)\s*(?:'|ft|feet|foot)\s*-?\s*)?(\d+(?:\.\d+)?|\.\d+)?\s*(?:(\d+)\s*\/\s*(\d+))?\s*("|''|in|inch|inches)?$/
+    );
+    if (!match) return null;
+
+    const [, feetText, wholeText, numeratorText, denominatorText, inchUnit] = match;
+    if (!feetText && !wholeText && !numeratorText) return null;
+
+    let rest = wholeText ? parseFloat(wholeText) : 0;
+    if (numeratorText) {
+        const denominator = parseInt(denominatorText, 10);
+        if (denominator === 0) return null;
+        rest += parseInt(numeratorText, 10) / denominator;
+    }
+
+    if (feetText) {
+        // Anything after the feet mark is inches
+        return positiveOrNull(parseFloat(feetText) + rest / 12);
+    }
+    // No feet mark: inches if marked, otherwise a bare number is feet
+    return positiveOrNull(inchUnit ? rest / 12 : rest);
+}
+
+/**
+ * Parse a length with an optional angle, e.g. 12'6" @ 90
+ * Angles are degrees counterclockwise from east (0 = right, 90 = up on the plan).
+ * @param {string} text - Length, optionally followed by @ or < and an angle
+ * @returns {Object|null} { length (feet), angle (degrees or null) }, or null if invalid
+ */
+export function parseLengthAndAngle(text) {
+    const [lengthText, angleText, extra] = String(text ?? '').split(/[@<]/);
+    if (extra !== undefined) return null;
+
+    const length = parseDimension(lengthText);
+    if (length === null) return null;
+
+    if (angleText === undefined) {
+        return { length, angle: null };
+    }
+
+    const angleMatch = angleText.trim().toLowerCase().match(/^(-?\d+(?:\.\d+)?)\s*(?:°|deg|degrees)?$/);
+    if (!angleMatch) return null;
+
+    return { length, angle: parseFloat(angleMatch[1]) };
+}
+
+/**
+ * Format feet as feet-inches to the nearest 1/8"
+ * @param {number} feet - Length in feet
+ * @returns {string} e.g. 12' 6 1/2"
+ */
+export function formatFeetInches(feet) {
+    const totalEighths = Math.round(Math.abs(feet) * 96);
+    const sign = feet < 0 && totalEighths > 0 ? '-' : '';
+    const wholeFeet = Math.floor(totalEighths / 96);
+    const remainingEighths = totalEighths % 96;
+    const inches = Math.floor(remainingEighths / 8);
+    let eighths = remainingEighths % 8;
+
+    let fraction = '';
+    if (eighths > 0) {
+        let denominator = 8;
+        while (eighths % 2 === 0) {
+            eighths /= 2;
+            denominator /= 2;
+        }
+        fraction = ` ${eighths}/${denominator}`;
+    }
+
+    return `${sign}${wholeFeet}' ${inches}${fraction}"`;
+}
+
+function positiveOrNull(value) {
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
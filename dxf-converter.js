@@ -0,0 +1,554 @@
+// DXF Converter for 3D Home Design Application
+// Writes each floor as an AutoCAD R12 DXF - wall faces and centerlines, door and window blocks, patios and
+// room labels on named layers - and reads LINE entities from a chosen layer back in as walls
+
+// Layers written on export (AIA names; colors are AutoCAD color indices)
+export const DXF_LAYERS = {
+    wall: { name: 'A-WALL', color: 7 },
+    wallCenter: { name: 'A-WALL-CNTR', color: 8 }, // One LINE per wall - the layer to import back
+    door: { name: 'A-DOOR', color: 3 },
+    window: { name: 'A-GLAZ', color: 5 },
+    patio: { name: 'A-SITE-PATIO', color: 33 },
+    room: { name: 'A-AREA-IDEN', color: 2 }
+};
+
+// Drawing units by $INSUNITS code
+export const DXF_UNITS = [
+    { code: 1, value: 'inches', label: 'inches', feetPerUnit: 1 / 12 },
+    { code: 2, value: 'feet', label: 'feet', feetPerUnit: 1 },
+    { code: 4, value: 'millimeters', label: 'millimeters', feetPerUnit: 1 / 304.8 },
+    { code: 5, value: 'centimeters', label: 'centimeters', feetPerUnit: 1 / 30.48 },
+    { code: 6, value: 'meters', label: 'meters', feetPerUnit: 1 / 0.3048 }
+];
+
+export const DXF_DEFAULTS = {
+    exportUnits: 'inches',        // What AutoCAD's architectural units expect
+    wallLayer: DXF_LAYERS.wallCenter.name,
+    wallThickness: 0.5,           // feet, for walls without their own thickness (same as the 3D model)
+    minWallLength: 1 / 12,        // feet - shorter imported lines are dropped
+    precision: 1 / 96             // feet - imported endpoints are rounded to the nearest 1/8"
+};
+
+// Blocks for the door styles and windows, one unit wide and centered on the wall centerline:
+// x runs along the wall, y toward the side the door swings to (the wall's left-hand normal on the plan)
+const DXF_BLOCKS = {
+    'DOOR-SWING': {
+        lines: [[-0.5, 0, -0.5, 1]],
+        arcs: [[-0.5, 0, 1, 0, 90]]
+    },
+    'DOOR-DOUBLE': {
+        lines: [[-0.5, 0, -0.5, 0.5], [0.5, 0, 0.5, 0.5]],
+        arcs: [[-0.5, 0, 0.5, 0, 90], [0.5, 0, 0.5, 90, 180]]
+    },
+    'DOOR-POCKET': {
+        lines: [[-1.35, 0, -0.5, 0], [-0.5, 0, -0.35, 0]],
+        arcs: []
+    },
+    'DOOR-BIFOLD': {
+        lines: [
+            [-0.5, 0, -0.375, 0.2165], [-0.375, 0.2165, -0.25, 0],
+            [0.5, 0, 0.375, 0.2165], [0.375, 0.2165, 0.25, 0]
+        ],
+        arcs: []
+    },
+    // Scaled across the wall by its thickness
+    'WINDOW': {
+        lines: [
+            [-0.5, -0.5, 0.5, -0.5], [-0.5, 0.5, 0.5, 0.5],
+            [-0.5, -0.5, -0.5, 0.5], [0.5, -0.5, 0.5, 0.5],
+            [-0.5, 0, 0.5, 0]
+        ],
+        arcs: []
+    }
+};
+
+/**
+ * Catalog entry for drawing units, by value or $INSUNITS code
+ * @param {string|number} valueOrCode - Units value ('inches') or code (1)
+ * @returns {Object|null} Entry from DXF_UNITS, or null if unknown
+ */
+export function getDxfUnits(valueOrCode) {
+    return DXF_UNITS.find(entry => entry.value === valueOrCode || entry.code === valueOrCode) || null;
+}
+
+export class DxfConverter {
+    /**
+     * @param {FloorPlanEditor} editor - Editor holding the floors and rooms
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.wallThickness = DXF_DEFAULTS.wallThickness;
+    }
+
+    /**
+     * One floor as DXF text, in inches with plan y flipped to CAD's y up
+     * @param {number} floorIndex - Floor to write
+     * @returns {string} DXF file contents
+     */
+    exportFloor(floorIndex) {
+        const floor = this.editor.floors[floorIndex];
+        const units = getDxfUnits(DXF_DEFAULTS.exportUnits);
+        const scale = 1 / units.feetPerUnit;
+        const toDxf = point => ({ x: point.x * scale, y: -point.y * scale });
+
+        const entities = [];
+        this.writeWalls(entities, floor, toDxf);
+        this.writeOpenings(entities, floor, toDxf, scale);
+        this.writePatios(entities, floor, toDxf);
+        this.writeRoomLabels(entities, floorIndex, toDxf, scale);
+
+        const points = floor.walls.flatMap(wall => [toDxf({ x: wall.startX, y: wall.startY }), toDxf({ x: wall.endX, y: wall.endY })]);
+        const extents = points.length > 0
+            ? {
+                min: { x: Math.min(...points.map(point => point.x)), y: Math.min(...points.map(point => point.y)) },
+                max: { x: Math.max(...points.map(point => point.x)), y: Math.max(...points.map(point => point.y)) }
+            }
+            : { min: { x: 0, y: 0 }, max: { x: 0, y: 0 } };
+
+        const pairs = [
+            ...this.getHeader(units, extents),
+            ...this.getTables(),
+            ...this.getBlocks(),
+            [0, 'SECTION'], [2, 'ENTITIES'],
+            ...entities,
+            [0, 'ENDSEC'],
+            [0, 'EOF']
+        ];
+        return pairs.map(([code, value]) => `${code}\n${this.formatValue(value)}`).join('\n') + '\n';
+    }
+
+    formatValue(value) {
+        return typeof value === 'number' ? String(Number(value.toFixed(4))) : value;
+    }
+
+    getHeader(units, extents) {
+        return [
+            [0, 'SECTION'], [2, 'HEADER'],
+            // R12 has no units variable ($INSUNITS came later), so the drawing is only marked imperial;
+            // importers that honor $MEASUREMENT, this one included, read it back as inches
+            [9, '$ACADVER'], [1, 'AC1009'],
+            [9, '$MEASUREMENT'], [70, units.value === 'inches' || units.value === 'feet' ? 0 : 1],
+            [9, '$EXTMIN'], [10, extents.min.x], [20, extents.min.y], [30, 0],
+            [9, '$EXTMAX'], [10, extents.max.x], [20, extents.max.y], [30, 0],
+            [0, 'ENDSEC']
+        ];
+    }
+
+    getTables() {
+        const layers = [{ name: '0', color: 7 }, ...Object.values(DXF_LAYERS)];
+        return [
+            [0, 'SECTION'], [2, 'TABLES'],
+            [0, 'TABLE'], [2, 'LTYPE'], [70, 1],
+            [0, 'LTYPE'], [2, 'CONTINUOUS'], [70, 0], [3, 'Solid line'], [72, 65], [73, 0], [40, 0],
+            [0, 'ENDTAB'],
+            [0, 'TABLE'], [2, 'LAYER'], [70, layers.length],
+            ...layers.flatMap(layer => [[0, 'LAYER'], [2, layer.name], [70, 0], [62, layer.color], [6, 'CONTINUOUS']]),
+            [0, 'ENDTAB'],
+            [0, 'ENDSEC']
+        ];
+    }
+
+    getBlocks() {
+        // Block geometry is on layer 0 so each insert takes the layer it is placed on
+        return [
+            [0, 'SECTION'], [2, 'BLOCKS'],
+            ...Object.entries(DXF_BLOCKS).flatMap(([name, block]) => [
+                [0, 'BLOCK'], [8, '0'], [2, name], [70, 0], [10, 0], [20, 0], [30, 0], [3, name],
+                ...block.lines.flatMap(([x1, y1, x2, y2]) => this.getLine('0', { x: x1, y: y1 }, { x: x2, y: y2 })),
+                ...block.arcs.flatMap(([x, y, radius, start, end]) => [
+                    [0, 'ARC'], [8, '0'], [10, x], [20, y], [30, 0], [40, radius], [50, start], [51, end]
+                ]),
+                [0, 'ENDBLK'], [8, '0']
+            ]),
+            [0, 'ENDSEC']
+        ];
+    }
+
+    getLine(layer, start, end) {
+        return [[0, 'LINE'], [8, layer], [10, start.x], [20, start.y], [30, 0], [11, end.x], [21, end.y], [31, 0]];
+    }
+
+    /**
+     * Wall centerline frame in feet: start, unit direction, left-hand normal (-dy, dx), length and half thickness
+     */
+    getWallFrame(wall) {
+        const dx = wall.endX - wall.startX;
+        const dy = wall.endY - wall.startY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const u = length > 0 ? { x: dx / length, y: dy / length } : { x: 1, y: 0 };
+        return {
+            start: { x: wall.startX, y: wall.startY },
+            u,
+            n: { x: -u.y, y: u.x },
+            length,
+            half: (wall.thickness || this.wallThickness) / 2
+        };
+    }
+
+    wallPoint(frame, along, across) {
+        return {
+            x: frame.start.x + frame.u.x * along + frame.n.x * across,
+            y: frame.start.y + frame.u.y * along + frame.n.y * across
+        };
+    }
+
+    writeWalls(entities, floor, toDxf) {
+        // Both faces of every wall, broken at its openings with a jamb line across each side,
+        // plus the centerline on its own layer
+        const openings = [...floor.doors, ...floor.windows];
+
+        floor.walls.forEach(wall => {
+            const frame = this.getWallFrame(wall);
+            if (frame.length < 0.01) return;
+
+            entities.push(...this.getLine(DXF_LAYERS.wallCenter.name,
+                toDxf(frame.start), toDxf({ x: wall.endX, y: wall.endY })));
+
+            const cuts = openings
+                .filter(opening => opening.wallId === wall.id)
+                .map(opening => [opening.position * frame.length - opening.width / 2, opening.position * frame.length + opening.width / 2])
+                .sort((a, b) => a[0] - b[0]);
+
+            // Faces run past the wall ends by half the thickness so outside corners meet
+            const pieces = [];
+            let from = -frame.half;
+            cuts.forEach(([start, end]) => {
+                if (start > from) pieces.push([from, start]);
+                from = Math.max(from, end);
+            });
+            if (frame.length + frame.half > from) pieces.push([from, frame.length + frame.half]);
+
+            pieces.forEach(([start, end]) => {
+                [-frame.half, frame.half].forEach(across => {
+                    entities.push(...this.getLine(DXF_LAYERS.wall.name,
+                        toDxf(this.wallPoint(frame, start, across)), toDxf(this.wallPoint(frame, end, across))));
+                });
+            });
+            cuts.flat().forEach(along => {
+                entities.push(...this.getLine(DXF_LAYERS.wall.name,
+                    toDxf(this.wallPoint(frame, along, -frame.half)), toDxf(this.wallPoint(frame, along, frame.half))));
+            });
+        });
+    }
+
+    writeOpenings(entities, floor, toDxf, scale) {
+        // Block inserts at each opening's center, rotated along the wall; plan y is flipped in the DXF,
+        // so the y scale is negated to keep the block's +y on the wall's left-hand normal
+        const insert = (layer, block, frame, position, xScale, yScale) => {
+            const at = toDxf(this.wallPoint(frame, position * frame.length, 0));
+            const rotation = Math.atan2(-frame.u.y, frame.u.x) * 180 / Math.PI;
+            entities.push(
+                [0, 'INSERT'], [8, layer], [2, block],
+                [10, at.x], [20, at.y], [30, 0],
+                [41, xScale], [42, -yScale], [43, 1], [50, rotation]
+            );
+        };
+
+        floor.doors.forEach(door => {
+            const wall = floor.walls.find(candidate => candidate.id === door.wallId);
+            if (!wall) return;
+            const frame = this.getWallFrame(wall);
+            const width = door.width * scale;
+            const direction = door.swingDirection || 1;
+
+            switch (door.style || 'swing') {
+                case 'pocket':
+                    insert(DXF_LAYERS.door.name, 'DOOR-POCKET', frame, door.position, width, width);
+                    break;
+                case 'bifold':
+                    insert(DXF_LAYERS.door.name, 'DOOR-BIFOLD', frame, door.position, width, width * direction);
+                    break;
+                case 'double':
+                    insert(DXF_LAYERS.door.name, 'DOOR-DOUBLE', frame, door.position, width, width * direction);
+                    break;
+                default:
+                    // Swinging the other way moves the hinge to the far jamb
+                    insert(DXF_LAYERS.door.name, 'DOOR-SWING', frame, door.position, width * direction, width);
+            }
+        });
+
+        floor.windows.forEach(window => {
+            const wall = floor.walls.find(candidate => candidate.id === window.wallId);
+            if (!wall) return;
+            const frame = this.getWallFrame(wall);
+            insert(DXF_LAYERS.window.name, 'WINDOW', frame, window.position, window.width * scale, frame.half * 2 * scale);
+        });
+    }
+
+    writePatios(entities, floor, toDxf) {
+        (floor.patios || []).forEach(patio => {
+            const corners = [
+                { x: patio.x, y: patio.y },
+                { x: patio.x + patio.width, y: patio.y },
+                { x: patio.x + patio.width, y: patio.y + patio.height },
+                { x: patio.x, y: patio.y + patio.height }
+            ].map(toDxf);
+
+            // Closed R12 polyline
+            const layer = DXF_LAYERS.patio.name;
+            entities.push([0, 'POLYLINE'], [8, layer], [66, 1], [70, 1], [10, 0], [20, 0], [30, 0]);
+            corners.forEach(corner => {
+                entities.push([0, 'VERTEX'], [8, layer], [10, corner.x], [20, corner.y], [30, 0]);
+            });
+            entities.push([0, 'SEQEND'], [8, layer]);
+        });
+    }
+
+    writeRoomLabels(entities, floorIndex, toDxf, scale) {
+        const layer = DXF_LAYERS.room.name;
+        const text = (point, value, height) => {
+            entities.push(
+                [0, 'TEXT'], [8, layer], [10, point.x], [20, point.y], [30, 0], [40, height], [1, value],
+                [72, 1], [11, point.x], [21, point.y], [31, 0], [73, 2]
+            );
+        };
+
+        this.editor.getLabeledRooms(floorIndex).forEach(room => {
+            const title = (room.name || this.editor.getRoomTypeLabel(room.type)).toUpperCase();
+            const at = toDxf(room.labelPoint);
+            const height = 0.75 * scale; // 9" text at full size
+            if (title) {
+                text({ x: at.x, y: at.y + height * 0.8 }, title, height);
+            }
+            text(title ? { x: at.x, y: at.y - height * 0.8 } : at, `${Math.round(room.area)} SQ FT`, height * 0.75);
+        });
+    }
+
+    /**
+     * Read the line work and drawing units of a DXF file
+     * @param {string} text - DXF file contents (ASCII)
+     * @returns {Object} { units, unitsSource: 'header'|'measurement'|'size', layers: [{ name, lineCount }] (most lines
+     *                   first), segments: [{ layer, start, end }] in drawing units, y up }
+     */
+    readDXF(text) {
+        const lines = text.split(/\r?\n/);
+        const pairs = [];
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i].trim(), 10);
+            if (Number.isNaN(code)) {
+                throw new Error('File is not an ASCII DXF.');
+            }
+            pairs.push({ code, value: lines[i + 1].trim() });
+        }
+
+        // Header variables: a name (code 9) followed by its value(s)
+        const header = {};
+        let section = null;
+        let entity = null;
+        const entities = [];
+        pairs.forEach((pair, i) => {
+            if (pair.code === 0 && pair.value === 'SECTION') {
+                section = pairs[i + 1]?.value;
+                return;
+            }
+            if (pair.code === 0 && pair.value === 'ENDSEC') {
+                section = null;
+                entity = null;
+                return;
+            }
+            if (section === 'HEADER' && pair.code === 9 && pairs[i + 1]) {
+                header[pair.value] = pairs[i + 1].value;
+            }
+            if (section === 'ENTITIES') {
+                if (pair.code === 0) {
+                    entity = { type: pair.value, pairs: [] };
+                    entities.push(entity);
+                } else if (entity) {
+                    entity.pairs.push(pair);
+                }
+            }
+        });
+
+        const segments = [];
+        entities.forEach(({ type, pairs: data }) => {
+            const get = code => data.find(pair => pair.code === code)?.value;
+            const number = code => parseFloat(get(code));
+            // Paper space entities are sheet annotation, not the plan
+            if (get(67) === '1') return;
+            const layer = get(8) || '0';
+
+            if (type === 'LINE') {
+                const start = { x: number(10), y: number(20) };
+                const end = { x: number(11), y: number(21) };
+                if ([start.x, start.y, end.x, end.y].every(Number.isFinite)) {
+                    segments.push({ layer, start, end });
+                }
+            } else if (type === 'LWPOLYLINE') {
+                const vertices = [];
+                data.forEach(pair => {
+                    if (pair.code === 10) vertices.push({ x: parseFloat(pair.value), y: NaN });
+                    if (pair.code === 20 && vertices.length > 0) vertices[vertices.length - 1].y = parseFloat(pair.value);
+                });
+                const closed = (parseInt(get(70), 10) & 1) === 1;
+                const count = closed ? vertices.length : vertices.length - 1;
+                for (let i = 0; i < count; i++) {
+                    const start = vertices[i];
+                    const end = vertices[(i + 1) % vertices.length];
+                    if ([start.x, start.y, end.x, end.y].every(Number.isFinite)) {
+                        segments.push({ layer, start, end });
+                    }
+                }
+            }
+        });
+
+        const counts = new Map();
+        segments.forEach(segment => counts.set(segment.layer, (counts.get(segment.layer) || 0) + 1));
+        const layers = [...counts.entries()]
+            .map(([name, lineCount]) => ({ name, lineCount }))
+            .sort((a, b) => b.lineCount - a.lineCount);
+
+        return { ...this.detectUnits(header, segments), layers, segments };
+    }
+
+    /**
+     * Drawing units from $INSUNITS, then $MEASUREMENT, then the size of the drawing
+     * @param {Object} header - Header variables by name
+     * @param {Array} segments - Line segments in drawing units
+     * @returns {Object} { units, unitsSource }
+     */
+    detectUnits(header, segments) {
+        const declared = getDxfUnits(parseInt(header.$INSUNITS, 10));
+        if (declared) return { units: declared, unitsSource: 'header' };
+
+        const measurement = parseInt(header.$MEASUREMENT, 10);
+        if (measurement === 0 || measurement === 1) {
+            return { units: getDxfUnits(measurement === 1 ? 'millimeters' : 'inches'), unitsSource: 'measurement' };
+        }
+
+        // Unitless drawing: judge by how big a house would be in each unit
+        const coordinates = segments.flatMap(segment => [segment.start, segment.end]);
+        const span = coordinates.length > 0
+            ? Math.max(
+                Math.max(...coordinates.map(point => point.x)) - Math.min(...coordinates.map(point => point.x)),
+                Math.max(...coordinates.map(point => point.y)) - Math.min(...coordinates.map(point => point.y))
+            )
+            : 0;
+        const guess = span > 2000 ? 'millimeters' : (span > 250 ? 'inches' : 'feet');
+        return { units: getDxfUnits(guess), unitsSource: 'size' };
+    }
+
+    /**
+     * Layer to offer for walls: this tool's centerline layer, else a wall-sounding layer, else the busiest
+     * @param {Object} dxf - Result of readDXF
+     * @returns {string|null} Layer name
+     */
+    getDefaultWallLayer(dxf) {
+        const names = dxf.layers.map(layer => layer.name);
+        if (names.includes(DXF_DEFAULTS.wallLayer)) return DXF_DEFAULTS.wallLayer;
+        return names.find(name => /wall/i.test(name)) || names[0] || null;
+    }
+
+    /**
+     * Walls (feet, plan y down) from the lines on one layer
+     * Drawings away from the origin are moved next to it so they open in view.
+     * @param {Object} dxf - Result of readDXF
+     * @param {string} layer - Layer to take lines from (case-insensitive, like AutoCAD)
+     * @returns {Array} Wall objects
+     */
+    getWalls(dxf, layer) {
+        const wanted = (layer || '').toUpperCase();
+        const feetPerUnit = dxf.units.feetPerUnit;
+        const round = value => Math.round(value / DXF_DEFAULTS.precision) * DXF_DEFAULTS.precision;
+
+        const segments = dxf.segments
+            .filter(segment => segment.layer.toUpperCase() === wanted)
+            .map(segment => ({
+                start: { x: segment.start.x * feetPerUnit, y: -segment.start.y * feetPerUnit },
+                end: { x: segment.end.x * feetPerUnit, y: -segment.end.y * feetPerUnit }
+            }));
+        if (segments.length === 0) {
+            throw new Error(`There are no lines on layer "${layer}".`);
+        }
+
+        const points = segments.flatMap(segment => [segment.start, segment.end]);
+        const minX = Math.min(...points.map(point => point.x));
+        const minY = Math.min(...points.map(point => point.y));
+        const maxX = Math.max(...points.map(point => point.x));
+        const maxY = Math.max(...points.map(point => point.y));
+        const inView = minX >= 0 && minY >= 0 && maxX <= 500 && maxY <= 500;
+        const offset = inView ? { x: 0, y: 0 } : { x: 2 - Math.floor(minX), y: 2 - Math.floor(minY) };
+
+        const walls = [];
+        const seen = new Set();
+        segments.forEach(({ start, end }) => {
+            const wall = {
+                startX: round(start.x + offset.x),
+                startY: round(start.y + offset.y),
+                endX: round(end.x + offset.x),
+                endY: round(end.y + offset.y)
+            };
+            if (Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY) < DXF_DEFAULTS.minWallLength) return;
+
+            // The same line drawn twice (either way round) is one wall
+            const key = [`${wall.startX},${wall.startY}`, `${wall.endX},${wall.endY}`].sort().join(';');
+            if (seen.has(key)) return;
+            seen.add(key);
+            walls.push(wall);
+        });
+
+        return walls;
+    }
+
+    /**
+     * Replace the current floor's walls with the lines of a DXF file, asking which layer to use
+     * and before replacing existing walls
+     * @param {File} file - DXF file chosen by the user
+     * @returns {Promise<string|null>} Summary to show, or null if the user cancelled
+     */
+    async importFile(file) {
+        const dxf = this.readDXF(await file.text());
+        if (dxf.layers.length === 0) {
+            throw new Error('The drawing has no LINE entities in model space.');
+        }
+
+        // Let the user pick the wall layer when there is a choice
+        let layer = this.getDefaultWallLayer(dxf);
+        if (dxf.layers.length > 1) {
+            const choices = dxf.layers.map(entry => `${entry.name} (${entry.lineCount} lines)`).join('\n');
+            const answer = prompt(`Layer to import as walls:\n${choices}`, layer);
+            if (answer === null) return null;
+            layer = answer.trim();
+        }
+
+        const walls = this.getWalls(dxf, layer);
+        const floor = this.editor.floors[this.editor.currentFloor];
+        if (floor.walls.length > 0 &&
+            !confirm(`Replace the walls on ${floor.name}? Its doors, windows and room labels will be removed.`)) {
+            return null;
+        }
+
+        this.editor.importWalls(walls);
+
+        const source = { header: 'from the file', measurement: 'from the measurement setting', size: 'guessed from the drawing size' }[dxf.unitsSource];
+        return `Imported ${walls.length} walls from layer ${layer} of ${file.name}\nUnits: ${dxf.units.label} (${source})`;
+    }
+
+    /**
+     * Download every floor that has walls as its own DXF
+     */
+    downloadDXF() {
+        const floors = this.editor.floors;
+        const floorIndices = floors.map((floor, i) => i).filter(i => floors[i].walls.length > 0);
+        if (floorIndices.length === 0) {
+            throw new Error('Draw some walls first - there is no floor plan to export.');
+        }
+
+        const stamp = Date.now();
+        floorIndices.forEach(floorIndex => {
+            this.downloadFile(this.exportFloor(floorIndex), `floor-plan-${floorIndex + 1}-${stamp}.dxf`, 'application/dxf');
+        });
+        console.log(`✅ DXF exported (${floorIndices.length} floor${floorIndices.length === 1 ? '' : 's'})`);
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
@@ -1,6 +1,17 @@
 // 2D Floor Plan Drawing Editor - Drag-to-Draw Walls
 // Click and drag to draw individual wall segments
 
+import { RoomDetector } from './room-detector.js';
+import { parseDimension, parseLengthAndAngle, formatFeetInches } from './dimension-parser.js';
+import { PropertyInspector } from './property-inspector.js';
+import { RoofGeometry, ROOF_GABLE_ORIENTATIONS, getRoofStyle } from './roof-geometry.js';
+import { ROOF_ACCESSORY_TYPES, RoofAccessoryGeometry, getRoofAccessoryType } from './roof-accessories.js';
+import { STAIR_TYPES, STAIR_TURNS, StairGeometry, getStairType } from './stair-geometry.js';
+import {
+    DOOR_DEFAULTS, WINDOW_DEFAULTS, WINDOW_TYPES,
+    getDoorHeight, getWindowHeight, getWindowSillHeight, getWindowType
+} from './opening-catalog.js';
+
 export class FloorPlanEditor {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -15,11 +26,17 @@ export class FloorPlanEditor {
                 doors: [],
                 windows: [],
                 patios: [],
+                rooms: [],  // Room names/types, matched to detected rooms by a point inside
                 wallHeight: 8,  // Default wall height per floor (feet)
+                floorThickness: 1,  // Floor system under this floor (feet); stacks upper stories
                 hasRoof: false,  // Does this floor have its own roof?
                 roofStyle: 'hip',
                 roofPitch: 6,
-                roofOverhang: 1.0
+                roofSecondaryPitch: null, // Second slope for gambrel, mansard and saltbox; null = style default
+                roofOverhang: 1.0,
+                roofGables: 'auto',  // Gable roofs: 'auto', 'front' or 'side' (walls may set roofEdge themselves)
+                roofAccessories: [],  // Dormers, skylights, chimneys and cupolas on this floor's roof
+                stairs: []  // Stairs up to the next floor, which gets a stairwell opening over them
             }
         ];
         this.currentFloor = 0; // Index of current floor being edited
@@ -27,7 +44,7 @@ export class FloorPlanEditor {
         // Drawing state
         this.currentWall = null; // Wall being drawn
         this.isDrawing = false;
-        this.mode = 'draw'; // Current mode: draw, edit, door, window, patio
+        this.mode = 'draw'; // Current mode: draw, edit, door, window, patio, roof, stair
         this.selectedWallIndex = null;
         this.shiftKeyPressed = false;
         
@@ -35,6 +52,7 @@ export class FloorPlanEditor {
         this.currentPatio = null; // Patio being drawn
         this.isDrawingPatio = false;
         this.selectedPatio = null; // Index of selected patio
+        this.selectedRoomPoint = null; // Point (feet) inside the selected room
         this.isDraggingPatio = false;
         this.draggedPatioCorner = null; // Which corner: 'nw', 'ne', 'sw', 'se', or null for whole patio
         
@@ -63,18 +81,44 @@ export class FloorPlanEditor {
         
         // Door/Window settings
         this.doorStyle = 'swing'; // Options: 'swing', 'pocket', 'bifold', 'double'
-        this.doorWidthSwing = 3; // feet (36 inches) - for swing and pocket doors
-        this.doorWidthBifold = 4; // feet (48 inches) - for bifold doors
-        this.doorWidthDouble = 6; // feet (72 inches) - for double doors
-        this.windowWidth = 4; // feet (default 48 inches)
+        // Sizes come from the opening catalog so 2D, 3D and area reports agree
+        this.doorWidthSwing = DOOR_DEFAULTS.widths.swing; // feet (36 inches) - for swing and pocket doors
+        this.doorWidthBifold = DOOR_DEFAULTS.widths.bifold; // feet (48 inches) - for bifold doors
+        this.doorWidthDouble = DOOR_DEFAULTS.widths.double; // feet (72 inches) - for double doors
+        this.windowWidth = WINDOW_DEFAULTS.width; // feet (default 48 inches)
+        this.doorHeight = DOOR_DEFAULTS.height; // feet
+        this.windowHeight = WINDOW_DEFAULTS.height; // feet
+        this.windowSillHeight = WINDOW_DEFAULTS.sillHeight; // feet above the floor
+        this.windowType = WINDOW_DEFAULTS.type;
+        this.windowTypes = WINDOW_TYPES; // casement, double-hung, slider, picture, bay, transom
+        this.wallThickness = 0.5; // feet (6 inches) - walls may override with wall.thickness
         
         // Selection state for doors/windows
         this.selectedDoor = null; // index of selected door
         this.selectedWindow = null; // index of selected window
         this.isDraggingDoorWindow = false;
         
+        // Roof items (placed on the roof plan overlay in roof mode)
+        this.roofAccessoryType = ROOF_ACCESSORY_TYPES[0].value;
+        this.roofAccessoryTypes = ROOF_ACCESSORY_TYPES; // gable/shed/eyebrow dormers, skylight, chimney, cupola
+        this.roofGableOrientations = ROOF_GABLE_ORIENTATIONS; // auto, front gable, side gable
+        this.selectedRoofAccessory = null; // index of selected roof item
+        this.isDraggingRoofAccessory = false;
+        this.roofAccessoryMoved = false;
+        
+        // Stairs (placed in stair mode, climbing to the floor above)
+        this.stairType = STAIR_TYPES[0].value;
+        this.stairTypes = STAIR_TYPES; // straight, L-shaped, U-shaped, spiral
+        this.stairTurns = STAIR_TURNS;
+        this.selectedStair = null; // index of selected stair
+        this.isDraggingStair = false;
+        this.stairMoved = false;
+        
         // Grid settings
+        // Geometry is stored in feet; gridSize is only the display scale used by
+        // render() and getMousePos() to convert between feet and canvas pixels
         this.gridSize = 5; // pixels per foot (each grid square = 4 feet on desktop, visual grid stays 20px)
+        this.gridSpacingFeet = 4; // feet per visual grid square
         this.showGrid = true;
         this.snapToGrid = true;
         this.snapDistance = 15; // pixels - snap to endpoints within this distance
@@ -96,9 +140,49 @@ export class FloorPlanEditor {
             selectedEndpoint: '#e74c3c',
             patio: '#D2B48C',        // Tan/beige for patio
             patioSelected: '#DEB887', // Lighter tan when selected
-            patioGrid: '#C4A57B'     // Grid lines on patio
+            patioGrid: '#C4A57B',    // Grid lines on patio
+            room: 'rgba(52, 152, 219, 0.08)', // Light blue fill for enclosed rooms
+            roomSelected: 'rgba(243, 156, 18, 0.18)', // Orange tint for the selected room
+            roomName: '#2c3e50',
+            roomLabel: '#7f8c8d',
+            roofPlan: 'rgba(26, 26, 26, 0.08)',     // Roof planes over the plan in roof mode
+            roofLine: 'rgba(26, 26, 26, 0.45)',     // Eaves, hips, ridges and valleys
+            roofItem: 'rgba(139, 69, 19, 0.35)',
+            roofGable: '#c0392b',
+            roofItemBorder: '#8B4513',
+            stair: 'rgba(160, 112, 60, 0.15)',
+            stairLine: '#8B5A2B',
+            stairwell: '#7f8c8d'        // Opening cut for the stairs below
         };
         
+        // Rooms are found from the wall graph; cache per wall layout since render runs on every mouse move
+        this.roomDetector = new RoomDetector();
+        this.roomCache = { key: null, result: null };
+        
+        // Roof planes for the roof plan overlay, cached per wall layout and roof settings like rooms
+        this.roofGeometry = new RoofGeometry();
+        this.roofAccessoryGeometry = new RoofAccessoryGeometry(this.roofGeometry);
+        this.roofCache = { key: null, result: null };
+        this.stairGeometry = new StairGeometry();
+        this.roomTypes = [
+            { value: 'bedroom', label: 'Bedroom' },
+            { value: 'bathroom', label: 'Bathroom' },
+            { value: 'kitchen', label: 'Kitchen' },
+            { value: 'living', label: 'Living Room' },
+            { value: 'dining', label: 'Dining Room' },
+            { value: 'family', label: 'Family Room' },
+            { value: 'office', label: 'Office' },
+            { value: 'laundry', label: 'Laundry' },
+            { value: 'closet', label: 'Closet' },
+            { value: 'hallway', label: 'Hallway' },
+            { value: 'garage', label: 'Garage' },
+            { value: 'utility', label: 'Utility' },
+            { value: 'other', label: 'Other' }
+        ];
+        
+        // Editable properties of the selected element (desktop sidebar and mobile edit tab)
+        this.propertyInspector = new PropertyInspector(this);
+        
         // Resize canvas to fill container
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -194,17 +278,19 @@ export class FloorPlanEditor {
     getMousePos(e) {
         const rect = this.canvas.getBoundingClientRect();
         
-        // Direct 1:1 mapping - no scaling needed when buffer matches display
-        let x = e.clientX - rect.left;
-        let y = e.clientY - rect.top;
+        // Direct 1:1 mapping between buffer and display, then convert pixels to feet
+        let x = (e.clientX - rect.left) / this.gridSize;
+        let y = (e.clientY - rect.top) / this.gridSize;
         
         // Snap to grid if enabled
-        // Desktop: Grid spacing is 20 pixels (4 feet per square at 5px/ft)
-        // Mobile: Grid spacing is 24 pixels (4 feet per square at 6px/ft)
+        // Grid squares are 4 feet on both desktop (20px) and mobile (24px)
         if (this.snapToGrid && !this.shiftKeyPressed) {
-            const gridSpacing = this.isMobile ? 24 : 20; // pixels per grid square
-            x = Math.round(x / gridSpacing) * gridSpacing;
-            y = Math.round(y / gridSpacing) * gridSpacing;
+            x = Math.round(x / this.gridSpacingFeet) * this.gridSpacingFeet;
+            y = Math.round(y / this.gridSpacingFeet) * this.gridSpacingFeet;
+        } else {
+            // Free placement still lands on whole inches
+            x = Math.round(x * 12) / 12;
+            y = Math.round(y * 12) / 12;
         }
         
         // Check for snapping to existing endpoints
@@ -218,7 +304,8 @@ export class FloorPlanEditor {
     
     findSnapPoint(x, y) {
         // Increased snap distance for easier snapping (mobile & desktop)
-        const snapDistance = window.innerWidth < 1025 ? 35 : 25; // Larger on mobile
+        const snapDistancePx = window.innerWidth < 1025 ? 35 : 25; // Larger on mobile
+        const snapDistance = snapDistancePx / this.gridSize; // feet
         
         // Find nearby wall endpoints to snap to
         for (const wall of this.floors[this.currentFloor].walls) {
@@ -242,7 +329,7 @@ export class FloorPlanEditor {
     }
     
     findEndpointAt(x, y) {
-        const hitRadius = 10; // pixels - how close you need to click
+        const hitRadius = 10 / this.gridSize; // 10 pixels in feet - how close you need to click
         
         for (let i = 0; i < this.floors[this.currentFloor].walls.length; i++) {
             const wall = this.floors[this.currentFloor].walls[i];
@@ -273,6 +360,11 @@ export class FloorPlanEditor {
             return;
         }
         
+        // Commit a pending text edit (e.g. room name) while its selection still exists
+        if (document.activeElement?.matches?.('input[type="text"], textarea')) {
+            document.activeElement.blur();
+        }
+        
         const pos = this.getMousePos(e);
         
         if (this.mode === 'draw') {
@@ -303,6 +395,10 @@ export class FloorPlanEditor {
                 this.addWallSegment(pos);
             }
         } else if (this.mode === 'edit') {
+            // Any click in edit mode replaces the room selection
+            this.selectedRoomPoint = null;
+            this.propertyInspector.update();
+            
             // Check patio corners first (if one is selected)
             if (this.selectedPatio !== null) {
                 const corner = this.findPatioCornerAt(pos.x, pos.y);
@@ -392,6 +488,10 @@ export class FloorPlanEditor {
                     this.draggedWallIndex = this.selectedWallIndex;
                     this.dragStartX = pos.x;
                     this.dragStartY = pos.y;
+                } else if (this.findRoomAt(pos.x, pos.y)) {
+                    // Clicked inside an enclosed room
+                    this.selectedRoomPoint = { x: pos.x, y: pos.y };
+                    this.render();
                 }
             }
         } else if (this.mode === 'door' || this.mode === 'window') {
@@ -408,29 +508,31 @@ export class FloorPlanEditor {
                     const doorStyle = document.getElementById('door-style')?.value || 'swing';
                     
                     // Determine door width based on style
-                    let doorWidth;
-                    if (doorStyle === 'double') {
-                        doorWidth = this.doorWidthDouble; // 6 feet
-                    } else if (doorStyle === 'bifold') {
-                        doorWidth = this.doorWidthBifold; // 4 feet
-                    } else {
-                        doorWidth = this.doorWidthSwing; // 3 feet (swing and pocket)
-                    }
+                    const doorWidth = this.getDefaultDoorWidth(doorStyle);
                     
                     const item = {
-                        wallIndex: wallIndex,
+                        id: createElementId('door'),
+                        wallId: wall.id,
                         position: position, // 0 to 1 along the wall
                         width: doorWidth,
+                        height: this.doorHeight,
                         style: doorStyle,
                         swingDirection: 1 // 1 = swings right, -1 = swings left
                     };
                     this.floors[this.currentFloor].doors.push(item);
                     console.log(`${doorStyle} door (${doorWidth}') added:`, item);
                 } else {
+                    // Each window type is placed at its standard size
+                    const windowType = getWindowType(document.getElementById('window-type')?.value || this.windowType);
+                    
                     const item = {
-                        wallIndex: wallIndex,
+                        id: createElementId('window'),
+                        wallId: wall.id,
                         position: position,
-                        width: this.windowWidth
+                        width: windowType.width,
+                        height: windowType.height,
+                        sillHeight: windowType.sillHeight,
+                        type: windowType.value
                     };
                     this.floors[this.currentFloor].windows.push(item);
                     console.log('Window added:', item);
@@ -440,6 +542,34 @@ export class FloorPlanEditor {
                 this.render();
                 this.updateMeasurements();
             }
+        } else if (this.mode === 'roof') {
+            // Pick up an existing roof item, or place a new one on the roof plane under the cursor
+            const accessoryIndex = this.findRoofAccessoryAt(pos.x, pos.y);
+            if (accessoryIndex !== null) {
+                this.selectedRoofAccessory = accessoryIndex;
+                this.isDraggingRoofAccessory = true;
+                this.roofAccessoryMoved = false;
+                this.dragStartX = pos.x;
+                this.dragStartY = pos.y;
+                this.render();
+                return;
+            }
+            
+            this.addRoofAccessory(pos);
+        } else if (this.mode === 'stair') {
+            // Pick up an existing stair, or place a new one climbing up the screen
+            const stairIndex = this.findStairAt(pos.x, pos.y);
+            if (stairIndex !== null) {
+                this.selectedStair = stairIndex;
+                this.isDraggingStair = true;
+                this.stairMoved = false;
+                this.dragStartX = pos.x;
+                this.dragStartY = pos.y;
+                this.render();
+                return;
+            }
+            
+            this.addStair(pos);
         } else if (this.mode === 'patio') {
             // Start drawing a patio (rectangle)
             this.currentPatio = {
@@ -512,7 +642,7 @@ export class FloorPlanEditor {
         else if (this.isDraggingDoorWindow && this.mode === 'edit') {
             if (this.selectedDoor !== null) {
                 const door = this.floors[this.currentFloor].doors[this.selectedDoor];
-                const wall = this.floors[this.currentFloor].walls[door.wallIndex];
+                const wall = this.getWallById(door.wallId);
                 if (wall) {
                     // Update door position along wall
                     const newPos = this.getPositionOnWall(pos.x, pos.y, wall);
@@ -521,7 +651,7 @@ export class FloorPlanEditor {
                 }
             } else if (this.selectedWindow !== null) {
                 const window = this.floors[this.currentFloor].windows[this.selectedWindow];
-                const wall = this.floors[this.currentFloor].walls[window.wallIndex];
+                const wall = this.getWallById(window.wallId);
                 if (wall) {
                     // Update window position along wall
                     const newPos = this.getPositionOnWall(pos.x, pos.y, wall);
@@ -531,6 +661,38 @@ export class FloorPlanEditor {
             }
         }
         
+        // Handle dragging a roof item over the roof plan
+        else if (this.isDraggingRoofAccessory && this.selectedRoofAccessory !== null) {
+            const accessory = this.floors[this.currentFloor].roofAccessories[this.selectedRoofAccessory];
+            accessory.x += pos.x - this.dragStartX;
+            accessory.y += pos.y - this.dragStartY;
+            this.dragStartX = pos.x;
+            this.dragStartY = pos.y;
+            this.roofAccessoryMoved = true;
+            this.render();
+        }
+        
+        // Update cursor over roof items
+        else if (this.mode === 'roof') {
+            this.canvas.style.cursor = this.findRoofAccessoryAt(pos.x, pos.y) !== null ? 'move' : 'crosshair';
+        }
+        
+        // Handle dragging a stair
+        else if (this.isDraggingStair && this.selectedStair !== null) {
+            const stair = this.floors[this.currentFloor].stairs[this.selectedStair];
+            stair.x += pos.x - this.dragStartX;
+            stair.y += pos.y - this.dragStartY;
+            this.dragStartX = pos.x;
+            this.dragStartY = pos.y;
+            this.stairMoved = true;
+            this.render();
+        }
+        
+        // Update cursor over stairs
+        else if (this.mode === 'stair') {
+            this.canvas.style.cursor = this.findStairAt(pos.x, pos.y) !== null ? 'move' : 'crosshair';
+        }
+        
         // Handle drawing patio
         else if (this.isDrawingPatio && this.mode === 'patio' && this.currentPatio) {
             let finalPos = { ...pos };
@@ -657,6 +819,29 @@ export class FloorPlanEditor {
             console.log('Door/Window repositioned');
         }
         
+        // Stop dragging roof item
+        if (this.isDraggingRoofAccessory) {
+            this.isDraggingRoofAccessory = false;
+            if (this.roofAccessoryMoved) {
+                this.saveState(); // Save state for undo
+                console.log('Roof item moved');
+            }
+        }
+        
+        // Stop dragging stair
+        if (this.isDraggingStair) {
+            this.isDraggingStair = false;
+            if (this.stairMoved) {
+                this.saveState(); // Save state for undo
+                console.log('Stair moved');
+                
+                // Trigger 3D update (the stairwell above moves too)
+                if (window.floorPlanApp) {
+                    window.floorPlanApp.update3DModel();
+                }
+            }
+        }
+        
         // Finish drawing patio
         if (this.isDrawingPatio && this.mode === 'patio' && this.currentPatio) {
             let finalPos = { ...pos };
@@ -680,15 +865,17 @@ export class FloorPlanEditor {
             const height = Math.abs(this.currentPatio.endY - this.currentPatio.startY);
             
             // Only add if it has some size (minimum 2 feet)
-            if (width > this.gridSize * 2 && height > this.gridSize * 2) {
+            if (width > 2 && height > 2) {
                 const patio = {
+                    id: createElementId('patio'),
                     x,
                     y,
                     width,
                     height,
                     hasRoof: this.defaultPatioHasRoof,
                     roofStyle: this.defaultPatioRoofStyle,
-                    roofHeight: 8  // Default 8 feet clearance
+                    roofHeight: 8,  // Default 8 feet clearance
+                    elevation: 0  // Feet above the floor (raised porches and decks)
                 };
                 this.floors[this.currentFloor].patios.push(patio);
                 console.log('Patio added:', this.floors[this.currentFloor].patios[this.floors[this.currentFloor].patios.length - 1]);
@@ -718,6 +905,11 @@ export class FloorPlanEditor {
     }
     
     handleKeyDown(e) {
+        // Let form fields (room names, etc.) handle their own keys
+        if (e.target.closest?.('input, textarea, select')) {
+            return;
+        }
+        
         if (e.key === 'Shift') {
             this.shiftKeyPressed = true;
         }
@@ -752,6 +944,13 @@ export class FloorPlanEditor {
             return;
         }
         
+        // Typing a number while drawing opens the exact length entry
+        if (this.isDrawing && this.mode === 'draw' && /^[0-9.]$/.test(e.key) && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            this.openDimensionInput(e.key);
+            return;
+        }
+        
         // Escape or Enter key to finish wall chain
         if ((e.key === 'Escape' || e.key === 'Enter') && this.isDrawing && this.mode === 'draw') {
             this.finishWallChain();
@@ -770,11 +969,31 @@ export class FloorPlanEditor {
             }
         }
         
+        // R key to turn the selected stair a quarter turn clockwise
+        if ((e.key === 'r' || e.key === 'R') && this.selectedStair !== null && !e.ctrlKey && !e.metaKey) {
+            const stair = this.floors[this.currentFloor].stairs[this.selectedStair];
+            if (stair) {
+                stair.rotation = ((stair.rotation || 0) + 90) % 360;
+                console.log(`Stair rotated to ${stair.rotation}°`);
+                this.saveState(); // Save state for undo
+                this.render();
+                
+                // Trigger 3D update
+                if (window.floorPlanApp) {
+                    window.floorPlanApp.update3DModel();
+                }
+            }
+        }
+        
         if (e.key === 'Delete') {
             let itemDeleted = false;
             
             if (this.selectedWallIndex !== null) {
-                this.floors[this.currentFloor].walls.splice(this.selectedWallIndex, 1);
+                const floor = this.floors[this.currentFloor];
+                const [wall] = floor.walls.splice(this.selectedWallIndex, 1);
+                // Doors and windows can't stay without their wall
+                floor.doors = floor.doors.filter(door => door.wallId !== wall.id);
+                floor.windows = floor.windows.filter(window => window.wallId !== wall.id);
                 this.selectedWallIndex = null;
                 this.render();
                 this.updateMeasurements();
@@ -802,6 +1021,27 @@ export class FloorPlanEditor {
                 this.updateMeasurements();
                 console.log('Patio deleted');
                 itemDeleted = true;
+            } else if (this.selectedRoofAccessory !== null) {
+                this.floors[this.currentFloor].roofAccessories.splice(this.selectedRoofAccessory, 1);
+                this.selectedRoofAccessory = null;
+                this.render();
+                console.log('Roof item deleted');
+                itemDeleted = true;
+            } else if (this.selectedStair !== null) {
+                this.floors[this.currentFloor].stairs.splice(this.selectedStair, 1);
+                this.selectedStair = null;
+                this.render();
+                console.log('Stair deleted');
+                itemDeleted = true;
+            } else if (this.selectedRoomPoint !== null) {
+                // Rooms come from the walls - Delete only clears the name and type
+                const room = this.getSelectedRoom();
+                if (room && room.labelIndex !== null) {
+                    this.floors[this.currentFloor].rooms.splice(room.labelIndex, 1);
+                    this.render();
+                    console.log('Room label deleted');
+                    itemDeleted = true;
+                }
             }
             
             // Save state after any deletion for undo
@@ -827,9 +1067,11 @@ export class FloorPlanEditor {
         let closestDist = Infinity;
         let closestIndex = null;
         
+        const hitDistance = 10 / this.gridSize; // 10 pixels in feet
+        
         this.floors[this.currentFloor].walls.forEach((wall, index) => {
             const dist = this.pointToLineDistance(x, y, wall);
-            if (dist < 10 && dist < closestDist) {
+            if (dist < hitDistance && dist < closestDist) {
                 closestDist = dist;
                 closestIndex = index;
             }
@@ -840,9 +1082,11 @@ export class FloorPlanEditor {
     }
     
     findWallAt(x, y) {
+        const hitDistance = 10 / this.gridSize; // 10 pixels in feet
+        
         for (let i = 0; i < this.floors[this.currentFloor].walls.length; i++) {
             const dist = this.pointToLineDistance(x, y, this.floors[this.currentFloor].walls[i]);
-            if (dist < 10) {
+            if (dist < hitDistance) {
                 return i;
             }
         }
@@ -853,7 +1097,7 @@ export class FloorPlanEditor {
         // Check if click is near a door
         for (let i = 0; i < this.floors[this.currentFloor].doors.length; i++) {
             const door = this.floors[this.currentFloor].doors[i];
-            const wall = this.floors[this.currentFloor].walls[door.wallIndex];
+            const wall = this.getWallById(door.wallId);
             if (!wall) continue;
             
             const doorPos = this.getDoorWindowPosition(wall, door.position, door.width);
@@ -861,7 +1105,7 @@ export class FloorPlanEditor {
                 Math.pow(doorPos.x - x, 2) + Math.pow(doorPos.y - y, 2)
             );
             
-            if (dist < door.width * this.gridSize) {
+            if (dist < door.width) {
                 return i;
             }
         }
@@ -872,7 +1116,7 @@ export class FloorPlanEditor {
         // Check if click is near a window
         for (let i = 0; i < this.floors[this.currentFloor].windows.length; i++) {
             const window = this.floors[this.currentFloor].windows[i];
-            const wall = this.floors[this.currentFloor].walls[window.wallIndex];
+            const wall = this.getWallById(window.wallId);
             if (!wall) continue;
             
             const winPos = this.getDoorWindowPosition(wall, window.position, window.width);
@@ -880,7 +1124,7 @@ export class FloorPlanEditor {
                 Math.pow(winPos.x - x, 2) + Math.pow(winPos.y - y, 2)
             );
             
-            if (dist < window.width * this.gridSize) {
+            if (dist < window.width) {
                 return i;
             }
         }
@@ -906,7 +1150,7 @@ export class FloorPlanEditor {
         if (this.selectedPatio === null) return null;
         
         const patio = this.floors[this.currentFloor].patios[this.selectedPatio];
-        const handleSize = 12; // Hit area
+        const handleSize = 12 / this.gridSize; // 12 pixel hit area, in feet
         
         // Check each corner
         if (Math.abs(x - patio.x) < handleSize && Math.abs(y - patio.y) < handleSize) {
@@ -1014,11 +1258,18 @@ export class FloorPlanEditor {
             this.drawFloorOverlay(this.currentFloor - 1);
         }
         
+        // Draw enclosed rooms under the walls
+        this.drawRooms();
+        
+        // Stairs on this floor and stairwells cut for the stairs below
+        this.drawStairs();
+        
         // Draw all completed walls
         ctx.lineWidth = 3;
         
-        this.floors[this.currentFloor].walls.forEach((wall, index) => {
+        this.floors[this.currentFloor].walls.forEach((floorWall, index) => {
             const isSelected = index === this.selectedWallIndex;
+            const wall = this.toCanvasWall(floorWall);
             
             ctx.strokeStyle = isSelected ? this.colors.selectedWall : this.colors.wall;
             ctx.beginPath();
@@ -1039,7 +1290,7 @@ export class FloorPlanEditor {
             if (isSelected || this.mode === 'draw') {
                 const midX = (wall.startX + wall.endX) / 2;
                 const midY = (wall.startY + wall.endY) / 2;
-                const length = this.calculateWallLength(wall) / this.gridSize;
+                const length = this.calculateWallLength(floorWall);
                 
                 ctx.fillStyle = '#2c3e50';
                 ctx.font = '12px sans-serif';
@@ -1050,13 +1301,15 @@ export class FloorPlanEditor {
         
         // Draw wall being drawn (preview)
         if (this.isDrawing && this.currentWall) {
+            const previewWall = this.toCanvasWall(this.currentWall);
+            
             ctx.strokeStyle = this.colors.wallPreview;
             ctx.lineWidth = 3;
             ctx.setLineDash([5, 5]); // Dashed line for preview
             
             ctx.beginPath();
-            ctx.moveTo(this.currentWall.startX, this.currentWall.startY);
-            ctx.lineTo(this.currentWall.endX, this.currentWall.endY);
+            ctx.moveTo(previewWall.startX, previewWall.startY);
+            ctx.lineTo(previewWall.endX, previewWall.endY);
             ctx.stroke();
             
             ctx.setLineDash([]); // Reset to solid lines
@@ -1064,19 +1317,19 @@ export class FloorPlanEditor {
             // Draw start point indicator (blue)
             ctx.fillStyle = '#3498db';
             ctx.beginPath();
-            ctx.arc(this.currentWall.startX, this.currentWall.startY, 7, 0, Math.PI * 2);
+            ctx.arc(previewWall.startX, previewWall.startY, 7, 0, Math.PI * 2);
             ctx.fill();
             
             // Draw end point (cursor) indicator (red)
             ctx.fillStyle = this.colors.wallPreview;
             ctx.beginPath();
-            ctx.arc(this.currentWall.endX, this.currentWall.endY, 7, 0, Math.PI * 2);
+            ctx.arc(previewWall.endX, previewWall.endY, 7, 0, Math.PI * 2);
             ctx.fill();
             
             // Show length of segment being drawn
-            const midX = (this.currentWall.startX + this.currentWall.endX) / 2;
-            const midY = (this.currentWall.startY + this.currentWall.endY) / 2;
-            const length = this.calculateWallLength(this.currentWall) / this.gridSize;
+            const midX = (previewWall.startX + previewWall.endX) / 2;
+            const midY = (previewWall.startY + previewWall.endY) / 2;
+            const length = this.calculateWallLength(this.currentWall);
             
             ctx.fillStyle = this.colors.wallPreview;
             ctx.font = 'bold 14px sans-serif';
@@ -1085,8 +1338,9 @@ export class FloorPlanEditor {
         }
         
         // Draw patios
-        this.floors[this.currentFloor].patios.forEach((patio, index) => {
+        this.floors[this.currentFloor].patios.forEach((floorPatio, index) => {
             const isSelected = index === this.selectedPatio;
+            const patio = this.toCanvasRect(floorPatio);
             
             ctx.save();
             
@@ -1135,8 +1389,8 @@ export class FloorPlanEditor {
             // Label
             const centerX = patio.x + patio.width / 2;
             const centerY = patio.y + patio.height / 2;
-            const widthFeet = (patio.width / this.gridSize).toFixed(1);
-            const heightFeet = (patio.height / this.gridSize).toFixed(1);
+            const widthFeet = floorPatio.width.toFixed(1);
+            const heightFeet = floorPatio.height.toFixed(1);
             
             ctx.fillStyle = isSelected ? '#FF6B6B' : '#654321';
             ctx.font = 'bold 14px sans-serif';
@@ -1165,10 +1419,14 @@ export class FloorPlanEditor {
         
         // Draw patio being drawn (preview)
         if (this.isDrawingPatio && this.currentPatio) {
-            const x = Math.min(this.currentPatio.startX, this.currentPatio.endX);
-            const y = Math.min(this.currentPatio.startY, this.currentPatio.endY);
-            const width = Math.abs(this.currentPatio.endX - this.currentPatio.startX);
-            const height = Math.abs(this.currentPatio.endY - this.currentPatio.startY);
+            const widthFeet = Math.abs(this.currentPatio.endX - this.currentPatio.startX);
+            const heightFeet = Math.abs(this.currentPatio.endY - this.currentPatio.startY);
+            const { x, y, width, height } = this.toCanvasRect({
+                x: Math.min(this.currentPatio.startX, this.currentPatio.endX),
+                y: Math.min(this.currentPatio.startY, this.currentPatio.endY),
+                width: widthFeet,
+                height: heightFeet
+            });
             
             ctx.fillStyle = 'rgba(210, 180, 140, 0.3)';
             ctx.fillRect(x, y, width, height);
@@ -1180,19 +1438,17 @@ export class FloorPlanEditor {
             ctx.setLineDash([]);
             
             // Show dimensions
-            const widthFeet = (width / this.gridSize).toFixed(1);
-            const heightFeet = (height / this.gridSize).toFixed(1);
-            
             ctx.fillStyle = '#8B7355';
             ctx.font = 'bold 14px sans-serif';
             ctx.textAlign = 'center';
-            ctx.fillText(`${widthFeet}' × ${heightFeet}'`, x + width/2, y + height/2);
+            ctx.fillText(`${widthFeet.toFixed(1)}' × ${heightFeet.toFixed(1)}'`, x + width/2, y + height/2);
         }
         
         // Draw doors
         this.floors[this.currentFloor].doors.forEach((door, index) => {
-            const wall = this.floors[this.currentFloor].walls[door.wallIndex];
-            if (!wall) return;
+            const floorWall = this.getWallById(door.wallId);
+            if (!floorWall) return;
+            const wall = this.toCanvasWall(floorWall);
             
             const isSelected = this.selectedDoor === index;
             const doorPos = this.getDoorWindowPosition(wall, door.position, door.width);
@@ -1387,6 +1643,12 @@ export class FloorPlanEditor {
                 ctx.strokeRect(-doorWidthPx/2 - 5, -10, doorWidthPx + 10, 20);
                 ctx.setLineDash([]);
                 
+                // Opening size (width × height)
+                ctx.fillStyle = '#FF6B6B';
+                ctx.font = 'bold 11px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${formatFeetInches(door.width)} × ${formatFeetInches(getDoorHeight(door))}`, 0, -14);
+                
                 // Show flip instruction (only for swing and pocket doors)
                 if (door.style === 'swing' || door.style === 'pocket') {
                     ctx.fillStyle = '#FF6B6B';
@@ -1402,8 +1664,9 @@ export class FloorPlanEditor {
         
         // Draw windows
         this.floors[this.currentFloor].windows.forEach((window, index) => {
-            const wall = this.floors[this.currentFloor].walls[window.wallIndex];
-            if (!wall) return;
+            const floorWall = this.getWallById(window.wallId);
+            if (!floorWall) return;
+            const wall = this.toCanvasWall(floorWall);
             
             const isSelected = this.selectedWindow === index;
             const winPos = this.getDoorWindowPosition(wall, window.position, window.width);
@@ -1423,23 +1686,9 @@ export class FloorPlanEditor {
             ctx.lineWidth = isSelected ? 3 : 2;
             ctx.strokeRect(-winWidthPx/2, -6, winWidthPx, 12);
             
-            // Glass panes (3 sections)
-            ctx.strokeStyle = isSelected ? '#FF6B6B' : '#87CEEB';
-            ctx.lineWidth = 1;
-            
-            // Vertical dividers
-            ctx.beginPath();
-            ctx.moveTo(-winWidthPx/6, -6);
-            ctx.lineTo(-winWidthPx/6, 6);
-            ctx.moveTo(winWidthPx/6, -6);
-            ctx.lineTo(winWidthPx/6, 6);
-            ctx.stroke();
-            
-            // Horizontal center line
-            ctx.beginPath();
-            ctx.moveTo(-winWidthPx/2, 0);
-            ctx.lineTo(winWidthPx/2, 0);
-            ctx.stroke();
+            // Glass and sashes for the window type (bays project to the outside of the wall)
+            const outwardSide = this.roomDetector.getOutwardSide(this.getRooms().rooms, floorWall);
+            this.drawWindowSymbol(ctx, window, winWidthPx, outwardSide, isSelected ? '#FF6B6B' : '#87CEEB');
             
             // Selection indicator
             if (isSelected) {
@@ -1448,10 +1697,109 @@ export class FloorPlanEditor {
                 ctx.setLineDash([5, 5]);
                 ctx.strokeRect(-winWidthPx/2 - 5, -10, winWidthPx + 10, 20);
                 ctx.setLineDash([]);
+                
+                // Opening size and sill height
+                ctx.fillStyle = '#FF6B6B';
+                ctx.font = 'bold 11px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${formatFeetInches(window.width)} × ${formatFeetInches(getWindowHeight(window))}`, 0, -14);
+                ctx.fillText(`Sill ${formatFeetInches(getWindowSillHeight(window))}`, 0, 25);
             }
             
             ctx.restore();
         });
+        
+        // Roof plan overlay with dormers, skylights, chimneys and cupolas
+        if (this.mode === 'roof') {
+            this.drawRoofPlan();
+        }
+        
+        // Keep the property inspector in sync with selection and drags
+        this.propertyInspector.update();
+        
+        // ...and the 3D highlight
+        if (window.floorPlanApp) {
+            window.floorPlanApp.update3DSelection();
+        }
+    }
+    
+    drawWindowSymbol(ctx, window, widthPx, outwardSide, color) {
+        // Plan symbol for a window's type, in its local frame: x along the wall, y across it (±6px)
+        const half = widthPx / 2;
+        const out = outwardSide * 6; // Outside face of the wall
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        
+        switch (getWindowType(window).value) {
+            case 'casement': {
+                // Fixed glass line plus each sash swung outward from its hinge
+                const leaves = Math.max(1, Math.round(window.width / 2.5));
+                const leafPx = widthPx / leaves;
+                ctx.moveTo(-half, 0);
+                ctx.lineTo(half, 0);
+                for (let i = 0; i < leaves; i++) {
+                    const hingeX = -half + i * leafPx;
+                    ctx.moveTo(hingeX, out);
+                    ctx.lineTo(hingeX + leafPx * Math.cos(Math.PI / 6), out + outwardSide * leafPx * Math.sin(Math.PI / 6));
+                }
+                ctx.stroke();
+                
+                // Swing arcs
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                for (let i = 0; i < leaves; i++) {
+                    const hingeX = -half + i * leafPx;
+                    const openAngle = outwardSide * Math.PI / 6;
+                    ctx.moveTo(hingeX + leafPx, out);
+                    ctx.arc(hingeX, out, leafPx, 0, openAngle, outwardSide < 0);
+                }
+                ctx.stroke();
+                ctx.setLineDash([]);
+                return;
+            }
+            case 'slider':
+                // Two overlapping sashes in separate tracks
+                ctx.moveTo(-half, -2);
+                ctx.lineTo(widthPx * 0.05, -2);
+                ctx.moveTo(-widthPx * 0.05, 2);
+                ctx.lineTo(half, 2);
+                break;
+            case 'picture':
+                // Single fixed pane
+                ctx.moveTo(-half, 0);
+                ctx.lineTo(half, 0);
+                ctx.lineWidth = 2;
+                break;
+            case 'bay': {
+                // Angled side panels and a center panel projecting 2 ft outside the wall
+                const depth = outwardSide * 2 * this.gridSize;
+                ctx.moveTo(-half, out);
+                ctx.lineTo(-half * 0.6, out + depth);
+                ctx.lineTo(half * 0.6, out + depth);
+                ctx.lineTo(half, out);
+                ctx.moveTo(-half, 0);
+                ctx.lineTo(half, 0);
+                break;
+            }
+            case 'transom':
+                // High window above the plan cut, shown dashed
+                ctx.setLineDash([4, 3]);
+                ctx.moveTo(-half, 0);
+                ctx.lineTo(half, 0);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                return;
+            default:
+                // Double-hung: two sashes side by side in the frame
+                ctx.moveTo(-half, -2);
+                ctx.lineTo(half, -2);
+                ctx.moveTo(-half, 2);
+                ctx.lineTo(half, 2);
+        }
+        
+        ctx.stroke();
     }
     
     drawGrid() {
@@ -1465,7 +1813,7 @@ export class FloorPlanEditor {
         // Grid spacing based on device type:
         // Desktop: 20 pixels = 4 feet per square (5px/ft)
         // Mobile: 24 pixels = 4 feet per square (6px/ft)
-        const gridSpacing = this.isMobile ? 24 : 20;
+        const gridSpacing = this.gridSpacingFeet * this.gridSize;
         
         // Vertical lines
         for (let x = 0; x < w; x += gridSpacing) {
@@ -1484,13 +1832,255 @@ export class FloorPlanEditor {
         }
     }
     
+    getRooms(floorIndex = this.currentFloor) {
+        // Detected rooms for a floor (feet), recomputed only when its walls change
+        const walls = this.floors[floorIndex].walls;
+        const key = floorIndex + ':' + walls.map(w => `${w.startX},${w.startY},${w.endX},${w.endY}`).join(';');
+        if (this.roomCache.key !== key) {
+            this.roomCache = { key, result: this.roomDetector.detectRooms(walls) };
+        }
+        return this.roomCache.result;
+    }
+    
+    getLabeledRooms(floorIndex = this.currentFloor) {
+        // Detected rooms with the names/types saved on the floor
+        return this.roomDetector.assignLabels(this.getRooms(floorIndex).rooms, this.floors[floorIndex].rooms);
+    }
+    
+    findRoomAt(x, y) {
+        // Room containing a point (feet), or null
+        return this.getLabeledRooms().find(room => this.roomDetector.roomContainsPoint(room, { x, y })) || null;
+    }
+    
+    getSelectedRoom() {
+        if (!this.selectedRoomPoint) return null;
+        return this.findRoomAt(this.selectedRoomPoint.x, this.selectedRoomPoint.y);
+    }
+    
+    getRoofs(floorIndex = this.currentFloor) {
+        // Roof planes for a floor (feet), the same ones the 3D view builds; empty without a roof
+        const floor = this.floors[floorIndex];
+        if (!floor.hasRoof) return [];
+        
+        const key = floorIndex + ':' + JSON.stringify([
+            floor.walls.map(w => `${w.startX},${w.startY},${w.endX},${w.endY},${w.roofEdge || ''}`),
+            floor.roofStyle, floor.roofPitch, floor.roofSecondaryPitch, floor.roofOverhang, floor.roofGables
+        ]);
+        if (this.roofCache.key !== key) {
+            this.roofCache = { key, result: this.roofGeometry.buildFloorRoofs(floor) };
+        }
+        return this.roofCache.result;
+    }
+    
+    getWallRoofEdge(wallIndex) {
+        // 'gable' or 'eave' for an outside wall under this floor's roof, as the roof was actually built; null otherwise
+        const wall = this.floors[this.currentFloor].walls[wallIndex];
+        if (!wall) return null;
+        
+        for (const roof of this.getRoofs()) {
+            const edgeIndex = roof.footprint.findIndex((start, i) =>
+                this.roofGeometry.wallRunsAlong(wall, start, roof.footprint[(i + 1) % roof.footprint.length])
+            );
+            if (edgeIndex >= 0) return roof.gableEdges[edgeIndex] ? 'gable' : 'eave';
+        }
+        return null;
+    }
+    
+    getRoofAccessories(floorIndex = this.currentFloor) {
+        // Placed dormers, skylights, chimneys and cupolas, one result per item (see RoofAccessoryGeometry)
+        return this.roofAccessoryGeometry.buildFloorAccessories(this.floors[floorIndex], this.getRoofs(floorIndex));
+    }
+    
+    findRoofAccessoryAt(x, y) {
+        // Topmost roof item under a point (feet); items that don't fit their plane are picked by their position
+        const floor = this.floors[this.currentFloor];
+        if (!floor.hasRoof) return null;
+        
+        const results = this.getRoofAccessories();
+        for (let i = results.length - 1; i >= 0; i--) {
+            const accessory = floor.roofAccessories[i];
+            const result = results[i];
+            if (result.outline && this.roomDetector.containsPoint(result.outline, { x, y })) return i;
+            if (Math.hypot(accessory.x - x, accessory.y - y) <= 10 / this.gridSize) return i;
+        }
+        return null;
+    }
+    
+    addRoofAccessory(pos) {
+        // Place the chosen roof item at its standard size on the roof plane under the point
+        const floor = this.floors[this.currentFloor];
+        if (!floor.hasRoof) {
+            this.showToast('Turn on the roof for this floor to add roof items', 'warning');
+            return;
+        }
+        
+        const type = getRoofAccessoryType(document.getElementById('roof-accessory-type')?.value || this.roofAccessoryType);
+        const item = { id: createElementId('roof-item'), type: type.value, x: pos.x, y: pos.y, width: type.width };
+        if (type.depth) item.depth = type.depth;
+        if (type.height) item.height = type.height;
+        
+        const results = this.roofAccessoryGeometry.buildFloorAccessories(
+            { ...floor, roofAccessories: [...floor.roofAccessories, item] },
+            this.getRoofs()
+        );
+        const result = results[results.length - 1];
+        if (result.error) {
+            this.showToast(result.error, 'warning');
+            return;
+        }
+        
+        floor.roofAccessories.push(item);
+        this.selectedRoofAccessory = floor.roofAccessories.length - 1;
+        console.log(`${type.label} added:`, item);
+        
+        this.saveState(); // Save state for undo
+        this.render();
+        
+        // Trigger 3D update
+        if (window.floorPlanApp) {
+            window.floorPlanApp.update3DModel();
+        }
+    }
+    
+    getStairs(floorIndex = this.currentFloor) {
+        // A floor's stairs as built up to the floor above (see StairGeometry.buildStair)
+        return this.stairGeometry.buildFloorStairs(this.floors, floorIndex);
+    }
+    
+    findStairAt(x, y) {
+        // Topmost stair under a point (feet)
+        const results = this.getStairs();
+        for (let i = results.length - 1; i >= 0; i--) {
+            if (this.roomDetector.containsPoint(results[i].outline, { x, y })) return i;
+        }
+        return null;
+    }
+    
+    addStair(pos) {
+        // Place the chosen stair type at its standard width, climbing up the screen from the point
+        const floor = this.floors[this.currentFloor];
+        const type = getStairType(document.getElementById('stair-type')?.value || this.stairType);
+        const item = { id: createElementId('stair'), type: type.value, x: pos.x, y: pos.y, width: type.width, rotation: 0, turn: 'right' };
+        
+        floor.stairs.push(item);
+        this.selectedStair = floor.stairs.length - 1;
+        console.log(`${type.label} stair added:`, item);
+        
+        if (this.currentFloor === this.floors.length - 1) {
+            this.showToast('Add a floor above for these stairs to lead to', 'warning');
+        }
+        
+        this.saveState(); // Save state for undo
+        this.render();
+        this.updateMeasurements();
+        
+        // Trigger 3D update
+        if (window.floorPlanApp) {
+            window.floorPlanApp.update3DModel();
+        }
+    }
+    
+    getWallType(wallIndex, useOverride = true) {
+        // 'exterior' or 'interior' - walls on the building outline are exterior unless set otherwise
+        const wall = this.floors[this.currentFloor].walls[wallIndex];
+        if (useOverride && (wall?.type === 'exterior' || wall?.type === 'interior')) {
+            return wall.type;
+        }
+        
+        // Walls that don't enclose anything can't be told apart, so they all count as exterior
+        const detected = this.getRooms();
+        if (detected.footprints.length === 0) return 'exterior';
+        return detected.exteriorWallIndices.includes(wallIndex) ? 'exterior' : 'interior';
+    }
+    
+    getDefaultDoorWidth(style) {
+        if (style === 'double') return this.doorWidthDouble; // 6 feet
+        if (style === 'bifold') return this.doorWidthBifold; // 4 feet
+        return this.doorWidthSwing; // 3 feet (swing and pocket)
+    }
+    
+    getRoomTypeLabel(type) {
+        return this.roomTypes.find(roomType => roomType.value === type)?.label || '';
+    }
+    
+    setSelectedRoomLabel(name, type) {
+        // Name and type the selected room; clearing both removes the label
+        const room = this.getSelectedRoom();
+        if (!room) return;
+        
+        const rooms = this.floors[this.currentFloor].rooms;
+        const trimmedName = (name || '').trim();
+        
+        if (room.labelIndex !== null) {
+            if (!trimmedName && !type) {
+                rooms.splice(room.labelIndex, 1);
+            } else {
+                rooms[room.labelIndex].name = trimmedName;
+                rooms[room.labelIndex].type = type || '';
+            }
+        } else if (trimmedName || type) {
+            // Anchor the label at the room's label point so it stays centered
+            rooms.push({
+                id: createElementId('room'),
+                name: trimmedName,
+                type: type || '',
+                x: room.labelPoint.x,
+                y: room.labelPoint.y
+            });
+        }
+        
+        this.saveState();
+        this.render();
+        console.log(`🏷️ Room labeled: ${trimmedName || '(no name)'} [${type || 'no type'}]`);
+    }
+    
+    drawRooms() {
+        const ctx = this.ctx;
+        const selectedRoom = this.getSelectedRoom();
+        
+        this.getLabeledRooms().forEach(room => {
+            const isSelected = selectedRoom !== null && room.labelPoint === selectedRoom.labelPoint;
+            
+            // Fill the room, leaving holes (freestanding walled areas) unfilled
+            ctx.fillStyle = isSelected ? this.colors.roomSelected : this.colors.room;
+            ctx.beginPath();
+            [room.polygon, ...room.holes].forEach(ring => {
+                ring.forEach((point, i) => {
+                    const x = point.x * this.gridSize;
+                    const y = point.y * this.gridSize;
+                    if (i === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                });
+                ctx.closePath();
+            });
+            ctx.fill('evenodd');
+            
+            // Name (or type) and area, centered in the room
+            const x = room.labelPoint.x * this.gridSize;
+            const y = room.labelPoint.y * this.gridSize;
+            const title = room.name || this.getRoomTypeLabel(room.type);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            if (title) {
+                ctx.fillStyle = this.colors.roomName;
+                ctx.font = 'bold 13px sans-serif';
+                ctx.fillText(title, x, y - 8);
+            }
+            ctx.fillStyle = this.colors.roomLabel;
+            ctx.font = '12px sans-serif';
+            ctx.fillText(`${Math.round(room.area)} sq ft`, x, title ? y + 8 : y);
+            ctx.textBaseline = 'alphabetic';
+        });
+    }
+    
     drawFloorOverlay(floorIndex) {
         const floor = this.floors[floorIndex];
         const ctx = this.ctx;
         
         // Draw patios from floor below with light overlay
         ctx.globalAlpha = 0.4;
-        floor.patios.forEach(patio => {
+        floor.patios.forEach(floorPatio => {
+            const patio = this.toCanvasRect(floorPatio);
             ctx.fillStyle = '#E8D4B8'; // Lighter tan
             ctx.fillRect(patio.x, patio.y, patio.width, patio.height);
             ctx.strokeStyle = '#C4A57B';
@@ -1504,7 +2094,8 @@ export class FloorPlanEditor {
         ctx.lineWidth = 3;
         ctx.setLineDash([8, 4]); // Longer dashes for better visibility
         
-        floor.walls.forEach(wall => {
+        floor.walls.forEach(floorWall => {
+            const wall = this.toCanvasWall(floorWall);
             ctx.beginPath();
             ctx.moveTo(wall.startX, wall.startY);
             ctx.lineTo(wall.endX, wall.endY);
@@ -1518,8 +2109,9 @@ export class FloorPlanEditor {
         
         // Doors
         floor.doors.forEach(door => {
-            const wall = floor.walls[door.wallIndex];
-            if (!wall) return;
+            const floorWall = this.getWallById(door.wallId, floorIndex);
+            if (!floorWall) return;
+            const wall = this.toCanvasWall(floorWall);
             const doorPos = this.getDoorWindowPosition(wall, door.position, door.width);
             
             ctx.fillStyle = '#D2B48C';
@@ -1530,8 +2122,9 @@ export class FloorPlanEditor {
         
         // Windows
         floor.windows.forEach(window => {
-            const wall = floor.walls[window.wallIndex];
-            if (!wall) return;
+            const floorWall = this.getWallById(window.wallId, floorIndex);
+            if (!floorWall) return;
+            const wall = this.toCanvasWall(floorWall);
             const winPos = this.getDoorWindowPosition(wall, window.position, window.width);
             
             ctx.fillStyle = '#87CEEB';
@@ -1543,17 +2136,233 @@ export class FloorPlanEditor {
         ctx.globalAlpha = 1.0; // Reset
     }
     
+    drawRoofPlan() {
+        // Roof planes and roof items over the plan, as seen from above
+        const ctx = this.ctx;
+        const floor = this.floors[this.currentFloor];
+        const roofs = this.getRoofs();
+        const toCanvas = (point) => ({ x: point.x * this.gridSize, y: point.y * this.gridSize });
+        const tracePolygon = (points) => {
+            ctx.beginPath();
+            points.map(toCanvas).forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+            ctx.closePath();
+        };
+        
+        ctx.save();
+        
+        if (roofs.length === 0) {
+            ctx.fillStyle = this.colors.roomLabel;
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Turn on the roof for this floor to place roof items', this.canvas.width / 2, 24);
+            ctx.restore();
+            return;
+        }
+        
+        // Each plane outlined, so hips, ridges and valleys show where its edges meet
+        ctx.lineWidth = 1;
+        roofs.forEach(roof => {
+            roof.faces.forEach(face => {
+                tracePolygon(face.points);
+                ctx.fillStyle = this.colors.roofPlan;
+                ctx.fill();
+                ctx.strokeStyle = this.colors.roofLine;
+                ctx.stroke();
+            });
+        });
+        
+        // Gable end walls
+        ctx.strokeStyle = this.colors.roofGable;
+        ctx.lineWidth = 5;
+        ctx.fillStyle = this.colors.roofGable;
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        roofs.forEach(roof => {
+            roof.footprint.forEach((point, i) => {
+                if (!roof.gableEdges[i]) return;
+                const start = toCanvas(point);
+                const end = toCanvas(roof.footprint[(i + 1) % roof.footprint.length]);
+                ctx.beginPath();
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+                ctx.stroke();
+                ctx.fillText('GABLE', (start.x + end.x) / 2, (start.y + end.y) / 2 - 8);
+            });
+        });
+        
+        this.getRoofAccessories().forEach((result, index) => {
+            const accessory = floor.roofAccessories[index];
+            const type = getRoofAccessoryType(accessory);
+            const isSelected = index === this.selectedRoofAccessory;
+            const center = toCanvas(accessory);
+            
+            if (result.outline) {
+                tracePolygon(result.outline);
+                ctx.fillStyle = this.colors.roofItem;
+                ctx.fill();
+                ctx.strokeStyle = isSelected ? this.colors.selectedWall : this.colors.roofItemBorder;
+                ctx.lineWidth = isSelected ? 3 : 2;
+                ctx.stroke();
+            } else {
+                // Items that don't fit where they are stay visible (and draggable) as a warning marker
+                ctx.strokeStyle = isSelected ? this.colors.selectedWall : this.colors.wallPreview;
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, 10, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(type.icon, center.x, center.y);
+            ctx.textBaseline = 'alphabetic';
+            
+            if (isSelected) {
+                ctx.fillStyle = result.error ? this.colors.wallPreview : this.colors.selectedWall;
+                ctx.font = 'bold 11px sans-serif';
+                ctx.fillText(result.error || type.label, center.x, center.y - 16);
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    drawStairs() {
+        // Stairs on this floor with their UP arrows, and the openings cut for the stairs coming up from below
+        const ctx = this.ctx;
+        const toCanvas = (point) => ({ x: point.x * this.gridSize, y: point.y * this.gridSize });
+        const tracePolygon = (points) => {
+            ctx.beginPath();
+            points.map(toCanvas).forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+            ctx.closePath();
+        };
+        const traceLine = (points) => {
+            ctx.beginPath();
+            points.map(toCanvas).forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+        };
+        
+        ctx.save();
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        // Stairwells, marked DN where the stairs arrive
+        if (this.currentFloor > 0) {
+            this.getStairs(this.currentFloor - 1).forEach(stair => {
+                tracePolygon(stair.outline);
+                ctx.strokeStyle = this.colors.stairwell;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([6, 4]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                
+                const top = toCanvas(stair.path[stair.path.length - 1]);
+                ctx.fillStyle = this.colors.stairwell;
+                ctx.fillText('DN', top.x, top.y);
+            });
+        }
+        
+        this.getStairs().forEach((stair, index) => {
+            const isSelected = index === this.selectedStair;
+            
+            // Treads and landings
+            ctx.lineWidth = 1;
+            stair.steps.forEach(step => {
+                tracePolygon(step.points);
+                ctx.fillStyle = this.colors.stair;
+                ctx.fill();
+                ctx.strokeStyle = this.colors.stairLine;
+                ctx.stroke();
+            });
+            
+            tracePolygon(stair.outline);
+            ctx.strokeStyle = isSelected ? this.colors.selectedWall : this.colors.stairLine;
+            ctx.lineWidth = isSelected ? 3 : 2;
+            ctx.stroke();
+            
+            // Walking line from the bottom step with an arrowhead at the top
+            const path = stair.path.map(toCanvas);
+            const start = path[0];
+            const end = path[path.length - 1];
+            const before = path[path.length - 2];
+            const angle = Math.atan2(end.y - before.y, end.x - before.x);
+            
+            traceLine(stair.path);
+            ctx.strokeStyle = this.colors.stairLine;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            
+            ctx.fillStyle = this.colors.stairLine;
+            ctx.beginPath();
+            ctx.arc(start.x, start.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x - 9 * Math.cos(angle - 0.4), end.y - 9 * Math.sin(angle - 0.4));
+            ctx.lineTo(end.x - 9 * Math.cos(angle + 0.4), end.y - 9 * Math.sin(angle + 0.4));
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillText('UP', start.x, start.y - 10);
+            
+            if (isSelected) {
+                ctx.fillStyle = stair.hasFloorAbove ? this.colors.selectedWall : this.colors.wallPreview;
+                ctx.font = 'bold 11px sans-serif';
+                ctx.fillText(
+                    stair.hasFloorAbove
+                        ? `${stair.riserCount} risers × ${formatFeetInches(stair.riserHeight)}`
+                        : 'No floor above',
+                    start.x, start.y + 14
+                );
+                ctx.font = 'bold 10px sans-serif';
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    toCanvasWall(wall) {
+        // Walls are stored in feet - scale to canvas pixels for drawing
+        return {
+            startX: wall.startX * this.gridSize,
+            startY: wall.startY * this.gridSize,
+            endX: wall.endX * this.gridSize,
+            endY: wall.endY * this.gridSize
+        };
+    }
+    
+    toCanvasRect(rect) {
+        // Patios are stored in feet - scale to canvas pixels for drawing
+        return {
+            x: rect.x * this.gridSize,
+            y: rect.y * this.gridSize,
+            width: rect.width * this.gridSize,
+            height: rect.height * this.gridSize
+        };
+    }
+    
     calculateWallLength(wall) {
         const dx = wall.endX - wall.startX;
         const dy = wall.endY - wall.startY;
         return Math.sqrt(dx * dx + dy * dy);
     }
     
-    addWallSegment(pos) {
-        // Complete the current wall segment
+    addWallSegment(pos, exact = false) {
+        // Complete the current wall segment (exact = typed dimensions, no Shift constraint)
         let finalPos = { ...pos };
         
-        if (this.shiftKeyPressed) {
+        if (this.shiftKeyPressed && !exact) {
             const dx = Math.abs(pos.x - this.currentWall.startX);
             const dy = Math.abs(pos.y - this.currentWall.startY);
             
@@ -1567,13 +2376,13 @@ export class FloorPlanEditor {
         this.currentWall.endX = finalPos.x;
         this.currentWall.endY = finalPos.y;
         
-        const length = this.calculateWallLength(this.currentWall);
-        const lengthFeet = length / this.gridSize;
+        const lengthFeet = this.calculateWallLength(this.currentWall);
         
         // Minimum 1 foot wall length (more reasonable)
         if (lengthFeet >= 1) {
             // Add this segment to walls
             this.floors[this.currentFloor].walls.push({
+                id: createElementId('wall'),
                 startX: this.currentWall.startX,
                 startY: this.currentWall.startY,
                 endX: this.currentWall.endX,
@@ -1600,6 +2409,7 @@ export class FloorPlanEditor {
     
     finishWallChain() {
         console.log('🔴 Finishing wall chain');
+        this.closeDimensionInput();
         this.isDrawing = false;
         this.currentWall = null;
         this.render();
@@ -1611,6 +2421,182 @@ export class FloorPlanEditor {
         }
     }
     
+    openDimensionInput(initialText = '') {
+        // Text box at the end of the wall being drawn for an exact length (and optional angle)
+        if (!this.isDrawing || this.mode !== 'draw' || !this.currentWall) {
+            this.showToast('Start a wall first, then enter its length', 'info');
+            return;
+        }
+        
+        if (!this.dimensionInput) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'dimension-input';
+            input.placeholder = `12'6" @ 90`;
+            input.autocomplete = 'off';
+            
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.commitDimensionInput();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeDimensionInput();
+                }
+            });
+            
+            // Live preview of the typed length
+            input.addEventListener('input', () => {
+                const end = this.getTypedSegmentEnd(input.value);
+                if (end && this.currentWall) {
+                    this.currentWall.endX = end.x;
+                    this.currentWall.endY = end.y;
+                    this.render();
+                }
+            });
+            
+            input.addEventListener('blur', () => this.closeDimensionInput());
+            this.dimensionInput = input;
+        }
+        
+        const input = this.dimensionInput;
+        const container = this.canvas.parentElement;
+        if (!container) return;
+        if (!input.isConnected) {
+            container.appendChild(input);
+        }
+        
+        // Place it next to the end of the preview wall
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+        input.style.left = `${canvasRect.left - containerRect.left + this.currentWall.endX * this.gridSize + 12}px`;
+        input.style.top = `${canvasRect.top - containerRect.top + this.currentWall.endY * this.gridSize + 12}px`;
+        
+        input.value = initialText;
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+    
+    closeDimensionInput() {
+        if (this.dimensionInput?.isConnected) {
+            this.dimensionInput.remove();
+        }
+    }
+    
+    commitDimensionInput() {
+        const text = this.dimensionInput?.value || '';
+        const end = this.getTypedSegmentEnd(text);
+        
+        if (!end) {
+            this.showToast(`Couldn't read "${text}" - try 12'6" or 12'6" @ 90`, 'warning');
+            return;
+        }
+        
+        this.closeDimensionInput();
+        this.addWallSegment(end, true);
+    }
+    
+    getTypedSegmentEnd(text) {
+        // End point (feet) for a typed "length [@ angle]" from the current wall start
+        const parsed = parseLengthAndAngle(text);
+        if (!parsed || !this.currentWall) return null;
+        
+        const start = { x: this.currentWall.startX, y: this.currentWall.startY };
+        let dirX;
+        let dirY;
+        
+        if (parsed.angle !== null) {
+            // Counterclockwise from east; plan Y points down
+            const radians = parsed.angle * Math.PI / 180;
+            dirX = Math.cos(radians);
+            dirY = -Math.sin(radians);
+        } else {
+            // Follow the cursor, or continue the previous segment's direction
+            dirX = this.currentWall.endX - start.x;
+            dirY = this.currentWall.endY - start.y;
+            if (Math.hypot(dirX, dirY) < 1e-6) {
+                const walls = this.floors[this.currentFloor].walls;
+                const previous = walls[walls.length - 1];
+                const continues = previous && previous.endX === start.x && previous.endY === start.y;
+                dirX = continues ? previous.endX - previous.startX : 1;
+                dirY = continues ? previous.endY - previous.startY : 0;
+            }
+            const length = Math.hypot(dirX, dirY);
+            dirX /= length;
+            dirY /= length;
+        }
+        
+        // Round away floating point noise (1/1000 ft)
+        const round = (value) => Math.round(value * 1000) / 1000;
+        return {
+            x: round(start.x + dirX * parsed.length),
+            y: round(start.y + dirY * parsed.length)
+        };
+    }
+    
+    setSelectedWallLength(text) {
+        // Resize the selected wall to a typed length, dragging connected wall ends along
+        const floor = this.floors[this.currentFloor];
+        const wall = floor.walls[this.selectedWallIndex];
+        if (!wall) return;
+        
+        const newLength = parseDimension(text);
+        if (newLength === null || newLength < 1) {
+            this.showToast(`Couldn't use "${text}" - enter a length of at least 1 ft, e.g. 12'6"`, 'warning');
+            this.propertyInspector.update(true);
+            return;
+        }
+        
+        const oldLength = this.calculateWallLength(wall);
+        if (oldLength < 1e-6) return;
+        
+        // Keep the better-connected end fixed so the rest of the plan moves as little as possible
+        const countConnections = (x, y) => floor.walls.filter((other, i) => i !== this.selectedWallIndex && (
+            (Math.abs(other.startX - x) < 1e-6 && Math.abs(other.startY - y) < 1e-6) ||
+            (Math.abs(other.endX - x) < 1e-6 && Math.abs(other.endY - y) < 1e-6)
+        )).length;
+        const anchorStart = countConnections(wall.startX, wall.startY) >= countConnections(wall.endX, wall.endY);
+        
+        const anchor = anchorStart ? { x: wall.startX, y: wall.startY } : { x: wall.endX, y: wall.endY };
+        const moving = anchorStart ? { x: wall.endX, y: wall.endY } : { x: wall.startX, y: wall.startY };
+        const scale = newLength / oldLength;
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const moved = {
+            x: round(anchor.x + (moving.x - anchor.x) * scale),
+            y: round(anchor.y + (moving.y - anchor.y) * scale)
+        };
+        
+        // Move every wall end that was attached to the moving end
+        floor.walls.forEach(other => {
+            if (Math.abs(other.startX - moving.x) < 1e-6 && Math.abs(other.startY - moving.y) < 1e-6) {
+                other.startX = moved.x;
+                other.startY = moved.y;
+            }
+            if (Math.abs(other.endX - moving.x) < 1e-6 && Math.abs(other.endY - moving.y) < 1e-6) {
+                other.endX = moved.x;
+                other.endY = moved.y;
+            }
+        });
+        
+        // Keep doors and windows on this wall at the same distance from the fixed end
+        [...floor.doors, ...floor.windows].forEach(item => {
+            if (item.wallId !== wall.id) return;
+            const distance = (anchorStart ? item.position : 1 - item.position) * oldLength;
+            const position = Math.min(1, Math.max(0, distance / newLength));
+            item.position = anchorStart ? position : 1 - position;
+        });
+        
+        console.log(`📏 Wall ${this.selectedWallIndex + 1} resized: ${oldLength.toFixed(2)} → ${newLength.toFixed(2)} ft`);
+        this.saveState();
+        this.render();
+        this.updateMeasurements();
+        
+        // Trigger 3D update
+        if (window.floorPlanApp) {
+            window.floorPlanApp.update3DModel();
+        }
+    }
+    
     updateMeasurements() {
         const floor = this.floors[this.currentFloor];
         
@@ -1622,18 +2608,23 @@ export class FloorPlanEditor {
         }
         
         if (totalLengthDisplay) {
-            const totalLength = floor.walls.reduce((sum, wall) => {
+            const totalLengthFeet = floor.walls.reduce((sum, wall) => {
                 return sum + this.calculateWallLength(wall);
             }, 0);
-            const totalLengthFeet = totalLength / this.gridSize;
             
             // Show drawing hint when in draw mode and actively drawing
             if (this.mode === 'draw' && this.isDrawing) {
                 totalLengthDisplay.textContent = 
-                    `Click for corners • Double-click or press Enter/Esc to finish`;
+                    `Click for corners • Type a length (12'6" @ 90) for exact walls • Enter/Esc to finish`;
             } else if (this.mode === 'draw') {
                 totalLengthDisplay.textContent = 
                     `Click to start drawing • Shift = straight lines`;
+            } else if (this.mode === 'roof') {
+                totalLengthDisplay.textContent = 
+                    `Click a roof plane to add • Drag to move • Delete to remove | Roof items: ${floor.roofAccessories.length}`;
+            } else if (this.mode === 'stair') {
+                totalLengthDisplay.textContent = 
+                    `Click to add a stair • Drag to move • R to rotate • Delete to remove | Stairs: ${floor.stairs.length}`;
             } else {
                 totalLengthDisplay.textContent = 
                     `${totalLengthFeet.toFixed(1)} | Doors: ${floor.doors.length} | Windows: ${floor.windows.length}`;
@@ -1647,10 +2638,14 @@ export class FloorPlanEditor {
             this.floors[this.currentFloor].doors = [];
             this.floors[this.currentFloor].windows = [];
             this.floors[this.currentFloor].patios = []; // Clear patios too
+            this.floors[this.currentFloor].roofAccessories = [];
+            this.floors[this.currentFloor].stairs = [];
             this.currentWall = null;
             this.isDrawing = false;
             this.selectedWallIndex = null;
             this.selectedPatio = null;
+            this.selectedRoofAccessory = null;
+            this.selectedStair = null;
             this.render();
             this.updateMeasurements();
             this.saveState(); // Save state for undo
@@ -1658,6 +2653,27 @@ export class FloorPlanEditor {
         }
     }
     
+    importWalls(walls) {
+        // Replace the current floor's walls (e.g. from a DXF); doors, windows and room labels belong to
+        // the old walls, so they go with them
+        const floor = this.floors[this.currentFloor];
+        floor.walls = walls.map(wall => ({ ...wall, id: wall.id ?? createElementId('wall') }));
+        floor.doors = [];
+        floor.windows = [];
+        floor.rooms = [];
+        
+        this.currentWall = null;
+        this.isDrawing = false;
+        this.selectedWallIndex = null;
+        this.selectedDoor = null;
+        this.selectedWindow = null;
+        this.selectedRoomPoint = null;
+        this.render();
+        this.updateMeasurements();
+        this.saveState();
+        console.log(`📐 Imported ${walls.length} walls onto ${floor.name}`);
+    }
+    
     saveState() {
         // Save current state for undo (includes walls, doors, windows, patios)
         const currentState = JSON.parse(JSON.stringify({
@@ -1685,6 +2701,7 @@ export class FloorPlanEditor {
     
     restoreState(state) {
         // Restore floors and current floor from saved state
+        const selected = this.getSelectedElement();
         this.floors = JSON.parse(JSON.stringify(state.floors));
         this.currentFloor = state.currentFloor;
         
@@ -1693,9 +2710,18 @@ export class FloorPlanEditor {
         this.selectedDoor = null;
         this.selectedWindow = null;
         this.selectedPatio = null;
+        this.selectedRoomPoint = null;
+        this.selectedRoofAccessory = null;
+        this.selectedStair = null;
+        this.propertyInspector.update();
         this.isDrawing = false;
         this.currentWall = null;
         
+        // Elements keep their ids through undo/redo, so a selection that still exists stays selected
+        if (selected && this.findElement(selected.id)?.floorIndex === this.currentFloor) {
+            this.selectElement(selected.id);
+        }
+        
         this.render();
         this.updateMeasurements();
         
@@ -1762,8 +2788,8 @@ export class FloorPlanEditor {
     }
     
     setMode(mode) {
-        // Valid modes: 'draw', 'edit', 'door', 'window', 'patio', 'view'
-        const validModes = ['draw', 'edit', 'door', 'window', 'patio', 'view'];
+        // Valid modes: 'draw', 'edit', 'door', 'window', 'patio', 'roof', 'stair', 'view'
+        const validModes = ['draw', 'edit', 'door', 'window', 'patio', 'roof', 'stair', 'view'];
         
         if (!validModes.includes(mode)) {
             console.warn('Invalid mode:', mode);
@@ -1782,6 +2808,10 @@ export class FloorPlanEditor {
         this.selectedDoor = null;
         this.selectedWindow = null;
         this.selectedPatio = null;
+        this.selectedRoomPoint = null;
+        this.selectedRoofAccessory = null;
+        this.selectedStair = null;
+        this.propertyInspector.update();
         
         // Update patio checkbox label when deselecting
         this.updatePatioCheckboxLabel();
@@ -1793,7 +2823,7 @@ export class FloorPlanEditor {
             this.canvas.style.cursor = 'crosshair';
         } else if (mode === 'edit') {
             this.canvas.style.cursor = 'pointer';
-        } else if (mode === 'door' || mode === 'window' || mode === 'patio') {
+        } else if (mode === 'door' || mode === 'window' || mode === 'patio' || mode === 'roof' || mode === 'stair') {
             this.canvas.style.cursor = 'crosshair';
         } else if (mode === 'view') {
             this.canvas.style.cursor = 'default';
@@ -1813,11 +2843,17 @@ export class FloorPlanEditor {
             doors: [],
             windows: [],
             patios: [],
+            rooms: [],
             wallHeight: 8,  // Default wall height for new floor
+            floorThickness: 1,
             hasRoof: false,  // New floors don't have roof by default
             roofStyle: 'hip',
             roofPitch: 6,
-            roofOverhang: 1.0
+            roofSecondaryPitch: null,
+            roofOverhang: 1.0,
+            roofGables: 'auto',
+            roofAccessories: [],
+            stairs: []
         });
         
         // Switch to the new floor
@@ -1833,6 +2869,10 @@ export class FloorPlanEditor {
         if (floorIndex >= 0 && floorIndex < this.floors.length) {
             this.currentFloor = floorIndex;
             this.selectedWallIndex = null;
+            this.selectedRoomPoint = null;
+            this.selectedRoofAccessory = null;
+            this.selectedStair = null;
+            this.propertyInspector.update();
             this.render();
             this.updateMeasurements();
             console.log(`Switched to Floor ${floorIndex + 1}`);
@@ -1850,10 +2890,22 @@ export class FloorPlanEditor {
         return this.floors[this.currentFloor]?.wallHeight || 8;
     }
     
+    setCurrentFloorThickness(thickness) {
+        if (this.floors[this.currentFloor]) {
+            this.floors[this.currentFloor].floorThickness = thickness;
+            console.log(`Floor ${this.currentFloor + 1} floor system set to ${thickness} ft`);
+        }
+    }
+    
+    getCurrentFloorThickness() {
+        return this.floors[this.currentFloor]?.floorThickness ?? 1;
+    }
+    
     setCurrentFloorHasRoof(hasRoof) {
         if (this.floors[this.currentFloor]) {
             this.floors[this.currentFloor].hasRoof = hasRoof;
             console.log(`Floor ${this.currentFloor + 1} hasRoof set to ${hasRoof}`);
+            this.render(); // Roof plan overlay follows the roof settings
         }
     }
 
@@ -1862,8 +2914,14 @@ export class FloorPlanEditor {
     }
 
     setCurrentFloorRoofStyle(style) {
-        if (this.floors[this.currentFloor]) {
-            this.floors[this.currentFloor].roofStyle = style;
+        const floor = this.floors[this.currentFloor];
+        if (floor) {
+            if (floor.roofStyle !== style) {
+                // Each style's second slope means something different, so start from the new style's default
+                floor.roofSecondaryPitch = null;
+            }
+            floor.roofStyle = style;
+            this.render();
         }
     }
 
@@ -1874,6 +2932,7 @@ export class FloorPlanEditor {
     setCurrentFloorRoofPitch(pitch) {
         if (this.floors[this.currentFloor]) {
             this.floors[this.currentFloor].roofPitch = pitch;
+            this.render();
         }
     }
 
@@ -1881,15 +2940,39 @@ export class FloorPlanEditor {
         return this.floors[this.currentFloor]?.roofPitch || 6;
     }
 
+    setCurrentFloorRoofSecondaryPitch(pitch) {
+        if (this.floors[this.currentFloor]) {
+            this.floors[this.currentFloor].roofSecondaryPitch = pitch;
+            this.render();
+        }
+    }
+
+    getCurrentFloorRoofSecondaryPitch() {
+        const floor = this.floors[this.currentFloor];
+        return floor?.roofSecondaryPitch ?? getRoofStyle(floor?.roofStyle).secondaryPitch?.default ?? null;
+    }
+
     setCurrentFloorRoofOverhang(overhang) {
         if (this.floors[this.currentFloor]) {
             this.floors[this.currentFloor].roofOverhang = overhang;
+            this.render();
         }
     }
 
     getCurrentFloorRoofOverhang() {
         return this.floors[this.currentFloor]?.roofOverhang || 1.0;
     }
+
+    setCurrentFloorRoofGables(orientation) {
+        if (this.floors[this.currentFloor]) {
+            this.floors[this.currentFloor].roofGables = orientation;
+            this.render();
+        }
+    }
+
+    getCurrentFloorRoofGables() {
+        return this.floors[this.currentFloor]?.roofGables || 'auto';
+    }
     
     updatePatioRoofSettings(patioIndex, hasRoof, roofStyle) {
         const patio = this.floors[this.currentFloor].patios[patioIndex];
@@ -1961,11 +3044,396 @@ export class FloorPlanEditor {
     }
     
     getFloorPlanData() {
-        // Return all floors with their walls, doors, and windows
+        // Return all floors with their walls, doors, and windows (coordinates in feet)
         return {
             floors: this.floors,
             currentFloor: this.currentFloor,
-            gridSize: this.gridSize
+            units: 'feet'
+        };
+    }
+
+    getWallById(wallId, floorIndex = this.currentFloor) {
+        // Doors and windows reference their wall by id
+        return this.floors[floorIndex].walls.find(wall => wall.id === wallId) || null;
+    }
+
+    findElement(id) {
+        // Floor, type and index of the wall, door, window or patio with an id, or null
+        for (let floorIndex = 0; floorIndex < this.floors.length; floorIndex++) {
+            const floor = this.floors[floorIndex];
+            for (const type of ['wall', 'door', 'window', 'patio']) {
+                const index = (floor[`${type}s`] || []).findIndex(item => item.id === id);
+                if (index >= 0) return { floorIndex, type, index };
+            }
+        }
+        return null;
+    }
+
+    getSelectedElement() {
+        // Selected wall, door, window or patio as { type, id, floorIndex }, or null
+        const floor = this.floors[this.currentFloor];
+        const selections = [
+            ['wall', floor.walls, this.selectedWallIndex],
+            ['door', floor.doors, this.selectedDoor],
+            ['window', floor.windows, this.selectedWindow],
+            ['patio', floor.patios || [], this.selectedPatio]
+        ];
+        const selection = selections.find(([, items, index]) => index !== null && items[index]);
+        if (!selection) return null;
+
+        const [type, items, index] = selection;
+        return { type, id: items[index].id, floorIndex: this.currentFloor };
+    }
+
+    selectElement(id) {
+        // Select a wall, door, window or patio by id, switching to its floor; false if there's no such element
+        // (null clears the selection)
+        const found = id === null ? { floorIndex: this.currentFloor, type: null, index: null } : this.findElement(id);
+        if (!found) return false;
+
+        if (found.floorIndex !== this.currentFloor) {
+            this.switchFloor(found.floorIndex);
+            this.updateFloorSelector();
+        }
+
+        this.selectedWallIndex = found.type === 'wall' ? found.index : null;
+        this.selectedDoor = found.type === 'door' ? found.index : null;
+        this.selectedWindow = found.type === 'window' ? found.index : null;
+        this.selectedPatio = found.type === 'patio' ? found.index : null;
+        this.selectedRoomPoint = null;
+        this.selectedRoofAccessory = null;
+        this.selectedStair = null;
+        this.updatePatioCheckboxLabel();
+        this.propertyInspector.update();
+        this.render();
+        return true;
+    }
+
+    importDesign(data) {
+        // Load a design previously written by exportDesign() (desktop or mobile)
+        this.validateDesign(data);
+        const design = this.migrateDesign(data);
+
+        // Imported plan becomes the first undo state
+        this.loadPlan(design.floors, 0);
+
+        console.log(`✅ Design imported (${design.version}): ${design.floors.length} floor(s)`);
+        return design;
+    }
+
+    restoreAutosave(snapshot) {
+        // Load an autosave snapshot, including its undo stack when it was saved
+        this.validateDesign(snapshot);
+        const design = this.migrateDesign(snapshot);
+
+        const history = Array.isArray(snapshot.history) && snapshot.history.length > 0
+            ? snapshot.history.map(state => ({
+                floors: this.migrateDesign({ version: snapshot.version, floors: state.floors }).floors,
+                currentFloor: state.currentFloor || 0
+            }))
+            : null;
+
+        const currentFloor = Math.min(Math.max(snapshot.currentFloor || 0, 0), design.floors.length - 1);
+        this.loadPlan(design.floors, currentFloor, history, snapshot.historyIndex);
+
+        console.log(`✅ Autosave restored: ${design.floors.length} floor(s), ${this.history.length} undo state(s)`);
+        return design;
+    }
+
+    loadPlan(floors, currentFloor = 0, history = null, historyIndex = null) {
+        // Replace the whole plan and reset editor state around it
+
+        // Finish any in-progress drawing before replacing the plan
+        this.isDrawing = false;
+        this.currentWall = null;
+        this.isDrawingPatio = false;
+        this.currentPatio = null;
+
+        this.floors = floors;
+        this.currentFloor = currentFloor;
+
+        // Clear selections
+        this.selectedWallIndex = null;
+        this.selectedDoor = null;
+        this.selectedWindow = null;
+        this.selectedPatio = null;
+        this.selectedRoomPoint = null;
+        this.selectedRoofAccessory = null;
+        this.selectedStair = null;
+        this.updatePatioCheckboxLabel();
+        this.propertyInspector.update();
+
+        if (history) {
+            this.history = history.slice(-this.maxHistorySize);
+            const index = Number.isInteger(historyIndex) ? historyIndex : this.history.length - 1;
+            this.historyIndex = Math.min(Math.max(index, 0), this.history.length - 1);
+        } else {
+            // Loaded plan becomes the first undo state
+            this.history = [];
+            this.historyIndex = -1;
+            this.saveState();
+        }
+
+        this.updateFloorSelector();
+        this.render();
+        this.updateMeasurements();
+
+        // Trigger 3D update
+        if (window.floorPlanApp) {
+            window.floorPlanApp.update3DModel();
+        }
+    }
+
+    validateDesign(data) {
+        // Throws with a user-readable message if the file can't be a saved design
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('File does not contain a design.');
+        }
+        if (!Array.isArray(data.floors) || data.floors.length === 0) {
+            throw new Error('Design has no floors.');
+        }
+
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        // Names and types are shown in the UI, so they have to be text when present
+        const isOptionalText = (value) => value === undefined || value === null || typeof value === 'string';
+        // Settings left out get defaults; ones that are there must be numbers
+        const isOptionalNumber = (value) => value === undefined || value === null || isNumber(value);
+        const invalidNumber = (item, keys) => keys.find(key => !isOptionalNumber(item[key]));
+
+        if (data.settings !== undefined && (!data.settings || typeof data.settings !== 'object')) {
+            throw new Error('Design settings are not valid.');
+        }
+        const invalidSetting = data.settings && invalidNumber(data.settings, ['wallHeight', 'gridSize']);
+        if (invalidSetting) {
+            throw new Error(`Design setting ${invalidSetting} is not a number.`);
+        }
+
+        data.floors.forEach((floor, floorIndex) => {
+            const floorName = `Floor ${floorIndex + 1}`;
+            if (!floor || typeof floor !== 'object') {
+                throw new Error(`${floorName} is not valid.`);
+            }
+            if (!isOptionalText(floor.name)) {
+                throw new Error(`${floorName} has an invalid name.`);
+            }
+            const invalidFloorSetting = invalidNumber(floor,
+                ['wallHeight', 'floorThickness', 'roofPitch', 'roofSecondaryPitch', 'roofOverhang']);
+            if (invalidFloorSetting) {
+                throw new Error(`${floorName} has an invalid ${invalidFloorSetting}.`);
+            }
+            if (floor.hasRoof !== undefined && floor.hasRoof !== null && typeof floor.hasRoof !== 'boolean') {
+                throw new Error(`${floorName} has an invalid hasRoof setting.`);
+            }
+            if (!Array.isArray(floor.walls)) {
+                throw new Error(`${floorName} has no wall list.`);
+            }
+            ['doors', 'windows', 'patios', 'rooms', 'roofAccessories', 'stairs'].forEach(key => {
+                if (floor[key] !== undefined && !Array.isArray(floor[key])) {
+                    throw new Error(`${floorName} has an invalid ${key} list.`);
+                }
+            });
+
+            floor.walls.forEach((wall, wallIndex) => {
+                if (!wall || ![wall.startX, wall.startY, wall.endX, wall.endY].every(isNumber)) {
+                    throw new Error(`${floorName}, wall ${wallIndex + 1} has invalid coordinates.`);
+                }
+                if (invalidNumber(wall, ['height', 'thickness'])) {
+                    throw new Error(`${floorName}, wall ${wallIndex + 1} has an invalid height or thickness.`);
+                }
+            });
+            // Openings sit on a wall, by id (4.1) or index (older files)
+            ['door', 'window'].forEach(type => {
+                (floor[`${type}s`] || []).forEach((opening, openingIndex) => {
+                    const label = `${floorName}, ${type} ${openingIndex + 1}`;
+                    if (!opening || typeof opening !== 'object') {
+                        throw new Error(`${label} is not valid.`);
+                    }
+                    if (!(typeof opening.wallId === 'string' || Number.isInteger(opening.wallIndex))) {
+                        throw new Error(`${label} is not on a wall.`);
+                    }
+                    const invalidField = invalidNumber(opening, ['position', 'width', 'height', 'sillHeight']);
+                    if (invalidField) {
+                        throw new Error(`${label} has an invalid ${invalidField}.`);
+                    }
+                });
+            });
+            (floor.patios || []).forEach((patio, patioIndex) => {
+                if (!patio || ![patio.x, patio.y, patio.width, patio.height].every(isNumber)) {
+                    throw new Error(`${floorName}, patio ${patioIndex + 1} has invalid dimensions.`);
+                }
+                if (invalidNumber(patio, ['elevation', 'roofHeight'])) {
+                    throw new Error(`${floorName}, patio ${patioIndex + 1} has an invalid elevation or roof height.`);
+                }
+            });
+            (floor.rooms || []).forEach((room, roomIndex) => {
+                if (room && (!isOptionalText(room.name) || !isOptionalText(room.type))) {
+                    throw new Error(`${floorName}, room ${roomIndex + 1} has an invalid name or type.`);
+                }
+            });
+        });
+
+        return true;
+    }
+
+    migrateDesign(data) {
+        // Bring older export formats up to the current floor schema.
+        // 1.x/2.x files were single-floor and predate patios and per-floor roofs;
+        // 3.x files stored canvas pixels at the grid size of the layout that saved them
+        // (5 px/ft desktop, 6 px/ft mobile); 4.x files store feet.
+        // 4.1 files give every element an id and reference walls by id rather than index.
+        const version = String(data.version || '1.0');
+        const major = parseInt(version, 10) || 1;
+        if (major > 4) {
+            throw new Error(`Design version ${version} is newer than this editor supports.`);
+        }
+
+        // Convert pixel-based files to feet
+        let scale = 1;
+        if (major < 4) {
+            const sourceGridSize = data.settings?.gridSize || data.gridSize ||
+                                   (version.includes('Mobile') ? 6 : 5);
+            scale = 1 / sourceGridSize;
+            console.log(`📐 Converting design from ${sourceGridSize}px/ft to feet`);
+        }
+        const fallbackWallHeight = data.settings?.wallHeight || 8;
+
+        // Every element gets an id that's unique across the design; older files get fresh ones
+        const usedIds = new Set();
+        const withId = (item, kind) => {
+            const id = typeof item.id === 'string' && item.id && !usedIds.has(item.id) ? item.id : createElementId(kind);
+            usedIds.add(id);
+            return { ...item, id };
+        };
+
+        const floors = data.floors.map((floor, floorIndex) => {
+            const walls = floor.walls.map(wall => withId({
+                ...wall,
+                startX: wall.startX * scale,
+                startY: wall.startY * scale,
+                endX: wall.endX * scale,
+                endY: wall.endY * scale
+            }, 'wall'));
+
+            // Openings from before 4.1 point at their wall's index; drop any whose wall no longer exists
+            const onWalls = (items, kind) => (items || [])
+                .filter(item => item && typeof item === 'object')
+                .map(item => {
+                    const { wallIndex, ...opening } = item;
+                    const wallId = opening.wallId ?? (Number.isInteger(wallIndex) ? walls[wallIndex]?.id : undefined);
+                    return { ...opening, wallId };
+                })
+                .filter(opening => walls.some(wall => wall.id === opening.wallId))
+                .map(opening => withId(opening, kind));
+
+            const doors = onWalls(floor.doors, 'door').map(door => ({
+                ...door,
+                position: door.position ?? 0.5,
+                style: door.style || 'swing',
+                width: door.width || this.getDefaultDoorWidth(door.style),
+                height: door.height || this.doorHeight,
+                swingDirection: door.swingDirection === -1 ? -1 : 1
+            }));
+
+            const windows = onWalls(floor.windows, 'window').map(window => ({
+                ...window,
+                position: window.position ?? 0.5,
+                width: window.width || this.windowWidth,
+                height: window.height || this.windowHeight,
+                sillHeight: window.sillHeight ?? this.windowSillHeight,
+                type: getWindowType(window.type || this.windowType).value
+            }));
+
+            const patios = (floor.patios || []).map(patio => withId({
+                ...patio,
+                x: patio.x * scale,
+                y: patio.y * scale,
+                width: patio.width * scale,
+                height: patio.height * scale,
+                hasRoof: patio.hasRoof || false,
+                roofStyle: patio.roofStyle || 'flat',
+                roofHeight: patio.roofHeight || 8,
+                elevation: patio.elevation || 0
+            }, 'patio'));
+
+            // Roof items need a position to find their roof plane
+            const roofAccessories = (floor.roofAccessories || [])
+                .filter(item => item && Number.isFinite(item.x) && Number.isFinite(item.y))
+                .map(item => {
+                    const type = getRoofAccessoryType(item);
+                    return withId({
+                        ...item,
+                        type: type.value,
+                        x: item.x * scale,
+                        y: item.y * scale,
+                        width: item.width || type.width,
+                        ...(type.depth ? { depth: item.depth || type.depth } : {}),
+                        ...(type.height ? { height: item.height || type.height } : {})
+                    }, 'roof-item');
+                });
+
+            // Stairs need a position to stand on
+            const stairs = (floor.stairs || [])
+                .filter(stair => stair && Number.isFinite(stair.x) && Number.isFinite(stair.y))
+                .map(stair => {
+                    const type = getStairType(stair);
+                    return withId({
+                        ...stair,
+                        type: type.value,
+                        x: stair.x * scale,
+                        y: stair.y * scale,
+                        width: stair.width || type.width,
+                        rotation: Number.isFinite(stair.rotation) ? stair.rotation : 0,
+                        turn: stair.turn === 'left' ? 'left' : 'right'
+                    }, 'stair');
+                });
+
+            // Room labels without a usable anchor point can't be matched to a room
+            const rooms = (floor.rooms || [])
+                .filter(room => room && Number.isFinite(room.x) && Number.isFinite(room.y))
+                .map(room => withId({
+                    ...room,
+                    name: room.name || '',
+                    // Only types from the room type list
+                    type: this.roomTypes.some(roomType => roomType.value === room.type) ? room.type : '',
+                    x: room.x * scale,
+                    y: room.y * scale
+                }, 'room'));
+
+            return {
+                ...floor,
+                id: floor.id ?? floorIndex + 1,
+                name: floor.name || `Floor ${floorIndex + 1}`,
+                walls,
+                doors,
+                windows,
+                patios,
+                rooms,
+                wallHeight: floor.wallHeight || fallbackWallHeight,
+                floorThickness: Number.isFinite(floor.floorThickness) && floor.floorThickness > 0 ? floor.floorThickness : 1,
+                hasRoof: floor.hasRoof ?? (floorIndex === data.floors.length - 1 && major < 3),
+                roofStyle: floor.roofStyle || 'hip',
+                roofPitch: floor.roofPitch || 6,
+                roofSecondaryPitch: floor.roofSecondaryPitch ?? null,
+                roofOverhang: floor.roofOverhang ?? 1.0,
+                roofGables: ROOF_GABLE_ORIENTATIONS.some(option => option.value === floor.roofGables) ? floor.roofGables : 'auto',
+                roofAccessories,
+                stairs
+            };
+        });
+
+        return {
+            version,
+            floors,
+            settings: data.settings || {}
         };
     }
 }
+
+/**
+ * Generate an id for a plan element that stays with it through edits, undo and saving
+ * @param {string} kind - Element kind, e.g. 'wall' or 'door'
+ * @returns {string} Id
+ */
+function createElementId(kind) {
+    return `${kind}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
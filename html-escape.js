@@ -0,0 +1,13 @@
+// HTML Escaping for 3D Home Design Application
+// Shared by every panel that builds markup from names, types and other text users or design files supply
+
+/**
+ * Escape user-entered text for innerHTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
@@ -496,6 +496,9 @@ async function triggerUpscaleWithLead(leadData, statusText) {
 
     // Set ideal camera position BEFORE capturing screenshot
     const threejsGenerator = window.floorPlanApp?.threejsGenerator || window.mobileApp?.threejsGenerator;
+    
+    // Exterior shots are framed with the orbit camera
+    (window.floorPlanApp?.walkControls || window.mobileApp?.walkControls)?.exit();
 
     if (threejsGenerator && threejsGenerator.camera && threejsGenerator.controls) {
         console.log(`📸 Setting optimal camera angle for screenshot (${isMobile ? 'mobile' : 'desktop'})...`);
@@ -633,9 +636,10 @@ async function triggerUpscaleWithLead(leadData, statusText) {
             usingRealData = true;
             console.log('✅ Got real design data from mobile mobileApp');
         }
-        // Try alternative method
-        else if (window.floorPlanApp?.floorPlanEditor?.getFloorPlanData) {
-            const floorPlanData = window.floorPlanApp.floorPlanEditor.getFloorPlanData();
+        // Try alternative method (desktop or mobile editor)
+        else if ((window.floorPlanApp || window.mobileApp)?.floorPlanEditor?.getFloorPlanData) {
+            const editor = (window.floorPlanApp || window.mobileApp).floorPlanEditor;
+            const floorPlanData = editor.getFloorPlanData();
             if (floorPlanData && floorPlanData.floors) {
                 // Calculate building dimensions
                 let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -650,31 +654,73 @@ async function triggerUpscaleWithLead(leadData, statusText) {
                     }
                 });
                 
-                const gridSize = floorPlanData.gridSize || 10;
-                const widthFeet = Math.round((maxX - minX) / gridSize);
-                const depthFeet = Math.round((maxY - minY) / gridSize);
+                // Floor plan coordinates are stored in feet
+                const widthFeet = Math.round(maxX - minX);
+                const depthFeet = Math.round(maxY - minY);
                 const totalWindows = floorPlanData.floors.reduce((sum, f) => sum + (f.windows?.length || 0), 0);
                 const totalDoors = floorPlanData.floors.reduce((sum, f) => sum + (f.doors?.length || 0), 0);
                 
+                // Room program - enclosed rooms with the names/types set on the plan
+                const rooms = [];
+                floorPlanData.floors.forEach((floor, floorIndex) => {
+                    (editor.getLabeledRooms ? editor.getLabeledRooms(floorIndex) : []).forEach((room, roomIndex) => {
+                        rooms.push({
+                            floor: floor.name,
+                            name: room.name || editor.getRoomTypeLabel(room.type) || `Room ${roomIndex + 1}`,
+                            type: room.type || 'unspecified',
+                            area: Math.round(room.area),
+                            perimeter: Math.round(room.perimeter)
+                        });
+                    });
+                });
+                const countRooms = (type) => rooms.filter(room => room.type === type).length;
+                
+                // Window styles being proposed, e.g. "6 double-hung, 1 bay"
+                const windowTypeCounts = {};
+                floorPlanData.floors.forEach(floor => {
+                    (floor.windows || []).forEach(window => {
+                        const type = window.type || 'double-hung';
+                        windowTypeCounts[type] = (windowTypeCounts[type] || 0) + 1;
+                    });
+                });
+                const windowStyles = Object.entries(windowTypeCounts)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([type, count]) => `${count} ${type}`)
+                    .join(', ');
+                
+                // Dormers, skylights, chimneys and cupolas on the roofs being built, e.g. { chimney: 1 }
+                const roofItemCounts = {};
+                floorPlanData.floors.forEach(floor => {
+                    if (!floor.hasRoof) return;
+                    (floor.roofAccessories || []).forEach(item => {
+                        roofItemCounts[item.type] = (roofItemCounts[item.type] || 0) + 1;
+                    });
+                });
+                
                 designData = {
                     structure: {
                         stories: floorPlanData.floors.length,
                         width: widthFeet,
                         depth: depthFeet,
                         roofStyle: floorPlanData.floors[0]?.roofStyle || 'hip',
-                        wallHeight: floorPlanData.floors[0]?.wallHeight || 8
+                        wallHeight: floorPlanData.floors[0]?.wallHeight || 8,
+                        bedrooms: countRooms('bedroom'),
+                        bathrooms: countRooms('bathroom')
                     },
                     materials: {
                         exterior: 'vinyl siding',
                         roof: 'asphalt shingles'
                     },
                     features: {
-                        windows: totalWindows > 0 ? 'multiple' : 'standard',
-                        garage: 'none',
+                        windows: totalWindows > 0 ? windowStyles : 'standard',
+                        windowTypes: windowTypeCounts,
+                        garage: countRooms('garage') > 0 ? 'attached' : 'none',
                         frontPorch: totalDoors > 0 ? 'covered' : 'none',
                         backPorch: 'none',
-                        chimney: false
+                        chimney: (roofItemCounts.chimney || 0) > 0,
+                        roofItems: roofItemCounts
                     },
+                    rooms,
                     floorPlan: floorPlanData
                 };
                 usingRealData = true;
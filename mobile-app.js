@@ -3,6 +3,15 @@
 
 import { FloorPlanEditor } from './floorplan-editor.js';
 import { ThreeJSGenerator } from './threejs-generator.js';
+import { ProjectStorage } from './project-storage.js';
+import { AutosaveManager } from './autosave.js';
+import { ProjectBrowser } from './project-browser.js';
+import { getRoofStyle } from './roof-geometry.js';
+import { ModelExporter } from './model-exporter.js';
+import { PlanSheetExporter } from './plan-sheet-exporter.js';
+import { DxfConverter } from './dxf-converter.js';
+import { ViewportGizmos } from './viewport-gizmos.js';
+import { WalkControls } from './walk-controls.js';
 
 class MobileFloorPlanApp {
     constructor() {
@@ -12,6 +21,8 @@ class MobileFloorPlanApp {
         this.currentView = '2d'; // '2d' or '3d'
         this.floorPlanEditor = null;
         this.threejsGenerator = null;
+        this.viewportGizmos = null;
+        this.walkControls = null;
         this.canvas2D = document.getElementById('mobile-canvas-2d');
         this.canvas3D = document.getElementById('mobile-canvas-3d');
         
@@ -58,15 +69,41 @@ class MobileFloorPlanApp {
             console.log('⚠️ Desktop app detected - using its instances');
             this.floorPlanEditor = window.floorPlanApp.floorPlanEditor;
             this.threejsGenerator = window.floorPlanApp.threejsGenerator;
+            this.viewportGizmos = window.floorPlanApp.viewportGizmos;
+            this.walkControls = window.floorPlanApp.walkControls;
+            this.dxfConverter = window.floorPlanApp.dxfConverter;
         } else {
             console.log('📱 Creating new mobile instances...');
             
             // Initialize 2D editor with canvas that's already properly sized
             this.floorPlanEditor = new FloorPlanEditor('mobile-canvas-2d');
+            this.dxfConverter = new DxfConverter(this.floorPlanEditor);
             console.log('✅ 2D editor initialized');
             
             // Initialize 3D generator with properly sized canvas
             this.threejsGenerator = new ThreeJSGenerator('mobile-canvas-3d');
+            // Drag handles for the selection and roofs; pitch changes show on the sliders
+            this.viewportGizmos = new ViewportGizmos(this.threejsGenerator, this.floorPlanEditor, () => {
+                this.update3DModel();
+                this.syncFloorControls();
+            });
+            // Tapping a wall, door, window or patio in 3D selects it in the plan
+            this.threejsGenerator.onElementSelected = (elementId) => {
+                const floorIndex = this.floorPlanEditor.currentFloor;
+                this.floorPlanEditor.selectElement(elementId);
+                this.viewportGizmos.update();
+                // Elements on another floor switch to it; the bottom sheet follows
+                if (this.floorPlanEditor.currentFloor !== floorIndex) {
+                    this.updateFloorSelector();
+                    this.syncFloorControls();
+                }
+            };
+            // Roof items that no longer fit their roof are reported, not just left out
+            this.threejsGenerator.onWarning = (message) => this.floorPlanEditor.showToast(message, 'warning');
+            // First-person walkthrough with the on-screen joystick
+            this.walkControls = new WalkControls(this.threejsGenerator, this.floorPlanEditor, (walking) => {
+                this.updateWalkButton(walking);
+            });
             console.log('✅ 3D generator initialized');
             
             // Verify 3D canvas size
@@ -92,6 +129,29 @@ class MobileFloorPlanApp {
         this.setupSideMenu();
         this.setupBottomSheetObserver();
         
+        // Autosave to browser storage and offer to recover unsaved work
+        // (the desktop app already does this for shared instances)
+        if (window.floorPlanApp) {
+            this.projectBrowser = window.floorPlanApp.projectBrowser;
+        } else {
+            this.projectStorage = new ProjectStorage();
+            this.autosave = new AutosaveManager(this.floorPlanEditor, this.projectStorage);
+            this.projectBrowser = new ProjectBrowser(this.floorPlanEditor, this.threejsGenerator, this.projectStorage, {
+                autosave: this.autosave,
+                onOpen: () => {
+                    this.updateFloorSelector();
+                    this.syncFloorControls();
+                    this.update3DModel();
+                }
+            });
+            this.autosave.checkForRecovery((snapshot) => {
+                this.projectBrowser.resumeProject(snapshot.projectId);
+                this.updateFloorSelector();
+                this.syncFloorControls();
+                this.update3DModel();
+            });
+        }
+        
         console.log('✅ Mobile app fully initialized with smart undo button');
     }
 
@@ -196,12 +256,14 @@ class MobileFloorPlanApp {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.addFloor();
                 this.updateFloorSelector();
+                this.syncFloorControls();
             }
         });
 
         document.getElementById('mobile-floor-selector')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.switchFloor(parseInt(e.target.value));
+                this.syncFloorControls();
             }
         });
 
@@ -217,6 +279,17 @@ class MobileFloorPlanApp {
             }
         });
 
+        document.getElementById('mobile-floor-thickness')?.addEventListener('input', (e) => {
+            const inches = parseFloat(e.target.value);
+            const display = document.getElementById('mobile-floor-thickness-value');
+            if (display) {
+                display.textContent = `${inches} in`;
+            }
+            if (this.floorPlanEditor) {
+                this.floorPlanEditor.setCurrentFloorThickness(inches / 12);
+            }
+        });
+
         document.getElementById('mobile-show-roof')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.setCurrentFloorHasRoof(e.target.checked);
@@ -233,6 +306,9 @@ class MobileFloorPlanApp {
         document.getElementById('mobile-roof-style')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
                 this.floorPlanEditor.setCurrentFloorRoofStyle(e.target.value);
+                this.syncRoofSecondaryPitch();
+                this.syncRoofGables();
+                this.update3DModel();
             }
         });
 
@@ -245,6 +321,33 @@ class MobileFloorPlanApp {
             }
         });
 
+        // Window Type
+        document.getElementById('mobile-window-type')?.addEventListener('change', (e) => {
+            // Placement reads the desktop select, so keep it in sync
+            const desktopSelect = document.getElementById('window-type');
+            if (desktopSelect) {
+                desktopSelect.value = e.target.value;
+            }
+        });
+
+        // Roof Item Type
+        document.getElementById('mobile-roof-accessory-type')?.addEventListener('change', (e) => {
+            // Placement reads the desktop select, so keep it in sync
+            const desktopSelect = document.getElementById('roof-accessory-type');
+            if (desktopSelect) {
+                desktopSelect.value = e.target.value;
+            }
+        });
+
+        // Stair Type
+        document.getElementById('mobile-stair-type')?.addEventListener('change', (e) => {
+            // Placement reads the desktop select, so keep it in sync
+            const desktopSelect = document.getElementById('stair-type');
+            if (desktopSelect) {
+                desktopSelect.value = e.target.value;
+            }
+        });
+
         // NEW: Floor has roof checkbox
         document.getElementById('mobile-floor-has-roof')?.addEventListener('change', (e) => {
             if (this.floorPlanEditor) {
@@ -266,6 +369,27 @@ class MobileFloorPlanApp {
             }
         });
 
+        // Gable ends facing the front, the sides, or the short ends
+        document.getElementById('mobile-roof-gables')?.addEventListener('change', (e) => {
+            if (this.floorPlanEditor) {
+                this.floorPlanEditor.setCurrentFloorRoofGables(e.target.value);
+                this.update3DModel();
+            }
+        });
+
+        // Second slope for gambrel, mansard and saltbox roofs
+        document.getElementById('mobile-roof-secondary-pitch')?.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            const display = document.getElementById('mobile-roof-secondary-pitch-value');
+            if (display) {
+                display.textContent = `${value}:12`;
+            }
+            if (this.floorPlanEditor) {
+                this.floorPlanEditor.setCurrentFloorRoofSecondaryPitch(value);
+                this.update3DModel();
+            }
+        });
+
         // NEW: Roof overhang slider
         document.getElementById('mobile-roof-overhang')?.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
@@ -279,6 +403,11 @@ class MobileFloorPlanApp {
             }
         });
 
+        // Exact wall length while drawing (no keyboard shortcut on touch devices)
+        document.getElementById('mobile-enter-length')?.addEventListener('click', () => {
+            this.floorPlanEditor?.openDimensionInput();
+        });
+
         // NEW: Patio roof checkbox
         document.getElementById('mobile-patio-has-roof')?.addEventListener('change', (e) => {
             const hasRoof = e.target.checked;
@@ -322,6 +451,65 @@ class MobileFloorPlanApp {
             this.exportDesign();
         });
 
+        // Walk Through - joystick to move, drag to look
+        const joystick = document.getElementById('mobile-walk-joystick');
+        if (joystick && this.walkControls) {
+            this.walkControls.attachJoystick(joystick);
+        }
+        document.getElementById('mobile-walk-mode')?.addEventListener('click', () => {
+            this.updateWalkButton(this.walkControls.toggle({ touch: true }));
+        });
+
+        document.getElementById('mobile-export-model')?.addEventListener('click', () => {
+            this.export3DModel();
+        });
+
+        document.getElementById('mobile-export-model-file')?.addEventListener('click', () => {
+            this.exportModelFile();
+        });
+
+        document.getElementById('mobile-export-sheet-pdf')?.addEventListener('click', () => {
+            this.exportPlanSheet('pdf');
+        });
+
+        document.getElementById('mobile-export-sheet-svg')?.addEventListener('click', () => {
+            this.exportPlanSheet('svg');
+        });
+
+        // Projects - opens the project browser
+        document.getElementById('mobile-open-projects')?.addEventListener('click', () => {
+            this.projectBrowser?.show();
+        });
+
+        // Import - opens the hidden file picker
+        document.getElementById('mobile-import-design')?.addEventListener('click', () => {
+            document.getElementById('mobile-import-design-input')?.click();
+        });
+
+        document.getElementById('mobile-import-design-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importDesign(file);
+            }
+            e.target.value = ''; // Allow re-importing the same file
+        });
+
+        document.getElementById('mobile-export-dxf')?.addEventListener('click', () => {
+            this.exportDXF();
+        });
+
+        document.getElementById('mobile-import-dxf')?.addEventListener('click', () => {
+            document.getElementById('mobile-import-dxf-input')?.click();
+        });
+
+        document.getElementById('mobile-import-dxf-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importDXF(file);
+            }
+            e.target.value = '';
+        });
+
         // ==================== MOBILE 3D MODEL UPSCALE BUTTON ====================
         // Setup mobile upscale button with retry logic to handle script loading order
         const setupUpscaleButton = () => {
@@ -569,6 +757,10 @@ class MobileFloorPlanApp {
                     }
                 } else if (action === 'export') {
                     this.exportDesign();
+                } else if (action === 'projects') {
+                    this.projectBrowser?.show();
+                } else if (action === 'import') {
+                    document.getElementById('mobile-import-design-input')?.click();
                 } else if (action === 'help') {
                     alert('Concept Studio Help:\n\n' +
                           '1. Draw walls by tapping and dragging\n' +
@@ -594,7 +786,16 @@ class MobileFloorPlanApp {
 
         const hint = document.querySelector('.controls-hint');
 
+        const walkButton = document.getElementById('mobile-walk-mode');
+        if (walkButton) {
+            walkButton.style.display = view === '3d' ? 'flex' : 'none';
+        }
+
         if (view === '2d') {
+            // Walking only happens in 3D
+            this.walkControls?.exit();
+            this.updateWalkButton(false);
+            
             // Show 2D canvas, hide 3D
             this.canvas2D.style.display = 'block';
             this.canvas3D.style.display = 'none';
@@ -717,10 +918,27 @@ class MobileFloorPlanApp {
         });
         
         this.threejsGenerator.generate3DFromFloorplan(floorplanData);
+        this.update3DSelection();
+        this.viewportGizmos?.update();
+        this.walkControls?.refresh();
         
         console.log('✅ 3D model updated');
     }
 
+    updateWalkButton(walking) {
+        const button = document.getElementById('mobile-walk-mode');
+        if (!button) return;
+        button.classList.toggle('active', walking);
+        button.querySelector('.walk-text').textContent = walking ? 'Exit Walk' : 'Walk Through';
+    }
+
+    update3DSelection() {
+        // Outline the element selected in the plan
+        if (!this.floorPlanEditor || !this.threejsGenerator) return;
+        
+        this.threejsGenerator.setSelectedElement(this.floorPlanEditor.getSelectedElement()?.id ?? null);
+    }
+
     updateFloorSelector() {
         const selector = document.getElementById('mobile-floor-selector');
         if (!selector || !this.floorPlanEditor) return;
@@ -744,11 +962,11 @@ class MobileFloorPlanApp {
         const floorPlanData = this.floorPlanEditor.getFloorPlanData();
         
         const exportData = {
-            version: '3.0-Mobile',
+            version: '4.1-Mobile',
             created: new Date().toISOString(),
             floors: floorPlanData.floors,
             settings: {
-                gridSize: floorPlanData.gridSize
+                units: floorPlanData.units
             }
         };
         
@@ -766,6 +984,199 @@ class MobileFloorPlanApp {
         alert('Design exported successfully! 📥');
     }
 
+    async export3DModel() {
+        if (!this.floorPlanEditor || !this.threejsGenerator) return;
+
+        // Export the model as the plan stands now
+        this.update3DModel();
+
+        try {
+            const exporter = window.floorPlanApp?.modelExporter || new ModelExporter(this.threejsGenerator);
+            await exporter.downloadGLB(this.floorPlanEditor.getFloorPlanData().floors);
+            alert('3D model exported! 🧊');
+        } catch (error) {
+            console.error('❌ Failed to export 3D model:', error);
+            alert(`Could not export the 3D model:\n${error.message}`);
+        }
+    }
+
+    exportModelFile() {
+        if (!this.floorPlanEditor || !this.threejsGenerator) return;
+
+        const format = document.getElementById('mobile-model-file-format')?.value || 'obj';
+        const options = {
+            scale: document.getElementById('mobile-model-file-scale')?.value,
+            sealed: document.getElementById('mobile-model-file-sealed')?.checked || false
+        };
+
+        // Export the model as the plan stands now
+        this.update3DModel();
+
+        try {
+            const exporter = window.floorPlanApp?.modelExporter || new ModelExporter(this.threejsGenerator);
+            exporter.downloadModelFile(format, this.floorPlanEditor.getFloorPlanData().floors, options);
+            alert(`3D model exported as ${format.toUpperCase()}! 🖨️`);
+        } catch (error) {
+            console.error('❌ Failed to export 3D model:', error);
+            alert(`Could not export the 3D model:\n${error.message}`);
+        }
+    }
+
+    exportPlanSheet(format) {
+        if (!this.floorPlanEditor) return;
+
+        const options = {
+            scale: document.getElementById('mobile-sheet-scale')?.value,
+            size: document.getElementById('mobile-sheet-size')?.value,
+            allFloors: document.getElementById('mobile-sheet-all-floors')?.checked ?? true,
+            title: this.projectBrowser?.currentProject?.name
+        };
+
+        try {
+            const exporter = window.floorPlanApp?.planSheetExporter || new PlanSheetExporter(this.floorPlanEditor);
+            if (format === 'svg') {
+                exporter.downloadSVG(options);
+            } else {
+                exporter.downloadPDF(options);
+            }
+            alert(`Plan sheet exported as ${format.toUpperCase()}! 📐`);
+        } catch (error) {
+            console.error('❌ Failed to export plan sheet:', error);
+            alert(`Could not export the plan sheet:\n${error.message}`);
+        }
+    }
+
+    exportDXF() {
+        if (!this.floorPlanEditor) return;
+
+        try {
+            this.dxfConverter.downloadDXF();
+            alert('DXF exported! 📏');
+        } catch (error) {
+            console.error('❌ Failed to export DXF:', error);
+            alert(`Could not export the DXF:\n${error.message}`);
+        }
+    }
+
+    async importDXF(file) {
+        if (!this.floorPlanEditor) return;
+
+        try {
+            const message = await this.dxfConverter.importFile(file);
+            if (message === null) return;
+
+            this.update3DModel();
+            alert(message);
+        } catch (error) {
+            console.error('❌ Failed to import DXF:', error);
+            alert(`Could not import ${file.name}:\n${error.message}`);
+        }
+    }
+
+    syncFloorControls() {
+        // Update bottom sheet controls to match the current floor's settings
+        if (!this.floorPlanEditor) return;
+
+        const wallHeight = this.floorPlanEditor.getCurrentFloorWallHeight();
+        const heightSlider = document.getElementById('mobile-wall-height');
+        if (heightSlider) {
+            heightSlider.value = wallHeight;
+            document.getElementById('mobile-wall-height-value').textContent = `${wallHeight} ft`;
+        }
+
+        // The ground floor sits on the slab, so only upper floors have a floor system to size
+        const floorThicknessGroup = document.getElementById('mobile-floor-thickness-group');
+        if (floorThicknessGroup) {
+            floorThicknessGroup.style.display = this.floorPlanEditor.currentFloor > 0 ? '' : 'none';
+        }
+
+        const floorThicknessInches = Math.round(this.floorPlanEditor.getCurrentFloorThickness() * 12);
+        const floorThicknessSlider = document.getElementById('mobile-floor-thickness');
+        if (floorThicknessSlider) {
+            floorThicknessSlider.value = floorThicknessInches;
+            document.getElementById('mobile-floor-thickness-value').textContent = `${floorThicknessInches} in`;
+        }
+
+        const hasRoofCheckbox = document.getElementById('mobile-floor-has-roof');
+        if (hasRoofCheckbox) {
+            hasRoofCheckbox.checked = this.floorPlanEditor.getCurrentFloorHasRoof();
+        }
+
+        const roofStyleSelect = document.getElementById('mobile-roof-style');
+        if (roofStyleSelect) {
+            roofStyleSelect.value = this.floorPlanEditor.getCurrentFloorRoofStyle();
+        }
+
+        const roofPitch = this.floorPlanEditor.getCurrentFloorRoofPitch();
+        const pitchSlider = document.getElementById('mobile-roof-pitch');
+        if (pitchSlider) {
+            pitchSlider.value = roofPitch;
+            document.getElementById('mobile-roof-pitch-value').textContent = `${roofPitch}:12`;
+        }
+
+        this.syncRoofSecondaryPitch();
+        this.syncRoofGables();
+
+        const roofOverhang = this.floorPlanEditor.getCurrentFloorRoofOverhang();
+        const overhangSlider = document.getElementById('mobile-roof-overhang');
+        if (overhangSlider) {
+            overhangSlider.value = roofOverhang;
+            document.getElementById('mobile-roof-overhang-value').textContent = `${roofOverhang.toFixed(1)} ft`;
+        }
+    }
+
+    syncRoofSecondaryPitch() {
+        // Only styles with a second slope show its slider, labelled for what it controls
+        const group = document.getElementById('mobile-roof-secondary-pitch-group');
+        if (!group || !this.floorPlanEditor) return;
+
+        const secondaryPitch = getRoofStyle(this.floorPlanEditor.getCurrentFloorRoofStyle()).secondaryPitch;
+        group.style.display = secondaryPitch ? '' : 'none';
+        if (!secondaryPitch) return;
+
+        const value = this.floorPlanEditor.getCurrentFloorRoofSecondaryPitch();
+        document.getElementById('mobile-roof-secondary-pitch-label').textContent = secondaryPitch.label;
+        document.getElementById('mobile-roof-secondary-pitch').value = value;
+        document.getElementById('mobile-roof-secondary-pitch-value').textContent = `${value}:12`;
+    }
+
+    syncRoofGables() {
+        // Only roofs with gable ends offer the front/side choice
+        const group = document.getElementById('mobile-roof-gables-group');
+        if (!group || !this.floorPlanEditor) return;
+
+        group.style.display = getRoofStyle(this.floorPlanEditor.getCurrentFloorRoofStyle()).gableEnds ? '' : 'none';
+        document.getElementById('mobile-roof-gables').value = this.floorPlanEditor.getCurrentFloorRoofGables();
+    }
+
+    async importDesign(file) {
+        if (!this.floorPlanEditor) return;
+
+        try {
+            const text = await file.text();
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (parseError) {
+                throw new Error('File is not valid JSON.');
+            }
+
+            const design = this.floorPlanEditor.importDesign(data);
+
+            // An imported file is a new, unsaved plan rather than part of the open project
+            this.projectBrowser?.setCurrentProject(null);
+
+            this.updateFloorSelector();
+            this.syncFloorControls();
+            this.update3DModel();
+
+            alert(`Design imported! 📂\n${design.floors.length} floor(s) loaded from ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to import design:', error);
+            alert(`Could not import ${file.name}:\n${error.message}`);
+        }
+    }
+
     openSideMenu() {
         const menu = document.getElementById('mobile-side-menu');
         const overlay = document.getElementById('mobile-overlay');
@@ -795,7 +1206,7 @@ class MobileFloorPlanApp {
                 if (floorplanData && floorplanData.floors && floorplanData.floors.length > 0) {
                     // Use the area calculator directly
                     if (window.AreaCalculator) {
-                        const calculator = new window.AreaCalculator(20);
+                        const calculator = new window.AreaCalculator();
                         areaData = calculator.calculateAllAreas(floorplanData);
                     }
                 }
@@ -0,0 +1,388 @@
+// Model Exporter for 3D Home Design Application
+// Saves the generated building as glTF 2.0 (GLB), OBJ with MTL, or binary STL, grouped into named nodes
+// per floor and element type; OBJ and STL can be scaled for printing and sealed into a watertight massing model
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { FLAT_ROOF_THICKNESS } from './roof-geometry.js';
+
+// Element types the generator tags its objects with (userData.elementType), in export order.
+// group names the node holding them on each floor; item names each object in it.
+export const MODEL_ELEMENT_TYPES = [
+    { value: 'wall', group: 'Walls', item: 'Wall' },
+    { value: 'door', group: 'Doors', item: 'Door' },
+    { value: 'window', group: 'Windows', item: 'Window' },
+    { value: 'floor', group: 'Floor', item: 'Floor Slab' },
+    { value: 'ceiling', group: 'Ceiling', item: 'Ceiling' },
+    { value: 'stair', group: 'Stairs', item: 'Stair' },
+    { value: 'patio', group: 'Patios', item: 'Patio' },
+    { value: 'roof', group: 'Roof', item: 'Roof Plane' },
+    { value: 'roofAccessory', group: 'Roof Items', item: 'Roof Item' }
+];
+
+// Output scales for OBJ and STL. The scene is in meters; scale models come out in millimeters.
+export const MODEL_EXPORT_SCALES = [
+    { value: 'full', label: 'Full size (meters)', unitsPerMeter: 1, suffix: '' },
+    { value: '1:50', label: '1:50 (millimeters)', unitsPerMeter: 20, suffix: '-1-50' },
+    { value: '1:100', label: '1:100 (millimeters)', unitsPerMeter: 10, suffix: '-1-100' },
+    { value: '1:200', label: '1:200 (millimeters)', unitsPerMeter: 5, suffix: '-1-200' }
+];
+
+export const MODEL_EXPORT_DEFAULTS = {
+    scale: 'full',
+    sealed: false
+};
+
+/**
+ * Catalog entry for an export scale, falling back to full size
+ * @param {string} value - Scale value
+ * @returns {Object} Entry from MODEL_EXPORT_SCALES
+ */
+export function getModelExportScale(value) {
+    return MODEL_EXPORT_SCALES.find(entry => entry.value === value) ||
+           MODEL_EXPORT_SCALES.find(entry => entry.value === MODEL_EXPORT_DEFAULTS.scale);
+}
+
+export class ModelExporter {
+    /**
+     * @param {ThreeJSGenerator} generator - Generator whose scene holds the building
+     */
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    /**
+     * Copy of the building arranged as Building > floor > element type > objects
+     * Objects are already placed in world space (meters, y up), which is what glTF expects.
+     * @param {Array} floors - Floor data, for the floor names
+     * @returns {THREE.Group} Root node, or null if nothing has been built
+     */
+    buildExportRoot(floors = []) {
+        const buildingObjects = this.generator.scene.children.filter(child => child.userData.isBuilding && child.visible);
+        if (buildingObjects.length === 0) return null;
+
+        const root = new THREE.Group();
+        root.name = 'Building';
+
+        const floorIndices = [...new Set(buildingObjects.map(child => child.userData.floorIndex ?? 0))].sort((a, b) => a - b);
+        floorIndices.forEach(floorIndex => {
+            const floorName = floors[floorIndex]?.name || `Floor ${floorIndex + 1}`;
+            const floorNode = new THREE.Group();
+            floorNode.name = floorName;
+            root.add(floorNode);
+
+            const onFloor = buildingObjects.filter(child => (child.userData.floorIndex ?? 0) === floorIndex);
+            const types = [
+                ...MODEL_ELEMENT_TYPES,
+                // Anything untagged still goes out rather than being dropped
+                { value: null, group: 'Other', item: 'Object' }
+            ];
+            types.forEach(type => {
+                const objects = onFloor.filter(child => type.value === null
+                    ? !MODEL_ELEMENT_TYPES.some(known => known.value === child.userData.elementType)
+                    : child.userData.elementType === type.value);
+                if (objects.length === 0) return;
+
+                const typeNode = new THREE.Group();
+                typeNode.name = `${floorName} ${type.group}`;
+                floorNode.add(typeNode);
+
+                objects.forEach((object, i) => {
+                    // Clones share geometry and materials with the live scene
+                    const copy = object.clone();
+                    copy.name = `${floorName} ${type.item} ${i + 1}`;
+                    copy.traverse(child => {
+                        if (child !== copy && child.isMesh && !child.name) {
+                            child.name = `${copy.name} ${child.material?.name || 'Part'}`;
+                        }
+                    });
+                    typeNode.add(copy);
+                });
+            });
+        });
+
+        return root;
+    }
+
+    /**
+     * Watertight massing of the building: one closed solid per story footprint and per roof plane
+     * The detailed model is made of open surfaces (wall boxes with openings, ceiling planes, roof sheets)
+     * that slicers can't fill. Here every story is a prism from the underside of its floor system to its
+     * wall tops, and every roof plane a prism down to its eaves; touching and overlapping solids are
+     * merged by the slicer.
+     * @param {Array} floors - Floor data
+     * @returns {THREE.Group} Root node, or null if there are no walls
+     */
+    buildMassingRoot(floors = []) {
+        const generator = this.generator;
+        const feetToMeters = 0.3048;
+        const levels = generator.getFloorLevels(floors);
+
+        const root = new THREE.Group();
+        root.name = 'Building Massing';
+
+        floors.forEach((floor, floorIndex) => {
+            const footprints = generator.getFloorFootprints(floor);
+            if (footprints.length === 0) return;
+
+            const floorName = floor.name || `Floor ${floorIndex + 1}`;
+            const floorNode = new THREE.Group();
+            floorNode.name = floorName;
+            root.add(floorNode);
+
+            // Stories reach down through their floor system to the walls below
+            const level = levels[floorIndex];
+            const bottom = floorIndex > 0 ? level.base - generator.getFloorThickness(floor) : level.base;
+            footprints.forEach((footprint, i) => {
+                const mesh = this.createPrismMesh(footprint, bottom, () => level.top, feetToMeters, generator.materials.wall);
+                mesh.name = `${floorName} Story ${i + 1}`;
+                floorNode.add(mesh);
+            });
+
+            if (!floor.hasRoof || !generator.showRoof) return;
+            generator.roofGeometry.buildFloorRoofs(floor).forEach((roof, roofIndex) => {
+                // Flat roofs are a slab on the walls, like the detailed model
+                const lift = roof.style === 'flat' ? FLAT_ROOF_THICKNESS : 0;
+                const eaveHeight = Math.min(...roof.faces.flatMap(face => face.points.map(point => point.height)));
+                roof.faces.forEach((face, faceIndex) => {
+                    const { a, b, c } = face.plane;
+                    const mesh = this.createPrismMesh(face.points, level.top + eaveHeight,
+                        point => level.top + a * point.x + b * point.y + c + lift, feetToMeters, generator.materials.roof);
+                    mesh.name = `${floorName} Roof ${roofIndex + 1} Plane ${faceIndex + 1}`;
+                    floorNode.add(mesh);
+                });
+            });
+        });
+
+        return root.children.length > 0 ? root : null;
+    }
+
+    /**
+     * Closed prism over a plan outline, flat underneath and following topAt on top
+     * @param {Array} outline - Plan outline [{x, y}] in feet
+     * @param {number} bottom - Underside height in feet
+     * @param {Function} topAt - Top height in feet at a plan point
+     * @param {number} feetToMeters - Conversion factor
+     * @param {THREE.Material} material - Mesh material
+     * @returns {THREE.Mesh} Watertight mesh with outward-facing triangles
+     */
+    createPrismMesh(outline, bottom, topAt, feetToMeters, material) {
+        let contour = outline.map(point => new THREE.Vector2(point.x, point.y));
+        if (THREE.ShapeUtils.isClockWise(contour)) contour = contour.reverse();
+        const triangles = THREE.ShapeUtils.triangulateShape(contour, []);
+
+        // Plan y runs along world z
+        const bottomPoints = contour.map(point => new THREE.Vector3(point.x, bottom, point.y).multiplyScalar(feetToMeters));
+        const topPoints = contour.map(point => new THREE.Vector3(point.x, topAt({ x: point.x, y: point.y }), point.y)
+            .multiplyScalar(feetToMeters));
+
+        const faces = [];
+        triangles.forEach(([i, j, k]) => {
+            faces.push([topPoints[i], topPoints[j], topPoints[k]]);
+            faces.push([bottomPoints[i], bottomPoints[k], bottomPoints[j]]);
+        });
+        contour.forEach((point, i) => {
+            const next = (i + 1) % contour.length;
+            faces.push([bottomPoints[i], bottomPoints[next], topPoints[next]]);
+            faces.push([bottomPoints[i], topPoints[next], topPoints[i]]);
+        });
+
+        // Turn the whole solid inside out if it came out with negative volume
+        const volume = faces.reduce((sum, [p, q, r]) => sum + p.dot(new THREE.Vector3().crossVectors(q, r)), 0);
+        const positions = [];
+        faces.forEach(([p, q, r]) => {
+            const ordered = volume < 0 ? [p, r, q] : [p, q, r];
+            ordered.forEach(point => positions.push(point.x, point.y, point.z));
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        return new THREE.Mesh(geometry, material);
+    }
+
+    /**
+     * Building ready for OBJ or STL: detailed or sealed, scaled, and turned z-up if asked
+     * @param {Array} floors - Floor data
+     * @param {Object} options - { scale: MODEL_EXPORT_SCALES value, sealed, zUp }
+     * @returns {THREE.Group} Wrapper with world matrices updated
+     */
+    buildFileRoot(floors, options = {}) {
+        const content = options.sealed ? this.buildMassingRoot(floors) : this.buildExportRoot(floors);
+        if (!content) {
+            throw new Error('Draw some walls first - there is no 3D model to export.');
+        }
+
+        const wrapper = new THREE.Group();
+        wrapper.add(content);
+        wrapper.scale.setScalar(getModelExportScale(options.scale).unitsPerMeter);
+        if (options.zUp) {
+            // Slicers and most CAD tools treat z as up
+            wrapper.rotation.x = Math.PI / 2;
+        }
+        wrapper.updateMatrixWorld(true);
+        return wrapper;
+    }
+
+    /**
+     * Encode the building as Wavefront OBJ with its MTL material library
+     * @param {Array} floors - Floor data, for the floor names
+     * @param {Object} options - { scale, sealed }
+     * @param {string} mtlName - File name the OBJ refers to for materials
+     * @returns {Object} { obj, mtl } file contents
+     */
+    exportOBJ(floors = [], options = {}, mtlName = 'model.mtl') {
+        const root = this.buildFileRoot(floors, options);
+        // Different materials sharing a name (inline trim, muntins) get numbered
+        const materials = new Map();
+        const nameCounts = new Map();
+        const materialName = (material) => {
+            if (!materials.has(material)) {
+                const base = (material.name || 'material').replace(/\s+/g, '_');
+                const count = (nameCounts.get(base) || 0) + 1;
+                nameCounts.set(base, count);
+                materials.set(material, count > 1 ? `${base}_${count}` : base);
+            }
+            return materials.get(material);
+        };
+
+        const lines = ['# 3D Home Design export', `mtllib ${mtlName}`];
+        const vertex = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const normalMatrix = new THREE.Matrix3();
+        let vertexOffset = 0;
+        let normalOffset = 0;
+
+        root.traverse(object => {
+            if (!object.isMesh || !object.geometry?.attributes.position) return;
+
+            const geometry = object.geometry;
+            const position = geometry.attributes.position;
+            const normals = geometry.attributes.normal;
+            normalMatrix.getNormalMatrix(object.matrixWorld);
+
+            lines.push(`o ${(object.name || 'Object').replace(/\s+/g, '_')}`);
+            for (let i = 0; i < position.count; i++) {
+                vertex.fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld);
+                lines.push(`v ${vertex.x.toFixed(5)} ${vertex.y.toFixed(5)} ${vertex.z.toFixed(5)}`);
+            }
+            if (normals) {
+                for (let i = 0; i < normals.count; i++) {
+                    normal.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize();
+                    lines.push(`vn ${normal.x.toFixed(4)} ${normal.y.toFixed(4)} ${normal.z.toFixed(4)}`);
+                }
+            }
+
+            // Multi-material meshes switch material per geometry group
+            const index = geometry.index;
+            const count = index ? index.count : position.count;
+            const groups = Array.isArray(object.material) && geometry.groups.length > 0
+                ? geometry.groups
+                : [{ start: 0, count, materialIndex: 0 }];
+            groups.forEach(group => {
+                const material = Array.isArray(object.material) ? object.material[group.materialIndex] : object.material;
+                lines.push(`usemtl ${materialName(material)}`);
+                const end = Math.min(group.start + group.count, count);
+                for (let i = group.start; i + 2 < end; i += 3) {
+                    const corners = [i, i + 1, i + 2].map(j => (index ? index.getX(j) : j));
+                    lines.push('f ' + corners.map(corner => normals
+                        ? `${vertexOffset + corner + 1}//${normalOffset + corner + 1}`
+                        : `${vertexOffset + corner + 1}`).join(' '));
+                }
+            });
+
+            vertexOffset += position.count;
+            normalOffset += normals ? normals.count : 0;
+        });
+
+        const mtl = ['# 3D Home Design materials'];
+        materials.forEach((name, material) => {
+            const color = material.color ? material.color.getRGB(new THREE.Color(), THREE.SRGBColorSpace) : { r: 0.8, g: 0.8, b: 0.8 };
+            const shininess = Math.round((1 - (material.roughness ?? 1)) * 250);
+            const specular = (material.metalness ?? 0).toFixed(4);
+            mtl.push(
+                '',
+                `newmtl ${name}`,
+                `Kd ${color.r.toFixed(4)} ${color.g.toFixed(4)} ${color.b.toFixed(4)}`,
+                'Ka 0 0 0',
+                `Ks ${specular} ${specular} ${specular}`,
+                `Ns ${shininess}`,
+                `d ${(material.transparent ? material.opacity : 1).toFixed(4)}`,
+                'illum 2'
+            );
+        });
+
+        return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+    }
+
+    /**
+     * Encode the building as binary STL, z up
+     * @param {Array} floors - Floor data
+     * @param {Object} options - { scale, sealed }
+     * @returns {ArrayBuffer} STL file contents
+     */
+    exportSTL(floors = [], options = {}) {
+        const root = this.buildFileRoot(floors, { ...options, zUp: true });
+        const exporter = new STLExporter();
+        return exporter.parse(root, { binary: true }).buffer;
+    }
+
+    /**
+     * Encode the building as a binary glTF
+     * @param {Array} floors - Floor data, for the floor names
+     * @returns {Promise<ArrayBuffer>} GLB file contents
+     */
+    async exportGLB(floors = []) {
+        const root = this.buildExportRoot(floors);
+        if (!root) {
+            throw new Error('Draw some walls first - there is no 3D model to export.');
+        }
+
+        const exporter = new GLTFExporter();
+        return exporter.parseAsync(root, { binary: true, onlyVisible: true });
+    }
+
+    /**
+     * Export the building and download it as a .glb file
+     * @param {Array} floors - Floor data, for the floor names
+     * @param {string} filename - Download name
+     */
+    async downloadGLB(floors = [], filename = `floor-plan-3d-${Date.now()}.glb`) {
+        const glb = await this.exportGLB(floors);
+        this.downloadFile(glb, filename, 'model/gltf-binary');
+        console.log(`✅ 3D model exported (${Math.round(glb.byteLength / 1024)} KB)`);
+    }
+
+    /**
+     * Export the building and download it as OBJ (plus its .mtl) or STL
+     * @param {string} format - 'obj' or 'stl'
+     * @param {Array} floors - Floor data
+     * @param {Object} options - { scale, sealed }
+     */
+    downloadModelFile(format, floors = [], options = {}) {
+        const scale = getModelExportScale(options.scale);
+        const basename = `floor-plan-3d${options.sealed ? '-massing' : ''}${scale.suffix}-${Date.now()}`;
+
+        if (format === 'stl') {
+            this.downloadFile(this.exportSTL(floors, options), `${basename}.stl`, 'model/stl');
+        } else {
+            const { obj, mtl } = this.exportOBJ(floors, options, `${basename}.mtl`);
+            this.downloadFile(obj, `${basename}.obj`, 'model/obj');
+            this.downloadFile(mtl, `${basename}.mtl`, 'model/mtl');
+        }
+        console.log(`✅ 3D model exported as ${format.toUpperCase()} (${scale.label}${options.sealed ? ', sealed' : ''})`);
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
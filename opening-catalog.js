@@ -0,0 +1,67 @@
+// Opening Catalog for 3D Home Design Application
+// Standard door and window sizes (feet), shared by the 2D editor, 3D generator and area calculator
+
+export const DOOR_DEFAULTS = {
+    height: 7,
+    widths: {
+        swing: 3,   // 36 inches
+        pocket: 3,
+        bifold: 4,  // 48 inches
+        double: 6   // 72 inches
+    }
+};
+
+export const WINDOW_DEFAULTS = {
+    width: 4,
+    height: 4,
+    sillHeight: 3, // Height of the bottom of the window above the floor
+    type: 'double-hung'
+};
+
+// Window styles with the standard size each is placed at
+export const WINDOW_TYPES = [
+    { value: 'casement', label: 'Casement', width: 3, height: 4, sillHeight: 3 },
+    { value: 'double-hung', label: 'Double-Hung', width: 4, height: 4, sillHeight: 3 },
+    { value: 'slider', label: 'Slider', width: 5, height: 4, sillHeight: 3 },
+    { value: 'picture', label: 'Picture', width: 5, height: 5, sillHeight: 2 },
+    { value: 'bay', label: 'Bay', width: 8, height: 5, sillHeight: 2 },
+    { value: 'transom', label: 'Transom', width: 4, height: 1, sillHeight: 7 }
+];
+
+/**
+ * Door height, falling back to the standard height for older plans
+ * @param {Object} door - Door record
+ * @returns {number} Height in feet
+ */
+export function getDoorHeight(door) {
+    return door.height || DOOR_DEFAULTS.height;
+}
+
+/**
+ * Window height, falling back to the standard height for older plans
+ * @param {Object} window - Window record
+ * @returns {number} Height in feet
+ */
+export function getWindowHeight(window) {
+    return window.height || WINDOW_DEFAULTS.height;
+}
+
+/**
+ * Window sill height; 0 is valid (floor-to-ceiling glass)
+ * @param {Object} window - Window record
+ * @returns {number} Sill height in feet
+ */
+export function getWindowSillHeight(window) {
+    return window.sillHeight ?? WINDOW_DEFAULTS.sillHeight;
+}
+
+/**
+ * Catalog entry for a window's type, falling back to the default type
+ * @param {Object|string} window - Window record or type value
+ * @returns {Object} { value, label, width, height, sillHeight }
+ */
+export function getWindowType(window) {
+    const type = typeof window === 'string' ? window : window?.type;
+    return WINDOW_TYPES.find(entry => entry.value === type) ||
+           WINDOW_TYPES.find(entry => entry.value === WINDOW_DEFAULTS.type);
+}
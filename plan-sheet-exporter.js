@@ -0,0 +1,810 @@
+// Plan Sheet Exporter for 3D Home Design Application
+// Draws each floor at an architectural scale on a landscape sheet - wall poché, door swings, window symbols,
+// dimension strings, room labels, stairs, a title block and a north arrow - and writes it as SVG or PDF
+
+import { formatFeetInches } from './dimension-parser.js';
+import { getWindowType } from './opening-catalog.js';
+
+// Architectural scales, as paper inches per foot of plan
+export const PLAN_SHEET_SCALES = [
+    { value: '1/8', label: '1/8" = 1\'-0"', inchesPerFoot: 1 / 8 },
+    { value: '3/16', label: '3/16" = 1\'-0"', inchesPerFoot: 3 / 16 },
+    { value: '1/4', label: '1/4" = 1\'-0"', inchesPerFoot: 1 / 4 },
+    { value: '3/8', label: '3/8" = 1\'-0"', inchesPerFoot: 3 / 8 },
+    { value: '1/2', label: '1/2" = 1\'-0"', inchesPerFoot: 1 / 2 }
+];
+
+// Sheet sizes in inches, landscape
+export const PLAN_SHEET_SIZES = [
+    { value: 'letter', label: 'Letter (8.5" × 11")', width: 11, height: 8.5 },
+    { value: 'tabloid', label: 'Tabloid (11" × 17")', width: 17, height: 11 },
+    { value: 'arch-c', label: 'ARCH C (18" × 24")', width: 24, height: 18 },
+    { value: 'arch-d', label: 'ARCH D (24" × 36")', width: 36, height: 24 },
+    { value: 'arch-e', label: 'ARCH E (36" × 48")', width: 48, height: 36 }
+];
+
+export const PLAN_SHEET_DEFAULTS = {
+    scale: 'auto', // The largest scale the floor fits on the sheet at
+    size: 'tabloid',
+    wallThickness: 0.5 // feet, for walls without their own thickness (same as the 3D model)
+};
+
+// Layout in paper inches
+const SHEET_MARGIN = 0.5;
+const TITLE_BLOCK_HEIGHT = 1.25;
+const DIMENSION_OFFSET = 0.375;  // Wall face to the first dimension string
+const DIMENSION_SPACING = 0.3125; // First string to the overall string
+const EXTENSION_GAP = 0.0625;     // Between the wall and its extension lines
+const TICK_SIZE = 0.0625;
+
+// Pen widths in paper inches
+const PEN = { heavy: 0.02, medium: 0.01, light: 0.005 };
+
+// Windows-1252 characters outside Latin-1, by their code in the PDF fonts' WinAnsiEncoding
+const WIN_ANSI_CODES = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+const COLORS = {
+    ink: '#000000',
+    exteriorPoche: '#222222',
+    interiorPoche: '#777777',
+    paper: '#ffffff',
+    stair: '#555555',
+    patio: '#8B7355'
+};
+
+/**
+ * Catalog entry for a sheet scale
+ * @param {string} value - Scale value
+ * @returns {Object|null} Entry from PLAN_SHEET_SCALES, or null for 'auto' and unknown values
+ */
+export function getPlanSheetScale(value) {
+    return PLAN_SHEET_SCALES.find(entry => entry.value === value) || null;
+}
+
+/**
+ * Catalog entry for a sheet size, falling back to the default
+ * @param {string} value - Size value
+ * @returns {Object} Entry from PLAN_SHEET_SIZES
+ */
+export function getPlanSheetSize(value) {
+    return PLAN_SHEET_SIZES.find(entry => entry.value === value) ||
+           PLAN_SHEET_SIZES.find(entry => entry.value === PLAN_SHEET_DEFAULTS.size);
+}
+
+/**
+ * Dimension string text in architectural form, e.g. 12'-6 1/2"
+ * @param {number} feet - Length in feet
+ * @returns {string} Formatted length
+ */
+export function formatDimension(feet) {
+    return formatFeetInches(feet).replace('\' ', '\'-');
+}
+
+export class PlanSheetExporter {
+    /**
+     * @param {FloorPlanEditor} editor - Editor holding the floors, rooms and stairs
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.wallThickness = PLAN_SHEET_DEFAULTS.wallThickness;
+    }
+
+    /**
+     * Lay out one floor as a sheet of paths and text in paper inches (y down)
+     * @param {number} floorIndex - Floor to draw
+     * @param {Object} options - { scale ('auto' picks the largest that fits), size, title, sheetNumber }
+     * @returns {Object} { width, height, items } - items are { type: 'path', subpaths: [{ points, closed }],
+     *                   fill, stroke, width, dash } or { type: 'text', x, y, text, size, bold, anchor, angle, color }
+     */
+    buildSheet(floorIndex, options = {}) {
+        const editor = this.editor;
+        const floor = editor.floors[floorIndex];
+        const floorName = floor?.name || `Floor ${floorIndex + 1}`;
+        if (!floor || floor.walls.length === 0) {
+            throw new Error(`${floorName} has no walls to draw.`);
+        }
+
+        const size = getPlanSheetSize(options.size);
+        const detected = editor.getRooms(floorIndex);
+        const stairs = editor.getStairs(floorIndex);
+        const stairwells = floorIndex > 0 ? editor.getStairs(floorIndex - 1) : [];
+
+        // Everything drawn in the plan, padded for wall faces and bay windows (feet)
+        const points = [
+            ...floor.walls.flatMap(wall => [{ x: wall.startX, y: wall.startY }, { x: wall.endX, y: wall.endY }]),
+            ...(floor.patios || []).flatMap(patio => [{ x: patio.x, y: patio.y }, { x: patio.x + patio.width, y: patio.y + patio.height }]),
+            ...stairs.flatMap(stair => stair.outline)
+        ];
+        const padding = this.wallThickness + (floor.windows.some(window => getWindowType(window).value === 'bay') ? 2 : 0);
+        const bounds = {
+            minX: Math.min(...points.map(point => point.x)) - padding,
+            maxX: Math.max(...points.map(point => point.x)) + padding,
+            minY: Math.min(...points.map(point => point.y)) - padding,
+            maxY: Math.max(...points.map(point => point.y)) + padding
+        };
+
+        // Drawing area above the title block, with room around the plan for the dimension strings
+        const area = {
+            left: SHEET_MARGIN,
+            top: SHEET_MARGIN,
+            right: size.width - SHEET_MARGIN,
+            bottom: size.height - SHEET_MARGIN - TITLE_BLOCK_HEIGHT
+        };
+        const dimensionRoom = DIMENSION_OFFSET + DIMENSION_SPACING + 0.25;
+        const fits = entry => (bounds.maxX - bounds.minX) * entry.inchesPerFoot + dimensionRoom * 2 <= area.right - area.left &&
+                              (bounds.maxY - bounds.minY) * entry.inchesPerFoot + dimensionRoom * 2 <= area.bottom - area.top;
+
+        const chosen = getPlanSheetScale(options.scale ?? PLAN_SHEET_DEFAULTS.scale);
+        const scale = chosen || [...PLAN_SHEET_SCALES].reverse().find(fits);
+        if (!scale) {
+            throw new Error(`${floorName} doesn't fit on ${size.label} at any scale. Pick a larger sheet.`);
+        }
+        if (!fits(scale)) {
+            throw new Error(`${floorName} doesn't fit on ${size.label} at ${scale.label}. Pick a smaller scale or a larger sheet.`);
+        }
+        const inchesPerFoot = scale.inchesPerFoot;
+
+        const originX = (area.left + area.right) / 2 - (bounds.minX + bounds.maxX) / 2 * inchesPerFoot;
+        const originY = (area.top + area.bottom) / 2 - (bounds.minY + bounds.maxY) / 2 * inchesPerFoot;
+        const sheet = {
+            width: size.width,
+            height: size.height,
+            inchesPerFoot,
+            items: [],
+            toSheet: point => ({ x: originX + point.x * inchesPerFoot, y: originY + point.y * inchesPerFoot })
+        };
+
+        this.drawPatios(sheet, floor);
+        this.drawStairs(sheet, stairs, stairwells);
+        this.drawWalls(sheet, floor, detected);
+        this.drawOpenings(sheet, floor, detected);
+        this.drawRoomLabels(sheet, editor.getLabeledRooms(floorIndex));
+        this.drawDimensions(sheet, floor, detected);
+        this.drawTitleBlock(sheet, {
+            project: options.title || 'Untitled Plan',
+            drawing: `${floorName} Plan`,
+            scale: scale.label,
+            date: new Date().toLocaleDateString(),
+            sheetNumber: options.sheetNumber || `A-${101 + floorIndex}`
+        });
+
+        return sheet;
+    }
+
+    /**
+     * Wall centerline frame: start point, unit direction, left-hand normal (-dy, dx), length and half thickness
+     * @param {Object} wall - Wall object (feet)
+     * @returns {Object} Frame in feet
+     */
+    getWallFrame(wall) {
+        const dx = wall.endX - wall.startX;
+        const dy = wall.endY - wall.startY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const u = length > 0 ? { x: dx / length, y: dy / length } : { x: 1, y: 0 };
+        return {
+            start: { x: wall.startX, y: wall.startY },
+            u,
+            n: { x: -u.y, y: u.x },
+            length,
+            half: (wall.thickness || this.wallThickness) / 2
+        };
+    }
+
+    /**
+     * Plan point (feet) at a distance along a wall frame and across it
+     */
+    wallPoint(frame, along, across) {
+        return {
+            x: frame.start.x + frame.u.x * along + frame.n.x * across,
+            y: frame.start.y + frame.u.y * along + frame.n.y * across
+        };
+    }
+
+    isExteriorWall(floor, detected, wallIndex) {
+        // Same rule as the editor: explicit type first, then whether the wall is on a building outline
+        const wall = floor.walls[wallIndex];
+        if (wall.type === 'exterior' || wall.type === 'interior') return wall.type === 'exterior';
+        if (detected.footprints.length === 0) return true;
+        return detected.exteriorWallIndices.includes(wallIndex);
+    }
+
+    drawWalls(sheet, floor, detected) {
+        // Poché: each wall filled solid between its openings, run past its ends by half its thickness so corners close
+        const openings = [...floor.doors, ...floor.windows];
+
+        floor.walls.forEach((wall, wallIndex) => {
+            const frame = this.getWallFrame(wall);
+            if (frame.length < 0.01) return;
+
+            const cuts = openings
+                .filter(opening => opening.wallId === wall.id)
+                .map(opening => [opening.position * frame.length - opening.width / 2, opening.position * frame.length + opening.width / 2])
+                .sort((a, b) => a[0] - b[0]);
+
+            const pieces = [];
+            let from = -frame.half;
+            cuts.forEach(([start, end]) => {
+                if (start > from) pieces.push([from, start]);
+                from = Math.max(from, end);
+            });
+            if (frame.length + frame.half > from) pieces.push([from, frame.length + frame.half]);
+
+            const fill = this.isExteriorWall(floor, detected, wallIndex) ? COLORS.exteriorPoche : COLORS.interiorPoche;
+            pieces.forEach(([start, end]) => {
+                const outline = [
+                    this.wallPoint(frame, start, -frame.half),
+                    this.wallPoint(frame, end, -frame.half),
+                    this.wallPoint(frame, end, frame.half),
+                    this.wallPoint(frame, start, frame.half)
+                ];
+                this.addPath(sheet, [{ points: outline.map(sheet.toSheet), closed: true }], { fill });
+            });
+        });
+    }
+
+    drawOpenings(sheet, floor, detected) {
+        floor.doors.forEach(door => {
+            const wall = floor.walls.find(candidate => candidate.id === door.wallId);
+            if (!wall) return;
+            this.drawDoor(sheet, door, this.getWallFrame(wall));
+        });
+
+        floor.windows.forEach(window => {
+            const wall = floor.walls.find(candidate => candidate.id === window.wallId);
+            if (!wall) return;
+            const outwardSide = this.editor.roomDetector.getOutwardSide(detected.rooms, wall);
+            this.drawWindow(sheet, window, this.getWallFrame(wall), outwardSide);
+        });
+    }
+
+    /**
+     * Door symbol in the opening's frame: x along the wall from the opening center, y across it,
+     * matching the editor's canvas symbols
+     */
+    drawDoor(sheet, door, frame) {
+        const center = door.position * frame.length;
+        const toSheet = ([x, y]) => sheet.toSheet(this.wallPoint(frame, center + x, y));
+        const line = (points, style = {}) => this.addPath(sheet, [{ points: points.map(toSheet), closed: false }],
+            { stroke: COLORS.ink, width: PEN.medium, ...style });
+        const arc = (cx, cy, radius, start, end) => line(this.getArcPoints(cx, cy, radius, start, end), { width: PEN.light });
+
+        const width = door.width;
+        const half = width / 2;
+        const direction = door.swingDirection || 1;
+
+        switch (door.style || 'swing') {
+            case 'pocket':
+                // Panel partly out of its pocket, the pocket dashed inside the wall
+                line([[-half - width * 0.85, 0], [-half, 0]], { stroke: COLORS.paper, dash: [0.04, 0.03] });
+                line([[-half, 0], [-half + width * 0.15, 0]], { width: PEN.heavy });
+                break;
+            case 'bifold': {
+                // Two leaves folded toward each jamb
+                const depth = direction * Math.sqrt((width / 4) ** 2 - (width / 8) ** 2);
+                line([[-half, 0], [-half + width / 8, depth], [-half + width / 4, 0]]);
+                line([[half, 0], [half - width / 8, depth], [half - width / 4, 0]]);
+                break;
+            }
+            case 'double':
+                // Two leaves, each swinging from its own jamb
+                if (direction === 1) {
+                    line([[-half, 0], [-half, half]]);
+                    line([[half, 0], [half, half]]);
+                    arc(-half, 0, half, 0, Math.PI / 2);
+                    arc(half, 0, half, Math.PI, Math.PI / 2);
+                } else {
+                    line([[-half, 0], [-half, -half]]);
+                    line([[half, 0], [half, -half]]);
+                    arc(-half, 0, half, 0, -Math.PI / 2);
+                    arc(half, 0, half, Math.PI, 3 * Math.PI / 2);
+                }
+                break;
+            default:
+                // Leaf open square to the wall with its swing arc back to the far jamb
+                if (direction === 1) {
+                    line([[-half, 0], [-half, width]]);
+                    arc(-half, 0, width, 0, Math.PI / 2);
+                } else {
+                    line([[half, 0], [half, width]]);
+                    arc(half, 0, width, Math.PI, Math.PI / 2);
+                }
+        }
+    }
+
+    /**
+     * Window symbol: jambs and wall faces across the opening plus the sashes for the window type
+     * @param {number} outwardSide - 1 if the wall's left-hand normal points outside (see RoomDetector.getOutwardSide)
+     */
+    drawWindow(sheet, window, frame, outwardSide) {
+        const center = window.position * frame.length;
+        const toSheet = ([x, y]) => sheet.toSheet(this.wallPoint(frame, center + x, y));
+        const line = (points, style = {}) => this.addPath(sheet, [{ points: points.map(toSheet), closed: false }],
+            { stroke: COLORS.ink, width: PEN.light, ...style });
+
+        const half = window.width / 2;
+        const face = frame.half;
+        const out = outwardSide * face;
+
+        line([[-half, -face], [half, -face]]);
+        line([[-half, face], [half, face]]);
+        line([[-half, -face], [-half, face]], { width: PEN.medium });
+        line([[half, -face], [half, face]], { width: PEN.medium });
+
+        switch (getWindowType(window).value) {
+            case 'casement': {
+                // Glass line plus each sash swung outward from its hinge
+                const leaves = Math.max(1, Math.round(window.width / 2.5));
+                const leaf = window.width / leaves;
+                const openAngle = outwardSide * Math.PI / 6;
+                line([[-half, 0], [half, 0]], { width: PEN.medium });
+                for (let i = 0; i < leaves; i++) {
+                    const hinge = -half + i * leaf;
+                    line([[hinge, out], [hinge + leaf * Math.cos(openAngle), out + leaf * Math.sin(openAngle)]]);
+                    line(this.getArcPoints(hinge, out, leaf, 0, openAngle), { dash: [0.03, 0.03] });
+                }
+                break;
+            }
+            case 'slider':
+                // Two overlapping sashes in separate tracks
+                line([[-half, -face / 3], [window.width * 0.05, -face / 3]], { width: PEN.medium });
+                line([[-window.width * 0.05, face / 3], [half, face / 3]], { width: PEN.medium });
+                break;
+            case 'picture':
+                line([[-half, 0], [half, 0]], { width: PEN.heavy });
+                break;
+            case 'bay': {
+                // Angled side panels and a center panel projecting 2 ft outside the wall
+                const depth = out + outwardSide * 2;
+                line([[-half, out], [-half * 0.6, depth], [half * 0.6, depth], [half, out]], { width: PEN.medium });
+                line([[-half, 0], [half, 0]], { width: PEN.medium });
+                break;
+            }
+            case 'transom':
+                // High window above the plan cut
+                line([[-half, 0], [half, 0]], { width: PEN.medium, dash: [0.04, 0.03] });
+                break;
+            default:
+                // Double-hung: two sashes side by side
+                line([[-half, -face / 3], [half, -face / 3]], { width: PEN.medium });
+                line([[-half, face / 3], [half, face / 3]], { width: PEN.medium });
+        }
+    }
+
+    drawRoomLabels(sheet, rooms) {
+        rooms.forEach(room => {
+            const point = sheet.toSheet(room.labelPoint);
+            const title = (room.name || this.editor.getRoomTypeLabel(room.type)).toUpperCase();
+            if (title) {
+                this.addText(sheet, point.x, point.y - 0.08, title, { size: 0.125, bold: true });
+            }
+            this.addText(sheet, point.x, title ? point.y + 0.08 : point.y, `${Math.round(room.area)} SQ FT`, { size: 0.09 });
+        });
+    }
+
+    drawStairs(sheet, stairs, stairwells) {
+        // Openings for the stairs coming up from below, then this floor's treads with their UP arrows
+        stairwells.forEach(stair => {
+            this.addPath(sheet, [{ points: stair.outline.map(sheet.toSheet), closed: true }],
+                { stroke: COLORS.stair, width: PEN.light, dash: [0.06, 0.04] });
+            const top = sheet.toSheet(stair.path[stair.path.length - 1]);
+            this.addText(sheet, top.x, top.y, 'DN', { size: 0.09, bold: true, color: COLORS.stair });
+        });
+
+        stairs.forEach(stair => {
+            stair.steps.forEach(step => {
+                this.addPath(sheet, [{ points: step.points.map(sheet.toSheet), closed: true }], { stroke: COLORS.stair, width: PEN.light });
+            });
+            this.addPath(sheet, [{ points: stair.outline.map(sheet.toSheet), closed: true }], { stroke: COLORS.ink, width: PEN.medium });
+
+            const path = stair.path.map(sheet.toSheet);
+            const end = path[path.length - 1];
+            const before = path[path.length - 2];
+            const angle = Math.atan2(end.y - before.y, end.x - before.x);
+            this.addPath(sheet, [{ points: path, closed: false }], { stroke: COLORS.ink, width: PEN.light });
+            this.addPath(sheet, [{
+                points: [
+                    end,
+                    { x: end.x - 0.1 * Math.cos(angle - 0.4), y: end.y - 0.1 * Math.sin(angle - 0.4) },
+                    { x: end.x - 0.1 * Math.cos(angle + 0.4), y: end.y - 0.1 * Math.sin(angle + 0.4) }
+                ],
+                closed: true
+            }], { fill: COLORS.ink });
+            this.addText(sheet, path[0].x, path[0].y - 0.1, 'UP', { size: 0.09, bold: true });
+        });
+    }
+
+    drawPatios(sheet, floor) {
+        (floor.patios || []).forEach(patio => {
+            const corners = [
+                { x: patio.x, y: patio.y },
+                { x: patio.x + patio.width, y: patio.y },
+                { x: patio.x + patio.width, y: patio.y + patio.height },
+                { x: patio.x, y: patio.y + patio.height }
+            ];
+            this.addPath(sheet, [{ points: corners.map(sheet.toSheet), closed: true }],
+                { stroke: COLORS.patio, width: PEN.medium, dash: patio.hasRoof ? null : [0.08, 0.04] });
+
+            const center = sheet.toSheet({ x: patio.x + patio.width / 2, y: patio.y + patio.height / 2 });
+            this.addText(sheet, center.x, center.y - 0.08, patio.hasRoof ? 'COVERED PATIO' : 'PATIO', { size: 0.1, bold: true, color: COLORS.patio });
+            this.addText(sheet, center.x, center.y + 0.08, `${formatDimension(patio.width)} × ${formatDimension(patio.height)}`,
+                { size: 0.08, color: COLORS.patio });
+        });
+    }
+
+    drawDimensions(sheet, floor, detected) {
+        // A string along the outside of every exterior wall, then overall strings across the top and down the left
+        const inchesPerFoot = sheet.inchesPerFoot;
+
+        floor.walls.forEach((wall, wallIndex) => {
+            if (!this.isExteriorWall(floor, detected, wallIndex)) return;
+            const frame = this.getWallFrame(wall);
+            if (frame.length < 0.5) return;
+
+            const outwardSide = this.editor.roomDetector.getOutwardSide(detected.rooms, wall);
+            const normal = { x: frame.n.x * outwardSide, y: frame.n.y * outwardSide };
+            this.addDimension(sheet, sheet.toSheet(frame.start), sheet.toSheet({ x: wall.endX, y: wall.endY }), normal,
+                frame.half * inchesPerFoot + DIMENSION_OFFSET, frame.half * inchesPerFoot + EXTENSION_GAP, frame.length);
+        });
+
+        const xs = floor.walls.flatMap(wall => [wall.startX, wall.endX]);
+        const ys = floor.walls.flatMap(wall => [wall.startY, wall.endY]);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const clearance = (this.wallThickness / 2) * inchesPerFoot;
+        const offset = clearance + DIMENSION_OFFSET + DIMENSION_SPACING;
+
+        if (maxX - minX >= 0.5) {
+            this.addDimension(sheet, sheet.toSheet({ x: minX, y: minY }), sheet.toSheet({ x: maxX, y: minY }), { x: 0, y: -1 },
+                offset, clearance + EXTENSION_GAP, maxX - minX);
+        }
+        if (maxY - minY >= 0.5) {
+            this.addDimension(sheet, sheet.toSheet({ x: minX, y: maxY }), sheet.toSheet({ x: minX, y: minY }), { x: -1, y: 0 },
+                offset, clearance + EXTENSION_GAP, maxY - minY);
+        }
+    }
+
+    /**
+     * Dimension string between two sheet points: extension lines, dimension line, tick marks and text
+     * @param {Object} normal - Unit direction from the measured points to the dimension line
+     * @param {number} offset - Measured points to the dimension line (inches)
+     * @param {number} gap - Measured points to the start of the extension lines (inches)
+     * @param {number} length - Measured length (feet)
+     */
+    addDimension(sheet, a, b, normal, offset, gap, length) {
+        const shift = (point, distance) => ({ x: point.x + normal.x * distance, y: point.y + normal.y * distance });
+        const start = shift(a, offset);
+        const end = shift(b, offset);
+        const stroke = { stroke: COLORS.ink, width: PEN.light };
+
+        this.addPath(sheet, [
+            { points: [shift(a, gap), shift(a, offset + TICK_SIZE)], closed: false },
+            { points: [shift(b, gap), shift(b, offset + TICK_SIZE)], closed: false },
+            { points: [start, end], closed: false }
+        ], stroke);
+
+        // 45° ticks across each end
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const span = Math.sqrt(dx * dx + dy * dy) || 1;
+        const tick = {
+            x: (dx / span + normal.x) / Math.SQRT2 * TICK_SIZE,
+            y: (dy / span + normal.y) / Math.SQRT2 * TICK_SIZE
+        };
+        this.addPath(sheet, [start, end].map(point => ({
+            points: [{ x: point.x - tick.x, y: point.y - tick.y }, { x: point.x + tick.x, y: point.y + tick.y }],
+            closed: false
+        })), { stroke: COLORS.ink, width: PEN.medium });
+
+        // Text on the far side of the line, turned to read from the bottom or the right
+        let angle = Math.atan2(dy, dx);
+        if (angle > Math.PI / 2 + 0.001) angle -= Math.PI;
+        if (angle <= -Math.PI / 2 - 0.001) angle += Math.PI;
+        const size = 0.09;
+        const mid = shift({ x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 }, size * 0.5 + 0.03);
+        this.addText(sheet, mid.x, mid.y, formatDimension(length), { size, angle });
+    }
+
+    drawTitleBlock(sheet, fields) {
+        const left = SHEET_MARGIN;
+        const right = sheet.width - SHEET_MARGIN;
+        const top = sheet.height - SHEET_MARGIN - TITLE_BLOCK_HEIGHT;
+        const bottom = sheet.height - SHEET_MARGIN;
+
+        // Sheet border, then the title block strip along the bottom
+        const rectangle = (x1, y1, x2, y2) => ({
+            points: [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }],
+            closed: true
+        });
+        this.addPath(sheet, [rectangle(left, SHEET_MARGIN, right, bottom)], { stroke: COLORS.ink, width: PEN.heavy });
+        this.addPath(sheet, [rectangle(left, top, right, bottom)], { stroke: COLORS.ink, width: PEN.heavy });
+
+        const cells = [
+            { caption: 'NORTH', share: 0.08 },
+            { caption: 'PROJECT', value: fields.project, share: 0.32 },
+            { caption: 'DRAWING', value: fields.drawing, share: 0.24 },
+            { caption: 'SCALE', value: fields.scale, share: 0.14 },
+            { caption: 'DATE', value: fields.date, share: 0.12 },
+            { caption: 'SHEET', value: fields.sheetNumber, share: 0.10 }
+        ];
+
+        let x = left;
+        cells.forEach((cell, i) => {
+            const width = (right - left) * cell.share;
+            if (i > 0) {
+                this.addPath(sheet, [{ points: [{ x, y: top }, { x, y: bottom }], closed: false }], { stroke: COLORS.ink, width: PEN.medium });
+            }
+            this.addText(sheet, x + 0.08, top + 0.15, cell.caption, { size: 0.07, anchor: 'start' });
+
+            if (cell.caption === 'NORTH') {
+                this.drawNorthArrow(sheet, x + width / 2, (top + bottom) / 2 + 0.08, Math.min(width / 2 - 0.1, 0.3));
+            } else {
+                // Long values are cut to their cell
+                const size = cell.caption === 'SHEET' ? 0.3 : 0.16;
+                const maxWidth = width - 0.16;
+                let text = cell.value;
+                while (text.length > 4 && this.estimateTextWidth(text, size, true) > maxWidth) {
+                    text = text.slice(0, -4) + '...';
+                }
+                this.addText(sheet, x + 0.08, (top + bottom) / 2 + 0.1, text, { size, bold: true, anchor: 'start' });
+            }
+            x += width;
+        });
+    }
+
+    drawNorthArrow(sheet, cx, cy, radius) {
+        // Circle with a half-filled arrow pointing up the sheet (plan north)
+        this.addPath(sheet, [{ points: this.getArcPoints(cx, cy, radius, 0, Math.PI * 2, 32).map(([x, y]) => ({ x, y })), closed: true }],
+            { stroke: COLORS.ink, width: PEN.medium });
+        const tip = { x: cx, y: cy - radius * 0.9 };
+        const tail = { x: cx, y: cy + radius * 0.4 };
+        this.addPath(sheet, [{ points: [tip, { x: cx - radius * 0.45, y: cy + radius * 0.7 }, tail], closed: true }],
+            { stroke: COLORS.ink, width: PEN.light });
+        this.addPath(sheet, [{ points: [tip, { x: cx + radius * 0.45, y: cy + radius * 0.7 }, tail], closed: true }],
+            { fill: COLORS.ink, stroke: COLORS.ink, width: PEN.light });
+        this.addText(sheet, cx, cy - radius - 0.1, 'N', { size: 0.12, bold: true });
+    }
+
+    /**
+     * Polyline points [x, y] along a circular arc (angles in radians, y down like the canvas)
+     */
+    getArcPoints(cx, cy, radius, start, end, segments = 16) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = start + (end - start) * (i / segments);
+            points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+        }
+        return points;
+    }
+
+    addPath(sheet, subpaths, style = {}) {
+        sheet.items.push({
+            type: 'path',
+            subpaths,
+            fill: style.fill || null,
+            stroke: style.stroke || null,
+            width: style.width || PEN.light,
+            dash: style.dash || null
+        });
+    }
+
+    addText(sheet, x, y, text, style = {}) {
+        sheet.items.push({
+            type: 'text',
+            x,
+            y,
+            text,
+            size: style.size || 0.1,
+            bold: style.bold || false,
+            anchor: style.anchor || 'middle',
+            angle: style.angle || 0,
+            color: style.color || COLORS.ink
+        });
+    }
+
+    /**
+     * Approximate width of Helvetica text, for placing PDF text and fitting the title block
+     * @param {string} text - Text
+     * @param {number} size - Font size (any unit)
+     * @param {boolean} bold - Bold face
+     * @returns {number} Width in the same unit as size
+     */
+    estimateTextWidth(text, size, bold = false) {
+        const width = [...text].reduce((sum, char) => {
+            if (char === ' ') return sum + 0.278;
+            if (/[.,:;'"!|il]/.test(char)) return sum + 0.25;
+            if (/[0-9]/.test(char)) return sum + 0.556;
+            if (/[A-Z]/.test(char)) return sum + (bold ? 0.722 : 0.667);
+            if (/[a-z]/.test(char)) return sum + (bold ? 0.58 : 0.52);
+            return sum + 0.55;
+        }, 0);
+        return width * size;
+    }
+
+    /**
+     * Sheet as an SVG document sized in inches
+     * @param {Object} sheet - Sheet from buildSheet
+     * @returns {string} SVG markup
+     */
+    toSVG(sheet) {
+        const number = value => Number(value.toFixed(4));
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        const body = sheet.items.map(item => {
+            if (item.type === 'text') {
+                const rotate = item.angle ? ` transform="rotate(${number(item.angle * 180 / Math.PI)} ${number(item.x)} ${number(item.y)})"` : '';
+                return `<text x="${number(item.x)}" y="${number(item.y)}" font-size="${number(item.size)}"` +
+                       `${item.bold ? ' font-weight="bold"' : ''} text-anchor="${item.anchor}" dominant-baseline="central"` +
+                       ` fill="${item.color}"${rotate}>${escape(item.text)}</text>`;
+            }
+
+            const d = item.subpaths.map(({ points, closed }) =>
+                points.map((point, i) => `${i === 0 ? 'M' : 'L'}${number(point.x)} ${number(point.y)}`).join(' ') + (closed ? ' Z' : '')
+            ).join(' ');
+            return `<path d="${d}" fill="${item.fill || 'none'}" fill-rule="evenodd"` +
+                   (item.stroke ? ` stroke="${item.stroke}" stroke-width="${number(item.width)}"` : '') +
+                   (item.dash ? ` stroke-dasharray="${item.dash.map(number).join(' ')}"` : '') + '/>';
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${sheet.width}in" height="${sheet.height}in" viewBox="0 0 ${sheet.width} ${sheet.height}">`,
+            `<rect width="${sheet.width}" height="${sheet.height}" fill="${COLORS.paper}"/>`,
+            '<g font-family="Helvetica, Arial, sans-serif" stroke-linecap="round" stroke-linejoin="round">',
+            ...body,
+            '</g>',
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Sheets as a PDF document, one page each, with vector line work and the built-in Helvetica fonts
+     * @param {Array} sheets - Sheets from buildSheet
+     * @returns {Uint8Array} PDF file contents
+     */
+    toPDF(sheets) {
+        const number = value => Number(value.toFixed(3)).toString();
+        const color = (hex, operator) => {
+            const value = parseInt(hex.slice(1), 16);
+            return `${number((value >> 16 & 255) / 255)} ${number((value >> 8 & 255) / 255)} ${number((value & 255) / 255)} ${operator}`;
+        };
+        // WinAnsiEncoding: Latin-1 (×, °) plus the Windows-1252 extras such as curly quotes and dashes;
+        // anything else, and the control codes 0x80-0x9F, is replaced
+        const encode = text => [...String(text)].map(char => {
+            if (WIN_ANSI_CODES[char]) return String.fromCharCode(WIN_ANSI_CODES[char]);
+            const code = char.charCodeAt(0);
+            return code < 128 || (code >= 160 && code < 256) ? char : '?';
+        }).join('')
+            .replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+        const contents = sheets.map(sheet => {
+            const toPage = point => `${number(point.x * 72)} ${number((sheet.height - point.y) * 72)}`;
+            const ops = ['1 J 1 j'];
+
+            sheet.items.forEach(item => {
+                if (item.type === 'text') {
+                    const size = item.size * 72;
+                    const angle = -item.angle;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    const width = this.estimateTextWidth(item.text, size, item.bold);
+                    const dx = item.anchor === 'middle' ? -width / 2 : (item.anchor === 'end' ? -width : 0);
+                    const dy = -size * 0.35;
+                    const x = item.x * 72 + cos * dx - sin * dy;
+                    const y = (sheet.height - item.y) * 72 + sin * dx + cos * dy;
+                    ops.push(`BT ${color(item.color, 'rg')} /${item.bold ? 'F2' : 'F1'} ${number(size)} Tf ` +
+                             `${number(cos)} ${number(sin)} ${number(-sin)} ${number(cos)} ${number(x)} ${number(y)} Tm (${encode(item.text)}) Tj ET`);
+                    return;
+                }
+
+                const path = item.subpaths.map(({ points, closed }) =>
+                    points.map((point, i) => `${toPage(point)} ${i === 0 ? 'm' : 'l'}`).join(' ') + (closed ? ' h' : '')
+                ).join(' ');
+                const style = [];
+                if (item.fill) style.push(color(item.fill, 'rg'));
+                if (item.stroke) {
+                    style.push(color(item.stroke, 'RG'), `${number(item.width * 72)} w`,
+                        item.dash ? `[${item.dash.map(value => number(value * 72)).join(' ')}] 0 d` : '[] 0 d');
+                }
+                const paint = item.fill && item.stroke ? 'B*' : (item.fill ? 'f*' : 'S');
+                ops.push(`${style.join(' ')} ${path} ${paint}`);
+            });
+
+            return ops.join('\n');
+        });
+
+        // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per sheet
+        const objects = [];
+        const pageIds = sheets.map((sheet, i) => 5 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${sheets.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        sheets.forEach((sheet, i) => {
+            const pageId = pageIds[i];
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(sheet.width * 72)} ${number(sheet.height * 72)}] ` +
+                              `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${contents[i].length} >>\nstream\n${contents[i]}\nendstream`;
+        });
+
+        // Every character is one byte, so string lengths are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Floors to put on sheets: the current one, or every floor that has walls
+     * @param {Object} options - { allFloors }
+     * @returns {Array} Floor indices
+     */
+    getSheetFloors(options = {}) {
+        const editor = this.editor;
+        const indices = options.allFloors
+            ? editor.floors.map((floor, i) => i).filter(i => editor.floors[i].walls.length > 0)
+            : [editor.currentFloor];
+        if (indices.length === 0 || editor.floors[indices[0]].walls.length === 0) {
+            throw new Error('Draw some walls first - there is no floor plan to export.');
+        }
+        return indices;
+    }
+
+    /**
+     * Download the sheets as one PDF
+     * @param {Object} options - { scale, size, allFloors, title }
+     */
+    downloadPDF(options = {}) {
+        const sheets = this.getSheetFloors(options).map(floorIndex => this.buildSheet(floorIndex, options));
+        this.downloadFile(this.toPDF(sheets), `floor-plan-sheets-${Date.now()}.pdf`, 'application/pdf');
+        console.log(`✅ Plan sheets exported as PDF (${sheets.length} sheet${sheets.length === 1 ? '' : 's'})`);
+    }
+
+    /**
+     * Download each sheet as its own SVG
+     * @param {Object} options - { scale, size, allFloors, title }
+     */
+    downloadSVG(options = {}) {
+        const floorIndices = this.getSheetFloors(options);
+        // Lay out every sheet before downloading any, so a floor that doesn't fit stops the whole export
+        const sheets = floorIndices.map(floorIndex => this.buildSheet(floorIndex, options));
+        const stamp = Date.now();
+        sheets.forEach((sheet, i) => {
+            this.downloadFile(this.toSVG(sheet), `floor-plan-sheet-${floorIndices[i] + 1}-${stamp}.svg`, 'image/svg+xml');
+        });
+        console.log(`✅ Plan sheets exported as SVG (${sheets.length} sheet${sheets.length === 1 ? '' : 's'})`);
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
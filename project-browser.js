@@ -0,0 +1,571 @@
+// project-browser.js
+// Multi-project workspace - create, duplicate, edit, delete and open locally stored projects
+
+import { escapeHTML } from './html-escape.js';
+
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_HEIGHT = 160;
+const PROJECT_DESIGN_VERSION = '4.1-Project';
+
+export class ProjectBrowser {
+    /**
+     * @param {FloorPlanEditor} editor - Editor the projects are loaded into
+     * @param {ThreeJSGenerator} generator - 3D generator used for thumbnails
+     * @param {ProjectStorage} storage - Storage backend
+     * @param {Object} options - { onOpen: called with the loaded design, autosave: AutosaveManager to tag with the project id }
+     */
+    constructor(editor, generator, storage, options = {}) {
+        this.editor = editor;
+        this.generator = generator;
+        this.storage = storage;
+        this.onOpen = options.onOpen || null;
+        this.autosave = options.autosave || null;
+
+        // Metadata of the open project (the design lives in the editor)
+        this.currentProject = null;
+        this.modal = null;
+        this.searchText = '';
+    }
+
+    /**
+     * Show the project browser
+     */
+    async show() {
+        this.close();
+
+        const modal = document.createElement('div');
+        modal.className = 'project-browser-overlay';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+            background: rgba(0, 0, 0, 0.7); display: flex;
+            align-items: center; justify-content: center;
+            z-index: 1000000; padding: 20px;
+        `;
+
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 16px; max-width: 820px; width: 100%; max-height: 85vh; display: flex; flex-direction: column; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);">
+                <div style="padding: 20px 24px; border-bottom: 2px solid #e0e0e0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 22px; color: #2c3e50;">📁 Projects</h2>
+                    <button class="close-modal-btn" style="background: none; border: none; font-size: 28px; color: #999; cursor: pointer;">✕</button>
+                </div>
+
+                <div style="padding: 16px 24px; border-bottom: 1px solid #f0f0f0; display: flex; gap: 12px; align-items: center; flex-wrap: wrap;">
+                    <div class="project-current" style="flex: 1; min-width: 200px; font-size: 14px; color: #555;"></div>
+                    <button class="project-save-btn" style="padding: 10px 16px; background: #e0e0e0; color: #333; border: none; border-radius: 8px; font-weight: 600; cursor: pointer;">💾 Save</button>
+                    <button class="project-new-btn" style="padding: 10px 16px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer;">➕ New Project</button>
+                </div>
+
+                <form class="project-form" style="display: none; padding: 16px 24px; background: #f9fafb; border-bottom: 1px solid #f0f0f0;">
+                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 12px;">
+                        <input name="name" placeholder="Project name" required style="padding: 10px; border: 1px solid #ddd; border-radius: 8px; font-size: 14px;">
+                        <input name="client" placeholder="Client" style="padding: 10px; border: 1px solid #ddd; border-radius: 8px; font-size: 14px;">
+                        <input name="address" placeholder="Site address" style="padding: 10px; border: 1px solid #ddd; border-radius: 8px; font-size: 14px;">
+                    </div>
+                    <label class="project-form-from-current" style="display: flex; gap: 8px; align-items: center; margin-top: 12px; font-size: 14px; color: #555;">
+                        <input type="checkbox" name="fromCurrentPlan"> Start from the current plan
+                    </label>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 12px;">
+                        <button type="button" class="project-form-cancel" style="padding: 10px 16px; background: #e0e0e0; color: #333; border: none; border-radius: 8px; font-weight: 600; cursor: pointer;">Cancel</button>
+                        <button type="submit" class="project-form-submit" style="padding: 10px 16px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer;">Create</button>
+                    </div>
+                </form>
+
+                <div style="padding: 12px 24px 0 24px;">
+                    <input class="project-search" type="search" placeholder="Search by name, client or address" style="width: 100%; box-sizing: border-box; padding: 10px; border: 1px solid #ddd; border-radius: 8px; font-size: 14px;">
+                </div>
+
+                <div class="project-list" style="padding: 16px 24px 24px 24px; overflow-y: auto; display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 16px;"></div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        // Event listeners
+        modal.querySelector('.close-modal-btn').onclick = () => this.close();
+        modal.onclick = (e) => {
+            if (e.target === modal) this.close();
+        };
+
+        modal.querySelector('.project-new-btn').onclick = () => this.showForm('create');
+        modal.querySelector('.project-save-btn').onclick = () => {
+            if (this.currentProject) {
+                this.saveCurrentProject().then(() => this.renderList());
+            } else {
+                this.showForm('create', { fromCurrentPlan: true });
+            }
+        };
+        modal.querySelector('.project-form-cancel').onclick = () => this.hideForm();
+        modal.querySelector('.project-form').onsubmit = (e) => {
+            e.preventDefault();
+            this.submitForm();
+        };
+
+        const search = modal.querySelector('.project-search');
+        search.value = this.searchText;
+        search.oninput = () => {
+            this.searchText = search.value;
+            this.renderList();
+        };
+
+        this.updateCurrentLabel();
+        await this.renderList();
+    }
+
+    /**
+     * Close the project browser
+     */
+    close() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Show the create/edit form
+     * @param {string} mode - 'create' or 'edit'
+     * @param {Object} values - Prefilled values ({ id, name, client, address, fromCurrentPlan })
+     */
+    showForm(mode, values = {}) {
+        const form = this.modal?.querySelector('.project-form');
+        if (!form) return;
+
+        const hasContent = this.planHasContent();
+        form.dataset.mode = mode;
+        form.dataset.projectId = values.id || '';
+        form.elements.name.value = values.name || '';
+        form.elements.client.value = values.client || '';
+        form.elements.address.value = values.address || '';
+        form.elements.fromCurrentPlan.checked = values.fromCurrentPlan ?? (!this.currentProject && hasContent);
+        form.querySelector('.project-form-from-current').style.display = mode === 'create' && hasContent ? 'flex' : 'none';
+        form.querySelector('.project-form-submit').textContent = mode === 'create' ? 'Create' : 'Save';
+        form.style.display = 'block';
+        form.elements.name.focus();
+    }
+
+    /**
+     * Hide the create/edit form
+     */
+    hideForm() {
+        const form = this.modal?.querySelector('.project-form');
+        if (form) {
+            form.style.display = 'none';
+        }
+    }
+
+    /**
+     * Create or update a project from the form
+     */
+    async submitForm() {
+        const form = this.modal?.querySelector('.project-form');
+        if (!form) return;
+
+        const fields = {
+            name: form.elements.name.value.trim(),
+            client: form.elements.client.value.trim(),
+            address: form.elements.address.value.trim()
+        };
+        if (!fields.name) {
+            alert('Please enter a project name.');
+            return;
+        }
+
+        try {
+            if (form.dataset.mode === 'edit') {
+                await this.updateProjectDetails(form.dataset.projectId, fields);
+            } else {
+                const fromCurrentPlan = form.elements.fromCurrentPlan.checked;
+                const created = await this.createProject(fields, fromCurrentPlan);
+                if (!created) return;
+            }
+            this.hideForm();
+            this.updateCurrentLabel();
+            await this.renderList();
+        } catch (error) {
+            console.error('❌ Failed to save project:', error);
+            alert(`Could not save project:\n${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the project list
+     */
+    async renderList() {
+        const list = this.modal?.querySelector('.project-list');
+        if (!list) return;
+
+        let projects;
+        try {
+            projects = await this.storage.listProjects();
+        } catch (error) {
+            console.error('❌ Failed to load projects:', error);
+            list.innerHTML = `<p style="color: #c0392b;">Could not load projects: ${escapeHTML(error.message)}</p>`;
+            return;
+        }
+
+        const query = this.searchText.trim().toLowerCase();
+        const matches = projects.filter(project => !query ||
+            [project.name, project.client, project.address].some(value => (value || '').toLowerCase().includes(query))
+        );
+
+        if (matches.length === 0) {
+            list.innerHTML = `<p style="color: #999; grid-column: 1 / -1; text-align: center;">
+                ${projects.length === 0 ? 'No projects yet. Create one to get started.' : 'No projects match your search.'}
+            </p>`;
+            return;
+        }
+
+        list.innerHTML = matches.map(project => {
+            const isCurrent = project.id === this.currentProject?.id;
+            const details = [project.client, project.address].filter(Boolean).map(escapeHTML).join(' · ');
+            const created = project.created ? `Created ${new Date(project.created).toLocaleDateString()} · ` : '';
+            const modified = project.modified ? new Date(project.modified).toLocaleString() : '';
+            // Thumbnails come back from storage and imported projects, so they're escaped like the text
+            const thumbnail = project.thumbnail
+                ? `<img src="${escapeHTML(project.thumbnail)}" alt="" style="width: 100%; height: 100%; object-fit: cover;">`
+                : '<span style="font-size: 40px;">🏠</span>';
+
+            return `
+                <div class="project-card" data-id="${escapeHTML(project.id)}" style="border: 2px solid ${isCurrent ? '#667eea' : '#e0e0e0'}; border-radius: 12px; overflow: hidden; display: flex; flex-direction: column;">
+                    <div style="height: 130px; background: #f0f2f5; display: flex; align-items: center; justify-content: center;">${thumbnail}</div>
+                    <div style="padding: 12px; flex: 1;">
+                        <div style="font-weight: 700; color: #2c3e50;">${escapeHTML(project.name)}${isCurrent ? ' <span style="color: #667eea; font-size: 12px;">(open)</span>' : ''}</div>
+                        <div style="font-size: 13px; color: #555; margin-top: 4px; min-height: 18px;">${details}</div>
+                        <div style="font-size: 12px; color: #999; margin-top: 4px;">${created}Modified ${modified}</div>
+                    </div>
+                    <div style="display: flex; border-top: 1px solid #f0f0f0;">
+                        <button data-action="open" style="flex: 1; padding: 8px; border: none; background: none; cursor: pointer; font-weight: 600; color: #667eea;">Open</button>
+                        <button data-action="duplicate" title="Duplicate" style="padding: 8px 10px; border: none; background: none; cursor: pointer;">📋</button>
+                        <button data-action="edit" title="Rename / edit details" style="padding: 8px 10px; border: none; background: none; cursor: pointer;">✏️</button>
+                        <button data-action="delete" title="Delete" style="padding: 8px 10px; border: none; background: none; cursor: pointer;">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.project-card button').forEach(button => {
+            button.onclick = () => {
+                const id = button.closest('.project-card').dataset.id;
+                const project = matches.find(p => p.id === id);
+                this.handleCardAction(button.dataset.action, project);
+            };
+        });
+    }
+
+    /**
+     * Run a project card button
+     * @param {string} action - open, duplicate, edit or delete
+     * @param {Object} project - Project record
+     */
+    async handleCardAction(action, project) {
+        try {
+            if (action === 'open') {
+                if (await this.openProject(project.id)) {
+                    this.close();
+                }
+            } else if (action === 'duplicate') {
+                await this.duplicateProject(project.id);
+                await this.renderList();
+            } else if (action === 'edit') {
+                this.showForm('edit', project);
+            } else if (action === 'delete') {
+                if (confirm(`Delete project "${project.name}"? This cannot be undone.`)) {
+                    await this.deleteProject(project.id);
+                    this.updateCurrentLabel();
+                    await this.renderList();
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Project ${action} failed:`, error);
+            alert(`Could not ${action} project:\n${error.message}`);
+        }
+    }
+
+    /**
+     * Create a project, either blank or from the plan currently in the editor
+     * @param {Object} fields - { name, client, address }
+     * @param {boolean} fromCurrentPlan - Keep the current plan instead of starting blank
+     * @returns {Promise<Object|null>} New project, or null if the user cancelled
+     */
+    async createProject(fields, fromCurrentPlan = false) {
+        if (!fromCurrentPlan) {
+            if (!(await this.leaveCurrentPlan())) return null;
+            this.loadDesign({ version: PROJECT_DESIGN_VERSION, floors: [{ walls: [] }] });
+        }
+
+        const now = new Date().toISOString();
+        const project = {
+            id: createProjectId(),
+            name: fields.name,
+            client: fields.client || '',
+            address: fields.address || '',
+            created: now,
+            modified: now,
+            thumbnail: fromCurrentPlan ? await this.captureThumbnail() : null,
+            design: this.createDesign()
+        };
+
+        await this.storage.saveProject(project);
+        this.setCurrentProject(project);
+        this.editor.showToast?.(`📁 Created project "${project.name}"`, 'success');
+        console.log('✅ Project created:', project.name);
+        return project;
+    }
+
+    /**
+     * Save the editor's plan into the open project
+     * @returns {Promise<Object|null>} Saved project, or null if no project is open
+     */
+    async saveCurrentProject() {
+        if (!this.currentProject) return null;
+
+        const stored = await this.storage.getProject(this.currentProject.id);
+        const project = {
+            ...(stored || this.currentProject),
+            design: this.createDesign(),
+            thumbnail: await this.captureThumbnail() || stored?.thumbnail || null,
+            modified: new Date().toISOString()
+        };
+
+        await this.storage.saveProject(project);
+        this.setCurrentProject(project);
+        this.editor.showToast?.(`💾 Saved "${project.name}"`, 'success');
+        console.log('✅ Project saved:', project.name);
+        return project;
+    }
+
+    /**
+     * Open a project in the editor
+     * @param {string} id - Project id
+     * @returns {Promise<boolean>} True if the project was opened
+     */
+    async openProject(id) {
+        if (this.currentProject?.id === id) {
+            return true;
+        }
+
+        const project = await this.storage.getProject(id);
+        if (!project) {
+            throw new Error('Project no longer exists.');
+        }
+        if (!(await this.leaveCurrentPlan())) return false;
+
+        this.loadDesign(project.design);
+        this.setCurrentProject(project);
+        console.log('✅ Project opened:', project.name);
+        return true;
+    }
+
+    /**
+     * Copy a project under a new id
+     * @param {string} id - Project id
+     * @returns {Promise<Object>} The copy
+     */
+    async duplicateProject(id) {
+        // Include unsaved edits when copying the open project
+        if (this.currentProject?.id === id) {
+            await this.saveCurrentProject();
+        }
+
+        const project = await this.storage.getProject(id);
+        if (!project) {
+            throw new Error('Project no longer exists.');
+        }
+
+        const now = new Date().toISOString();
+        const copy = {
+            ...JSON.parse(JSON.stringify(project)),
+            id: createProjectId(),
+            name: `${project.name} (copy)`,
+            created: now,
+            modified: now
+        };
+
+        await this.storage.saveProject(copy);
+        console.log('✅ Project duplicated:', copy.name);
+        return copy;
+    }
+
+    /**
+     * Rename a project or change its client/address
+     * @param {string} id - Project id
+     * @param {Object} fields - { name, client, address }
+     */
+    async updateProjectDetails(id, fields) {
+        const project = await this.storage.getProject(id);
+        if (!project) {
+            throw new Error('Project no longer exists.');
+        }
+
+        const updated = { ...project, ...fields, modified: new Date().toISOString() };
+        await this.storage.saveProject(updated);
+        if (this.currentProject?.id === id) {
+            this.setCurrentProject(updated);
+        }
+    }
+
+    /**
+     * Delete a project (the editor keeps its plan if it was open)
+     * @param {string} id - Project id
+     */
+    async deleteProject(id) {
+        await this.storage.deleteProject(id);
+        if (this.currentProject?.id === id) {
+            this.setCurrentProject(null);
+        }
+        console.log('🗑️ Project deleted:', id);
+    }
+
+    /**
+     * Re-attach the open project after crash recovery
+     * @param {string} id - Project id stored with the autosave
+     */
+    async resumeProject(id) {
+        if (!id) return;
+        try {
+            const project = await this.storage.getProject(id);
+            if (project) {
+                this.setCurrentProject(project);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not resume project:', error);
+        }
+    }
+
+    /**
+     * Save the open project, or confirm discarding an unsaved plan, before replacing it
+     * @returns {Promise<boolean>} True if it's safe to replace the plan
+     */
+    async leaveCurrentPlan() {
+        if (this.currentProject) {
+            await this.saveCurrentProject();
+            return true;
+        }
+        if (this.planHasContent()) {
+            return confirm('The current plan is not saved to a project and will be replaced. Continue?');
+        }
+        return true;
+    }
+
+    /**
+     * Load a stored design into the editor and let the app sync its controls
+     * @param {Object} data - Design in the export file format
+     */
+    loadDesign(data) {
+        const design = this.editor.importDesign(data);
+        if (this.onOpen) {
+            this.onOpen(design);
+        }
+    }
+
+    /**
+     * Serialize the editor's plan in the export file format
+     * @returns {Object} Design
+     */
+    createDesign() {
+        const floorPlanData = this.editor.getFloorPlanData();
+        return {
+            version: PROJECT_DESIGN_VERSION,
+            floors: JSON.parse(JSON.stringify(floorPlanData.floors)),
+            settings: {
+                units: floorPlanData.units,
+                showRoof: this.generator?.showRoof ?? true
+            }
+        };
+    }
+
+    /**
+     * Render a small JPEG thumbnail of the 3D model
+     * @returns {Promise<string|null>} Data URL, or null if the 3D view can't be captured
+     */
+    async captureThumbnail() {
+        if (!this.generator?.captureCleanScreenshot) return null;
+
+        try {
+            const image = await loadImage(this.generator.captureCleanScreenshot());
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = THUMBNAIL_HEIGHT;
+
+            // Crop to fill the thumbnail without distortion
+            const scale = Math.max(THUMBNAIL_WIDTH / image.width, THUMBNAIL_HEIGHT / image.height);
+            const width = image.width * scale;
+            const height = image.height * scale;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#f0f2f5';
+            ctx.fillRect(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+            ctx.drawImage(image, (THUMBNAIL_WIDTH - width) / 2, (THUMBNAIL_HEIGHT - height) / 2, width, height);
+
+            return canvas.toDataURL('image/jpeg', 0.8);
+        } catch (error) {
+            console.warn('⚠️ Could not capture project thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Track the open project and show its name in the UI
+     * @param {Object|null} project - Project record or null for an unsaved plan
+     */
+    setCurrentProject(project) {
+        if (project) {
+            // Keep metadata only - the design lives in the editor
+            const { design, thumbnail, ...meta } = project;
+            this.currentProject = meta;
+        } else {
+            this.currentProject = null;
+        }
+
+        if (this.autosave) {
+            this.autosave.projectId = this.currentProject?.id || null;
+        }
+
+        document.querySelectorAll('.current-project-name').forEach(label => {
+            label.textContent = this.currentProject ? this.currentProject.name : 'Unsaved plan';
+        });
+        this.updateCurrentLabel();
+    }
+
+    /**
+     * Update the "current project" line in the browser
+     */
+    updateCurrentLabel() {
+        const label = this.modal?.querySelector('.project-current');
+        if (!label) return;
+
+        label.innerHTML = this.currentProject
+            ? `Open: <strong>${escapeHTML(this.currentProject.name)}</strong>`
+            : 'The current plan is not saved to a project.';
+    }
+
+    /**
+     * Whether the editor has anything drawn
+     * @returns {boolean} True if any floor has walls or patios
+     */
+    planHasContent() {
+        return this.editor.floors.some(floor =>
+            (floor.walls?.length || 0) + (floor.patios?.length || 0) > 0
+        );
+    }
+}
+
+/**
+ * Generate a unique project id
+ * @returns {string} Id
+ */
+function createProjectId() {
+    return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Load an image from a data URL
+ * @param {string} src - Data URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Screenshot could not be decoded'));
+        image.src = src;
+    });
+}
@@ -0,0 +1,188 @@
+// project-storage.js
+// Browser persistence for Concept Studio - IndexedDB with a localStorage fallback
+
+const DB_NAME = 'concept-studio';
+const DB_VERSION = 2;
+const AUTOSAVE_STORE = 'autosave';
+const AUTOSAVE_KEY = 'current';
+const PROJECTS_STORE = 'projects';
+const LOCAL_STORAGE_PREFIX = 'concept-studio:';
+
+export class ProjectStorage {
+    constructor() {
+        this.dbPromise = null;
+        this.useLocalStorage = typeof indexedDB === 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to localStorage
+     */
+    open() {
+        if (this.useLocalStorage) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                        db.createObjectStore(AUTOSAVE_STORE);
+                    }
+                    // v2: saved projects keyed by id
+                    if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                        db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+
+                request.onerror = () => {
+                    // Private browsing modes can block IndexedDB entirely
+                    console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', request.error);
+                    this.useLocalStorage = true;
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(storeName, mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Persist the autosave snapshot, replacing any previous one
+     * @param {Object} snapshot - Serializable editor snapshot
+     * @returns {Promise<void>}
+     */
+    async saveAutosave(snapshot) {
+        await this.open();
+        if (this.useLocalStorage) {
+            localStorage.setItem(LOCAL_STORAGE_PREFIX + AUTOSAVE_KEY, JSON.stringify(snapshot));
+            return;
+        }
+        await this.withStore(AUTOSAVE_STORE, 'readwrite', store => store.put(snapshot, AUTOSAVE_KEY));
+    }
+
+    /**
+     * Load the autosave snapshot
+     * @returns {Promise<Object|null>} Snapshot or null if nothing was saved
+     */
+    async loadAutosave() {
+        await this.open();
+        if (this.useLocalStorage) {
+            const stored = localStorage.getItem(LOCAL_STORAGE_PREFIX + AUTOSAVE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        }
+        const snapshot = await this.withStore(AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_KEY));
+        return snapshot || null;
+    }
+
+    /**
+     * Remove the autosave snapshot
+     * @returns {Promise<void>}
+     */
+    async clearAutosave() {
+        await this.open();
+        if (this.useLocalStorage) {
+            localStorage.removeItem(LOCAL_STORAGE_PREFIX + AUTOSAVE_KEY);
+            return;
+        }
+        await this.withStore(AUTOSAVE_STORE, 'readwrite', store => store.delete(AUTOSAVE_KEY));
+    }
+
+    /**
+     * Read the localStorage project map (fallback mode only)
+     * @returns {Object} Projects keyed by id
+     */
+    readLocalProjects() {
+        const stored = localStorage.getItem(LOCAL_STORAGE_PREFIX + PROJECTS_STORE);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    /**
+     * Write the localStorage project map (fallback mode only)
+     * @param {Object} projects - Projects keyed by id
+     */
+    writeLocalProjects(projects) {
+        localStorage.setItem(LOCAL_STORAGE_PREFIX + PROJECTS_STORE, JSON.stringify(projects));
+    }
+
+    /**
+     * List all saved projects, most recently modified first
+     * @returns {Promise<Array>} Project records
+     */
+    async listProjects() {
+        await this.open();
+        const projects = this.useLocalStorage
+            ? Object.values(this.readLocalProjects())
+            : await this.withStore(PROJECTS_STORE, 'readonly', store => store.getAll());
+        return projects.sort((a, b) => (b.modified || '').localeCompare(a.modified || ''));
+    }
+
+    /**
+     * Load a single project
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>} Project record or null if it doesn't exist
+     */
+    async getProject(id) {
+        await this.open();
+        if (this.useLocalStorage) {
+            return this.readLocalProjects()[id] || null;
+        }
+        const project = await this.withStore(PROJECTS_STORE, 'readonly', store => store.get(id));
+        return project || null;
+    }
+
+    /**
+     * Create or replace a project
+     * @param {Object} project - Project record with an id
+     * @returns {Promise<void>}
+     */
+    async saveProject(project) {
+        await this.open();
+        if (this.useLocalStorage) {
+            const projects = this.readLocalProjects();
+            projects[project.id] = project;
+            this.writeLocalProjects(projects);
+            return;
+        }
+        await this.withStore(PROJECTS_STORE, 'readwrite', store => store.put(project));
+    }
+
+    /**
+     * Delete a project
+     * @param {string} id - Project id
+     * @returns {Promise<void>}
+     */
+    async deleteProject(id) {
+        await this.open();
+        if (this.useLocalStorage) {
+            const projects = this.readLocalProjects();
+            delete projects[id];
+            this.writeLocalProjects(projects);
+            return;
+        }
+        await this.withStore(PROJECTS_STORE, 'readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,613 @@
+// Property Inspector for 3D Home Design Application
+// Contextual form for the selected wall, door, window, patio, room, roof item or stair (desktop sidebar and mobile edit tab)
+
+import { parseDimension, formatFeetInches } from './dimension-parser.js';
+import { getDoorHeight, getWindowHeight, getWindowSillHeight, getWindowType } from './opening-catalog.js';
+import { getRoofAccessoryType } from './roof-accessories.js';
+import { getRoofStyle } from './roof-geometry.js';
+import { getStairType } from './stair-geometry.js';
+import { escapeHTML } from './html-escape.js';
+
+export class PropertyInspector {
+    /**
+     * @param {FloorPlanEditor} editor - Editor whose selection is shown and edited
+     * @param {Array<string>} prefixes - ID prefixes of the inspector containers ('' desktop, 'mobile-' mobile)
+     */
+    constructor(editor, prefixes = ['', 'mobile-']) {
+        this.editor = editor;
+        this.prefixes = prefixes;
+        this.formKey = null; // Form is rebuilt only when the selection or its set of fields changes
+
+        this.doorStyles = [
+            { value: 'swing', label: 'Swing Door' },
+            { value: 'pocket', label: 'Pocket Door' },
+            { value: 'bifold', label: 'Bifold Door' },
+            { value: 'double', label: 'Double Door' }
+        ];
+        this.wallTypes = [
+            { value: 'exterior', label: 'Exterior' },
+            { value: 'interior', label: 'Interior' }
+        ];
+        this.roofEdgeTypes = [
+            { value: 'gable', label: 'Gable End' },
+            { value: 'eave', label: 'Eave' }
+        ];
+        this.patioRoofStyles = [
+            { value: 'flat', label: 'Flat Roof' },
+            { value: 'gable', label: 'Gable Roof' },
+            { value: 'hip', label: 'Hip Roof' }
+        ];
+    }
+
+    /**
+     * The selected element on the current floor
+     * @returns {Object|null} { type, index, item, title } - index is null for rooms
+     */
+    getSelection() {
+        const editor = this.editor;
+        const floor = editor.floors[editor.currentFloor];
+        if (!floor) return null;
+
+        if (editor.selectedWallIndex !== null && floor.walls[editor.selectedWallIndex]) {
+            const index = editor.selectedWallIndex;
+            return { type: 'wall', index, item: floor.walls[index], title: `📏 Wall ${index + 1}` };
+        }
+        if (editor.selectedDoor !== null && floor.doors[editor.selectedDoor]) {
+            const index = editor.selectedDoor;
+            return { type: 'door', index, item: floor.doors[index], title: `🚪 Door ${index + 1}` };
+        }
+        if (editor.selectedWindow !== null && floor.windows[editor.selectedWindow]) {
+            const index = editor.selectedWindow;
+            return { type: 'window', index, item: floor.windows[index], title: `🪟 Window ${index + 1}` };
+        }
+        if (editor.selectedPatio !== null && floor.patios[editor.selectedPatio]) {
+            const index = editor.selectedPatio;
+            return { type: 'patio', index, item: floor.patios[index], title: `🏡 Patio ${index + 1}` };
+        }
+        if (editor.selectedRoofAccessory !== null && floor.roofAccessories?.[editor.selectedRoofAccessory]) {
+            const index = editor.selectedRoofAccessory;
+            const item = floor.roofAccessories[index];
+            const type = getRoofAccessoryType(item);
+            return { type: 'roofAccessory', index, item, title: `${type.icon} ${type.label} ${index + 1}` };
+        }
+        if (editor.selectedStair !== null && floor.stairs?.[editor.selectedStair]) {
+            const index = editor.selectedStair;
+            const item = floor.stairs[index];
+            const type = getStairType(item);
+            return { type: 'stair', index, item, title: `${type.icon} ${type.label} Stair ${index + 1}` };
+        }
+
+        const room = editor.getSelectedRoom();
+        if (room) {
+            return { type: 'room', index: null, item: room, title: '🏷️ Room' };
+        }
+        return null;
+    }
+
+    /**
+     * Editable fields for a selection
+     * @param {Object} selection - From getSelection()
+     * @returns {Array} Field descriptors { key, label, kind, value, apply, ... }
+     */
+    getFields(selection) {
+        switch (selection.type) {
+            case 'wall': return this.getWallFields(selection);
+            case 'door': return this.getDoorFields(selection);
+            case 'window': return this.getWindowFields(selection);
+            case 'patio': return this.getPatioFields(selection);
+            case 'room': return this.getRoomFields(selection);
+            case 'roofAccessory': return this.getRoofAccessoryFields(selection);
+            case 'stair': return this.getStairFields(selection);
+            default: return [];
+        }
+    }
+
+    getWallFields({ index, item: wall }) {
+        const editor = this.editor;
+        const floor = editor.floors[editor.currentFloor];
+        const floorHeight = floor.wallHeight || 8;
+        const detectedType = editor.getWallType(index, false);
+
+        const fields = [
+            {
+                key: 'length', label: 'Length', kind: 'length', min: 1, max: 500,
+                value: editor.calculateWallLength(wall),
+                // Resizing moves connected walls and saves its own undo step
+                savesItself: true,
+                apply: (value, text) => editor.setSelectedWallLength(text)
+            },
+            {
+                key: 'thickness', label: 'Thickness (in)', kind: 'number', min: 2, max: 24, step: 0.5,
+                value: Math.round((wall.thickness || editor.wallThickness) * 12 * 100) / 100,
+                apply: (value) => { wall.thickness = value / 12; }
+            },
+            {
+                key: 'height', label: 'Height', kind: 'length', min: 1, max: 40, optional: true,
+                placeholder: `Floor height (${formatFeetInches(floorHeight)})`,
+                value: wall.height || null,
+                apply: (value) => {
+                    if (value === null) delete wall.height;
+                    else wall.height = value;
+                }
+            },
+            {
+                key: 'type', label: 'Type', kind: 'select',
+                options: [
+                    { value: 'auto', label: `Auto (${detectedType === 'exterior' ? 'Exterior' : 'Interior'})` },
+                    ...this.wallTypes
+                ],
+                value: wall.type || 'auto',
+                apply: (value) => {
+                    if (value === 'auto') delete wall.type;
+                    else wall.type = value;
+                }
+            }
+        ];
+
+        // Outside walls under a roof with gable ends choose whether they're a gable or an eave
+        const roofEdge = floor.hasRoof && getRoofStyle(floor.roofStyle).gableEnds ? editor.getWallRoofEdge(index) : null;
+        if (roofEdge) {
+            const automatic = floor.roofGables === 'front' || floor.roofGables === 'side'
+                ? editor.roofGableOrientations.find(option => option.value === floor.roofGables).label
+                : 'Auto';
+            fields.push({
+                key: 'roofEdge', label: 'Roof Edge', kind: 'select',
+                options: [
+                    // The built result is only the automatic choice while no choice is set
+                    { value: 'auto', label: wall.roofEdge ? automatic : `${automatic} (${roofEdge === 'gable' ? 'Gable End' : 'Eave'})` },
+                    ...this.roofEdgeTypes
+                ],
+                value: wall.roofEdge || 'auto',
+                apply: (value) => {
+                    if (value === 'auto') delete wall.roofEdge;
+                    else wall.roofEdge = value;
+                }
+            });
+            if (wall.roofEdge === 'gable' && roofEdge !== 'gable') {
+                fields.push({
+                    key: 'roofEdgeStatus', kind: 'info',
+                    value: '⚠️ Gable ends need an outside corner at both ends and no gable on the next wall'
+                });
+            }
+        }
+        return fields;
+    }
+
+    getDoorFields({ item: door }) {
+        const editor = this.editor;
+        const fields = [
+            {
+                key: 'style', label: 'Style', kind: 'select', options: this.doorStyles,
+                value: door.style || 'swing',
+                apply: (value) => {
+                    // Keep a custom width, otherwise switch to the new style's standard width
+                    if (door.width === editor.getDefaultDoorWidth(door.style || 'swing')) {
+                        door.width = editor.getDefaultDoorWidth(value);
+                    }
+                    door.style = value;
+                }
+            },
+            {
+                key: 'width', label: 'Width', kind: 'length', min: 1, max: 16,
+                value: door.width,
+                apply: (value) => { door.width = value; }
+            },
+            {
+                key: 'height', label: 'Height', kind: 'length', min: 5, max: 12,
+                value: getDoorHeight(door),
+                apply: (value) => { door.height = value; }
+            }
+        ];
+
+        if (door.style === 'swing' || door.style === 'pocket') {
+            fields.push({
+                key: 'swingDirection', label: 'Swing', kind: 'select',
+                options: [
+                    { value: '1', label: 'Right' },
+                    { value: '-1', label: 'Left' }
+                ],
+                value: String(door.swingDirection === -1 ? -1 : 1),
+                apply: (value) => { door.swingDirection = value === '-1' ? -1 : 1; }
+            });
+        }
+        return fields;
+    }
+
+    getWindowFields({ item: window }) {
+        const editor = this.editor;
+        return [
+            {
+                key: 'type', label: 'Type', kind: 'select', options: editor.windowTypes,
+                value: getWindowType(window).value,
+                apply: (value) => {
+                    // Keep a custom size, otherwise switch to the new type's standard size
+                    const current = getWindowType(window);
+                    const next = getWindowType(value);
+                    if (window.width === current.width && getWindowHeight(window) === current.height &&
+                        getWindowSillHeight(window) === current.sillHeight) {
+                        window.width = next.width;
+                        window.height = next.height;
+                        window.sillHeight = next.sillHeight;
+                    }
+                    window.type = next.value;
+                }
+            },
+            {
+                key: 'width', label: 'Width', kind: 'length', min: 1, max: 16,
+                value: window.width,
+                apply: (value) => { window.width = value; }
+            },
+            {
+                key: 'height', label: 'Height', kind: 'length', min: 0.5, max: 12,
+                value: getWindowHeight(window),
+                apply: (value) => { window.height = value; }
+            },
+            {
+                key: 'sillHeight', label: 'Sill Height', kind: 'length', min: 0, max: 12, optional: true,
+                placeholder: '0\' 0"',
+                value: getWindowSillHeight(window),
+                apply: (value) => { window.sillHeight = value ?? 0; }
+            }
+        ];
+    }
+
+    getPatioFields({ index, item: patio }) {
+        const editor = this.editor;
+        return [
+            {
+                key: 'width', label: 'Width', kind: 'length', min: 1, max: 200,
+                value: patio.width,
+                apply: (value) => { patio.width = value; }
+            },
+            {
+                key: 'depth', label: 'Depth', kind: 'length', min: 1, max: 200,
+                value: patio.height,
+                apply: (value) => { patio.height = value; }
+            },
+            {
+                key: 'elevation', label: 'Elevation', kind: 'length', min: 0, max: 20, optional: true,
+                placeholder: 'At floor level',
+                value: patio.elevation || null,
+                apply: (value) => { patio.elevation = value ?? 0; }
+            },
+            {
+                key: 'hasRoof', label: 'Covered (add roof)', kind: 'checkbox',
+                value: patio.hasRoof || false,
+                apply: (value) => editor.updatePatioRoofSettings(index, value, patio.roofStyle)
+            },
+            ...(patio.hasRoof ? [
+                {
+                    key: 'roofStyle', label: 'Roof Style', kind: 'select', options: this.patioRoofStyles,
+                    value: patio.roofStyle || 'flat',
+                    apply: (value) => editor.updatePatioRoofSettings(index, patio.hasRoof, value)
+                },
+                {
+                    key: 'roofHeight', label: 'Roof Height', kind: 'length', min: 7, max: 20,
+                    value: patio.roofHeight || 8,
+                    apply: (value) => { patio.roofHeight = value; }
+                }
+            ] : [])
+        ];
+    }
+
+    getRoofAccessoryFields({ item: accessory }) {
+        const editor = this.editor;
+        const type = getRoofAccessoryType(accessory);
+        const heightLabels = {
+            'gable-dormer': 'Front Wall Height',
+            'shed-dormer': 'Front Wall Height',
+            'eyebrow-dormer': 'Front Height',
+            chimney: 'Height Above Roof',
+            cupola: 'Height Above Roof'
+        };
+
+        const fields = [
+            {
+                key: 'type', label: 'Type', kind: 'select', options: editor.roofAccessoryTypes,
+                value: type.value,
+                apply: (value) => {
+                    // Switching type starts from the new type's standard size
+                    const next = getRoofAccessoryType(value);
+                    accessory.type = next.value;
+                    accessory.width = next.width;
+                    if (next.depth) accessory.depth = next.depth;
+                    else delete accessory.depth;
+                    if (next.height) accessory.height = next.height;
+                    else delete accessory.height;
+                }
+            },
+            {
+                key: 'width', label: 'Width', kind: 'length', min: type.dormer ? 3 : 1, max: 30,
+                value: accessory.width || type.width,
+                apply: (value) => { accessory.width = value; }
+            }
+        ];
+
+        if (type.depth) {
+            fields.push({
+                key: 'depth', label: type.value === 'skylight' ? 'Length (up the slope)' : 'Depth', kind: 'length', min: 1, max: 12,
+                value: accessory.depth || type.depth,
+                apply: (value) => { accessory.depth = value; }
+            });
+        }
+        if (type.height) {
+            fields.push({
+                key: 'height', label: heightLabels[type.value], kind: 'length', min: type.dormer ? 1.5 : 1, max: 12,
+                value: accessory.height || type.height,
+                apply: (value) => { accessory.height = value; }
+            });
+        }
+
+        // Say why an item isn't showing in 3D (e.g. dragged off its roof plane)
+        const result = editor.getRoofAccessories()[editor.selectedRoofAccessory];
+        if (result?.error) {
+            fields.push({ key: 'status', kind: 'info', value: `⚠️ ${result.error}` });
+        }
+        return fields;
+    }
+
+    getStairFields({ index, item: stair }) {
+        const editor = this.editor;
+        const type = getStairType(stair);
+
+        const fields = [
+            {
+                key: 'type', label: 'Type', kind: 'select', options: editor.stairTypes,
+                value: type.value,
+                apply: (value) => {
+                    // Switching type starts from the new type's standard width
+                    const next = getStairType(value);
+                    stair.type = next.value;
+                    stair.width = next.width;
+                }
+            },
+            {
+                key: 'width', label: type.spiral ? 'Diameter' : 'Width', kind: 'length',
+                min: type.spiral ? 4 : 2.5, max: type.spiral ? 8 : 6,
+                value: stair.width || type.width,
+                apply: (value) => { stair.width = value; }
+            },
+            {
+                key: 'rotation', label: 'Direction (°)', kind: 'number', min: 0, max: 359, step: 15,
+                value: stair.rotation || 0,
+                apply: (value) => { stair.rotation = value; }
+            }
+        ];
+
+        if (type.turns) {
+            fields.push({
+                key: 'turn', label: type.spiral ? 'Climbs' : 'Turn', kind: 'select',
+                options: type.spiral
+                    ? [{ value: 'right', label: 'Clockwise' }, { value: 'left', label: 'Counterclockwise' }]
+                    : editor.stairTurns,
+                value: stair.turn || 'right',
+                apply: (value) => { stair.turn = value; }
+            });
+        }
+
+        // Riser count follows the floor-to-floor height
+        const built = editor.getStairs()[index];
+        if (built) {
+            fields.push({
+                key: 'risers', kind: 'info',
+                value: `${built.riserCount} risers × ${formatFeetInches(built.riserHeight)} · ${formatFeetInches(built.riserCount * built.riserHeight)} rise`
+            });
+            if (!built.hasFloorAbove) {
+                fields.push({ key: 'status', kind: 'info', value: '⚠️ Add a floor above for these stairs to lead to' });
+            }
+        }
+        return fields;
+    }
+
+    getRoomFields({ item: room }) {
+        const editor = this.editor;
+        return [
+            {
+                key: 'name', label: 'Name', kind: 'text', placeholder: 'e.g. Primary Bedroom',
+                value: room.name,
+                savesItself: true,
+                apply: (value) => editor.setSelectedRoomLabel(value, editor.getSelectedRoom()?.type || '')
+            },
+            {
+                key: 'roomType', label: 'Type', kind: 'select',
+                options: [{ value: '', label: '— Select type —' }, ...editor.roomTypes],
+                value: room.type,
+                savesItself: true,
+                apply: (value) => editor.setSelectedRoomLabel(editor.getSelectedRoom()?.name || '', value)
+            },
+            {
+                key: 'area', kind: 'info',
+                value: `${Math.round(room.area)} sq ft · ${room.perimeter.toFixed(1)} ft perimeter`
+            }
+        ];
+    }
+
+    /**
+     * Show the selection's fields; called from the editor's render()
+     * @param {boolean} force - Rebuild even if the selection hasn't changed (e.g. to undo a rejected value)
+     */
+    update(force = false) {
+        const selection = this.getSelection();
+        const fields = selection ? this.getFields(selection) : [];
+
+        // Fields come and go with the element's state (e.g. roof settings on a covered patio)
+        const formKey = selection
+            ? [
+                this.editor.currentFloor,
+                selection.type,
+                selection.index ?? `${selection.item.labelPoint.x},${selection.item.labelPoint.y}`,
+                ...fields.map(field => field.key + (field.options || []).map(option => option.label).join('|'))
+            ].join(':')
+            : null;
+        const rebuild = force || formKey !== this.formKey;
+        this.formKey = formKey;
+
+        this.prefixes.forEach(prefix => {
+            const container = document.getElementById(`${prefix}property-inspector`);
+            if (!container) return;
+
+            this.bindContainer(container);
+            container.style.display = selection ? 'block' : 'none';
+            if (!selection) return;
+
+            if (rebuild) {
+                container.innerHTML = this.renderForm(selection, fields, prefix);
+            } else {
+                // Refresh values in place (e.g. during drags) without disturbing a field being typed in
+                fields.forEach(field => {
+                    const element = container.querySelector(`[data-field="${field.key}"]`);
+                    if (element && element !== document.activeElement) {
+                        this.setElementValue(element, field);
+                    }
+                });
+            }
+        });
+    }
+
+    renderForm(selection, fields, prefix) {
+        const isMobile = prefix === 'mobile-';
+        const title = isMobile
+            ? `<div class="mobile-section-title" style="margin-top: 24px;">${escapeHTML(selection.title)}</div>`
+            : `<h3 class="section-title">${escapeHTML(selection.title)}</h3>`;
+
+        return title + fields.map(field => this.renderField(field, prefix)).join('');
+    }
+
+    renderField(field, prefix) {
+        const isMobile = prefix === 'mobile-';
+        const id = `${prefix}inspector-${field.key}`;
+
+        if (field.kind === 'info') {
+            return `<p class="${isMobile ? 'mobile-help-text' : 'help-text'}" data-field="${field.key}">${escapeHTML(field.value)}</p>`;
+        }
+
+        if (field.kind === 'checkbox') {
+            return `
+                <label class="${isMobile ? 'mobile-checkbox-label' : 'checkbox-label'}">
+                    <input type="checkbox" id="${id}" data-field="${field.key}"${field.value ? ' checked' : ''}>
+                    <span>${escapeHTML(field.label)}</span>
+                </label>
+            `;
+        }
+
+        let control;
+        if (field.kind === 'select') {
+            control = `
+                <select id="${id}" data-field="${field.key}"${isMobile ? ' class="mobile-select"' : ''}>
+                    ${field.options.map(option => `
+                        <option value="${escapeHTML(option.value)}"${String(option.value) === String(field.value) ? ' selected' : ''}>${escapeHTML(option.label)}</option>
+                    `).join('')}
+                </select>
+            `;
+        } else {
+            const type = field.kind === 'number' ? 'number' : 'text';
+            const range = field.kind === 'number' ? ` min="${field.min}" max="${field.max}" step="${field.step}"` : '';
+            control = `
+                <input type="${type}" id="${id}" data-field="${field.key}"${range}
+                       ${isMobile ? 'class="mobile-text-input"' : ''}
+                       placeholder="${escapeHTML(field.placeholder || (field.kind === 'length' ? 'e.g. 12\'6"' : ''))}"
+                       value="${escapeHTML(this.formatValue(field))}">
+            `;
+        }
+
+        return `
+            <div class="${isMobile ? 'mobile-input-group' : 'input-group'}">
+                <label for="${id}">${escapeHTML(field.label)}:</label>
+                ${control}
+            </div>
+        `;
+    }
+
+    formatValue(field) {
+        if (field.kind === 'length') {
+            return field.value === null || field.value === undefined || (field.optional && field.value === 0)
+                ? ''
+                : formatFeetInches(field.value);
+        }
+        return field.value ?? '';
+    }
+
+    setElementValue(element, field) {
+        if (field.kind === 'info') {
+            element.textContent = field.value;
+        } else if (field.kind === 'checkbox') {
+            element.checked = !!field.value;
+        } else {
+            element.value = this.formatValue(field);
+        }
+    }
+
+    bindContainer(container) {
+        if (container.dataset.inspectorBound) return;
+        container.dataset.inspectorBound = 'true';
+
+        // Fields commit on change (Enter or leaving the field) so undo gets one step per edit
+        container.addEventListener('change', (e) => {
+            const key = e.target.dataset?.field;
+            if (key) this.handleChange(key, e.target);
+        });
+    }
+
+    handleChange(key, element) {
+        const selection = this.getSelection();
+        if (!selection) return;
+
+        const field = this.getFields(selection).find(candidate => candidate.key === key);
+        if (!field || !field.apply) return;
+
+        const value = this.readValue(field, element);
+        if (value === undefined) {
+            this.editor.showToast(this.describeInvalid(field, element.value), 'warning');
+            this.update(true);
+            return;
+        }
+
+        field.apply(value, element.value);
+        console.log(`🔧 ${selection.title} ${field.label || field.key} → ${element.type === 'checkbox' ? value : element.value}`);
+
+        if (!field.savesItself) {
+            this.editor.saveState();
+            this.editor.updatePatioCheckboxLabel();
+            this.editor.render();
+            this.editor.updateMeasurements();
+
+            // Trigger 3D update
+            if (window.floorPlanApp) {
+                window.floorPlanApp.update3DModel();
+            }
+        }
+    }
+
+    /**
+     * Read and validate a field's control
+     * @returns {*} The value (null for a cleared optional field), or undefined if invalid
+     */
+    readValue(field, element) {
+        if (field.kind === 'checkbox') return element.checked;
+        if (field.kind === 'select' || field.kind === 'text') return element.value;
+
+        const text = element.value.trim();
+        if (!text) return field.optional ? null : undefined;
+
+        let value;
+        if (field.kind === 'number') {
+            value = parseFloat(text);
+        } else {
+            // parseDimension rejects zero, which is a valid sill height or elevation
+            const isZero = /^0*\.?0*$/.test(text.replace(/ft|in|['"\s-]/gi, ''));
+            value = isZero ? 0 : parseDimension(text);
+        }
+
+        if (value === null || !Number.isFinite(value) || value < field.min || value > field.max) {
+            return undefined;
+        }
+        return Math.round(value * 1000) / 1000;
+    }
+
+    describeInvalid(field, text) {
+        const range = field.kind === 'number'
+            ? `${field.min}-${field.max}`
+            : `${formatFeetInches(field.min)} to ${formatFeetInches(field.max)}`;
+        return `Couldn't use "${text}" for ${field.label.toLowerCase()} - enter ${range}`;
+    }
+}
@@ -0,0 +1,458 @@
+// Roof Accessories for 3D Home Design Application
+// Dormers, skylights, chimneys and cupolas placed on a floor's roof planes (feet), shared by the
+// 2D roof plan overlay, the 3D generator and the area calculator
+
+import { RoofGeometry, FLAT_ROOF_THICKNESS } from './roof-geometry.js';
+
+// Accessory types and their standard sizes (feet). height is the front wall of a dormer, or how far
+// a chimney or cupola stands above the roof; depth (skylights and chimneys) runs up the slope.
+// pitch is a dormer's own roof slope (rise per 12).
+export const ROOF_ACCESSORY_TYPES = [
+    { value: 'gable-dormer', label: 'Gable Dormer', icon: '🏠', dormer: true, cutsRoof: true, width: 6, height: 5, pitch: 8 },
+    { value: 'shed-dormer', label: 'Shed Dormer', icon: '🏚️', dormer: true, cutsRoof: true, width: 10, height: 5, pitch: 3 },
+    { value: 'eyebrow-dormer', label: 'Eyebrow Dormer', icon: '👁️', dormer: true, cutsRoof: true, width: 8, height: 2.5, pitch: 3 },
+    { value: 'skylight', label: 'Skylight', icon: '🔲', cutsRoof: true, width: 2.5, depth: 4 },
+    { value: 'chimney', label: 'Chimney', icon: '🧱', width: 3, depth: 2, height: 3 },
+    { value: 'cupola', label: 'Cupola', icon: '🔔', width: 3, height: 4 }
+];
+
+export const ROOF_ACCESSORY_DEFAULTS = {
+    type: 'gable-dormer',
+    minDormerSlope: 4 / 12, // Shallower roofs have no room under a dormer
+    minDormerHeight: 1.5,   // Lowest front wall a dormer is lowered to before it won't fit
+    ridgeClearance: 0.5,    // Dormer roofs meet the main roof at least this far below the top of the plane
+    curbHeight: 0.33,       // Skylight curb above the roof (4")
+    capThickness: 0.33      // Chimney cap slab
+};
+
+/**
+ * Catalog entry for an accessory type, falling back to the default type
+ * @param {string|Object} type - Type value, or an accessory with a type
+ * @returns {Object} Entry from ROOF_ACCESSORY_TYPES
+ */
+export function getRoofAccessoryType(type) {
+    const value = typeof type === 'object' && type !== null ? type.type : type;
+    return ROOF_ACCESSORY_TYPES.find(entry => entry.value === value) ||
+           ROOF_ACCESSORY_TYPES.find(entry => entry.value === ROOF_ACCESSORY_DEFAULTS.type);
+}
+
+export class RoofAccessoryGeometry {
+    /**
+     * @param {RoofGeometry} roofGeometry - Shared roof builder (for its polygon helpers)
+     */
+    constructor(roofGeometry = new RoofGeometry()) {
+        this.roofGeometry = roofGeometry;
+        this.roomDetector = roofGeometry.roomDetector;
+    }
+
+    /**
+     * Build every accessory stored on a floor
+     * Items that can't be placed (off the roof, too big for their plane, overlapping an earlier
+     * opening) come back with an error and nothing to draw.
+     * @param {Object} floor - Floor data with roofAccessories [{type, x, y, width, depth, height}]
+     * @param {Array} roofs - The floor's roofs from RoofGeometry.buildFloorRoofs
+     * @returns {Array} One result per accessory, in order: { index, error } plus, when placed,
+     *                  { roofIndex, faceIndex, outline, hole, parts, roofAreaChange } - see buildAccessory
+     */
+    buildFloorAccessories(floor, roofs) {
+        const accepted = [];
+
+        return (floor.roofAccessories || []).map((accessory, index) => {
+            const result = { index, ...this.buildAccessory(roofs, accessory) };
+            if (result.error) return result;
+
+            // Openings in the same roof plane can't overlap
+            if (result.hole) {
+                const overlapping = accepted.some(other =>
+                    other.roofIndex === result.roofIndex && other.faceIndex === result.faceIndex &&
+                    this.polygonsOverlap(other.hole, result.hole)
+                );
+                if (overlapping) {
+                    return { index, error: `The ${getRoofAccessoryType(accessory).label.toLowerCase()} overlaps another roof item` };
+                }
+                accepted.push(result);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Build one accessory on the roof plane under its position
+     * Dormers are placed by the middle of their front wall and grow up the slope; the other types are
+     * centered on their position. Everything lines up with the slope of the plane it sits on.
+     * @param {Array} roofs - Roofs from RoofGeometry.buildFloorRoofs
+     * @param {Object} accessory - { type, x, y, width, depth, height } in feet
+     * @returns {Object} { error } if it can't be placed, otherwise { error: null, roofIndex, faceIndex,
+     *                   outline: plan symbol [{x, y}], hole: opening cut in the roof plane [{x, y}] or null,
+     *                   parts: [{ role: 'wall'|'roof'|'glass'|'trim'|'brick', points: [{x, y, height}] }],
+     *                   roofAreaChange: sq ft added to the roof covering (dormer roofs less openings) }
+     */
+    buildAccessory(roofs, accessory) {
+        const type = getRoofAccessoryType(accessory);
+        const position = { x: accessory.x, y: accessory.y };
+
+        const found = this.findRoofFace(roofs, position);
+        if (!found) {
+            return { error: `Place the ${type.label.toLowerCase()} over this floor's roof` };
+        }
+
+        const { roof, face } = found;
+        const frame = this.getFaceFrame(roof, face, position);
+        if (type.dormer && frame.slope < ROOF_ACCESSORY_DEFAULTS.minDormerSlope - 1e-9) {
+            return { error: 'Dormers need a roof plane of at least 4:12 pitch' };
+        }
+
+        const size = {
+            width: accessory.width || type.width,
+            depth: accessory.depth || type.depth || type.width,
+            height: accessory.height || type.height
+        };
+
+        // Dormers too tall for the plane would run past its top; they're lowered to fit instead
+        if (type.dormer) {
+            size.height = Math.min(size.height, this.getMaxDormerHeight(frame, face, size, type));
+            if (size.height < ROOF_ACCESSORY_DEFAULTS.minDormerHeight) {
+                return { error: `The ${type.label.toLowerCase()} doesn't fit on this roof plane` };
+            }
+        }
+
+        let built;
+        switch (type.value) {
+            case 'gable-dormer': built = this.buildGableDormer(frame, size, type); break;
+            case 'shed-dormer': built = this.buildShedDormer(frame, size, type); break;
+            case 'eyebrow-dormer': built = this.buildEyebrowDormer(frame, size, type); break;
+            case 'skylight': built = this.buildSkylight(frame, size); break;
+            case 'chimney': built = this.buildChimney(roof, frame, size); break;
+            default: built = this.buildCupola(roof, frame, size); break;
+        }
+
+        // Openings have to stay inside the plane they're cut from
+        if (built.hole && !this.polygonInside(face.points, built.hole)) {
+            return { error: `The ${type.label.toLowerCase()} doesn't fit on this roof plane` };
+        }
+
+        const slopeFactor = Math.sqrt(1 + frame.slope * frame.slope);
+        const holeArea = built.hole ? Math.abs(this.roofGeometry.getSignedArea(built.hole)) * slopeFactor : 0;
+        const addedArea = built.parts
+            .filter(part => part.role === 'roof')
+            .reduce((sum, part) => sum + this.getPolygonArea3D(part.points), 0);
+
+        return {
+            error: null,
+            roofIndex: found.roofIndex,
+            faceIndex: found.faceIndex,
+            outline: built.outline || built.hole,
+            hole: built.hole || null,
+            parts: built.parts,
+            roofAreaChange: addedArea - holeArea
+        };
+    }
+
+    /**
+     * Roof plane whose plan outline contains a point
+     * @returns {Object|null} { roof, face, roofIndex, faceIndex }
+     */
+    findRoofFace(roofs, point) {
+        for (let roofIndex = 0; roofIndex < roofs.length; roofIndex++) {
+            const faceIndex = roofs[roofIndex].faces.findIndex(face => this.roomDetector.containsPoint(face.points, point));
+            if (faceIndex >= 0) {
+                return { roof: roofs[roofIndex], face: roofs[roofIndex].faces[faceIndex], roofIndex, faceIndex };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Local frame on a roof plane: s runs across the slope, v runs up it (plan feet from the origin)
+     * @returns {Object} { slope, at(s, v, height), surface(s, v), surfaceAt(point) }
+     */
+    getFaceFrame(roof, face, origin) {
+        const { a, b, c } = face.plane;
+        const lift = roof.style === 'flat' ? FLAT_ROOF_THICKNESS : 0;
+        const slope = Math.hypot(a, b);
+        // Flat planes have no slope to follow, so items square up to the plan with their front at the bottom
+        const up = slope > 1e-9 ? { x: a / slope, y: b / slope } : { x: 0, y: -1 };
+        const across = { x: -up.y, y: up.x };
+
+        const toPlan = (s, v) => ({
+            x: origin.x + across.x * s + up.x * v,
+            y: origin.y + across.y * s + up.y * v
+        });
+        const surfaceAt = (point) => a * point.x + b * point.y + c + lift;
+
+        return {
+            slope,
+            toPlan,
+            surfaceAt,
+            surface: (s, v) => surfaceAt(toPlan(s, v)),
+            at: (s, v, height) => ({ ...toPlan(s, v), height })
+        };
+    }
+
+    /**
+     * Tallest front wall a dormer can have and still meet the roof below the top of its plane
+     * @returns {number} Height in feet
+     */
+    getMaxDormerHeight(frame, face, { width }, type) {
+        const top = Math.max(...face.points.map(point => frame.surfaceAt(point)));
+        const run = (top - frame.surface(0, 0)) / frame.slope - ROOF_ACCESSORY_DEFAULTS.ridgeClearance;
+        if (type.value === 'gable-dormer') {
+            // The ridge runs back farthest
+            return run * frame.slope - (width / 2) * type.pitch / 12;
+        }
+        const dormerSlope = Math.min(type.pitch / 12, frame.slope / 2);
+        return run * (frame.slope - dormerSlope);
+    }
+
+    buildGableDormer(frame, { width, height }, type) {
+        // Front wall stands on the roof at v = 0; its eaves and ridge run back until they meet the roof
+        const half = width / 2;
+        const base = frame.surface(0, 0);
+        const eaveHeight = base + height;
+        const ridgeHeight = eaveHeight + half * type.pitch / 12;
+        const eaveRun = height / frame.slope;
+        const ridgeRun = (ridgeHeight - base) / frame.slope;
+        const at = frame.at;
+
+        const parts = [
+            { role: 'wall', points: [at(-half, 0, base), at(half, 0, base), at(half, 0, eaveHeight), at(0, 0, ridgeHeight), at(-half, 0, eaveHeight)] },
+            { role: 'wall', points: [at(half, 0, base), at(half, eaveRun, eaveHeight), at(half, 0, eaveHeight)] },
+            { role: 'wall', points: [at(-half, 0, base), at(-half, 0, eaveHeight), at(-half, eaveRun, eaveHeight)] },
+            { role: 'roof', points: [at(half, 0, eaveHeight), at(half, eaveRun, eaveHeight), at(0, ridgeRun, ridgeHeight), at(0, 0, ridgeHeight)] },
+            { role: 'roof', points: [at(-half, 0, eaveHeight), at(0, 0, ridgeHeight), at(0, ridgeRun, ridgeHeight), at(-half, eaveRun, eaveHeight)] },
+            this.createFrontWindow(frame, Math.min(width - 2, 3), base + 1, eaveHeight - 0.5)
+        ].filter(Boolean);
+
+        const hole = [
+            frame.toPlan(-half, 0), frame.toPlan(half, 0), frame.toPlan(half, eaveRun),
+            frame.toPlan(0, ridgeRun), frame.toPlan(-half, eaveRun)
+        ];
+        return { hole, parts };
+    }
+
+    buildShedDormer(frame, { width, height }, type) {
+        // Roof rises from the front wall at its own (shallower) slope until it meets the main roof
+        const half = width / 2;
+        const base = frame.surface(0, 0);
+        const eaveHeight = base + height;
+        const dormerSlope = Math.min(type.pitch / 12, frame.slope / 2);
+        const run = height / (frame.slope - dormerSlope);
+        const backHeight = base + frame.slope * run;
+        const at = frame.at;
+
+        const parts = [
+            { role: 'wall', points: [at(-half, 0, base), at(half, 0, base), at(half, 0, eaveHeight), at(-half, 0, eaveHeight)] },
+            { role: 'wall', points: [at(half, 0, base), at(half, run, backHeight), at(half, 0, eaveHeight)] },
+            { role: 'wall', points: [at(-half, 0, base), at(-half, 0, eaveHeight), at(-half, run, backHeight)] },
+            { role: 'roof', points: [at(-half, 0, eaveHeight), at(half, 0, eaveHeight), at(half, run, backHeight), at(-half, run, backHeight)] },
+            this.createFrontWindow(frame, width - 2, base + 1, eaveHeight - 0.5)
+        ].filter(Boolean);
+
+        const hole = [frame.toPlan(-half, 0), frame.toPlan(half, 0), frame.toPlan(half, run), frame.toPlan(-half, run)];
+        return { hole, parts };
+    }
+
+    buildEyebrowDormer(frame, { width, height }, type) {
+        // A shed dormer whose front rises and falls in a smooth wave, blending into the roof at both ends
+        const segments = 12;
+        const half = width / 2;
+        const base = frame.surface(0, 0);
+        const dormerSlope = Math.min(type.pitch / 12, frame.slope / 2);
+
+        const profile = Array.from({ length: segments + 1 }, (_, i) => {
+            const s = -half + width * i / segments;
+            const rise = height * (1 + Math.cos(2 * Math.PI * s / width)) / 2;
+            const run = rise / (frame.slope - dormerSlope);
+            return { s, rise, run };
+        });
+
+        const front = profile.map(({ s, rise }) => frame.at(s, 0, base + rise));
+        const back = profile.map(({ s, run }) => frame.at(s, run, base + frame.slope * run));
+
+        const parts = [{ role: 'wall', points: front }];
+        for (let i = 0; i < segments; i++) {
+            [[front[i], front[i + 1], back[i + 1]], [front[i], back[i + 1], back[i]]].forEach(points => {
+                if (this.getPolygonArea3D(points) > 1e-6) {
+                    parts.push({ role: 'roof', points });
+                }
+            });
+        }
+
+        // Glass follows a smaller copy of the wave, just in front of the wall
+        parts.push({
+            role: 'glass',
+            points: profile.map(({ s, rise }) => frame.at(s * 0.6, -0.05, base + 0.25 + rise * 0.6))
+        });
+
+        const hole = [
+            ...profile.map(({ s }) => frame.toPlan(s, 0)),
+            ...profile.slice(1, -1).reverse().map(({ s, run }) => frame.toPlan(s, run))
+        ];
+        return { hole, parts };
+    }
+
+    buildSkylight(frame, { width, depth }) {
+        // Depth is measured along the slope; glass sits on a short curb around the opening
+        const planDepth = depth / Math.sqrt(1 + frame.slope * frame.slope);
+        const corners = this.getRectangle(frame, width, planDepth, -planDepth / 2);
+        const curb = ROOF_ACCESSORY_DEFAULTS.curbHeight;
+        const parts = corners.map((corner, i) => {
+            const next = corners[(i + 1) % corners.length];
+            return {
+                role: 'trim',
+                points: [
+                    { ...corner, height: frame.surfaceAt(corner) },
+                    { ...next, height: frame.surfaceAt(next) },
+                    { ...next, height: frame.surfaceAt(next) + curb },
+                    { ...corner, height: frame.surfaceAt(corner) + curb }
+                ]
+            };
+        });
+        parts.push({ role: 'glass', points: corners.map(corner => ({ ...corner, height: frame.surfaceAt(corner) + curb })) });
+
+        return { hole: corners, parts };
+    }
+
+    buildChimney(roof, frame, { width, depth, height }) {
+        // Masonry box from below the roof to its height above the highest roof point it touches, plus a cap
+        const corners = this.getRectangle(frame, width, depth, -depth / 2);
+        const heights = corners.map(corner => this.getRoofHeight(roof, corner, frame));
+        const top = Math.max(...heights) + height;
+        const cap = ROOF_ACCESSORY_DEFAULTS.capThickness;
+
+        const capCorners = this.getRectangle(frame, width + 0.5, depth + 0.5, -(depth + 0.5) / 2);
+        return {
+            outline: corners,
+            parts: [
+                ...this.createPrism(corners, Math.min(...heights) - 0.5, top, 'brick'),
+                ...this.createPrism(capCorners, top, top + cap, 'trim')
+            ]
+        };
+    }
+
+    buildCupola(roof, frame, { width, height }) {
+        // Square louvered base straddling the roof with a pyramid cap
+        const corners = this.getRectangle(frame, width, width, -width / 2);
+        const heights = corners.map(corner => this.getRoofHeight(roof, corner, frame));
+        const baseTop = Math.max(...heights) + height * 0.55;
+        const apex = Math.max(...heights) + height;
+        const capCorners = this.getRectangle(frame, width + 0.6, width + 0.6, -(width + 0.6) / 2);
+        const center = frame.toPlan(0, 0);
+
+        return {
+            outline: corners,
+            parts: [
+                ...this.createPrism(corners, Math.min(...heights) - 0.5, baseTop, 'wall'),
+                { role: 'trim', points: capCorners.map(corner => ({ ...corner, height: baseTop })) },
+                ...capCorners.map((corner, i) => ({
+                    role: 'roof',
+                    points: [
+                        { ...corner, height: baseTop },
+                        { ...capCorners[(i + 1) % capCorners.length], height: baseTop },
+                        { ...center, height: apex }
+                    ]
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Glass just in front of a dormer's front wall, or null if the wall is too small for one
+     */
+    createFrontWindow(frame, width, bottom, top) {
+        if (width < 1 || top - bottom < 1) return null;
+        const half = width / 2;
+        return {
+            role: 'glass',
+            points: [
+                frame.at(-half, -0.05, bottom), frame.at(half, -0.05, bottom),
+                frame.at(half, -0.05, top), frame.at(-half, -0.05, top)
+            ]
+        };
+    }
+
+    /**
+     * Plan rectangle on a roof frame, centered across the slope and running up it from v = start
+     * @returns {Array} Corners [{x, y}]
+     */
+    getRectangle(frame, width, depth, start) {
+        const half = width / 2;
+        return [
+            frame.toPlan(-half, start), frame.toPlan(half, start),
+            frame.toPlan(half, start + depth), frame.toPlan(-half, start + depth)
+        ];
+    }
+
+    /**
+     * Side walls and top of a vertical prism
+     * @param {Array} corners - Plan outline [{x, y}]
+     * @returns {Array} Parts
+     */
+    createPrism(corners, bottom, top, role) {
+        return [
+            ...corners.map((corner, i) => {
+                const next = corners[(i + 1) % corners.length];
+                return {
+                    role,
+                    points: [
+                        { x: corner.x, y: corner.y, height: bottom },
+                        { x: next.x, y: next.y, height: bottom },
+                        { x: next.x, y: next.y, height: top },
+                        { x: corner.x, y: corner.y, height: top }
+                    ]
+                };
+            }),
+            { role, points: corners.map(corner => ({ x: corner.x, y: corner.y, height: top })) }
+        ];
+    }
+
+    /**
+     * Roof surface height at a plan point, from whichever plane covers it
+     * (points past the eaves use the plane the item was placed on)
+     */
+    getRoofHeight(roof, point, frame) {
+        const face = roof.faces.find(candidate => this.roomDetector.containsPoint(candidate.points, point));
+        if (!face) return frame.surfaceAt(point);
+        const lift = roof.style === 'flat' ? FLAT_ROOF_THICKNESS : 0;
+        return face.plane.a * point.x + face.plane.b * point.y + face.plane.c + lift;
+    }
+
+    polygonInside(outer, inner) {
+        return inner.every(point => this.roomDetector.containsPoint(outer, point)) &&
+               !this.edgesCross(outer, inner);
+    }
+
+    polygonsOverlap(first, second) {
+        return first.some(point => this.roomDetector.containsPoint(second, point)) ||
+               second.some(point => this.roomDetector.containsPoint(first, point)) ||
+               this.edgesCross(first, second);
+    }
+
+    edgesCross(first, second) {
+        return first.some((point, i) => {
+            const next = first[(i + 1) % first.length];
+            return second.some((other, j) => {
+                const otherNext = second[(j + 1) % second.length];
+                const t = this.roofGeometry.intersectSegments(point, next, other, otherNext);
+                return t !== null && t > 1e-6 && t < 1 - 1e-6;
+            });
+        });
+    }
+
+    /**
+     * Area of a planar polygon in 3D (plan x, plan y, height)
+     * @param {Array} points - [{x, y, height}]
+     * @returns {number} Area in sq ft
+     */
+    getPolygonArea3D(points) {
+        // Newell's method: the summed cross products give twice the area along the normal
+        let nx = 0, ny = 0, nz = 0;
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            nx += (point.y - next.y) * (point.height + next.height);
+            ny += (point.height - next.height) * (point.x + next.x);
+            nz += (point.x - next.x) * (point.y + next.y);
+        });
+        return Math.hypot(nx, ny, nz) / 2;
+    }
+}
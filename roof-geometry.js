@@ -0,0 +1,642 @@
+// Roof Geometry for 3D Home Design Application
+// Builds roof planes over each building's real footprint (feet), shared by the 3D generator and area calculator
+
+import { RoomDetector } from './room-detector.js';
+import { StraightSkeleton } from './straight-skeleton.js';
+
+export const ROOF_DEFAULTS = {
+    style: 'hip',
+    pitch: 6,       // Rise per 12 of run
+    overhang: 1.0   // Feet past each wall, measured square to the wall
+};
+
+// Flat roofs are built as a slab this thick (feet) on top of the walls
+export const FLAT_ROOF_THICKNESS = 1;
+
+// Roof styles; secondaryPitch is the style's second slope (floor.roofSecondaryPitch, rise per 12)
+export const ROOF_STYLES = [
+    { value: 'hip', label: 'Hip Roof' },
+    { value: 'gable', label: 'Gable Roof', gableEnds: true },
+    { value: 'flat', label: 'Flat Roof' },
+    { value: 'shed', label: 'Shed Roof' },
+    {
+        value: 'gambrel', label: 'Gambrel Roof', gableEnds: true,
+        breakRatio: 0.4, // Share of the run (wall to ridge) covered by the steep lower slope
+        secondaryPitch: { label: 'Lower Slope Pitch', default: 18 }
+    },
+    {
+        value: 'mansard', label: 'Mansard Roof',
+        breakRatio: 0.3,
+        secondaryPitch: { label: 'Lower Slope Pitch', default: 24 }
+    },
+    {
+        value: 'saltbox', label: 'Saltbox Roof', gableEnds: true,
+        secondaryPitch: { label: 'Back Slope Pitch', default: 4 }
+    },
+    { value: 'butterfly', label: 'Butterfly Roof', gableEnds: true, inverted: true }
+];
+
+// Which way gable roofs face (floor.roofGables); a wall's own roofEdge ('gable'|'eave') overrides it
+export const ROOF_GABLE_ORIENTATIONS = [
+    { value: 'auto', label: 'Automatic (short ends)' },
+    { value: 'front', label: 'Front Gable' },  // Gables on the walls facing the front and back of the plan
+    { value: 'side', label: 'Side Gable' }     // Gables on the walls facing left and right
+];
+
+/**
+ * Catalog entry for a roof style, falling back to the default style
+ * @param {string} style - Style value
+ * @returns {Object} Entry from ROOF_STYLES
+ */
+export function getRoofStyle(style) {
+    return ROOF_STYLES.find(entry => entry.value === style) ||
+           ROOF_STYLES.find(entry => entry.value === ROOF_DEFAULTS.style);
+}
+
+export class RoofGeometry {
+    /**
+     * @param {number} epsilon - Tolerance in feet for joining wall endpoints
+     */
+    constructor(epsilon = 0.25) {
+        this.epsilon = epsilon;
+        this.roomDetector = new RoomDetector(epsilon);
+        this.skeleton = new StraightSkeleton();
+    }
+
+    /**
+     * Build the roof for every separate building on a floor
+     * @param {Object} floor - Floor data with walls (optionally with roofEdge), roofStyle, roofPitch,
+     *                         roofSecondaryPitch, roofOverhang (feet) and roofGables
+     * @returns {Array} Roofs from buildRoof, one per footprint
+     */
+    buildFloorRoofs(floor) {
+        const walls = floor.walls || [];
+        if (walls.length === 0) return [];
+
+        // Walls that don't close a footprint still get a roof over their extent
+        const detected = this.roomDetector.detectRooms(walls);
+        const footprints = detected.footprints.length > 0
+            ? detected.footprints
+            : [this.getBoundingFootprint(walls)];
+
+        const options = {
+            style: floor.roofStyle || ROOF_DEFAULTS.style,
+            pitch: floor.roofPitch || ROOF_DEFAULTS.pitch,
+            secondaryPitch: floor.roofSecondaryPitch ?? null,
+            overhang: floor.roofOverhang ?? ROOF_DEFAULTS.overhang
+        };
+
+        return footprints
+            .map(footprint => {
+                // Edge choices are matched to the cleaned outline buildRoof works on
+                const polygon = this.cleanPolygon(footprint);
+                const edgeTypes = this.getFootprintEdgeTypes(polygon, walls, floor.roofGables);
+                return this.buildRoof(polygon, { ...options, edgeTypes });
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Gable or eave choice for each footprint edge from the floor's settings
+     * A wall's own roofEdge wins; otherwise 'front' makes the edges running across the plan (facing the
+     * front and back) gables and 'side' the edges running up and down it, and 'auto' leaves it to getGableEdges.
+     * @param {Array} polygon - Footprint [{x, y}]
+     * @param {Array} walls - The floor's walls (feet)
+     * @param {string} orientation - 'auto', 'front' or 'side' (see ROOF_GABLE_ORIENTATIONS)
+     * @returns {Array} Per edge 'gable'|'eave'|null
+     */
+    getFootprintEdgeTypes(polygon, walls, orientation = 'auto') {
+        const count = polygon.length;
+        const chosen = polygon.map((start, i) => {
+            const end = polygon[(i + 1) % count];
+            const wall = walls.find(candidate =>
+                (candidate.roofEdge === 'gable' || candidate.roofEdge === 'eave') &&
+                this.wallRunsAlong(candidate, start, end)
+            );
+            return wall ? wall.roofEdge : null;
+        });
+
+        return chosen.map((choice, i) => {
+            if (choice) return choice;
+            if (orientation !== 'front' && orientation !== 'side') return null;
+
+            const start = polygon[i];
+            const end = polygon[(i + 1) % count];
+            const runsAcross = Math.abs(end.x - start.x) >= Math.abs(end.y - start.y);
+            // A wall chosen as a gable keeps it, so the floor setting gives way next to it
+            const nextToChosenGable = chosen[(i - 1 + count) % count] === 'gable' || chosen[(i + 1) % count] === 'gable';
+            return runsAcross === (orientation === 'front') && !nextToChosenGable ? 'gable' : 'eave';
+        });
+    }
+
+    /**
+     * Whether a wall lies along a footprint edge (all of it, or as one of several walls in a row)
+     * @param {Object} wall - Wall (feet)
+     * @param {Object} start - Edge start {x, y}
+     * @param {Object} end - Edge end {x, y}
+     * @returns {boolean}
+     */
+    wallRunsAlong(wall, start, end) {
+        const wallLength = Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY);
+        const edgeLength = this.distance(start, end);
+        if (wallLength < 1e-9 || edgeLength < 1e-9) return false;
+
+        const cross = ((wall.endX - wall.startX) * (end.y - start.y) - (wall.endY - wall.startY) * (end.x - start.x)) /
+                      (wallLength * edgeLength);
+        if (Math.abs(cross) > 0.01) return false;
+
+        const edgeMiddle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+        const wallMiddle = { x: (wall.startX + wall.endX) / 2, y: (wall.startY + wall.endY) / 2 };
+        const edgeAsWall = { startX: start.x, startY: start.y, endX: end.x, endY: end.y };
+        return this.roomDetector.projectOntoWall(wall, edgeMiddle) !== null ||
+               this.roomDetector.projectOntoWall(edgeAsWall, wallMiddle) !== null;
+    }
+
+    /**
+     * Build a roof over one footprint
+     * Heights are relative to the top of the walls; sloped planes pass through the wall line and
+     * continue down over the overhang (butterfly roofs rise toward the eaves instead).
+     * @param {Array} footprint - Outer outline [{x, y}] in feet, either winding
+     * @param {Object} options - { style (see ROOF_STYLES), pitch, secondaryPitch (null = style default), overhang,
+     *                           edgeTypes: per footprint edge 'gable'|'eave'|null (null = automatic) }
+     * @returns {Object|null} { style, pitch, secondaryPitch, overhang, footprint, gableEdges, eaves, faces,
+     *                         infillWalls, ridgeHeight, planArea, area } - gableEdges is true per footprint edge
+     *                         that ended up a gable end; faces are { points: [{x, y, height}], plane: height =
+     *                         a·x + b·y + c, planArea, area }; infillWalls fill between the wall tops and the roof,
+     *                         { edgeIndex, points: [{x, y, height}] }
+     */
+    buildRoof(footprint, options = {}) {
+        const polygon = this.cleanPolygon(footprint);
+        if (polygon.length < 3) return null;
+
+        const requested = options.style || ROOF_DEFAULTS.style;
+        const style = getRoofStyle(requested);
+        if (style.value !== requested) {
+            console.warn('⚠️ Unknown roof style:', requested);
+        }
+
+        const roof = {
+            style: style.value,
+            pitch: options.pitch || ROOF_DEFAULTS.pitch,
+            secondaryPitch: style.secondaryPitch ? (options.secondaryPitch || style.secondaryPitch.default) : null,
+            overhang: Math.max(0, options.overhang ?? ROOF_DEFAULTS.overhang),
+            footprint: polygon,
+            gableEdges: polygon.map(() => false),
+            eaves: null,
+            faces: [],
+            infillWalls: [],
+            ridgeHeight: 0,
+            planArea: 0,
+            area: 0
+        };
+
+        if (roof.style === 'flat') {
+            roof.eaves = this.offsetPolygon(polygon, roof.overhang);
+            roof.faces.push(this.createFace(roof.eaves.map(point => ({ ...point, height: 0 })), { a: 0, b: 0, c: 0 }));
+        } else if (roof.style === 'shed') {
+            this.buildShedFaces(roof);
+        } else if (!this.buildSkeletonFaces(roof, style, options.edgeTypes)) {
+            console.warn('⚠️ Could not resolve roof planes for this footprint, using a flat roof');
+            return this.buildRoof(footprint, { ...options, style: 'flat' });
+        }
+
+        roof.planArea = Math.abs(this.getSignedArea(roof.eaves));
+        roof.area = roof.faces.reduce((sum, face) => sum + face.area, 0);
+        roof.ridgeHeight = Math.max(0, ...roof.faces.flatMap(face => face.points.map(point => point.height)));
+        if (roof.style !== 'flat') {
+            roof.infillWalls = polygon.flatMap((point, edgeIndex) => this.buildWallInfill(roof, edgeIndex));
+        }
+
+        return roof;
+    }
+
+    /**
+     * Single plane rising from the longest wall to the opposite side
+     * @param {Object} roof - Roof being built (modified)
+     */
+    buildShedFaces(roof) {
+        const polygon = roof.footprint;
+        const low = this.getLongestEdge(polygon);
+        const start = polygon[low];
+        const normal = this.getInwardNormal(polygon, low);
+        const rise = roof.pitch / 12;
+
+        roof.eaves = this.offsetPolygon(polygon, roof.overhang);
+        const plane = {
+            a: normal.x * rise,
+            b: normal.y * rise,
+            c: -(normal.x * start.x + normal.y * start.y) * rise
+        };
+        roof.faces.push(this.createFace(roof.eaves.map(point => ({
+            ...point,
+            height: plane.a * point.x + plane.b * point.y + plane.c
+        })), plane));
+    }
+
+    /**
+     * Hip-family roofs from the footprint's straight skeleton: hip, gable, gambrel, mansard, saltbox, butterfly
+     * Skeleton time is measured in feet of run at the main pitch; each edge moves in at main rise / its own rise,
+     * so edges with a shallower pitch sweep in faster and every eave sits at the same height.
+     * @param {Object} roof - Roof being built (modified)
+     * @param {Object} style - Entry from ROOF_STYLES
+     * @param {Array} edgeTypes - Optional per-edge 'gable'|'eave'|null
+     * @returns {boolean} False if the skeleton couldn't be resolved
+     */
+    buildSkeletonFaces(roof, style, edgeTypes) {
+        const polygon = roof.footprint;
+        const rise = roof.pitch / 12;
+
+        const gableEdges = style.gableEnds
+            ? this.getGableEdges(polygon, edgeTypes)
+            : polygon.map(() => false);
+
+        // Saltbox: the back slope (facing the top of the plan where possible) has its own, usually shallower, pitch
+        const edgeRises = polygon.map(() => rise);
+        if (style.value === 'saltbox') {
+            const back = this.getBackDirection(polygon);
+            polygon.forEach((point, i) => {
+                const normal = this.getInwardNormal(polygon, i);
+                if (-(normal.x * back.x + normal.y * back.y) > 0.5) {
+                    edgeRises[i] = roof.secondaryPitch / 12;
+                }
+            });
+        }
+
+        const compute = () => {
+            const speeds = polygon.map((point, i) => gableEdges[i] ? 0 : rise / edgeRises[i]);
+            // Rake overhangs on gable ends are measured square to the wall like any other
+            const eaves = this.offsetPolygon(polygon, speeds.map(speed => roof.overhang * (speed || 1)));
+            return { speeds, eaves, skeleton: this.skeleton.compute(eaves, speeds) };
+        };
+
+        let result = compute();
+        if (!result.skeleton && gableEdges.some(Boolean)) {
+            console.warn('⚠️ Could not place gable ends on this footprint, using hips instead');
+            gableEdges.fill(false);
+            result = compute();
+        }
+        if (!result.skeleton) return false;
+
+        const { speeds, eaves, skeleton } = result;
+        roof.eaves = eaves;
+        roof.gableEdges = gableEdges;
+
+        // Height as a function of skeleton time; the wall line is at time = overhang
+        const wallTime = roof.overhang;
+        const topTime = Math.max(...skeleton.nodes.map(node => node.time));
+        const lowerRise = roof.secondaryPitch / 12;
+        const breakTime = wallTime + (style.breakRatio || 0) * (topTime - wallTime);
+        const heightAt = (time) => {
+            if (style.inverted) return (topTime - time) * rise;
+            if (style.breakRatio) {
+                const lift = (t) => lowerRise * Math.min(t, breakTime) + rise * Math.max(0, t - breakTime);
+                return lift(time) - lift(wallTime);
+            }
+            return (time - wallTime) * rise;
+        };
+        const riseAt = (time) => {
+            if (style.inverted) return -rise;
+            if (style.breakRatio) return time < breakTime ? lowerRise : rise;
+            return rise;
+        };
+
+        skeleton.faces.forEach((face, edgeIndex) => {
+            // Gable faces are vertical; the wall below them is built separately at the wall line
+            if (gableEdges[edgeIndex]) return;
+
+            const points = face.map(index => {
+                const node = skeleton.nodes[index];
+                return { x: node.x, y: node.y, time: node.time };
+            });
+            const pieces = style.breakRatio && breakTime < topTime
+                ? this.splitAtTime(points, breakTime)
+                : [points];
+
+            const normal = this.getInwardNormal(eaves, edgeIndex);
+            pieces.forEach(piece => {
+                const middleTime = piece.reduce((sum, point) => sum + point.time, 0) / piece.length;
+                // Height changes at riseAt per unit of time, and time at 1 / speed per foot inward
+                const slope = riseAt(middleTime) / speeds[edgeIndex];
+                const withHeights = piece.map(({ x, y, time }) => ({ x, y, height: heightAt(time) }));
+                const plane = {
+                    a: normal.x * slope,
+                    b: normal.y * slope,
+                    c: withHeights[0].height - (normal.x * withHeights[0].x + normal.y * withHeights[0].y) * slope
+                };
+                const roofFace = this.createFace(withHeights, plane);
+                if (roofFace.planArea > 1e-6) roof.faces.push(roofFace);
+            });
+        });
+
+        return true;
+    }
+
+    /**
+     * Split a skeleton face where its time crosses a value (a gambrel or mansard break line)
+     * The part below the break touches the eave and is one piece; the part above can be several.
+     * @param {Array} points - Face boundary [{x, y, time}]
+     * @param {number} breakTime - Time of the break
+     * @returns {Array} Polygons [[{x, y, time}]]
+     */
+    splitAtTime(points, breakTime) {
+        const below = [];
+        const above = [];
+        let current = null;
+        // Start from a point below the break so every run above it is closed by the time the loop ends
+        const first = points.findIndex(point => point.time <= breakTime);
+        const ordered = [...points.slice(first), ...points.slice(0, first)];
+
+        ordered.forEach((point, i) => {
+            const next = ordered[(i + 1) % ordered.length];
+            if (point.time <= breakTime) {
+                below.push(point);
+            } else {
+                current.push(point);
+            }
+
+            const crossesUp = point.time <= breakTime && next.time > breakTime;
+            const crossesDown = point.time > breakTime && next.time <= breakTime;
+            if (crossesUp || crossesDown) {
+                const t = (breakTime - point.time) / (next.time - point.time);
+                const crossing = {
+                    x: point.x + (next.x - point.x) * t,
+                    y: point.y + (next.y - point.y) * t,
+                    time: breakTime
+                };
+                below.push(crossing);
+                if (crossesUp) {
+                    current = [crossing];
+                } else {
+                    current.push(crossing);
+                    above.push(current);
+                    current = null;
+                }
+            }
+        });
+
+        return [below, ...above].filter(piece => piece.length >= 3);
+    }
+
+    createFace(points, plane) {
+        const planArea = Math.abs(this.getSignedArea(points));
+        return {
+            points,
+            plane,
+            planArea,
+            area: planArea * Math.sqrt(1 + plane.a * plane.a + plane.b * plane.b)
+        };
+    }
+
+    /**
+     * Decide which footprint edges are gable ends
+     * Explicit 'gable'/'eave' choices win; otherwise the short ends of each wing are gables
+     * (edges between two outside corners that are no longer than either neighbor). Gables
+     * need an outside corner at both ends and can't share a corner, so other edges are eaves.
+     * @param {Array} polygon - Footprint [{x, y}]
+     * @param {Array} edgeTypes - Optional per-edge 'gable'|'eave'|null
+     * @returns {Array<boolean>} True for gable edges
+     */
+    getGableEdges(polygon, edgeTypes = null) {
+        const count = polygon.length;
+        const winding = Math.sign(this.getSignedArea(polygon));
+        const lengths = polygon.map((point, i) => this.distance(point, polygon[(i + 1) % count]));
+        const isConvex = polygon.map((point, i) => {
+            const prev = polygon[(i - 1 + count) % count];
+            const next = polygon[(i + 1) % count];
+            const cross = (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x);
+            return cross * winding > 0;
+        });
+        const canBeGable = (i) => isConvex[i] && isConvex[(i + 1) % count];
+
+        const automatic = polygon.map((point, i) => canBeGable(i) &&
+            lengths[i] <= Math.min(lengths[(i - 1 + count) % count], lengths[(i + 1) % count]) + 1e-6);
+
+        // Square-ish wings tie on every side: keep the ends across the longest edge
+        const longest = lengths.indexOf(Math.max(...lengths));
+        const axis = {
+            x: (polygon[(longest + 1) % count].x - polygon[longest].x) / lengths[longest],
+            y: (polygon[(longest + 1) % count].y - polygon[longest].y) / lengths[longest]
+        };
+        const choices = polygon.map((point, i) => edgeTypes?.[i] || null);
+        const gables = polygon.map(() => false);
+        const hasGableNeighbor = (i) => gables[(i - 1 + count) % count] || gables[(i + 1) % count];
+
+        // Chosen gable ends first, where they can be built; two gables never share a corner
+        choices.forEach((choice, i) => {
+            if (choice === 'gable' && canBeGable(i) && !hasGableNeighbor(i)) gables[i] = true;
+        });
+
+        // Then the short ends of each wing, except edges chosen as eaves
+        automatic.forEach((isGable, i) => {
+            if (!isGable || choices[i]) return;
+            const direction = {
+                x: (polygon[(i + 1) % count].x - polygon[i].x) / lengths[i],
+                y: (polygon[(i + 1) % count].y - polygon[i].y) / lengths[i]
+            };
+            const tied = automatic[(i - 1 + count) % count] || automatic[(i + 1) % count];
+            if (tied && Math.abs(direction.x * axis.y - direction.y * axis.x) < 0.5) return;
+            if (hasGableNeighbor(i)) return;
+            gables[i] = true;
+        });
+
+        return gables;
+    }
+
+    /**
+     * Wall infill between a footprint edge and the roof above it (gable ends, shed and butterfly high walls)
+     * @param {Object} roof - Roof from buildRoof (faces already built)
+     * @param {number} edgeIndex - Footprint edge
+     * @returns {Array} Pieces { edgeIndex, points: [{x, y, height}] } running along the wall then back under
+     *          the roof; empty where the roof sits right on the wall
+     */
+    buildWallInfill(roof, edgeIndex) {
+        const polygon = roof.footprint;
+        const start = polygon[edgeIndex];
+        const end = polygon[(edgeIndex + 1) % polygon.length];
+        const inward = this.getInwardNormal(polygon, edgeIndex);
+        const pointAt = (t) => ({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t });
+
+        // Break the wall wherever it crosses a roof face boundary
+        const breaks = [0, 1];
+        roof.faces.forEach(face => {
+            face.points.forEach((a, i) => {
+                const b = face.points[(i + 1) % face.points.length];
+                const t = this.intersectSegments(start, end, a, b);
+                if (t !== null) breaks.push(t);
+            });
+        });
+        const stops = [...new Set(breaks.map(t => Math.round(t * 1e6) / 1e6))].sort((a, b) => a - b);
+
+        // Each stretch between breaks lies under one face; nudge inside so a wall on the eave line still finds it
+        const profile = [];
+        for (let i = 0; i < stops.length - 1; i++) {
+            const middle = pointAt((stops[i] + stops[i + 1]) / 2);
+            const probe = { x: middle.x + inward.x * 1e-3, y: middle.y + inward.y * 1e-3 };
+            const face = roof.faces.find(candidate => this.roomDetector.containsPoint(candidate.points, probe));
+            [stops[i], stops[i + 1]].forEach(t => {
+                const point = pointAt(t);
+                const height = face ? Math.max(0, face.plane.a * point.x + face.plane.b * point.y + face.plane.c) : 0;
+                const previous = profile[profile.length - 1];
+                if (previous && Math.abs(previous.t - t) < 1e-9) {
+                    previous.height = Math.max(previous.height, height);
+                } else {
+                    profile.push({ t, ...point, height });
+                }
+            });
+        }
+
+        // One piece per stretch where the roof is above the wall (a butterfly valley touches down mid-wall)
+        const pieces = [];
+        let run = null;
+        profile.forEach(point => {
+            const { x, y, height } = point;
+            if (height > 1e-6) {
+                if (!run) run = [{ x, y, height: 0 }];
+                run.push({ x, y, height });
+                return;
+            }
+            if (run) {
+                run.push({ x, y, height: 0 });
+                pieces.push(run);
+                run = null;
+            }
+            run = [{ x, y, height: 0 }];
+        });
+        if (run) pieces.push(run);
+
+        return pieces
+            .filter(piece => Math.max(...piece.map(point => point.height)) >= 0.01)
+            .map(piece => {
+                // Along the wall top, then back under the roof
+                const first = piece[0];
+                const last = piece[piece.length - 1];
+                const top = piece.filter(point => point.height > 1e-6).reverse();
+                return {
+                    edgeIndex,
+                    points: [
+                        { x: first.x, y: first.y, height: 0 },
+                        { x: last.x, y: last.y, height: 0 },
+                        ...top
+                    ]
+                };
+            });
+    }
+
+    /**
+     * Push every edge of a polygon outward, keeping the corners mitered
+     * @param {Array} polygon - Points [{x, y}], either winding
+     * @param {number|Array<number>} distance - Feet to move each edge out (one value or one per edge)
+     * @returns {Array} Offset polygon with the same number of points
+     */
+    offsetPolygon(polygon, distance) {
+        const count = polygon.length;
+        const distances = Array.isArray(distance) ? distance : polygon.map(() => distance);
+        const outward = polygon.map((point, i) => {
+            const normal = this.getInwardNormal(polygon, i);
+            return { x: -normal.x, y: -normal.y };
+        });
+
+        return polygon.map((point, i) => {
+            const previous = (i - 1 + count) % count;
+            const a = outward[previous];
+            const b = outward[i];
+            const det = a.x * b.y - a.y * b.x;
+            if (Math.abs(det) < 1e-9) {
+                return { x: point.x + b.x * distances[i], y: point.y + b.y * distances[i] };
+            }
+            // Corner moves so each neighboring edge ends up its own distance away: a · d = da, b · d = db
+            return {
+                x: point.x + (distances[previous] * b.y - a.y * distances[i]) / det,
+                y: point.y + (a.x * distances[i] - distances[previous] * b.x) / det
+            };
+        });
+    }
+
+    /**
+     * Unit normal of a polygon edge pointing into the polygon
+     * @param {Array} polygon - Points [{x, y}], either winding
+     * @param {number} edgeIndex - Edge from point edgeIndex to the next
+     * @returns {Object} {x, y}
+     */
+    getInwardNormal(polygon, edgeIndex) {
+        const start = polygon[edgeIndex];
+        const end = polygon[(edgeIndex + 1) % polygon.length];
+        const length = this.distance(start, end);
+        const winding = Math.sign(this.getSignedArea(polygon));
+        return {
+            x: -(end.y - start.y) / length * winding,
+            y: (end.x - start.x) / length * winding
+        };
+    }
+
+    getLongestEdge(polygon) {
+        const lengths = polygon.map((point, i) => this.distance(point, polygon[(i + 1) % polygon.length]));
+        return lengths.indexOf(Math.max(...lengths));
+    }
+
+    /**
+     * Which way the back of the building faces: the top of the plan (the front is at the bottom of the
+     * screen), or for plans running top to bottom, out through the longest wall
+     * @param {Array} polygon - Footprint [{x, y}]
+     * @returns {Object} Unit direction {x, y}
+     */
+    getBackDirection(polygon) {
+        const inward = this.getInwardNormal(polygon, this.getLongestEdge(polygon));
+        if (Math.abs(inward.y) >= 0.5) {
+            return { x: 0, y: -1 };
+        }
+        return { x: -inward.x, y: -inward.y };
+    }
+
+    /**
+     * Where segment p1-p2 crosses segment q1-q2
+     * @returns {number|null} Parameter along p1-p2, or null if they don't cross
+     */
+    intersectSegments(p1, p2, q1, q2) {
+        const r = { x: p2.x - p1.x, y: p2.y - p1.y };
+        const s = { x: q2.x - q1.x, y: q2.y - q1.y };
+        const denominator = r.x * s.y - r.y * s.x;
+        if (Math.abs(denominator) < 1e-12) return null;
+
+        const t = ((q1.x - p1.x) * s.y - (q1.y - p1.y) * s.x) / denominator;
+        const u = ((q1.x - p1.x) * r.y - (q1.y - p1.y) * r.x) / denominator;
+        if (t < 0 || t > 1 || u < -1e-9 || u > 1 + 1e-9) return null;
+        return t;
+    }
+
+    /**
+     * Rectangle around all walls, for floors whose walls don't enclose a footprint
+     * @param {Array} walls - Array of wall objects (feet)
+     * @returns {Array} Rectangle [{x, y}]
+     */
+    getBoundingFootprint(walls) {
+        const xs = walls.flatMap(wall => [wall.startX, wall.endX]);
+        const ys = walls.flatMap(wall => [wall.startY, wall.endY]);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        return [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+    }
+
+    /**
+     * Drop repeated points so every edge has a length
+     * @param {Array} polygon - Points [{x, y}]
+     * @returns {Array} Cleaned copy
+     */
+    cleanPolygon(polygon) {
+        const points = (polygon || []).map(point => ({ x: point.x, y: point.y }));
+        return points.filter((point, i) => this.distance(point, points[(i + 1) % points.length]) > 1e-6);
+    }
+
+    getSignedArea(polygon) {
+        return this.roomDetector.getSignedArea(polygon);
+    }
+
+    distance(p1, p2) {
+        return Math.hypot(p2.x - p1.x, p2.y - p1.y);
+    }
+}
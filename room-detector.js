@@ -0,0 +1,449 @@
+// Room Detector for 3D Home Design Application
+// Builds a planar graph from the wall segments and extracts every enclosed face as a room
+
+export class RoomDetector {
+    /**
+     * @param {number} epsilon - Tolerance in feet for joining wall endpoints and junctions
+     */
+    constructor(epsilon = 0.25) {
+        this.epsilon = epsilon;
+        this.minRoomArea = 1; // sq ft - ignore slivers from nearly-overlapping walls
+    }
+
+    /**
+     * Find all rooms enclosed by a floor's walls
+     * @param {Array} walls - Array of wall objects (feet)
+     * @returns {Object} { rooms, footprint, footprints, exteriorWallIndices, exteriorWallIds } - rooms have
+     *                   polygon, holes, area, perimeter, wallIndices, wallIds and labelPoint; footprints are the
+     *                   outer outlines of each separate building, largest first; footprint is the largest (or null);
+     *                   exteriorWallIndices/exteriorWallIds are the walls on any footprint
+     */
+    detectRooms(walls) {
+        const graph = this.buildGraph(walls || []);
+        this.pruneDanglingEdges(graph);
+        const faces = this.traceFaces(graph);
+
+        const rooms = [];
+        const boundaries = [];
+
+        faces.forEach(face => {
+            const area = this.getSignedArea(face.polygon);
+            if (area > this.minRoomArea) {
+                rooms.push({ ...face, area, holes: [] });
+            } else if (area < -this.minRoomArea) {
+                // Clockwise faces are the outside of a connected group of walls
+                boundaries.push({ ...face, polygon: face.polygon.slice().reverse(), area: -area });
+            }
+        });
+
+        // A group of walls standing inside a room (e.g. a freestanding closet) is a hole in that room
+        const footprints = [];
+        boundaries.forEach(boundary => {
+            const container = rooms
+                .filter(room => room.component !== boundary.component &&
+                                this.containsPoint(room.polygon, boundary.polygon[0]))
+                .sort((a, b) => a.area - b.area)[0];
+
+            if (container) {
+                container.holes.push(boundary.polygon);
+                container.area -= boundary.area;
+            } else {
+                footprints.push(boundary);
+            }
+        });
+        footprints.sort((a, b) => b.area - a.area);
+        const exteriorWallIndices = [...new Set(footprints.flatMap(boundary => boundary.wallIndices))]
+            .sort((a, b) => a - b);
+        const toWallIds = (indices) => indices.map(index => walls[index].id);
+
+        return {
+            rooms: rooms.map(room => ({
+                polygon: room.polygon,
+                holes: room.holes,
+                area: Math.round(room.area * 100) / 100,
+                perimeter: Math.round((this.getPerimeter(room.polygon) +
+                    room.holes.reduce((sum, hole) => sum + this.getPerimeter(hole), 0)) * 100) / 100,
+                wallIndices: room.wallIndices,
+                wallIds: toWallIds(room.wallIndices),
+                labelPoint: this.getLabelPoint(room.polygon)
+            })),
+            footprint: footprints.length > 0 ? footprints[0].polygon : null,
+            footprints: footprints.map(boundary => boundary.polygon),
+            exteriorWallIndices,
+            exteriorWallIds: toWallIds(exteriorWallIndices)
+        };
+    }
+
+    /**
+     * Attach saved names and types to detected rooms. Each saved label is a point
+     * inside its room, so labels follow rooms as walls are added or moved.
+     * @param {Array} rooms - Rooms from detectRooms
+     * @param {Array} labels - Floor room labels [{ name, type, x, y }]
+     * @returns {Array} Rooms with name, type and labelIndex (null if unlabeled)
+     */
+    assignLabels(rooms, labels = []) {
+        return rooms.map(room => {
+            const labelIndex = labels.findIndex(label => this.roomContainsPoint(room, label));
+            const label = labels[labelIndex];
+            return {
+                ...room,
+                name: label?.name || '',
+                type: label?.type || '',
+                labelIndex: labelIndex >= 0 ? labelIndex : null
+            };
+        });
+    }
+
+    /**
+     * Whether a point is inside a room (and not inside one of its holes)
+     * @param {Object} room - Room from detectRooms
+     * @param {Object} point - Point {x, y}
+     * @returns {boolean} True if the point is in the room
+     */
+    roomContainsPoint(room, point) {
+        return this.containsPoint(room.polygon, point) &&
+               !room.holes.some(hole => this.containsPoint(hole, point));
+    }
+
+    /**
+     * Which side of a wall faces outdoors, for things that project outward like bay windows
+     * @param {Array} rooms - Rooms from detectRooms
+     * @param {Object} wall - Wall object (feet)
+     * @returns {number} 1 if the wall's left-hand normal (-dy, dx) points outside, -1 if it points into a room
+     */
+    getOutwardSide(rooms, wall) {
+        const dx = wall.endX - wall.startX;
+        const dy = wall.endY - wall.startY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length < this.epsilon) return 1;
+
+        const offset = this.epsilon * 2;
+        const probe = {
+            x: (wall.startX + wall.endX) / 2 - (dy / length) * offset,
+            y: (wall.startY + wall.endY) / 2 + (dx / length) * offset
+        };
+        return rooms.some(room => this.roomContainsPoint(room, probe)) ? -1 : 1;
+    }
+
+    /**
+     * Split walls at every crossing and T-junction and merge nearby endpoints
+     * @param {Array} walls - Array of wall objects
+     * @returns {Object} Graph { vertices: [{x, y}], edges: [{a, b, wallIndex, removed}] }
+     */
+    buildGraph(walls) {
+        const vertices = [];
+        const edges = [];
+        const edgeKeys = new Set();
+
+        const findOrAddVertex = (point) => {
+            for (let i = 0; i < vertices.length; i++) {
+                if (this.distance(vertices[i], point) < this.epsilon) {
+                    return i;
+                }
+            }
+            vertices.push({ x: point.x, y: point.y });
+            return vertices.length - 1;
+        };
+
+        // Parameters (0..1) along each wall where it must be split
+        const splits = walls.map(() => [0, 1]);
+
+        for (let i = 0; i < walls.length; i++) {
+            for (let j = i + 1; j < walls.length; j++) {
+                this.addSplitPoints(walls[i], walls[j], splits[i], splits[j]);
+            }
+        }
+
+        walls.forEach((wall, wallIndex) => {
+            const length = Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY);
+            if (length < this.epsilon) return;
+
+            const params = [...new Set(splits[wallIndex])].sort((a, b) => a - b);
+            for (let k = 0; k < params.length - 1; k++) {
+                const a = findOrAddVertex(this.pointOnWall(wall, params[k]));
+                const b = findOrAddVertex(this.pointOnWall(wall, params[k + 1]));
+                if (a === b) continue;
+
+                // Overlapping walls produce the same edge twice
+                const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+                if (edgeKeys.has(key)) continue;
+                edgeKeys.add(key);
+                edges.push({ a, b, wallIndex, removed: false });
+            }
+        });
+
+        return { vertices, edges };
+    }
+
+    /**
+     * Record where two walls cross or touch
+     * @param {Object} wallA - First wall
+     * @param {Object} wallB - Second wall
+     * @param {Array} splitsA - Split parameters of the first wall (modified)
+     * @param {Array} splitsB - Split parameters of the second wall (modified)
+     */
+    addSplitPoints(wallA, wallB, splitsA, splitsB) {
+        // Endpoints lying on the other wall (T-junctions and collinear overlaps)
+        [{ x: wallB.startX, y: wallB.startY }, { x: wallB.endX, y: wallB.endY }].forEach(point => {
+            const t = this.projectOntoWall(wallA, point);
+            if (t !== null) splitsA.push(t);
+        });
+        [{ x: wallA.startX, y: wallA.startY }, { x: wallA.endX, y: wallA.endY }].forEach(point => {
+            const t = this.projectOntoWall(wallB, point);
+            if (t !== null) splitsB.push(t);
+        });
+
+        // Proper crossing
+        const rx = wallA.endX - wallA.startX;
+        const ry = wallA.endY - wallA.startY;
+        const sx = wallB.endX - wallB.startX;
+        const sy = wallB.endY - wallB.startY;
+        const denominator = rx * sy - ry * sx;
+        if (Math.abs(denominator) < 1e-9) return; // Parallel
+
+        const qx = wallB.startX - wallA.startX;
+        const qy = wallB.startY - wallA.startY;
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        if (t > 0 && t < 1 && u > 0 && u < 1) {
+            splitsA.push(t);
+            splitsB.push(u);
+        }
+    }
+
+    /**
+     * Parameter along a wall of the closest point to a given point, if it lies on the wall
+     * @param {Object} wall - Wall object
+     * @param {Object} point - Point {x, y}
+     * @returns {number|null} Parameter 0..1, or null if the point is off the wall
+     */
+    projectOntoWall(wall, point) {
+        const dx = wall.endX - wall.startX;
+        const dy = wall.endY - wall.startY;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return null;
+
+        const t = Math.max(0, Math.min(1,
+            ((point.x - wall.startX) * dx + (point.y - wall.startY) * dy) / lengthSquared));
+        return this.distance(this.pointOnWall(wall, t), point) < this.epsilon ? t : null;
+    }
+
+    /**
+     * Remove wall stubs that don't enclose anything (vertices with a single edge)
+     * @param {Object} graph - Graph from buildGraph (modified)
+     */
+    pruneDanglingEdges(graph) {
+        const degree = new Array(graph.vertices.length).fill(0);
+        graph.edges.forEach(edge => {
+            degree[edge.a]++;
+            degree[edge.b]++;
+        });
+
+        let pruned = true;
+        while (pruned) {
+            pruned = false;
+            graph.edges.forEach(edge => {
+                if (edge.removed || (degree[edge.a] > 1 && degree[edge.b] > 1)) return;
+                edge.removed = true;
+                degree[edge.a]--;
+                degree[edge.b]--;
+                pruned = true;
+            });
+        }
+    }
+
+    /**
+     * Walk the half-edges of the graph to find every face
+     * @param {Object} graph - Pruned graph
+     * @returns {Array} Faces { polygon, wallIndices, component }
+     */
+    traceFaces(graph) {
+        const { vertices, edges } = graph;
+
+        // Outgoing half-edges around each vertex, sorted by angle.
+        // Half-edge 2e runs a->b along edge e, 2e+1 runs b->a.
+        const outgoing = vertices.map(() => []);
+        edges.forEach((edge, e) => {
+            if (edge.removed) return;
+            const a = vertices[edge.a];
+            const b = vertices[edge.b];
+            outgoing[edge.a].push({ halfEdge: 2 * e, angle: Math.atan2(b.y - a.y, b.x - a.x) });
+            outgoing[edge.b].push({ halfEdge: 2 * e + 1, angle: Math.atan2(a.y - b.y, a.x - b.x) });
+        });
+        outgoing.forEach(list => list.sort((p, q) => p.angle - q.angle));
+
+        const origin = (h) => h % 2 === 0 ? edges[h >> 1].a : edges[h >> 1].b;
+        const target = (h) => h % 2 === 0 ? edges[h >> 1].b : edges[h >> 1].a;
+
+        // Connected components, so holes can be told apart from the room around them
+        const component = vertices.map((_, i) => i);
+        const find = (i) => (component[i] === i ? i : (component[i] = find(component[i])));
+        edges.forEach(edge => {
+            if (!edge.removed) component[find(edge.a)] = find(edge.b);
+        });
+
+        const visited = new Set();
+        const faces = [];
+
+        edges.forEach((edge, e) => {
+            if (edge.removed) return;
+
+            [2 * e, 2 * e + 1].forEach(start => {
+                if (visited.has(start)) return;
+
+                const polygon = [];
+                const wallIndices = new Set();
+                let h = start;
+                while (!visited.has(h)) {
+                    visited.add(h);
+                    polygon.push(vertices[origin(h)]);
+                    wallIndices.add(edges[h >> 1].wallIndex);
+
+                    // Next half-edge: turn as far as possible at the target vertex
+                    const around = outgoing[target(h)];
+                    const twinIndex = around.findIndex(entry => entry.halfEdge === (h ^ 1));
+                    h = around[(twinIndex - 1 + around.length) % around.length].halfEdge;
+                }
+
+                faces.push({
+                    polygon: this.removeCollinearPoints(polygon),
+                    wallIndices: [...wallIndices].sort((a, b) => a - b),
+                    component: find(edge.a)
+                });
+            });
+        });
+
+        return faces;
+    }
+
+    /**
+     * Drop vertices that lie on a straight run (left over from splitting walls)
+     * @param {Array} polygon - Array of points
+     * @returns {Array} Simplified polygon
+     */
+    removeCollinearPoints(polygon) {
+        if (polygon.length <= 3) return polygon;
+
+        return polygon.filter((point, i) => {
+            const prev = polygon[(i - 1 + polygon.length) % polygon.length];
+            const next = polygon[(i + 1) % polygon.length];
+            const cross = (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x);
+            const dot = (point.x - prev.x) * (next.x - point.x) + (point.y - prev.y) * (next.y - point.y);
+            return Math.abs(cross) > 1e-6 || dot < 0;
+        });
+    }
+
+    /**
+     * Signed polygon area (shoelace formula) - positive for faces enclosed by the walls
+     * @param {Array} polygon - Array of points
+     * @returns {number} Signed area in square feet
+     */
+    getSignedArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const j = (i + 1) % polygon.length;
+            area += polygon[i].x * polygon[j].y;
+            area -= polygon[j].x * polygon[i].y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Polygon perimeter
+     * @param {Array} polygon - Array of points
+     * @returns {number} Perimeter in feet
+     */
+    getPerimeter(polygon) {
+        let perimeter = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            perimeter += this.distance(polygon[i], polygon[(i + 1) % polygon.length]);
+        }
+        return perimeter;
+    }
+
+    /**
+     * Point-in-polygon test (ray casting)
+     * @param {Array} polygon - Array of points
+     * @param {Object} point - Point {x, y}
+     * @returns {boolean} True if the point is inside
+     */
+    containsPoint(polygon, point) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * A point inside the polygon suitable for a label - the centroid, or for
+     * L-shaped and other concave rooms the middle of the widest span through it
+     * @param {Array} polygon - Array of points
+     * @returns {Object} Point {x, y}
+     */
+    getLabelPoint(polygon) {
+        const area = this.getSignedArea(polygon);
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const cross = a.x * b.y - b.x * a.y;
+            cx += (a.x + b.x) * cross;
+            cy += (a.y + b.y) * cross;
+        }
+        const centroid = area !== 0 ? { x: cx / (6 * area), y: cy / (6 * area) } : polygon[0];
+
+        if (this.containsPoint(polygon, centroid)) {
+            return centroid;
+        }
+
+        // Horizontal scanline through the centroid - take the midpoint of the widest inside span
+        const crossings = [];
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > centroid.y) !== (b.y > centroid.y)) {
+                crossings.push((b.x - a.x) * (centroid.y - a.y) / (b.y - a.y) + a.x);
+            }
+        }
+        crossings.sort((a, b) => a - b);
+
+        let best = null;
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const width = crossings[i + 1] - crossings[i];
+            if (!best || width > best.width) {
+                best = { width, x: (crossings[i] + crossings[i + 1]) / 2 };
+            }
+        }
+        return best ? { x: best.x, y: centroid.y } : centroid;
+    }
+
+    /**
+     * Point at a parameter along a wall
+     * @param {Object} wall - Wall object
+     * @param {number} t - Parameter 0..1
+     * @returns {Object} Point {x, y}
+     */
+    pointOnWall(wall, t) {
+        return {
+            x: wall.startX + (wall.endX - wall.startX) * t,
+            y: wall.startY + (wall.endY - wall.startY) * t
+        };
+    }
+
+    /**
+     * Distance between two points
+     * @param {Object} p1 - First point
+     * @param {Object} p2 - Second point
+     * @returns {number} Distance in feet
+     */
+    distance(p1, p2) {
+        return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+    }
+}
@@ -0,0 +1,344 @@
+// Stair Geometry for 3D Home Design Application
+// Straight, L, U and spiral stairs rising from a floor to the one above (feet), shared by the 2D plan,
+// the 3D generator and the stairwell opening cut in the floor above
+
+// Stair types and their standard sizes (feet). width is the clear width of each flight, or the
+// overall diameter of a spiral stair. Turning types go left or right at their landing.
+export const STAIR_TYPES = [
+    { value: 'straight', label: 'Straight', icon: '🪜', width: 3 },
+    { value: 'l-shaped', label: 'L-Shaped', icon: '↱', width: 3, turns: true },
+    { value: 'u-shaped', label: 'U-Shaped', icon: '↶', width: 3, turns: true },
+    { value: 'spiral', label: 'Spiral', icon: '🌀', width: 5, turns: true, spiral: true }
+];
+
+export const STAIR_TURNS = [
+    { value: 'right', label: 'Turn Right' },
+    { value: 'left', label: 'Turn Left' }
+];
+
+export const STAIR_DEFAULTS = {
+    type: 'straight',
+    maxRiser: 7.75 / 12,     // Tallest step residential code allows
+    treadDepth: 10 / 12,     // Run of each tread, nosing to nosing
+    spiralTreadAngle: 30,    // Degrees each spiral tread turns
+    spiralPoleRadius: 0.25,
+    treadThickness: 0.125,   // Open spiral treads (1 1/2")
+    handrailHeight: 3,       // Above the tread nosings (36")
+    floorThickness: 1        // Floor system above, for floors that don't set their own
+};
+
+/**
+ * Catalog entry for a stair type, falling back to the default type
+ * @param {string|Object} type - Type value, or a stair with a type
+ * @returns {Object} Entry from STAIR_TYPES
+ */
+export function getStairType(type) {
+    const value = typeof type === 'object' && type !== null ? type.type : type;
+    return STAIR_TYPES.find(entry => entry.value === value) ||
+           STAIR_TYPES.find(entry => entry.value === STAIR_DEFAULTS.type);
+}
+
+/**
+ * Floor-to-floor height a floor's stairs climb: its walls plus the floor system of the floor above
+ * @param {Array} floors - All floors, bottom first
+ * @param {number} floorIndex - Floor the stairs start on
+ * @returns {number} Rise in feet
+ */
+export function getStairRise(floors, floorIndex) {
+    const floorAbove = floors[floorIndex + 1];
+    return (floors[floorIndex]?.wallHeight || 8) + (floorAbove?.floorThickness ?? STAIR_DEFAULTS.floorThickness);
+}
+
+export class StairGeometry {
+    /**
+     * Build every stair stored on a floor
+     * @param {Array} floors - All floors, bottom first
+     * @param {number} floorIndex - Floor whose stairs to build
+     * @returns {Array} One result per stair, in order: { index, hasFloorAbove } plus buildStair's result
+     */
+    buildFloorStairs(floors, floorIndex) {
+        const rise = getStairRise(floors, floorIndex);
+        const hasFloorAbove = floorIndex < floors.length - 1;
+        return (floors[floorIndex]?.stairs || []).map((stair, index) => ({
+            index,
+            hasFloorAbove,
+            ...this.buildStair(stair, rise)
+        }));
+    }
+
+    /**
+     * Build one stair
+     * Flights start at the stair's position (the middle of the bottom step's nosing) and climb in the
+     * direction of its rotation: 0° runs up the screen, 90° to the right. Spiral stairs are centered on
+     * their position and start their climb in the same direction.
+     * @param {Object} stair - { type, x, y, width, rotation (degrees), turn: 'right'|'left' } in feet
+     * @param {number} rise - Floor-to-floor height in feet
+     * @returns {Object} { riserCount, riserHeight, treadDepth,
+     *                   steps: [{ points: [{x, y}], height, landing }] - treads and landings with their top height,
+     *                   outline: plan outline [{x, y}], also the stairwell opening in the floor above,
+     *                   path: walking line [{x, y}] from the bottom step to the top,
+     *                   handrails: [[{x, y, height}]], pole: { x, y, radius, height } or null }
+     */
+    buildStair(stair, rise) {
+        const type = getStairType(stair);
+        const riserCount = Math.max(3, Math.ceil(rise / STAIR_DEFAULTS.maxRiser - 1e-9));
+        const layout = {
+            riserCount,
+            riserHeight: rise / riserCount,
+            treadDepth: STAIR_DEFAULTS.treadDepth,
+            width: stair.width || type.width,
+            side: stair.turn === 'left' ? -1 : 1
+        };
+
+        let local;
+        switch (type.value) {
+            case 'l-shaped': local = this.buildLShaped(layout); break;
+            case 'u-shaped': local = this.buildUShaped(layout); break;
+            case 'spiral': local = this.buildSpiral(layout); break;
+            default: local = this.buildStraight(layout); break;
+        }
+
+        // Local u runs to the right of the climb and w along it; map both onto the plan
+        const angle = (stair.rotation || 0) * Math.PI / 180;
+        const forward = { x: Math.sin(angle), y: -Math.cos(angle) };
+        const right = { x: Math.cos(angle), y: Math.sin(angle) };
+        const toPlan = (point) => ({
+            x: stair.x + point.u * right.x + point.w * forward.x,
+            y: stair.y + point.u * right.y + point.w * forward.y
+        });
+
+        return {
+            riserCount,
+            riserHeight: layout.riserHeight,
+            treadDepth: layout.treadDepth,
+            steps: local.steps.map(step => ({
+                points: step.points.map(toPlan),
+                height: step.height,
+                landing: !!step.landing
+            })),
+            // Flights of equal length leave repeated corners (U-shaped); holes need distinct ones
+            outline: local.outline
+                .filter((point, i, points) => {
+                    const previous = points[(i + points.length - 1) % points.length];
+                    return Math.hypot(point.u - previous.u, point.w - previous.w) > 1e-6;
+                })
+                .map(toPlan),
+            path: local.path.map(toPlan),
+            handrails: local.handrails.map(rail => rail.map(point => ({ ...toPlan(point), height: point.height }))),
+            pole: local.pole ? { ...toPlan({ u: 0, w: 0 }), radius: local.pole.radius, height: local.pole.height } : null
+        };
+    }
+
+    buildStraight({ riserCount, riserHeight, treadDepth, width }) {
+        const half = width / 2;
+        const run = (riserCount - 1) * treadDepth;
+        const rail = (u) => [
+            { u, w: 0, height: riserHeight + STAIR_DEFAULTS.handrailHeight },
+            { u, w: run, height: riserCount * riserHeight + STAIR_DEFAULTS.handrailHeight }
+        ];
+
+        return {
+            steps: this.buildFlight({ u: 0, w: 0 }, { u: 0, w: 1 }, riserCount - 1, 1, width, treadDepth, riserHeight),
+            outline: this.getRectangle(-half, 0, half, run),
+            path: [{ u: 0, w: 0 }, { u: 0, w: run }],
+            handrails: [rail(-half), rail(half)],
+            pole: null
+        };
+    }
+
+    buildLShaped({ riserCount, riserHeight, treadDepth, width, side }) {
+        // First flight, a square landing, then the second flight turns toward the chosen side
+        const half = width / 2;
+        const rail = STAIR_DEFAULTS.handrailHeight;
+        const firstCount = Math.ceil((riserCount - 2) / 2);
+        const secondCount = riserCount - 2 - firstCount;
+        const landingStart = firstCount * treadDepth;
+        const landingHeight = (firstCount + 1) * riserHeight;
+        const secondStart = (firstCount + 2) * riserHeight;
+        const top = riserCount * riserHeight;
+        const end = side * (half + secondCount * treadDepth);
+
+        const steps = [
+            ...this.buildFlight({ u: 0, w: 0 }, { u: 0, w: 1 }, firstCount, 1, width, treadDepth, riserHeight),
+            { points: this.getRectangle(-half, landingStart, half, landingStart + width), height: landingHeight, landing: true },
+            ...this.buildFlight({ u: side * half, w: landingStart + half }, { u: side, w: 0 }, secondCount, firstCount + 2,
+                width, treadDepth, riserHeight)
+        ];
+
+        return {
+            steps,
+            outline: [
+                { u: -side * half, w: 0 },
+                { u: side * half, w: 0 },
+                { u: side * half, w: landingStart },
+                { u: end, w: landingStart },
+                { u: end, w: landingStart + width },
+                { u: -side * half, w: landingStart + width }
+            ],
+            path: [{ u: 0, w: 0 }, { u: 0, w: landingStart + half }, { u: end, w: landingStart + half }],
+            handrails: [
+                // Outside of the turn, around the landing
+                [
+                    { u: -side * half, w: 0, height: riserHeight + rail },
+                    { u: -side * half, w: landingStart, height: landingHeight + rail },
+                    { u: -side * half, w: landingStart + width, height: landingHeight + rail },
+                    { u: side * half, w: landingStart + width, height: landingHeight + rail },
+                    { u: side * half, w: landingStart + width, height: secondStart + rail },
+                    { u: end, w: landingStart + width, height: top + rail }
+                ],
+                // Inside of the turn
+                [
+                    { u: side * half, w: 0, height: riserHeight + rail },
+                    { u: side * half, w: landingStart, height: landingHeight + rail },
+                    { u: side * half, w: landingStart, height: secondStart + rail },
+                    { u: end, w: landingStart, height: top + rail }
+                ]
+            ],
+            pole: null
+        };
+    }
+
+    buildUShaped({ riserCount, riserHeight, treadDepth, width, side }) {
+        // First flight, a landing across both flights, then the second flight comes back alongside the first
+        const half = width / 2;
+        const rail = STAIR_DEFAULTS.handrailHeight;
+        const firstCount = Math.ceil((riserCount - 2) / 2);
+        const secondCount = riserCount - 2 - firstCount;
+        const landingStart = firstCount * treadDepth;
+        const landingHeight = (firstCount + 1) * riserHeight;
+        const secondStart = (firstCount + 2) * riserHeight;
+        const top = riserCount * riserHeight;
+        const secondEnd = landingStart - secondCount * treadDepth;
+        const middle = side * half;
+        const outside = side * (width + half);
+
+        const steps = [
+            ...this.buildFlight({ u: 0, w: 0 }, { u: 0, w: 1 }, firstCount, 1, width, treadDepth, riserHeight),
+            {
+                points: this.getRectangle(Math.min(-side * half, outside), landingStart, Math.max(-side * half, outside), landingStart + width),
+                height: landingHeight,
+                landing: true
+            },
+            ...this.buildFlight({ u: side * width, w: landingStart }, { u: 0, w: -1 }, secondCount, firstCount + 2,
+                width, treadDepth, riserHeight)
+        ];
+
+        return {
+            steps,
+            outline: [
+                { u: -side * half, w: 0 },
+                { u: middle, w: 0 },
+                { u: middle, w: secondEnd },
+                { u: outside, w: secondEnd },
+                { u: outside, w: landingStart + width },
+                { u: -side * half, w: landingStart + width }
+            ],
+            path: [
+                { u: 0, w: 0 },
+                { u: 0, w: landingStart + half },
+                { u: side * width, w: landingStart + half },
+                { u: side * width, w: secondEnd }
+            ],
+            handrails: [
+                // Around the outside of both flights and the landing
+                [
+                    { u: -side * half, w: 0, height: riserHeight + rail },
+                    { u: -side * half, w: landingStart, height: landingHeight + rail },
+                    { u: -side * half, w: landingStart + width, height: landingHeight + rail },
+                    { u: outside, w: landingStart + width, height: landingHeight + rail },
+                    { u: outside, w: landingStart, height: landingHeight + rail },
+                    { u: outside, w: landingStart, height: secondStart + rail },
+                    { u: outside, w: secondEnd, height: top + rail }
+                ],
+                // Between the flights
+                [
+                    { u: middle, w: 0, height: riserHeight + rail },
+                    { u: middle, w: landingStart, height: landingHeight + rail },
+                    { u: middle, w: landingStart, height: secondStart + rail },
+                    { u: middle, w: secondEnd, height: top + rail }
+                ]
+            ],
+            pole: null
+        };
+    }
+
+    buildSpiral({ riserCount, riserHeight, width, side }) {
+        // Wedge treads around a center pole, turning clockwise (right) or counterclockwise (left) on the plan
+        const radius = width / 2;
+        const poleRadius = STAIR_DEFAULTS.spiralPoleRadius;
+        const treadAngle = STAIR_DEFAULTS.spiralTreadAngle * Math.PI / 180;
+        const treadCount = riserCount - 1;
+        const at = (r, angle) => ({ u: side * r * Math.sin(angle), w: r * Math.cos(angle) });
+
+        const steps = [];
+        for (let i = 0; i < treadCount; i++) {
+            const start = i * treadAngle;
+            const points = [at(poleRadius, start)];
+            for (let j = 0; j <= 4; j++) {
+                points.push(at(radius, start + treadAngle * j / 4));
+            }
+            points.push(at(poleRadius, start + treadAngle));
+            steps.push({ points, height: (i + 1) * riserHeight });
+        }
+
+        const outline = [];
+        for (let i = 0; i < 24; i++) {
+            outline.push(at(radius, i * Math.PI * 2 / 24));
+        }
+
+        // Walking line two thirds of the way out, handrail on the outer edge
+        const path = [];
+        const handrail = [];
+        for (let i = 0; i <= treadCount * 2; i++) {
+            const angle = i * treadAngle / 2;
+            path.push(at(radius * 2 / 3, angle));
+            handrail.push({ ...at(radius, angle), height: riserHeight * (1 + i / 2) + STAIR_DEFAULTS.handrailHeight });
+        }
+
+        return {
+            steps,
+            outline,
+            path,
+            handrails: [handrail],
+            pole: { radius: poleRadius, height: riserCount * riserHeight + STAIR_DEFAULTS.handrailHeight }
+        };
+    }
+
+    /**
+     * Treads of one straight flight
+     * @param {Object} origin - Middle of the first riser {u, w}
+     * @param {Object} direction - Unit direction of travel {u, w}
+     * @param {number} count - Number of treads
+     * @param {number} firstStep - Step number of the first tread (its height in risers)
+     * @param {number} width - Flight width
+     * @param {number} treadDepth - Run of each tread
+     * @param {number} riserHeight - Height of each step
+     * @returns {Array} Steps [{ points, height }]
+     */
+    buildFlight(origin, direction, count, firstStep, width, treadDepth, riserHeight) {
+        const across = { u: direction.w, w: -direction.u };
+        const half = width / 2;
+        const at = (along, offset) => ({
+            u: origin.u + direction.u * along + across.u * offset,
+            w: origin.w + direction.w * along + across.w * offset
+        });
+
+        const steps = [];
+        for (let i = 0; i < count; i++) {
+            steps.push({
+                points: [at(i * treadDepth, -half), at(i * treadDepth, half), at((i + 1) * treadDepth, half), at((i + 1) * treadDepth, -half)],
+                height: (firstStep + i) * riserHeight
+            });
+        }
+        return steps;
+    }
+
+    getRectangle(minU, minW, maxU, maxW) {
+        return [
+            { u: minU, w: minW },
+            { u: maxU, w: minW },
+            { u: maxU, w: maxW },
+            { u: minU, w: maxW }
+        ];
+    }
+}
@@ -0,0 +1,352 @@
+// Straight Skeleton for 3D Home Design Application
+// Shrinks a footprint's edges inward at per-edge speeds and records where they meet - the hips, valleys and ridges of a roof
+
+export class StraightSkeleton {
+    /**
+     * @param {number} epsilon - Numeric tolerance (feet)
+     */
+    constructor(epsilon = 1e-6) {
+        this.epsilon = epsilon;
+        this.maxEvents = 2000; // Guard against degenerate input looping forever
+    }
+
+    /**
+     * Compute the (weighted) straight skeleton of a simple polygon
+     * @param {Array} polygon - Points [{x, y}] in either winding, without a repeated closing point
+     * @param {Array<number>} weights - Inward speed per edge (edge i runs from point i to i + 1);
+     *                                  1 = normal roof slope, 0 = vertical face (gable end). Defaults to all 1.
+     * @returns {Object|null} { nodes: [{x, y, time}], faces: [[nodeIndex]] } - face i belongs to edge i and
+     *          starts with that edge's two corners; time is how far a speed-1 edge had moved when the node formed.
+     *          Null if the polygon has fewer than 3 points or couldn't be resolved.
+     */
+    compute(polygon, weights = null) {
+        const count = polygon?.length || 0;
+        if (count < 3) return null;
+        const edgeWeights = weights || polygon.map(() => 1);
+
+        // Work on a counterclockwise copy so inward is always to the left of each edge
+        if (this.getSignedArea(polygon) < 0) {
+            const reversed = polygon.slice().reverse();
+            // Reversed edge k is original edge n - 2 - k, running the other way
+            const originalEdge = (k) => (count - 2 - k + count) % count;
+            const result = this.computeCounterClockwise(reversed, reversed.map((point, k) => edgeWeights[originalEdge(k)]));
+            if (!result) return null;
+
+            const faces = [];
+            result.faces.forEach((face, k) => {
+                const [start, end, ...chain] = face;
+                faces[originalEdge(k)] = [end, start, ...chain.reverse()];
+            });
+            return { nodes: result.nodes, faces };
+        }
+
+        return this.computeCounterClockwise(polygon, edgeWeights);
+    }
+
+    computeCounterClockwise(polygon, weights) {
+        const count = polygon.length;
+        const scale = Math.max(...polygon.map(p => Math.abs(p.x)), ...polygon.map(p => Math.abs(p.y)), 1);
+        const mergeDistance = this.epsilon * scale * 10;
+
+        // Edge lines: n · p = offset + weight * time, with n the inward unit normal
+        const edges = polygon.map((start, i) => {
+            const end = polygon[(i + 1) % count];
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            const direction = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+            const normal = { x: -direction.y, y: direction.x };
+            return {
+                direction,
+                normal,
+                offset: normal.x * start.x + normal.y * start.y,
+                weight: weights[i]
+            };
+        });
+        if (edges.some(edge => !Number.isFinite(edge.offset))) return null;
+
+        const nodes = [];
+        const addNode = (point, time) => {
+            const existing = nodes.findIndex(node => Math.hypot(node.x - point.x, node.y - point.y) < mergeDistance);
+            if (existing >= 0) return existing;
+            nodes.push({ x: point.x, y: point.y, time });
+            return nodes.length - 1;
+        };
+
+        // Boundary segments of each edge's face
+        const faceSegments = edges.map(() => []);
+        const addSegment = (edgeIndex, a, b) => {
+            if (a !== b) faceSegments[edgeIndex].push([a, b]);
+        };
+
+        let time = 0;
+        const vertices = [];
+        const createVertex = (point, edgeIn, edgeOut, node) => {
+            const vertex = {
+                p: { x: point.x, y: point.y },
+                vel: this.getVelocity(edges[edgeIn], edges[edgeOut]),
+                edgeIn,
+                edgeOut,
+                node,
+                prev: null,
+                next: null,
+                active: true
+            };
+            vertices.push(vertex);
+            return vertex;
+        };
+
+        // Each vertex's path becomes a boundary of the faces on either side of it
+        const endVertex = (vertex, node) => {
+            addSegment(vertex.edgeIn, vertex.node, node);
+            addSegment(vertex.edgeOut, vertex.node, node);
+            vertex.active = false;
+        };
+
+        // Initial wavefront
+        polygon.forEach(point => addNode(point, 0));
+        const initial = polygon.map((point, i) => createVertex(point, (i - 1 + count) % count, i, i));
+        initial.forEach((vertex, i) => {
+            vertex.prev = initial[(i - 1 + count) % count];
+            vertex.next = initial[(i + 1) % count];
+        });
+
+        // A wavefront loop that has shrunk to two vertices is a ridge (or a point)
+        const closeSmallLoop = (vertex) => {
+            if (!vertex.active) return;
+            if (vertex.next === vertex) {
+                endVertex(vertex, addNode(vertex.p, time));
+                return;
+            }
+            if (vertex.next.next !== vertex) return;
+
+            const other = vertex.next;
+            const nodeA = addNode(vertex.p, time);
+            const nodeB = addNode(other.p, time);
+            endVertex(vertex, nodeA);
+            endVertex(other, nodeB);
+            addSegment(vertex.edgeOut, nodeA, nodeB);
+            addSegment(other.edgeOut, nodeA, nodeB);
+        };
+
+        const closeCollapsedLoop = (vertex) => {
+            const loop = [vertex];
+            for (let other = vertex.next; other !== vertex; other = other.next) loop.push(other);
+            if (Math.abs(this.getSignedArea(loop.map(other => other.p))) > mergeDistance * scale) return;
+
+            const loopNodes = loop.map(other => addNode(other.p, time));
+            loop.forEach((other, i) => {
+                endVertex(other, loopNodes[i]);
+                addSegment(other.edgeOut, loopNodes[i], loopNodes[(i + 1) % loop.length]);
+            });
+        };
+
+        for (let step = 0; step < this.maxEvents; step++) {
+            const active = vertices.filter(vertex => vertex.active);
+            if (active.length === 0) break;
+
+            const event = this.findNextEvent(active, edges, time);
+            if (!event) {
+                // Nothing left can meet (e.g. every remaining edge is a gable) - the input can't form a roof
+                return null;
+            }
+
+            // Advance the whole wavefront to the event
+            active.forEach(vertex => {
+                vertex.p.x += vertex.vel.x * event.dt;
+                vertex.p.y += vertex.vel.y * event.dt;
+            });
+            time += event.dt;
+
+            if (event.type === 'edge') {
+                // Edge between u and w shrank to nothing: u and w become one vertex
+                const { u, w } = event;
+                const point = { x: (u.p.x + w.p.x) / 2, y: (u.p.y + w.p.y) / 2 };
+                const node = addNode(point, time);
+                endVertex(u, node);
+                endVertex(w, node);
+
+                if (u.prev === w) {
+                    // Last two vertices of a loop met
+                    continue;
+                }
+
+                const merged = createVertex(point, u.edgeIn, w.edgeOut, node);
+                merged.prev = u.prev;
+                merged.next = w.next;
+                u.prev.next = merged;
+                w.next.prev = merged;
+                closeSmallLoop(merged);
+            } else {
+                // Reflex vertex v ran into the edge between u and w: the loop splits in two
+                const { v, u, w } = event;
+                const point = { x: v.p.x, y: v.p.y };
+                const node = addNode(point, time);
+                const before = v.prev;
+                const after = v.next;
+                endVertex(v, node);
+
+                const left = createVertex(point, v.edgeIn, u.edgeOut, node);
+                left.prev = before;
+                left.next = w;
+                before.next = left;
+                w.prev = left;
+
+                const right = createVertex(point, u.edgeOut, v.edgeOut, node);
+                right.prev = u;
+                right.next = after;
+                u.next = right;
+                after.prev = right;
+
+                closeSmallLoop(left);
+                closeSmallLoop(right);
+            }
+
+            // Loops whose edges have all met along a line are finished - they're ridges
+            vertices.filter(vertex => vertex.active).forEach(vertex => {
+                if (vertex.active) closeCollapsedLoop(vertex);
+            });
+        }
+
+        if (vertices.some(vertex => vertex.active)) return null;
+
+        const faces = edges.map((edge, i) => this.buildFace(i, (i + 1) % count, faceSegments[i], nodes, edge));
+        return { nodes, faces };
+    }
+
+    /**
+     * Velocity of a wavefront vertex where two edges meet
+     * @returns {Object} {x, y} per unit time
+     */
+    getVelocity(edgeIn, edgeOut) {
+        const a = edgeIn.normal;
+        const b = edgeOut.normal;
+        const det = a.x * b.y - a.y * b.x;
+
+        if (Math.abs(det) < 1e-9) {
+            // Parallel edges: collinear ones move together, opposite ones have met and stop
+            return a.x * b.x + a.y * b.y > 0
+                ? { x: a.x * edgeIn.weight, y: a.y * edgeIn.weight }
+                : { x: 0, y: 0 };
+        }
+
+        // Stay on both moving lines: a · v = weightIn, b · v = weightOut
+        return {
+            x: (edgeIn.weight * b.y - a.y * edgeOut.weight) / det,
+            y: (a.x * edgeOut.weight - edgeIn.weight * b.x) / det
+        };
+    }
+
+    /**
+     * Earliest edge collapse or split among the active vertices
+     * @returns {Object|null} { type: 'edge', dt, u, w } or { type: 'split', dt, v, u, w }
+     */
+    findNextEvent(active, edges, time) {
+        const eps = this.epsilon;
+        let best = null;
+        const consider = (event) => {
+            // Prefer edge events on ties; they resolve symmetric corners cleanly
+            if (!best || event.dt < best.dt - eps ||
+                (Math.abs(event.dt - best.dt) <= eps && event.type === 'edge' && best.type === 'split')) {
+                best = event;
+            }
+        };
+        const dot = (a, b) => a.x * b.x + a.y * b.y;
+
+        active.forEach(u => {
+            const w = u.next;
+            if (w === u) return;
+
+            // Edge event: the edge from u to w shrinks to zero length
+            const direction = edges[u.edgeOut].direction;
+            const length = dot({ x: w.p.x - u.p.x, y: w.p.y - u.p.y }, direction);
+            const rate = dot({ x: w.vel.x - u.vel.x, y: w.vel.y - u.vel.y }, direction);
+            if (rate < -eps) {
+                consider({ type: 'edge', dt: Math.max(0, -length / rate), u, w });
+            } else if (Math.abs(length) <= eps && w.next !== u) {
+                consider({ type: 'edge', dt: 0, u, w });
+            }
+        });
+
+        active.forEach(v => {
+            if (!this.isReflex(edges[v.edgeIn], edges[v.edgeOut])) return;
+
+            // Split event: v reaches an edge of its own loop that isn't next to it
+            for (let u = v.next; u !== v.prev; u = u.next) {
+                if (u === v) break;
+                const w = u.next;
+                const edge = edges[u.edgeOut];
+                if (u.edgeOut === v.edgeIn || u.edgeOut === v.edgeOut) continue;
+
+                const distance = dot(v.p, edge.normal) - (edge.offset + edge.weight * time);
+                const approach = dot(v.vel, edge.normal) - edge.weight;
+                if (distance < -eps || approach >= -eps) continue;
+
+                const dt = Math.max(0, -distance / approach);
+                const hit = { x: v.p.x + v.vel.x * dt, y: v.p.y + v.vel.y * dt };
+                const start = dot({ x: u.p.x + u.vel.x * dt, y: u.p.y + u.vel.y * dt }, edge.direction);
+                const end = dot({ x: w.p.x + w.vel.x * dt, y: w.p.y + w.vel.y * dt }, edge.direction);
+                const along = dot(hit, edge.direction);
+                if (along < start - eps * 10 || along > end + eps * 10) continue;
+
+                consider({ type: 'split', dt, v, u, w });
+            }
+        });
+
+        return best;
+    }
+
+    isReflex(edgeIn, edgeOut) {
+        const a = edgeIn.direction;
+        const b = edgeOut.direction;
+        return a.x * b.y - a.y * b.x < -1e-9;
+    }
+
+    /**
+     * Order a face's boundary: the edge's two corners, then around the skeleton back to the start
+     * @returns {Array<number>} Node indices
+     */
+    buildFace(startNode, endNode, segments, nodes, edge) {
+        const neighbors = new Map();
+        const link = (a, b) => {
+            if (!neighbors.has(a)) neighbors.set(a, []);
+            if (!neighbors.get(a).includes(b)) neighbors.get(a).push(b);
+        };
+        segments.forEach(([a, b]) => {
+            link(a, b);
+            link(b, a);
+        });
+
+        // Walk from the edge's end corner back to its start corner
+        const face = [startNode, endNode];
+        const visited = new Set(face);
+        let previous = startNode;
+        let current = endNode;
+        for (let step = 0; step <= segments.length; step++) {
+            const options = (neighbors.get(current) || []).filter(node => node !== previous);
+            if (options.includes(startNode) && face.length > 2) return face;
+
+            const next = options.find(node => !visited.has(node));
+            if (next === undefined) break;
+            face.push(next);
+            visited.add(next);
+            previous = current;
+            current = next;
+        }
+
+        // Fallback: faces are monotone along their edge, so order the skeleton nodes by position along it
+        const project = (index) => nodes[index].x * edge.direction.x + nodes[index].y * edge.direction.y;
+        const chain = [...new Set(segments.flat())]
+            .filter(node => node !== startNode && node !== endNode)
+            .sort((a, b) => project(b) - project(a));
+        return [startNode, endNode, ...chain];
+    }
+
+    getSignedArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+}
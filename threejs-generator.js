@@ -3,6 +3,11 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { getDoorHeight, getWindowHeight, getWindowSillHeight, getWindowType } from './opening-catalog.js';
+import { RoomDetector } from './room-detector.js';
+import { RoofGeometry, FLAT_ROOF_THICKNESS } from './roof-geometry.js';
+import { RoofAccessoryGeometry } from './roof-accessories.js';
+import { StairGeometry, STAIR_DEFAULTS } from './stair-geometry.js';
 
 export class ThreeJSGenerator {
     constructor(canvasId) {
@@ -24,6 +29,20 @@ export class ThreeJSGenerator {
         this.roofStyle = 'hip'; // 'hip', 'gable', or 'flat'
         this.roofPitch = 6; // pitch ratio (6:12 means 6" rise per 12" run)
         this.roofOverhang = 2; // feet - Increased for more prominent overhang
+        this.roomDetector = new RoomDetector(); // Finds the outdoor side of walls for bay windows
+        this.roofGeometry = new RoofGeometry(); // Footprint-following roof planes
+        this.roofAccessoryGeometry = new RoofAccessoryGeometry(this.roofGeometry); // Dormers, skylights, chimneys, cupolas
+        this.stairGeometry = new StairGeometry(); // Straight, L, U and spiral stairs
+        this.builtUnits = new Map(); // Scene objects per build unit, kept while their inputs don't change
+        
+        // Click-to-select: id of the highlighted plan element, and who to tell when one is clicked
+        this.selectedElementId = null;
+        this.onElementSelected = null; // (elementId|null) => void
+        this.onWarning = null; // (message) => void - things in the plan that couldn't be built
+        
+        // Walk mode moves the camera itself each frame instead of the orbit controls
+        this.clock = null;
+        this.frameUpdate = null; // (deltaSeconds) => void
         
         // Materials - Enhanced for high-contrast architectural features
         this.materials = {
@@ -37,7 +56,9 @@ export class ThreeJSGenerator {
             roof: null,
             patio: null,
             trim: null,
-            foundation: null
+            foundation: null,
+            brick: null,
+            stair: null
         };
         
         this.init();
@@ -119,7 +140,11 @@ export class ThreeJSGenerator {
         // Initialize materials
         this.initMaterials();
         
+        // Picking and the selection outline
+        this.setupSelection();
+        
         // Start animation loop
+        this.clock = new THREE.Clock();
         this.animate();
         
         // Handle window resize
@@ -266,6 +291,25 @@ export class ThreeJSGenerator {
             roughness: 0.9,
             metalness: 0.0
         });
+        
+        // Chimney masonry
+        this.materials.brick = new THREE.MeshStandardMaterial({ 
+            color: 0x8B3A2B, // Brick red
+            roughness: 0.95,
+            metalness: 0.0
+        });
+        
+        // Stair treads and landings
+        this.materials.stair = new THREE.MeshStandardMaterial({ 
+            color: 0xA0703C, // Oak
+            roughness: 0.7,
+            metalness: 0.0
+        });
+        
+        // Named so they keep their identity in exported models
+        Object.entries(this.materials).forEach(([name, material]) => {
+            material.name = name;
+        });
     }
     
     generate3DFromFloorplan(floorplanData) {
@@ -276,91 +320,255 @@ export class ThreeJSGenerator {
             return;
         }
         
-        // Clear existing 3D models (keep lights, ground, grid)
-        this.clearBuilding();
+        // Only the walls, slabs, stairs, patios and roofs whose inputs changed are rebuilt
+        const units = this.getBuildUnits(floorplanData.floors);
+        const counts = this.applyBuildUnits(units);
+        console.log(`🔁 ${counts.rebuilt} rebuilt, ${counts.moved} moved, ${counts.kept} unchanged, ${counts.removed} removed`);
         
-        const gridSize = floorplanData.gridSize || 20; // pixels per foot
-        const feetToMeters = 0.3048; // conversion factor
+        // Rebuilt objects need a fresh outline
+        this.updateSelectionOutline();
         
-        let cumulativeHeight = 0; // Track cumulative height for stacking floors
+        // Update stats
+        this.updateStats(floorplanData);
         
-        floorplanData.floors.forEach((floor, floorIndex) => {
-            const yOffset = cumulativeHeight;
-            
-            // Generate walls for this floor
-            this.generateWalls(floor, floorIndex, gridSize, feetToMeters, yOffset);
-            
-            // Generate floors and ceilings
-            this.generateFloorsAndCeilings(floor, floorIndex, gridSize, feetToMeters, yOffset, floorplanData.floors.length);
+        console.log('✅ 3D Model Generated');
+    }
+    
+    /**
+     * Everything the 3D view is built from, split into independently rebuildable units
+     * Each unit is keyed by floor and element, and carries a signature of every input its
+     * meshes depend on so unchanged units can be kept between updates.
+     * @param {Array} floors - All floors, bottom first
+     * @returns {Array} Units { key, floorIndex, elementType, elementId, signature, yOffset, build }
+     */
+    getBuildUnits(floors) {
+        // Floor plan geometry is stored in feet
+        const feetToMeters = 0.3048; // conversion factor
+        
+        // Stories stack on their floor systems
+        const levels = this.getFloorLevels(floors);
+        
+        // Stairs climb to the floor above, whose slab gets a stairwell opening over them
+        const floorStairs = floors.map((floor, floorIndex) =>
+            this.stairGeometry.buildFloorStairs(floors, floorIndex));
+        
+        const units = [];
+        floors.forEach((floor, floorIndex) => {
+            const yOffset = levels[floorIndex].base * feetToMeters;
+            const addUnit = (key, elementType, inputs, build, unitY = yOffset, elementId = undefined) => {
+                units.push({
+                    key: `${floorIndex}:${key}`,
+                    floorIndex,
+                    elementType,
+                    elementId,
+                    // Heights are left out so stories that only move up or down are shifted, not rebuilt
+                    signature: JSON.stringify(inputs),
+                    yOffset: unitY,
+                    build
+                });
+            };
+            const wallHeight = floor.wallHeight || 8;
+            
+            // Walls, with the doors and windows cut into them
+            floor.walls.forEach((wall, wallIndex) => {
+                const doorsOnWall = floor.doors.filter(d => d.wallId === wall.id);
+                const windowsOnWall = floor.windows.filter(w => w.wallId === wall.id);
+                // Bay windows look at the whole floor to find the outdoor side
+                const hasBay = windowsOnWall.some(w => getWindowType(w).value === 'bay');
+                addUnit(`wall:${wall.id}`, 'wall',
+                    [wall, wallHeight, this.wallThickness, doorsOnWall, windowsOnWall, hasBay ? floor.walls : null],
+                    () => this.generateWall(floor, wall, wallIndex, feetToMeters, yOffset),
+                    yOffset, wall.id);
+            });
             
-            // Generate patios
-            this.generatePatios(floor, gridSize, feetToMeters, yOffset);
+            // Floors and ceilings
+            const hasFloorAbove = floorIndex < floors.length - 1;
+            const stairwellsBelow = floorIndex > 0 ? floorStairs[floorIndex - 1].map(stair => stair.outline) : [];
+            const stairwellsAbove = hasFloorAbove ? floorStairs[floorIndex].map(stair => stair.outline) : [];
+            addUnit('floor', 'floor',
+                [floor.walls, wallHeight, floorIndex > 0 && this.getFloorThickness(floor), hasFloorAbove, stairwellsBelow, stairwellsAbove],
+                () => this.generateFloorsAndCeilings(floor, floorIndex, feetToMeters, yOffset, hasFloorAbove,
+                    stairwellsBelow, stairwellsAbove));
+            
+            // Stairs up to the next floor
+            if (floorStairs[floorIndex].length > 0) {
+                addUnit('stair', 'stair', [floorStairs[floorIndex]],
+                    () => this.generateStairs(floorStairs[floorIndex], feetToMeters, yOffset));
+            }
             
-            // Add this floor's height to cumulative total
-            const floorWallHeight = (floor.wallHeight || 8) * feetToMeters;
-            cumulativeHeight += floorWallHeight;
+            // Patios (roofed ones place their posts clear of the walls)
+            (floor.patios || []).forEach(patio => {
+                addUnit(`patio:${patio.id}`, 'patio',
+                    [patio, patio.hasRoof ? floor.walls : null],
+                    () => this.generatePatio(patio, floor, feetToMeters, yOffset),
+                    yOffset, patio.id);
+            });
             
-            // Generate roof for THIS floor if it has one
+            // Roof for THIS floor if it has one, with its gable end walls
             if (this.showRoof && floor.hasRoof && floor.walls.length > 0) {
-                const roofY = cumulativeHeight;
-                this.generateRoofForFloor(floor, gridSize, feetToMeters, roofY);
-                this.generateGableEndWallsForFloor(floor, gridSize, feetToMeters, roofY);
+                const roofY = levels[floorIndex].top * feetToMeters;
+                addUnit('roof', 'roof',
+                    [floor.walls, floor.roofStyle, floor.roofPitch, floor.roofSecondaryPitch, floor.roofOverhang,
+                        floor.roofGables, floor.roofAccessories],
+                    () => {
+                        const roofs = this.generateRoofForFloor(floor, feetToMeters, roofY);
+                        const firstChild = this.scene.children.length;
+                        this.generateGableEndWallsForFloor(floor, feetToMeters, roofY, roofs);
+                        this.tagElements(firstChild, floorIndex, 'wall');
+                    },
+                    roofY);
             }
         });
         
-        // Update stats
-        this.updateStats(floorplanData);
-        
-        console.log('✅ 3D Model Generated');
+        return units;
     }
     
-    generateWalls(floor, floorIndex, gridSize, feetToMeters, yOffset) {
-        // Get wall height for THIS specific floor
-        const wallHeight = floor.wallHeight || 8; // Default to 8 if not set
-        const wallHeightMeters = wallHeight * feetToMeters;
+    /**
+     * Bring the scene in line with a fresh set of build units
+     * Units with the same inputs are kept (shifted if their story moved up or down);
+     * the rest are disposed and rebuilt.
+     * @param {Array} units - Units from getBuildUnits
+     * @returns {Object} Counts { rebuilt, moved, kept, removed }
+     */
+    applyBuildUnits(units) {
+        const counts = { rebuilt: 0, moved: 0, kept: 0, removed: 0 };
+        const wanted = new Set(units.map(unit => unit.key));
         
-        floor.walls.forEach((wall, wallIndex) => {
-            const startX = (wall.startX / gridSize) * feetToMeters;
-            const startZ = (wall.startY / gridSize) * feetToMeters;
-            const endX = (wall.endX / gridSize) * feetToMeters;
-            const endZ = (wall.endY / gridSize) * feetToMeters;
-            
-            const dx = endX - startX;
-            const dz = endZ - startZ;
-            const length = Math.sqrt(dx * dx + dz * dz);
-            const angle = Math.atan2(dz, dx);
-            
-            const centerX = (startX + endX) / 2;
-            const centerZ = (startZ + endZ) / 2;
-            
-            // Check for doors/windows on this wall
-            const doorsOnWall = floor.doors.filter(d => d.wallIndex === wallIndex);
-            const windowsOnWall = floor.windows.filter(w => w.wallIndex === wallIndex);
+        [...this.builtUnits.keys()].filter(key => !wanted.has(key)).forEach(key => {
+            this.removeBuildUnit(key);
+            counts.removed++;
+        });
+        
+        units.forEach(unit => {
+            const built = this.builtUnits.get(unit.key);
+            if (built && built.signature === unit.signature) {
+                const shift = unit.yOffset - built.yOffset;
+                if (Math.abs(shift) > 1e-9) {
+                    built.objects.forEach(object => { object.position.y += shift; });
+                    built.yOffset = unit.yOffset;
+                    counts.moved++;
+                } else {
+                    counts.kept++;
+                }
+                return;
+            }
             
-            if (doorsOnWall.length === 0 && windowsOnWall.length === 0) {
-                // Simple solid wall
-                this.createWallSegment(
-                    length, 
-                    wallHeightMeters,  // Use floor-specific height
-                    this.wallThickness * feetToMeters,
-                    centerX,
-                    yOffset + wallHeightMeters / 2,
-                    centerZ,
-                    angle
-                );
-            } else {
-                // Wall with openings
-                this.createWallWithOpenings(
-                    wall, wallIndex, floor, length, angle, 
-                    startX, startZ, dx, dz, 
-                    yOffset, gridSize, feetToMeters,
-                    doorsOnWall, windowsOnWall,
-                    wallHeightMeters  // Pass wall height
-                );
+            if (built) this.removeBuildUnit(unit.key);
+            const firstChild = this.scene.children.length;
+            unit.build();
+            this.tagElements(firstChild, unit.floorIndex, unit.elementType, unit.elementId);
+            this.builtUnits.set(unit.key, {
+                signature: unit.signature,
+                yOffset: unit.yOffset,
+                objects: this.scene.children.slice(firstChild)
+            });
+            counts.rebuilt++;
+        });
+        
+        return counts;
+    }
+    
+    /**
+     * Take a built unit's objects out of the scene
+     * @param {string} key - Unit key
+     */
+    removeBuildUnit(key) {
+        const built = this.builtUnits.get(key);
+        if (!built) return;
+        built.objects.forEach(object => {
+            this.scene.remove(object);
+            this.disposeObject(object);
+        });
+        this.builtUnits.delete(key);
+    }
+    
+    /**
+     * Free the GPU resources of an object and its children
+     * Shared materials (and their textures) stay alive for the rest of the building.
+     * @param {THREE.Object3D} object - Object removed from the scene
+     */
+    disposeObject(object) {
+        const shared = new Set(Object.values(this.materials));
+        const sharedTextures = new Set([...shared].flatMap(material => [material.map, material.bumpMap]));
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : child.material ? [child.material] : [];
+            materials.filter(material => !shared.has(material)).forEach(material => {
+                [material.map, material.bumpMap]
+                    .filter(texture => texture && !sharedTextures.has(texture))
+                    .forEach(texture => texture.dispose());
+                material.dispose();
+            });
+        });
+    }
+    
+    /**
+     * Tag scene children added since firstChild with their floor, element type and plan element id
+     * Objects that already name their element type and id (doors, windows, ceilings, roof items) keep them.
+     * @param {number} firstChild - Scene child count before the floor's elements were built
+     * @param {number} floorIndex - Floor they belong to
+     * @param {string} elementType - 'wall', 'floor', 'stair', 'patio' or 'roof'
+     * @param {string} [elementId] - Id of the wall or patio they were built from
+     */
+    tagElements(firstChild, floorIndex, elementType, elementId) {
+        this.scene.children.slice(firstChild).forEach(child => {
+            child.userData.floorIndex = floorIndex;
+            if (!child.userData.elementType) {
+                child.userData.elementType = elementType;
+                if (elementId !== undefined) child.userData.elementId = elementId;
             }
         });
     }
     
+    generateWall(floor, wall, wallIndex, feetToMeters, yOffset) {
+        // Get wall height for THIS specific floor
+        const wallHeight = floor.wallHeight || 8; // Default to 8 if not set
+        
+        // Walls can override the floor height and default thickness
+        const wallHeightMeters = (wall.height || wallHeight) * feetToMeters;
+        const wallThicknessMeters = (wall.thickness || this.wallThickness) * feetToMeters;
+        
+        const startX = wall.startX * feetToMeters;
+        const startZ = wall.startY * feetToMeters;
+        const endX = wall.endX * feetToMeters;
+        const endZ = wall.endY * feetToMeters;
+        
+        const dx = endX - startX;
+        const dz = endZ - startZ;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        // Negated because rotation.y turns +x toward -z; keeps diagonal walls on their line
+        const angle = -Math.atan2(dz, dx);
+        
+        const centerX = (startX + endX) / 2;
+        const centerZ = (startZ + endZ) / 2;
+        
+        // Check for doors/windows on this wall
+        const doorsOnWall = floor.doors.filter(d => d.wallId === wall.id);
+        const windowsOnWall = floor.windows.filter(w => w.wallId === wall.id);
+        
+        if (doorsOnWall.length === 0 && windowsOnWall.length === 0) {
+            // Simple solid wall
+            this.createWallSegment(
+                length, 
+                wallHeightMeters,  // Use floor-specific height
+                wallThicknessMeters,
+                centerX,
+                yOffset + wallHeightMeters / 2,
+                centerZ,
+                angle
+            );
+        } else {
+            // Wall with openings
+            this.createWallWithOpenings(
+                wall, wallIndex, floor, length, angle, 
+                startX, startZ, dx, dz, 
+                yOffset, feetToMeters,
+                doorsOnWall, windowsOnWall,
+                wallHeightMeters  // Pass wall height
+            );
+        }
+    }
+    
     createWallSegment(width, height, depth, x, y, z, rotation) {
         const geometry = new THREE.BoxGeometry(width, height, depth);
         const mesh = new THREE.Mesh(geometry, this.materials.wall);
@@ -375,25 +583,37 @@ export class ThreeJSGenerator {
         this.scene.add(mesh);
     }
     
-    createWallWithOpenings(wall, wallIndex, floor, length, angle, startX, startZ, dx, dz, yOffset, gridSize, feetToMeters, doorsOnWall, windowsOnWall, wallHeightMeters) {
+    createWallWithOpenings(wall, wallIndex, floor, length, angle, startX, startZ, dx, dz, yOffset, feetToMeters, doorsOnWall, windowsOnWall, wallHeightMeters) {
+        const wallThicknessMeters = (wall.thickness || this.wallThickness) * feetToMeters;
         const segments = [];
+        
+        // Bay windows project outdoors, so find which side of the wall that is
+        const outwardSide = windowsOnWall.some(w => getWindowType(w).value === 'bay')
+            ? this.roomDetector.getOutwardSide(this.roomDetector.detectRooms(floor.walls).rooms, wall)
+            : 1;
         let lastPos = 0;
         
-        // Collect all openings
+        // Collect all openings (heights from each record, kept inside the wall)
         const openings = [
             ...doorsOnWall.map(d => ({ 
+                id: d.id,
                 pos: d.position, 
                 width: d.width * feetToMeters, 
-                height: 7 * feetToMeters, 
+                height: Math.min(getDoorHeight(d) * feetToMeters, wallHeightMeters), 
                 type: 'door' 
             })),
-            ...windowsOnWall.map(w => ({ 
-                pos: w.position, 
-                width: w.width * feetToMeters, 
-                height: 3 * feetToMeters, 
-                type: 'window',
-                bottomOffset: 3 * feetToMeters
-            }))
+            ...windowsOnWall.map(w => {
+                const bottomOffset = Math.min(getWindowSillHeight(w) * feetToMeters, wallHeightMeters);
+                return {
+                    id: w.id,
+                    pos: w.position, 
+                    width: w.width * feetToMeters, 
+                    height: Math.min(getWindowHeight(w) * feetToMeters, wallHeightMeters - bottomOffset), 
+                    type: 'window',
+                    windowType: getWindowType(w).value,
+                    bottomOffset
+                };
+            })
         ].sort((a, b) => a.pos - b.pos);
         
         openings.forEach(opening => {
@@ -410,7 +630,7 @@ export class ThreeJSGenerator {
                 this.createWallSegment(
                     segmentLength,
                     wallHeightMeters,
-                    this.wallThickness * feetToMeters,
+                    wallThicknessMeters,
                     segmentX,
                     yOffset + wallHeightMeters / 2,
                     segmentZ,
@@ -432,7 +652,7 @@ export class ThreeJSGenerator {
                     this.createWallSegment(
                         aboveLength,
                         aboveHeight,
-                        this.wallThickness * feetToMeters,
+                        wallThicknessMeters,
                         aboveX,
                         yOffset + opening.height + aboveHeight / 2,
                         aboveZ,
@@ -449,7 +669,7 @@ export class ThreeJSGenerator {
                 const frameGeometry = new THREE.BoxGeometry(
                     opening.width + frameThickness * 2,
                     opening.height + frameThickness * 2,
-                    this.wallThickness * feetToMeters + 0.05
+                    wallThicknessMeters + 0.05
                 );
                 const frameMesh = new THREE.Mesh(frameGeometry, this.materials.doorFrame);
                 frameMesh.position.set(
@@ -460,24 +680,28 @@ export class ThreeJSGenerator {
                 frameMesh.rotation.y = angle;
                 frameMesh.castShadow = true;
                 frameMesh.userData.isBuilding = true;
+                frameMesh.userData.elementType = 'door';
+                frameMesh.userData.elementId = opening.id;
                 this.scene.add(frameMesh);
                 
                 // Door panel (dark, inset from frame)
                 const doorGeometry = new THREE.BoxGeometry(
                     opening.width,
                     opening.height,
-                    this.wallThickness * feetToMeters * 0.3
+                    wallThicknessMeters * 0.3
                 );
                 const doorMesh = new THREE.Mesh(doorGeometry, this.materials.door);
                 doorMesh.position.set(
                     doorPosX,
                     yOffset + opening.height / 2,
-                    doorPosZ + (this.wallThickness * feetToMeters * 0.1) // Slightly inset
+                    doorPosZ + (wallThicknessMeters * 0.1) // Slightly inset
                 );
                 doorMesh.rotation.y = angle;
                 doorMesh.castShadow = true;
                 doorMesh.userData.isBuilding = true;
                 doorMesh.userData.isDoor = true;
+                doorMesh.userData.elementType = 'door';
+                doorMesh.userData.elementId = opening.id;
                 this.scene.add(doorMesh);
             } else if (opening.type === 'window') {
                 // Wall above window
@@ -487,95 +711,42 @@ export class ThreeJSGenerator {
                 const aboveZ = startZ + dz * aboveCenter;
                 const aboveHeight = wallHeightMeters - (opening.bottomOffset + opening.height);
                 
-                this.createWallSegment(
-                    aboveLength,
-                    aboveHeight,
-                    this.wallThickness * feetToMeters,
-                    aboveX,
-                    yOffset + opening.bottomOffset + opening.height + aboveHeight / 2,
-                    aboveZ,
-                    angle
-                );
+                // Skip the header or sill wall when the window reaches the ceiling or floor
+                if (aboveHeight > 0.01) {
+                    this.createWallSegment(
+                        aboveLength,
+                        aboveHeight,
+                        wallThicknessMeters,
+                        aboveX,
+                        yOffset + opening.bottomOffset + opening.height + aboveHeight / 2,
+                        aboveZ,
+                        angle
+                    );
+                }
                 
                 // Wall below window
-                this.createWallSegment(
-                    aboveLength,
-                    opening.bottomOffset,
-                    this.wallThickness * feetToMeters,
-                    aboveX,
-                    yOffset + opening.bottomOffset / 2,
-                    aboveZ,
-                    angle
-                );
-                
-                // Simple visible window (temporary fix)
-                const windowPosX = startX + dx * opening.pos;
-                const windowPosZ = startZ + dz * opening.pos;
-                
-                // Window frame (thick, bold frame)
-                const frameThickness = 0.15; // 15cm thick frame
-                const frameGeometry = new THREE.BoxGeometry(
-                    opening.width + frameThickness * 2,
-                    opening.height + frameThickness * 2,
-                    this.wallThickness * feetToMeters + 0.1
-                );
-                const frameMesh = new THREE.Mesh(frameGeometry, this.materials.windowFrame);
-                frameMesh.position.set(
-                    windowPosX,
-                    yOffset + opening.bottomOffset + opening.height / 2,
-                    windowPosZ
-                );
-                frameMesh.rotation.y = angle;
-                frameMesh.castShadow = true;
-                frameMesh.userData.isBuilding = true;
-                this.scene.add(frameMesh);
-                
-                // Window glass (bright white, inset from frame)
-                const glassGeometry = new THREE.BoxGeometry(
-                    opening.width,
-                    opening.height,
-                    this.wallThickness * feetToMeters * 0.2
-                );
-                const windowMesh = new THREE.Mesh(glassGeometry, this.materials.window);
-                windowMesh.position.set(
-                    windowPosX,
-                    yOffset + opening.bottomOffset + opening.height / 2,
-                    windowPosZ + (this.wallThickness * feetToMeters * 0.1) // Slightly inset
-                );
-                windowMesh.rotation.y = angle;
-                windowMesh.userData.isBuilding = true;
-                windowMesh.userData.isWindow = true;
-                this.scene.add(windowMesh);
+                if (opening.bottomOffset > 0.01) {
+                    this.createWallSegment(
+                        aboveLength,
+                        opening.bottomOffset,
+                        wallThicknessMeters,
+                        aboveX,
+                        yOffset + opening.bottomOffset / 2,
+                        aboveZ,
+                        angle
+                    );
+                }
                 
-                // Add black mullions (window dividers) for extra contrast
-                const mullionMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x000000,  // Black mullions
-                    roughness: 0.4
-                });
-
-                // Vertical mullion (center)
-                const vMullionGeo = new THREE.BoxGeometry(0.03, opening.height, this.wallThickness * feetToMeters * 0.3);
-                const vMullion = new THREE.Mesh(vMullionGeo, mullionMaterial);
-                vMullion.position.set(
-                    windowPosX,
-                    yOffset + opening.bottomOffset + opening.height / 2,
-                    windowPosZ + (this.wallThickness * feetToMeters * 0.1)
-                );
-                vMullion.rotation.y = angle;
-                vMullion.userData.isBuilding = true;
-                this.scene.add(vMullion);
-
-                // Horizontal mullion (center)
-                const hMullionGeo = new THREE.BoxGeometry(opening.width, 0.03, this.wallThickness * feetToMeters * 0.3);
-                const hMullion = new THREE.Mesh(hMullionGeo, mullionMaterial);
-                hMullion.position.set(
-                    windowPosX,
+                // Window unit for its type, facing outdoors
+                this.createWindowAssembly(
+                    opening,
+                    startX + dx * opening.pos,
                     yOffset + opening.bottomOffset + opening.height / 2,
-                    windowPosZ + (this.wallThickness * feetToMeters * 0.1)
+                    startZ + dz * opening.pos,
+                    angle,
+                    wallThicknessMeters,
+                    outwardSide
                 );
-                hMullion.rotation.y = angle;
-                hMullion.userData.isBuilding = true;
-                this.scene.add(hMullion);
             }
             
             lastPos = openingEnd;
@@ -591,7 +762,7 @@ export class ThreeJSGenerator {
             this.createWallSegment(
                 segmentLength,
                 wallHeightMeters,
-                this.wallThickness * feetToMeters,
+                wallThicknessMeters,
                 segmentX,
                 yOffset + wallHeightMeters / 2,
                 segmentZ,
@@ -600,82 +771,372 @@ export class ThreeJSGenerator {
         }
     }
     
-    generateFloorsAndCeilings(floor, floorIndex, gridSize, feetToMeters, yOffset, totalFloors) {
-        // Calculate bounding box from walls for this floor
-        if (floor.walls.length === 0) return;
+    /**
+     * Build a window unit in its wall opening: frame, glass and the sash/muntin pattern of its type
+     * @param {Object} opening - Window opening (meters) with windowType
+     * @param {number} x - Center X on the wall line
+     * @param {number} y - Center height
+     * @param {number} z - Center Z on the wall line
+     * @param {number} angle - Wall rotation (as used for wall segments)
+     * @param {number} wallThicknessMeters - Wall thickness
+     * @param {number} outwardSide - 1 or -1 from RoomDetector.getOutwardSide
+     */
+    createWindowAssembly(opening, x, y, z, angle, wallThicknessMeters, outwardSide) {
+        const { width, height, windowType } = opening;
+        
+        // Local frame: x along the wall, y up, +z toward outdoors
+        const group = new THREE.Group();
+        group.position.set(x, y, z);
+        group.rotation.y = angle + (outwardSide < 0 ? Math.PI : 0);
+        group.userData.isBuilding = true;
+        
+        const addBox = (w, h, d, px, py, pz, material, userData = {}) => {
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material);
+            mesh.position.set(px, py, pz);
+            mesh.castShadow = true;
+            Object.assign(mesh.userData, { isBuilding: true }, userData);
+            group.add(mesh);
+            return mesh;
+        };
         
-        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        // Frame around the opening (bold black for AI detection), through the full wall
+        const frameThickness = 0.1;
+        const frameDepth = wallThicknessMeters + 0.1;
+        addBox(width + frameThickness * 2, frameThickness, frameDepth, 0, height / 2 + frameThickness / 2, 0, this.materials.windowFrame);
+        addBox(width + frameThickness * 2, frameThickness, frameDepth, 0, -height / 2 - frameThickness / 2, 0, this.materials.windowFrame);
+        addBox(frameThickness, height, frameDepth, -width / 2 - frameThickness / 2, 0, 0, this.materials.windowFrame);
+        addBox(frameThickness, height, frameDepth, width / 2 + frameThickness / 2, 0, 0, this.materials.windowFrame);
+        
+        const glassData = { isWindow: true, windowType };
+        
+        if (windowType === 'bay') {
+            // The wall opening stays open into the bay
+            this.addBayWindow(group, width, height, wallThicknessMeters / 2, addBox, glassData);
+        } else if (windowType === 'double-hung') {
+            // Upper sash sits outside the lower one
+            addBox(width, height / 2, 0.02, 0, height / 4, 0.025, this.materials.window, glassData);
+            addBox(width, height / 2, 0.02, 0, -height / 4, -0.025, this.materials.window, glassData);
+        } else if (windowType === 'slider') {
+            // Sashes in two tracks, overlapping at the meeting stile
+            addBox(width / 2 + 0.03, height, 0.02, -width / 4, 0, 0.025, this.materials.window, glassData);
+            addBox(width / 2 + 0.03, height, 0.02, width / 4, 0, -0.025, this.materials.window, glassData);
+        } else {
+            addBox(width, height, 0.02, 0, 0, 0, this.materials.window, glassData);
+        }
         
-        floor.walls.forEach(wall => {
-            const x1 = (wall.startX / gridSize) * feetToMeters;
-            const z1 = (wall.startY / gridSize) * feetToMeters;
-            const x2 = (wall.endX / gridSize) * feetToMeters;
-            const z2 = (wall.endY / gridSize) * feetToMeters;
-            
-            minX = Math.min(minX, x1, x2);
-            maxX = Math.max(maxX, x1, x2);
-            minZ = Math.min(minZ, z1, z2);
-            maxZ = Math.max(maxZ, z1, z2);
+        // Muntins and sash rails (black for contrast)
+        const muntinMaterial = new THREE.MeshStandardMaterial({
+            name: 'muntin',
+            color: 0x000000,
+            roughness: 0.4
+        });
+        this.getWindowMuntins(windowType, width, height).forEach(bar => {
+            addBox(bar.width, bar.height, 0.08, bar.x, bar.y, 0, muntinMaterial);
         });
         
-        // Add small margin
-        const margin = 0.5; // meters
-        minX -= margin;
-        maxX += margin;
-        minZ -= margin;
-        maxZ += margin;
+        group.userData.elementType = 'window';
+        group.userData.elementId = opening.id;
+        this.scene.add(group);
+        return group;
+    }
+    
+    /**
+     * Bay window: a center panel parallel to the wall and two angled side panels,
+     * with a seat board below and a cap above
+     */
+    addBayWindow(group, width, height, wallFace, addBox, glassData) {
+        const projection = 2 * 0.3048; // 2 ft out from the wall face
+        const centerWidth = width * 0.6;
+        const postSize = 0.08;
+        
+        // Plan corners (x, z) from one end of the opening to the other
+        const corners = [
+            { x: -width / 2, z: wallFace },
+            { x: -centerWidth / 2, z: wallFace + projection },
+            { x: centerWidth / 2, z: wallFace + projection },
+            { x: width / 2, z: wallFace }
+        ];
         
-        const width = maxX - minX;
-        const depth = maxZ - minZ;
-        const centerX = (minX + maxX) / 2;
-        const centerZ = (minZ + maxZ) / 2;
+        for (let i = 0; i < corners.length - 1; i++) {
+            const a = corners[i];
+            const b = corners[i + 1];
+            const panelLength = Math.hypot(b.x - a.x, b.z - a.z);
+            const panelAngle = -Math.atan2(b.z - a.z, b.x - a.x);
+            
+            const glass = addBox(panelLength, height, 0.02, (a.x + b.x) / 2, 0, (a.z + b.z) / 2, this.materials.window, glassData);
+            glass.rotation.y = panelAngle;
+            
+            // Corner post at the panel's far end (the near end of the first panel is on the wall)
+            addBox(postSize, height, postSize, b.x, 0, b.z, this.materials.windowFrame);
+        }
+        addBox(postSize, height, postSize, corners[0].x, 0, corners[0].z, this.materials.windowFrame);
+        
+        // Seat board and cap share the bay's trapezoid outline
+        const outline = new THREE.Shape();
+        outline.moveTo(corners[0].x, wallFace - 0.05);
+        corners.forEach(corner => outline.lineTo(corner.x, corner.z));
+        outline.lineTo(corners[3].x, wallFace - 0.05);
+        
+        const boardThickness = 0.1;
+        const boardGeometry = new THREE.ExtrudeGeometry(outline, { depth: boardThickness, bevelEnabled: false });
+        [height / 2 + boardThickness, -height / 2].forEach(top => {
+            // Extruded shapes lie in XY; tipping them flat maps shape Y to Z and extrudes downward
+            const board = new THREE.Mesh(boardGeometry, this.materials.windowFrame);
+            board.rotation.x = Math.PI / 2;
+            board.position.y = top;
+            board.castShadow = true;
+            board.userData.isBuilding = true;
+            group.add(board);
+        });
+    }
+    
+    /**
+     * Muntin and sash-rail bars for a window type, centered on the glass
+     * @param {string} windowType - Window type value
+     * @param {number} width - Glass width (meters)
+     * @param {number} height - Glass height (meters)
+     * @returns {Array} Bars { x, y, width, height } in meters
+     */
+    getWindowMuntins(windowType, width, height) {
+        const bars = [];
+        const verticalBars = (count, barWidth) => {
+            for (let i = 1; i < count; i++) {
+                bars.push({ x: -width / 2 + (width * i) / count, y: 0, width: barWidth, height });
+            }
+        };
         
-        const floorThickness = 0.15; // Thinner slab (about 6 inches)
-        
-        // ONLY create a floor slab for the ground floor
-        if (floorIndex === 0) {
-            const floorGeometry = new THREE.BoxGeometry(width, floorThickness, depth);
-            const floorMesh = new THREE.Mesh(floorGeometry, this.materials.floor);
-            floorMesh.position.set(centerX, yOffset, centerZ);
-            floorMesh.receiveShadow = true;
-            floorMesh.castShadow = true;
-            floorMesh.userData.isBuilding = true;
-            this.scene.add(floorMesh);
+        switch (windowType) {
+            case 'double-hung':
+                // Meeting rail between the sashes, 2-over-2 lites
+                bars.push({ x: 0, y: 0, width, height: 0.06 });
+                verticalBars(2, 0.03);
+                break;
+            case 'casement':
+                // Stiles between side-hinged leaves about 2.5 ft wide
+                verticalBars(Math.max(1, Math.round(width / (2.5 * 0.3048))), 0.05);
+                break;
+            case 'slider':
+                // Meeting stile where the sashes overlap
+                verticalBars(2, 0.06);
+                break;
+            case 'transom':
+                // Lites about 2 ft wide
+                verticalBars(Math.max(1, Math.round(width / 0.6)), 0.03);
+                break;
+            default:
+                // Picture and bay glass is undivided
+                break;
         }
+        return bars;
+    }
+    
+    generateFloorsAndCeilings(floor, floorIndex, feetToMeters, yOffset, hasFloorAbove, stairwellsBelow = [], stairwellsAbove = []) {
+        if (floor.walls.length === 0) return;
+        
+        // Slabs follow each building's outline
+        const footprints = this.getFloorFootprints(floor);
         
-        // Don't create any intermediate floor slabs
-        // The walls define the structure, and the roof caps it off
+        const wallHeight = (floor.wallHeight || 8) * feetToMeters;
+        // Stairwells are only cut where they fall wholly inside the slab
+        const openingsIn = (footprint, openings) => openings.filter(opening =>
+            opening.every(point => this.roomDetector.containsPoint(footprint, point)));
+        
+        footprints.forEach(footprint => {
+            if (floorIndex === 0) {
+                // Ground floor sits on a thin slab at grade
+                const slabThickness = 0.15; // About 6 inches
+                this.addFloorSlab(footprint, feetToMeters, yOffset - slabThickness / 2, slabThickness);
+            } else {
+                // Upper floors fill the gap above the story below with their floor system,
+                // so overhangs get an underside and cutaways show a solid floor
+                const floorThickness = this.getFloorThickness(floor) * feetToMeters;
+                this.addFloorSlab(footprint, feetToMeters, yOffset - floorThickness, floorThickness,
+                    openingsIn(footprint, stairwellsBelow));
+            }
+            
+            // Ceiling just under the next floor's slab, facing down into the rooms
+            if (hasFloorAbove) {
+                const toShapePoint = (point) => new THREE.Vector2(point.x * feetToMeters, point.y * feetToMeters);
+                const shape = new THREE.Shape(footprint.map(toShapePoint));
+                openingsIn(footprint, stairwellsAbove).forEach(opening => {
+                    shape.holes.push(new THREE.Path(opening.map(toShapePoint)));
+                });
+                const geometry = new THREE.ShapeGeometry(shape);
+                geometry.rotateX(Math.PI / 2);
+                
+                const ceilingMesh = new THREE.Mesh(geometry, this.materials.ceiling);
+                ceilingMesh.position.y = yOffset + wallHeight - 0.01;
+                ceilingMesh.receiveShadow = true;
+                ceilingMesh.userData.isBuilding = true;
+                ceilingMesh.userData.elementType = 'ceiling';
+                this.scene.add(ceilingMesh);
+            }
+        });
     }
     
-    generatePatios(floor, gridSize, feetToMeters, yOffset) {
-        if (!floor.patios) return;
-        
-        floor.patios.forEach(patio => {
-            const x = (patio.x / gridSize) * feetToMeters;
-            const z = (patio.y / gridSize) * feetToMeters;
-            const width = (patio.width / gridSize) * feetToMeters;
-            const depth = (patio.height / gridSize) * feetToMeters;
-            
-            const centerX = x + width / 2;
-            const centerZ = z + depth / 2;
-            
-            // Patio floor/deck
-            const patioGeometry = new THREE.BoxGeometry(width, 0.3, depth);
-            const patioMesh = new THREE.Mesh(patioGeometry, this.materials.patio);
-            patioMesh.position.set(centerX, yOffset + 0.15, centerZ);
-            patioMesh.castShadow = true;
-            patioMesh.receiveShadow = true;
-            patioMesh.userData.isBuilding = true;
-            this.scene.add(patioMesh);
-            
-            // Generate roof over patio if enabled
-            if (patio.hasRoof) {
-                this.generatePatioRoof(patio, floor, x, z, width, depth, centerX, centerZ, yOffset, feetToMeters, gridSize);
+    /**
+     * Outline of each separate building on a floor
+     * Walls that don't close a footprint get their bounding box.
+     * @param {Object} floor - Floor data with walls
+     * @returns {Array} Footprints [[{x, y}]] in feet
+     */
+    getFloorFootprints(floor) {
+        if (floor.walls.length === 0) return [];
+        const detected = this.roomDetector.detectRooms(floor.walls);
+        return detected.footprints.length > 0
+            ? detected.footprints
+            : [this.roofGeometry.getBoundingFootprint(floor.walls)];
+    }
+    
+    /**
+     * Floor slab over a footprint
+     * @param {Array} footprint - Outline [{x, y}] in feet
+     * @param {number} feetToMeters - Conversion factor
+     * @param {number} bottomY - Underside of the slab in meters
+     * @param {number} thickness - Slab thickness in meters
+     * @param {Array} openings - Stairwell outlines [[{x, y}]] inside the footprint
+     */
+    addFloorSlab(footprint, feetToMeters, bottomY, thickness, openings = []) {
+        const floorMesh = this.createSlabMesh(footprint, feetToMeters, bottomY, thickness, this.materials.floor, openings);
+        floorMesh.receiveShadow = true;
+        floorMesh.castShadow = true;
+        floorMesh.userData.isBuilding = true;
+        this.scene.add(floorMesh);
+    }
+    
+    /**
+     * Flat prism over a plan outline
+     * @param {Array} outline - Plan outline [{x, y}] in feet
+     * @param {number} feetToMeters - Conversion factor
+     * @param {number} bottomY - Underside in meters
+     * @param {number} thickness - Thickness in meters
+     * @param {THREE.Material} material - Mesh material
+     * @param {Array} holes - Outlines [[{x, y}]] to leave open
+     * @returns {THREE.Mesh} The prism
+     */
+    createSlabMesh(outline, feetToMeters, bottomY, thickness, material, holes = []) {
+        // Shape y is negated plan y so that, once rotated flat, it lands on world z
+        const toShapePoint = (point) => new THREE.Vector2(point.x * feetToMeters, -point.y * feetToMeters);
+        const shape = new THREE.Shape(outline.map(toShapePoint));
+        holes.forEach(hole => {
+            shape.holes.push(new THREE.Path(hole.map(toShapePoint)));
+        });
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: thickness, bevelEnabled: false });
+        geometry.rotateX(-Math.PI / 2);
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.y = bottomY;
+        return mesh;
+    }
+    
+    /**
+     * Treads, landings, handrails and spiral poles for a floor's stairs
+     * @param {Array} stairs - Built stairs from StairGeometry.buildFloorStairs
+     * @param {number} feetToMeters - Conversion factor
+     * @param {number} yOffset - Floor level in meters
+     */
+    generateStairs(stairs, feetToMeters, yOffset) {
+        const railRadius = 0.0625 * feetToMeters; // 1 1/2" rail
+        const toWorld = (point) => new THREE.Vector3(point.x * feetToMeters, yOffset + point.height * feetToMeters, point.y * feetToMeters);
+        const addBar = (group, start, end, radius, material) => {
+            const length = start.distanceTo(end);
+            if (length < 1e-6) return;
+            const bar = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 8), material);
+            bar.position.copy(start).add(end).multiplyScalar(0.5);
+            bar.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), end.clone().sub(start).normalize());
+            bar.castShadow = true;
+            group.add(bar);
+        };
+        
+        stairs.forEach(stair => {
+            const group = new THREE.Group();
+            group.userData.isBuilding = true;
+            group.userData.isStair = true;
+            
+            // Flights are closed blocks down to the step below; spiral treads are open plates
+            const thickness = (stair.pole ? STAIR_DEFAULTS.treadThickness : stair.riserHeight) * feetToMeters;
+            stair.steps.forEach(step => {
+                const top = yOffset + step.height * feetToMeters;
+                const mesh = this.createSlabMesh(step.points, feetToMeters, top - thickness, thickness, this.materials.stair);
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                group.add(mesh);
+            });
+            
+            // Rails with a post at every bend, down to the nosing line
+            stair.handrails.forEach(rail => {
+                rail.forEach((point, i) => {
+                    if (i > 0) addBar(group, toWorld(rail[i - 1]), toWorld(point), railRadius, this.materials.trim);
+                    const foot = { ...point, height: point.height - STAIR_DEFAULTS.handrailHeight };
+                    addBar(group, toWorld(foot), toWorld(point), railRadius, this.materials.trim);
+                });
+            });
+            
+            if (stair.pole) {
+                addBar(group, toWorld({ ...stair.pole, height: 0 }), toWorld(stair.pole),
+                    stair.pole.radius * feetToMeters, this.materials.trim);
             }
+            
+            this.scene.add(group);
         });
     }
     
-    generatePatioRoof(patio, floor, x, z, width, depth, centerX, centerZ, yOffset, feetToMeters, gridSize) {
+    /**
+     * Floor level and wall top of each story
+     * Upper stories sit on their floor system, which rests on the walls below.
+     * @param {Array} floors - All floors, bottom first
+     * @returns {Array} [{ base, top }] in feet above grade
+     */
+    getFloorLevels(floors) {
+        let height = 0;
+        return floors.map((floor, floorIndex) => {
+            if (floorIndex > 0) {
+                height += this.getFloorThickness(floor);
+            }
+            const base = height;
+            height += floor.wallHeight || 8;
+            return { base, top: height };
+        });
+    }
+    
+    /**
+     * Depth of the floor system (joists and subfloor) under a floor
+     * @param {Object} floor - Floor data
+     * @returns {number} Thickness in feet
+     */
+    getFloorThickness(floor) {
+        return floor.floorThickness ?? 1;
+    }
+    
+    generatePatio(patio, floor, feetToMeters, yOffset) {
+        const x = patio.x * feetToMeters;
+        const z = patio.y * feetToMeters;
+        const width = patio.width * feetToMeters;
+        const depth = patio.height * feetToMeters;
+        
+        const centerX = x + width / 2;
+        const centerZ = z + depth / 2;
+        
+        // Raised patios (porches, decks) are built up solid from the floor level
+        const elevation = (patio.elevation || 0) * feetToMeters;
+        const deckHeight = 0.3 + elevation;
+        
+        // Patio floor/deck
+        const patioGeometry = new THREE.BoxGeometry(width, deckHeight, depth);
+        const patioMesh = new THREE.Mesh(patioGeometry, this.materials.patio);
+        patioMesh.position.set(centerX, yOffset + deckHeight / 2, centerZ);
+        patioMesh.castShadow = true;
+        patioMesh.receiveShadow = true;
+        patioMesh.userData.isBuilding = true;
+        this.scene.add(patioMesh);
+        
+        // Generate roof over patio if enabled
+        if (patio.hasRoof) {
+            this.generatePatioRoof(patio, floor, x, z, width, depth, centerX, centerZ, yOffset + elevation, feetToMeters);
+        }
+    }
+    
+    generatePatioRoof(patio, floor, x, z, width, depth, centerX, centerZ, yOffset, feetToMeters) {
         const roofHeight = (patio.roofHeight || 8) * feetToMeters;
         const roofStyle = patio.roofStyle || 'flat';
         const postRadius = 0.1; // meters (about 4 inches)
@@ -686,10 +1147,10 @@ export class ThreeJSGenerator {
             const postTolerance = 1.5 * feetToMeters; // 1.5 feet tolerance for post placement
             
             for (let wall of floor.walls) {
-                const wallStartX = (wall.startX / gridSize) * feetToMeters;
-                const wallStartZ = (wall.startY / gridSize) * feetToMeters;
-                const wallEndX = (wall.endX / gridSize) * feetToMeters;
-                const wallEndZ = (wall.endY / gridSize) * feetToMeters;
+                const wallStartX = wall.startX * feetToMeters;
+                const wallStartZ = wall.startY * feetToMeters;
+                const wallEndX = wall.endX * feetToMeters;
+                const wallEndZ = wall.endY * feetToMeters;
                 
                 // Calculate distance from point to wall line segment
                 const dx = wallEndX - wallStartX;
@@ -733,6 +1194,7 @@ export class ThreeJSGenerator {
         // Create support posts only at corners that are NOT too close to walls
         const postGeometry = new THREE.CylinderGeometry(postRadius, postRadius, postHeight, 8);
         const postMaterial = new THREE.MeshStandardMaterial({ 
+            name: 'patioPost',
             color: 0x8b4513,
             roughness: 0.8 
         });
@@ -782,10 +1244,10 @@ export class ThreeJSGenerator {
         
         // Check if any edge is close to a wall
         floor.walls.forEach(wall => {
-            const wallStartX = (wall.startX / gridSize) * feetToMeters;
-            const wallStartZ = (wall.startY / gridSize) * feetToMeters;
-            const wallEndX = (wall.endX / gridSize) * feetToMeters;
-            const wallEndZ = (wall.endY / gridSize) * feetToMeters;
+            const wallStartX = wall.startX * feetToMeters;
+            const wallStartZ = wall.startY * feetToMeters;
+            const wallEndX = wall.endX * feetToMeters;
+            const wallEndZ = wall.endY * feetToMeters;
             
             const wallMinX = Math.min(wallStartX, wallEndX);
             const wallMaxX = Math.max(wallStartX, wallEndX);
@@ -944,16 +1406,16 @@ export class ThreeJSGenerator {
         }
     }
     
-    generateRoof(floorplanData, gridSize, feetToMeters, roofY) {
+    generateRoof(floorplanData, feetToMeters, roofY) {
         const topFloor = floorplanData.floors[floorplanData.floors.length - 1];
         
         // Calculate bounding box
         let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
         topFloor.walls.forEach(wall => {
-            const x1 = (wall.startX / gridSize) * feetToMeters;
-            const z1 = (wall.startY / gridSize) * feetToMeters;
-            const x2 = (wall.endX / gridSize) * feetToMeters;
-            const z2 = (wall.endY / gridSize) * feetToMeters;
+            const x1 = wall.startX * feetToMeters;
+            const z1 = wall.startY * feetToMeters;
+            const x2 = wall.endX * feetToMeters;
+            const z2 = wall.endY * feetToMeters;
             minX = Math.min(minX, x1, x2);
             maxX = Math.max(maxX, x1, x2);
             minZ = Math.min(minZ, z1, z2);
@@ -1127,7 +1589,7 @@ export class ThreeJSGenerator {
         }
     }
     
-    generateGableEndWalls(floorplanData, gridSize, feetToMeters, roofY) {
+    generateGableEndWalls(floorplanData, feetToMeters, roofY) {
         if (this.roofStyle !== 'gable') return;
         
         const topFloor = floorplanData.floors[floorplanData.floors.length - 1];
@@ -1135,10 +1597,10 @@ export class ThreeJSGenerator {
         // Calculate bounding box to determine ridge orientation
         let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
         topFloor.walls.forEach(wall => {
-            const x1 = (wall.startX / gridSize) * feetToMeters;
-            const z1 = (wall.startY / gridSize) * feetToMeters;
-            const x2 = (wall.endX / gridSize) * feetToMeters;
-            const z2 = (wall.endY / gridSize) * feetToMeters;
+            const x1 = wall.startX * feetToMeters;
+            const z1 = wall.startY * feetToMeters;
+            const x2 = wall.endX * feetToMeters;
+            const z2 = wall.endY * feetToMeters;
             minX = Math.min(minX, x1, x2);
             maxX = Math.max(maxX, x1, x2);
             minZ = Math.min(minZ, z1, z2);
@@ -1161,10 +1623,10 @@ export class ThreeJSGenerator {
         
         // For each wall, check if it's a gable end wall
         topFloor.walls.forEach((wall, wallIndex) => {
-            const startX = (wall.startX / gridSize) * feetToMeters;
-            const startZ = (wall.startY / gridSize) * feetToMeters;
-            const endX = (wall.endX / gridSize) * feetToMeters;
-            const endZ = (wall.endY / gridSize) * feetToMeters;
+            const startX = wall.startX * feetToMeters;
+            const startZ = wall.startY * feetToMeters;
+            const endX = wall.endX * feetToMeters;
+            const endZ = wall.endY * feetToMeters;
             
             const dx = endX - startX;
             const dz = endZ - startZ;
@@ -1235,134 +1697,28 @@ export class ThreeJSGenerator {
         });
     }
     
-    generateRoofForFloor(floor, gridSize, feetToMeters, roofY) {
-        // Get roof settings from this floor's data
-        const roofStyle = floor.roofStyle || 'hip';
-        const roofPitch = floor.roofPitch || 6;
-        const roofOverhang = floor.roofOverhang || 1.0;
-        
-        // Calculate bounding box for THIS floor only
-        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
-        floor.walls.forEach(wall => {
-            const x1 = (wall.startX / gridSize) * feetToMeters;
-            const z1 = (wall.startY / gridSize) * feetToMeters;
-            const x2 = (wall.endX / gridSize) * feetToMeters;
-            const z2 = (wall.endY / gridSize) * feetToMeters;
-            minX = Math.min(minX, x1, x2);
-            maxX = Math.max(maxX, x1, x2);
-            minZ = Math.min(minZ, z1, z2);
-            maxZ = Math.max(maxZ, z1, z2);
+    generateRoofForFloor(floor, feetToMeters, roofY) {
+        // Roof planes follow each building's footprint, with hips and valleys from its straight skeleton
+        const roofs = this.roofGeometry.buildFloorRoofs(floor);
+        
+        // Dormers and skylights cut openings into the plane they sit on
+        const accessories = this.roofAccessoryGeometry.buildFloorAccessories(floor, roofs);
+        const skipped = accessories.filter(accessory => accessory.error);
+        skipped.forEach(accessory => {
+            console.warn(`⚠️ Roof item ${accessory.index + 1} skipped: ${accessory.error}`);
         });
-        
-        // Add overhang to dimensions
-        const overhangMeters = roofOverhang * feetToMeters;
-        const roofWidth = (maxX - minX) + (2 * overhangMeters);
-        const roofDepth = (maxZ - minZ) + (2 * overhangMeters);
-        const centerX = (minX + maxX) / 2;
-        const centerZ = (minZ + maxZ) / 2;
-        
-        // Calculate roof height from pitch
-        const roofHeight = (Math.max(roofWidth, roofDepth) / 2) * (roofPitch / 12);
-        
-        let roofMesh;
-        
-        if (roofStyle === 'flat') {
-            // Flat roof
-            const roofGeometry = new THREE.BoxGeometry(roofWidth, 0.3, roofDepth);
-            roofMesh = new THREE.Mesh(roofGeometry, this.materials.roof);
-            roofMesh.position.set(centerX, roofY + 0.15, centerZ);
-            
-        } else if (roofStyle === 'hip') {
-            // Hip roof - rectangular pyramid
-            const geometry = new THREE.BufferGeometry();
-            const halfWidth = roofWidth / 2;
-            const halfDepth = roofDepth / 2;
-            
-            const vertices = new Float32Array([
-                // Front face
-                -halfWidth, 0, -halfDepth,
-                halfWidth, 0, -halfDepth,
-                0, roofHeight, 0,
-                // Right face
-                halfWidth, 0, -halfDepth,
-                halfWidth, 0, halfDepth,
-                0, roofHeight, 0,
-                // Back face
-                halfWidth, 0, halfDepth,
-                -halfWidth, 0, halfDepth,
-                0, roofHeight, 0,
-                // Left face
-                -halfWidth, 0, halfDepth,
-                -halfWidth, 0, -halfDepth,
-                0, roofHeight, 0
-            ]);
-            
-            geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-            geometry.computeVertexNormals();
-            
-            const hipRoofMaterial = this.materials.roof.clone();
-            hipRoofMaterial.side = THREE.DoubleSide;
-            
-            roofMesh = new THREE.Mesh(geometry, hipRoofMaterial);
-            roofMesh.position.set(centerX, roofY, centerZ);
-            
-        } else if (roofStyle === 'gable') {
-            // Gable roof
-            const ridgeAlongX = roofWidth > roofDepth;
-            const geometry = new THREE.BufferGeometry();
-            
-            let vertices;
-            if (ridgeAlongX) {
-                const halfWidth = roofWidth / 2;
-                const halfDepth = roofDepth / 2;
-                vertices = new Float32Array([
-                    // Front slope
-                    -halfWidth, roofHeight, 0,
-                    -halfWidth, 0, -halfDepth,
-                    halfWidth, 0, -halfDepth,
-                    -halfWidth, roofHeight, 0,
-                    halfWidth, 0, -halfDepth,
-                    halfWidth, roofHeight, 0,
-                    // Back slope
-                    -halfWidth, roofHeight, 0,
-                    halfWidth, 0, halfDepth,
-                    -halfWidth, 0, halfDepth,
-                    -halfWidth, roofHeight, 0,
-                    halfWidth, roofHeight, 0,
-                    halfWidth, 0, halfDepth
-                ]);
-            } else {
-                const halfWidth = roofWidth / 2;
-                const halfDepth = roofDepth / 2;
-                vertices = new Float32Array([
-                    // Left slope
-                    0, roofHeight, -halfDepth,
-                    -halfWidth, 0, -halfDepth,
-                    -halfWidth, 0, halfDepth,
-                    0, roofHeight, -halfDepth,
-                    -halfWidth, 0, halfDepth,
-                    0, roofHeight, halfDepth,
-                    // Right slope
-                    0, roofHeight, -halfDepth,
-                    halfWidth, 0, halfDepth,
-                    halfWidth, 0, -halfDepth,
-                    0, roofHeight, -halfDepth,
-                    0, roofHeight, halfDepth,
-                    halfWidth, 0, halfDepth
-                ]);
-            }
-            
-            geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-            geometry.computeVertexNormals();
-            
-            const gableRoofMaterial = this.materials.roof.clone();
-            gableRoofMaterial.side = THREE.DoubleSide;
-            
-            roofMesh = new THREE.Mesh(geometry, gableRoofMaterial);
-            roofMesh.position.set(centerX, roofY, centerZ);
+        if (skipped.length > 0 && this.onWarning) {
+            const others = skipped.length > 1 ? ` (and ${skipped.length - 1} more)` : '';
+            this.onWarning(`Roof item not built: ${skipped[0].error}${others}`);
         }
+        const placed = accessories.filter(accessory => !accessory.error);
         
-        if (roofMesh) {
+        roofs.forEach((roof, roofIndex) => {
+            const holes = placed.filter(accessory => accessory.roofIndex === roofIndex && accessory.hole);
+            const roofMesh = roof.style === 'flat'
+                ? this.createFlatRoofMesh(roof, feetToMeters, roofY, holes)
+                : this.createSlopedRoofMesh(roof, feetToMeters, roofY, holes);
+            
             roofMesh.castShadow = true;
             roofMesh.receiveShadow = true;
             roofMesh.userData.isBuilding = true;
@@ -1373,136 +1729,311 @@ export class ThreeJSGenerator {
             this.enhanceRoofWithTexture(roofMesh, 'asphalt-shingle');
             
             this.scene.add(roofMesh);
-        }
-    }
-    
-    generateGableEndWallsForFloor(floor, gridSize, feetToMeters, roofY) {
-        const roofStyle = floor.roofStyle || 'hip';
-        if (roofStyle !== 'gable') return;
-        
-        const roofPitch = floor.roofPitch || 6;
-        const roofOverhang = floor.roofOverhang || 1.0;
+        });
         
-        // Calculate bounding box
-        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
-        floor.walls.forEach(wall => {
-            const x1 = (wall.startX / gridSize) * feetToMeters;
-            const z1 = (wall.startY / gridSize) * feetToMeters;
-            const x2 = (wall.endX / gridSize) * feetToMeters;
-            const z2 = (wall.endY / gridSize) * feetToMeters;
-            minX = Math.min(minX, x1, x2);
-            maxX = Math.max(maxX, x1, x2);
-            minZ = Math.min(minZ, z1, z2);
-            maxZ = Math.max(maxZ, z1, z2);
+        placed.forEach(accessory => {
+            const accessoryGroup = this.createRoofAccessoryGroup(accessory, feetToMeters, roofY);
+            accessoryGroup.userData.accessoryType = floor.roofAccessories[accessory.index].type;
+            this.scene.add(accessoryGroup);
         });
         
-        const overhangMeters = roofOverhang * feetToMeters;
+        return roofs;
+    }
+    
+    /**
+     * Mesh for a sloped roof from its planar faces (feet, heights above the wall tops)
+     * @param {Object} roof - Roof from RoofGeometry.buildRoof
+     * @param {number} feetToMeters - Conversion factor
+     * @param {number} roofY - Top of the walls in meters
+     * @param {Array} holes - Placed roof accessories with openings ({ faceIndex, hole }) on this roof
+     * @returns {THREE.Mesh} Roof mesh
+     */
+    createSlopedRoofMesh(roof, feetToMeters, roofY, holes = []) {
+        const positions = [];
+        const uvs = [];
+        const textureSpan = 25; // Feet per texture repeat, so shingle courses land about 5" apart
+        
+        roof.faces.forEach((face, faceIndex) => {
+            // Texture runs across the slope and up it
+            const gradient = Math.hypot(face.plane.a, face.plane.b);
+            const upSlope = gradient > 1e-9
+                ? { x: face.plane.a / gradient, y: face.plane.b / gradient }
+                : { x: 0, y: 1 };
+            const slopeFactor = Math.sqrt(1 + gradient * gradient);
+            
+            // Opening points take their height from the face's plane
+            const faceHoles = holes
+                .filter(accessory => accessory.faceIndex === faceIndex)
+                .map(accessory => accessory.hole.map(point => ({
+                    ...point,
+                    height: face.plane.a * point.x + face.plane.b * point.y + face.plane.c
+                })));
+            const points = [...face.points, ...faceHoles.flat()];
+            
+            const toVector = (point) => new THREE.Vector2(point.x, point.y);
+            THREE.ShapeUtils.triangulateShape(face.points.map(toVector), faceHoles.map(hole => hole.map(toVector))).forEach(triangle => {
+                let [a, b, c] = triangle.map(index => points[index]);
+                // Wind so the normal points up (plan y becomes world z)
+                if ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) > 0) {
+                    [b, c] = [c, b];
+                }
+                
+                [a, b, c].forEach(point => {
+                    positions.push(point.x * feetToMeters, roofY + point.height * feetToMeters, point.y * feetToMeters);
+                    uvs.push(
+                        (point.x * upSlope.y - point.y * upSlope.x) / textureSpan,
+                        (point.x * upSlope.x + point.y * upSlope.y) * slopeFactor / textureSpan
+                    );
+                });
+            });
+        });
         
-        // Building dimensions WITHOUT overhang
-        const buildingWidth = maxX - minX;
-        const buildingDepth = maxZ - minZ;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.computeVertexNormals();
         
-        // Roof dimensions WITH overhang
-        const roofWidth = buildingWidth + (2 * overhangMeters);
-        const roofDepth = buildingDepth + (2 * overhangMeters);
+        const roofMaterial = this.materials.roof.clone();
+        roofMaterial.side = THREE.DoubleSide;
         
-        // Calculate roof height based on the FULL roof span (including overhang)
-        const roofHeight = (Math.max(roofWidth, roofDepth) / 2) * (roofPitch / 12);
+        return new THREE.Mesh(geometry, roofMaterial);
+    }
+    
+    /**
+     * Flat roof slab over the footprint plus overhang
+     * @param {Object} roof - Roof from RoofGeometry.buildRoof
+     * @param {number} feetToMeters - Conversion factor
+     * @param {number} roofY - Top of the walls in meters
+     * @param {Array} holes - Placed roof accessories with openings ({ hole }) on this roof
+     * @returns {THREE.Mesh} Roof mesh
+     */
+    createFlatRoofMesh(roof, feetToMeters, roofY, holes = []) {
+        // Shape y is negated plan y so that, once rotated flat, it lands on world z
+        const toShapePoint = (point) => new THREE.Vector2(point.x * feetToMeters, -point.y * feetToMeters);
+        const shape = new THREE.Shape(roof.eaves.map(toShapePoint));
+        holes.forEach(accessory => {
+            shape.holes.push(new THREE.Path(accessory.hole.map(toShapePoint)));
+        });
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: FLAT_ROOF_THICKNESS * feetToMeters, bevelEnabled: false });
+        geometry.rotateX(-Math.PI / 2);
         
-        const ridgeAlongX = roofWidth > roofDepth;
+        const roofMesh = new THREE.Mesh(geometry, this.materials.roof.clone());
+        roofMesh.position.y = roofY;
+        return roofMesh;
+    }
+    
+    /**
+     * Meshes for a dormer, skylight, chimney or cupola, one per material
+     * @param {Object} accessory - Placed accessory from RoofAccessoryGeometry.buildFloorAccessories
+     * @param {number} feetToMeters - Conversion factor
+     * @param {number} roofY - Top of the walls in meters
+     * @returns {THREE.Group} Accessory group
+     */
+    createRoofAccessoryGroup(accessory, feetToMeters, roofY) {
+        const group = new THREE.Group();
+        group.userData.isBuilding = true;
+        group.userData.isRoofAccessory = true;
+        group.userData.elementType = 'roofAccessory';
+        
+        const materials = {
+            wall: this.materials.wall,
+            roof: this.materials.roof,
+            glass: this.materials.window,
+            trim: this.materials.trim,
+            brick: this.materials.brick
+        };
         
-        // Generate gable end walls
-        floor.walls.forEach((wall, wallIndex) => {
-            const startX = (wall.startX / gridSize) * feetToMeters;
-            const startZ = (wall.startY / gridSize) * feetToMeters;
-            const endX = (wall.endX / gridSize) * feetToMeters;
-            const endZ = (wall.endY / gridSize) * feetToMeters;
-            
-            const dx = endX - startX;
-            const dz = endZ - startZ;
-            const length = Math.sqrt(dx * dx + dz * dz);
-            const angle = Math.atan2(dz, dx);
-            
-            const isGableEnd = ridgeAlongX ? 
-                (Math.abs(Math.cos(angle)) < 0.5) : 
-                (Math.abs(Math.sin(angle)) < 0.5);
-            
-            if (!isGableEnd) return;
-            
-            const centerX = (startX + endX) / 2;
-            const centerZ = (startZ + endZ) / 2;
-            
-            // KEY FIX: Calculate distance from ROOF center (same as building center)
-            const roofCenterX = (minX + maxX) / 2;
-            const roofCenterZ = (minZ + maxZ) / 2;
-            
-            // Distance from the gable wall to the roof center
-            const distanceFromRoofCenter = ridgeAlongX ? 
-                Math.abs(centerZ - roofCenterZ) : 
-                Math.abs(centerX - roofCenterX);
-            
-            // Use ROOF half-span for calculation
-            const roofHalfSpan = ridgeAlongX ? roofDepth / 2 : roofWidth / 2;
-            
-            // Calculate triangle height from roof center
-            // At the building edge, we're (buildingHalfSpan) away from roof center
-            // Roof extends (roofHalfSpan) from roof center
-            // Formula: height = roofHeight - (roofHeight * distance/span)
-            // This creates a linear slope from peak (roofHeight at center) to edge (0 at roofHalfSpan)
-            const triangleHeight = roofHeight - (roofHeight * (distanceFromRoofCenter / roofHalfSpan));
-            
-            if (triangleHeight <= 0.01) return;  // Small tolerance for floating point
+        Object.keys(materials).forEach(role => {
+            const parts = accessory.parts.filter(part => part.role === role);
+            if (parts.length === 0) return;
+            
+            const positions = [];
+            parts.forEach(part => {
+                // Triangulate each flat part in the plane it faces most (Newell normal)
+                const normal = { x: 0, y: 0, z: 0 };
+                part.points.forEach((point, i) => {
+                    const next = part.points[(i + 1) % part.points.length];
+                    normal.x += (point.height - next.height) * (point.y + next.y);
+                    normal.y += (point.y - next.y) * (point.x + next.x);
+                    normal.z += (point.x - next.x) * (point.height + next.height);
+                });
+                const axis = Math.abs(normal.y) >= Math.abs(normal.x) && Math.abs(normal.y) >= Math.abs(normal.z) ? 'y'
+                    : Math.abs(normal.x) >= Math.abs(normal.z) ? 'x' : 'z';
+                const contour = part.points.map(point => axis === 'y'
+                    ? new THREE.Vector2(point.x, point.y)
+                    : axis === 'x' ? new THREE.Vector2(point.y, point.height) : new THREE.Vector2(point.x, point.height));
+                
+                THREE.ShapeUtils.triangulateShape(contour, []).forEach(triangle => {
+                    const [a, b, c] = triangle.map(index => part.points[index]);
+                    // Front and back faces
+                    [a, b, c, a, c, b].forEach(point => {
+                        positions.push(point.x * feetToMeters, roofY + point.height * feetToMeters, point.y * feetToMeters);
+                    });
+                });
+            });
             
             const geometry = new THREE.BufferGeometry();
-            const halfLength = length / 2;  // Keep wall at ORIGINAL width
-            
-            const vertices = new Float32Array([
-                // Front face - keep wall at original width (aligned with building)
-                -halfLength, 0, 0,
-                halfLength, 0, 0,
-                0, triangleHeight, 0,
-                // Back face
-                -halfLength, 0, 0,
-                0, triangleHeight, 0,
-                halfLength, 0, 0
-            ]);
-            
-            geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
             geometry.computeVertexNormals();
             
-            const gableMesh = new THREE.Mesh(geometry, this.materials.wall);
-            gableMesh.position.set(centerX, roofY, centerZ);
-            gableMesh.rotation.y = angle;
-            gableMesh.castShadow = true;
-            gableMesh.receiveShadow = true;
-            gableMesh.userData.isBuilding = true;
-            gableMesh.userData.isWall = true;
-            gableMesh.userData.wallMaterial = 'vinyl-siding';
-            
-            this.scene.add(gableMesh);
+            const mesh = new THREE.Mesh(geometry, materials[role]);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            mesh.userData.isBuilding = true;
+            group.add(mesh);
         });
+        
+        return group;
     }
     
-    clearBuilding() {
-        const objectsToRemove = [];
-        this.scene.children.forEach(child => {
-            if (child.userData.isBuilding) {
-                objectsToRemove.push(child);
-            }
+    generateGableEndWallsForFloor(floor, feetToMeters, roofY, roofs = this.roofGeometry.buildFloorRoofs(floor)) {
+        // Gable ends and the high walls of shed and butterfly roofs
+        roofs.forEach(roof => {
+            roof.infillWalls.forEach(infill => {
+                // Triangulate in the wall's own plane: distance along the wall by height
+                const [start, end] = infill.points;
+                const length = Math.hypot(end.x - start.x, end.y - start.y);
+                const contour = infill.points.map(point => new THREE.Vector2(
+                    ((point.x - start.x) * (end.x - start.x) + (point.y - start.y) * (end.y - start.y)) / length,
+                    point.height
+                ));
+                
+                const positions = [];
+                const pushPoint = (point) => {
+                    positions.push(point.x * feetToMeters, roofY + point.height * feetToMeters, point.y * feetToMeters);
+                };
+                THREE.ShapeUtils.triangulateShape(contour, []).forEach(triangle => {
+                    const [a, b, c] = triangle.map(index => infill.points[index]);
+                    // Front and back faces
+                    [a, b, c, a, c, b].forEach(pushPoint);
+                });
+                
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                geometry.computeVertexNormals();
+                
+                const infillMesh = new THREE.Mesh(geometry, this.materials.wall);
+                infillMesh.castShadow = true;
+                infillMesh.receiveShadow = true;
+                infillMesh.userData.isBuilding = true;
+                infillMesh.userData.isWall = true;
+                infillMesh.userData.wallMaterial = 'vinyl-siding';
+                
+                this.scene.add(infillMesh);
+            });
         });
-        objectsToRemove.forEach(obj => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) {
-                if (Array.isArray(obj.material)) {
-                    obj.material.forEach(mat => mat.dispose());
-                } else {
-                    obj.material.dispose();
-                }
+    }
+    
+    /**
+     * Pick walls, doors, windows and patios by clicking them
+     * A press that moves more than a few pixels is an orbit or pan, not a click.
+     */
+    setupSelection() {
+        this.raycaster = new THREE.Raycaster();
+        this.selectionOutline = new THREE.Group();
+        this.selectionOutline.userData.isEditorHelper = true; // Hidden in screenshots
+        this.scene.add(this.selectionOutline);
+        this.selectionOutlineMaterial = new THREE.LineBasicMaterial({
+            color: 0xff8c00, // Orange, like the 2D selection
+            depthTest: false, // Visible through whatever is in front
+            transparent: true
+        });
+        
+        const canvas = this.renderer.domElement;
+        let pressed = null;
+        canvas.addEventListener('pointerdown', (e) => {
+            // While walking, dragging looks around instead
+            pressed = e.isPrimary && !this.frameUpdate ? { x: e.clientX, y: e.clientY } : null;
+        });
+        canvas.addEventListener('pointerup', (e) => {
+            if (!pressed || !e.isPrimary) return;
+            const moved = Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y);
+            pressed = null;
+            if (moved > 5) return;
+            
+            const picked = this.pickElement(e.clientX, e.clientY);
+            this.setSelectedElement(picked?.elementId ?? null);
+            if (this.onElementSelected) {
+                this.onElementSelected(this.selectedElementId);
             }
-            this.scene.remove(obj);
         });
     }
     
+    /**
+     * Plan element under a point on the canvas
+     * Only the nearest surface counts, so a wall behind a roof or a window's glass isn't picked through it.
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {Object|null} { elementId, elementType, floorIndex } or null when no wall, door, window or patio is hit
+     */
+    pickElement(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        
+        const targets = this.scene.children.filter(child => child.userData.isBuilding && child.visible);
+        const hit = this.raycaster.intersectObjects(targets, true).find(intersection => intersection.object.visible);
+        if (!hit) return null;
+        
+        // Elements are tagged on the scene's direct children
+        let object = hit.object;
+        while (object.parent && object.parent !== this.scene) {
+            object = object.parent;
+        }
+        const { elementId, elementType, floorIndex } = object.userData;
+        return elementId ? { elementId, elementType, floorIndex } : null;
+    }
+    
+    /**
+     * Highlight a plan element's objects (null clears the highlight)
+     * @param {string|null} elementId - Wall, door, window or patio id
+     */
+    setSelectedElement(elementId) {
+        if (elementId === this.selectedElementId) return;
+        this.selectedElementId = elementId;
+        this.updateSelectionOutline();
+    }
+    
+    /**
+     * Rebuild the outline around the selected element's edges
+     */
+    updateSelectionOutline() {
+        if (!this.selectionOutline) return;
+        
+        this.selectionOutline.children.slice().forEach(line => {
+            this.selectionOutline.remove(line);
+            line.geometry.dispose();
+        });
+        if (this.selectedElementId === null) return;
+        
+        this.scene.children
+            .filter(child => child.userData.isBuilding && child.userData.elementId === this.selectedElementId)
+            .forEach(object => {
+                object.updateMatrixWorld(true);
+                object.traverse(mesh => {
+                    if (!mesh.isMesh || !mesh.geometry) return;
+                    const line = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry, 30), this.selectionOutlineMaterial);
+                    line.matrixAutoUpdate = false;
+                    line.matrix.copy(mesh.matrixWorld);
+                    line.renderOrder = 1; // Drawn after the building
+                    this.selectionOutline.add(line);
+                });
+            });
+    }
+    
+    /**
+     * Show or hide the selection outline and drag handles (hidden for screenshots)
+     * @param {boolean} visible - Whether editing helpers are drawn
+     */
+    setEditorHelpersVisible(visible) {
+        this.scene.children
+            .filter(child => child.userData.isEditorHelper)
+            .forEach(child => { child.visible = visible; });
+    }
+    
     updateStats(floorplanData) {
         const totalWalls = floorplanData.floors.reduce((sum, f) => sum + f.walls.length, 0);
         const totalDoors = floorplanData.floors.reduce((sum, f) => sum + f.doors.length, 0);
@@ -1536,7 +2067,12 @@ export class ThreeJSGenerator {
     
     animate() {
         requestAnimationFrame(() => this.animate());
-        this.controls.update();
+        const delta = this.clock.getDelta();
+        if (this.frameUpdate) {
+            this.frameUpdate(delta);
+        } else {
+            this.controls.update();
+        }
         this.renderer.render(this.scene, this.camera);
     }
     
@@ -1552,16 +2088,18 @@ export class ThreeJSGenerator {
         
         // Hide grid and any other helpers
         this.gridHelper.visible = false;
+        this.setEditorHelpersVisible(false);
         
-        // Render one clean frame
-        this.controls.update();
+        // Render one clean frame (from where the walk is, if walking)
+        if (!this.frameUpdate) this.controls.update();
         this.renderer.render(this.scene, this.camera);
         
         // Capture screenshot
         const dataURL = this.renderer.domElement.toDataURL('image/png', 1.0);
         
-        // Restore original visibility states
+        // Restore original visibility states (helpers stay hidden while walking)
         this.gridHelper.visible = originalGridVisibility;
+        this.setEditorHelpersVisible(!this.frameUpdate);
         
         // Render again to restore normal view
         this.renderer.render(this.scene, this.camera);
@@ -1593,8 +2131,9 @@ export class ThreeJSGenerator {
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
-        // Hide grid for clean capture
+        // Hide grid and selection for clean capture
         this.gridHelper.visible = false;
+        this.setEditorHelpersVisible(false);
         
         // Array to store temporary objects for cleanup
         const tempObjects = [];
@@ -1654,6 +2193,7 @@ export class ThreeJSGenerator {
         this.renderer.setPixelRatio(originalPixelRatio);
         this.renderer.shadowMap.enabled = originalShadows;
         this.gridHelper.visible = originalGridVisibility;
+        this.setEditorHelpersVisible(!this.frameUpdate); // Helpers stay hidden while walking
         
         // Remove ALL temporary objects
         tempObjects.forEach(obj => {
@@ -1673,19 +2213,24 @@ export class ThreeJSGenerator {
     }
 
     /**
-     * Add detailed window frames, glass, and mullions
+     * Add detailed window frames, glass, and the muntin pattern of the window's type
      */
     addWindowDetails(windowObject) {
         const details = [];
         
-        // Get window dimensions
-        const bbox = new THREE.Box3().setFromObject(windowObject);
-        const size = new THREE.Vector3();
-        bbox.getSize(size);
-        const width = size.x || 1;
-        const height = size.y || 1.5;
+        // Glass panes are boxes; details are attached to the pane so they follow its rotation
+        const params = windowObject.geometry?.parameters || {};
+        const width = params.width || 1;
+        const height = params.height || 1.5;
         const depth = 0.15;
         
+        const addDetail = (geometry, material, x, y) => {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(x, y, 0);
+            windowObject.add(mesh);
+            details.push(mesh);
+        };
+        
         // Window frame material (dark trim)
         const frameThickness = 0.08;
         const frameMaterial = new THREE.MeshStandardMaterial({
@@ -1694,49 +2239,11 @@ export class ThreeJSGenerator {
             metalness: 0.1
         });
         
-        // Top frame
-        const topFrame = new THREE.Mesh(
-            new THREE.BoxGeometry(width + frameThickness * 2, frameThickness, depth),
-            frameMaterial
-        );
-        topFrame.position.copy(windowObject.position);
-        topFrame.position.y += height/2 + frameThickness/2;
-        topFrame.rotation.copy(windowObject.rotation);
-        this.scene.add(topFrame);
-        details.push(topFrame);
-        
-        // Bottom frame
-        const bottomFrame = new THREE.Mesh(
-            new THREE.BoxGeometry(width + frameThickness * 2, frameThickness, depth),
-            frameMaterial
-        );
-        bottomFrame.position.copy(windowObject.position);
-        bottomFrame.position.y -= height/2 + frameThickness/2;
-        bottomFrame.rotation.copy(windowObject.rotation);
-        this.scene.add(bottomFrame);
-        details.push(bottomFrame);
-        
-        // Left frame
-        const leftFrame = new THREE.Mesh(
-            new THREE.BoxGeometry(frameThickness, height, depth),
-            frameMaterial
-        );
-        leftFrame.position.copy(windowObject.position);
-        leftFrame.position.x -= width/2 + frameThickness/2;
-        leftFrame.rotation.copy(windowObject.rotation);
-        this.scene.add(leftFrame);
-        details.push(leftFrame);
-        
-        // Right frame
-        const rightFrame = new THREE.Mesh(
-            new THREE.BoxGeometry(frameThickness, height, depth),
-            frameMaterial
-        );
-        rightFrame.position.copy(windowObject.position);
-        rightFrame.position.x += width/2 + frameThickness/2;
-        rightFrame.rotation.copy(windowObject.rotation);
-        this.scene.add(rightFrame);
-        details.push(rightFrame);
+        // Top, bottom, left and right frame
+        addDetail(new THREE.BoxGeometry(width + frameThickness * 2, frameThickness, depth), frameMaterial, 0, height/2 + frameThickness/2);
+        addDetail(new THREE.BoxGeometry(width + frameThickness * 2, frameThickness, depth), frameMaterial, 0, -height/2 - frameThickness/2);
+        addDetail(new THREE.BoxGeometry(frameThickness, height, depth), frameMaterial, -width/2 - frameThickness/2, 0);
+        addDetail(new THREE.BoxGeometry(frameThickness, height, depth), frameMaterial, width/2 + frameThickness/2, 0);
         
         // Mullion material (window dividers)
         const mullionMaterial = new THREE.MeshStandardMaterial({
@@ -1744,25 +2251,13 @@ export class ThreeJSGenerator {
             roughness: 0.6
         });
         
-        // Vertical mullion (center)
-        const verticalMullion = new THREE.Mesh(
-            new THREE.BoxGeometry(0.04, height, depth),
-            mullionMaterial
-        );
-        verticalMullion.position.copy(windowObject.position);
-        verticalMullion.rotation.copy(windowObject.rotation);
-        this.scene.add(verticalMullion);
-        details.push(verticalMullion);
-        
-        // Horizontal mullion (center)
-        const horizontalMullion = new THREE.Mesh(
-            new THREE.BoxGeometry(width, 0.04, depth),
-            mullionMaterial
-        );
-        horizontalMullion.position.copy(windowObject.position);
-        horizontalMullion.rotation.copy(windowObject.rotation);
-        this.scene.add(horizontalMullion);
-        details.push(horizontalMullion);
+        // Sash rails and muntins for the type (split sashes are separate panes, so only whole units get them)
+        const windowType = windowObject.userData.windowType || 'double-hung';
+        if (windowType !== 'double-hung' && windowType !== 'slider') {
+            this.getWindowMuntins(windowType, width, height).forEach(bar => {
+                addDetail(new THREE.BoxGeometry(bar.width, bar.height, depth), mullionMaterial, bar.x, bar.y);
+            });
+        }
         
         // Update window to be semi-transparent glass
         if (windowObject.material) {
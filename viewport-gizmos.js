@@ -0,0 +1,375 @@
+// Viewport Gizmos for 3D Home Design Application
+// Drag handles in the 3D view: move the selected wall across itself, slide the selected door or window
+// along its wall, stretch the selected patio, and raise or lower a roof's ridge to change its pitch.
+// Every drag edits FloorPlanEditor.floors directly and ends with one undo step.
+
+import * as THREE from 'three';
+import { getDoorHeight, getWindowHeight, getWindowSillHeight } from './opening-catalog.js';
+
+// Handle colors per kind of edit
+export const GIZMO_COLORS = {
+    wall: 0x1e90ff,    // Blue
+    opening: 0x32cd32, // Green
+    patio: 0xffc107,   // Amber
+    roof: 0xff4500     // Red-orange
+};
+
+export const GIZMO_DEFAULTS = {
+    handleRadius: 0.25,   // meters
+    handleLift: 0.4,      // meters above the element's top
+    axisLength: 1.5,      // meters each way along the drag direction
+    minPatioSize: 2,      // feet, as when drawing one
+    minPitch: 4,          // x:12, same range as the pitch slider
+    maxPitch: 12
+};
+
+const FEET_TO_METERS = 0.3048;
+
+export class ViewportGizmos {
+    /**
+     * @param {ThreeJSGenerator} generator - 3D view the handles live in
+     * @param {FloorPlanEditor} editor - Editor whose floors the handles change
+     * @param {Function} onChange - Rebuilds the 3D model after the floors changed
+     */
+    constructor(generator, editor, onChange) {
+        this.generator = generator;
+        this.editor = editor;
+        this.onChange = onChange;
+        this.drag = null;
+        this.changePending = false;
+
+        this.group = new THREE.Group();
+        this.group.userData.isEditorHelper = true;
+        generator.scene.add(this.group);
+
+        // Drawn on top of the building so handles inside walls can still be grabbed
+        this.handleGeometry = new THREE.SphereGeometry(GIZMO_DEFAULTS.handleRadius, 16, 12);
+        this.handleMaterials = {};
+        this.axisMaterials = {};
+        Object.entries(GIZMO_COLORS).forEach(([kind, color]) => {
+            this.handleMaterials[kind] = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true });
+            this.axisMaterials[kind] = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.6 });
+        });
+
+        this.setupPointerEvents();
+    }
+
+    setupPointerEvents() {
+        // Capture phase, so a press on a handle never reaches the orbit controls or click-to-select
+        const canvas = this.generator.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e), true);
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e), true);
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e), true);
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e), true);
+    }
+
+    /**
+     * Rebuild the handles for the current selection and roofs
+     */
+    update() {
+        this.group.children.slice().forEach(child => {
+            this.group.remove(child);
+            if (child.isLineSegments) child.geometry.dispose();
+        });
+
+        const floors = this.editor.floors;
+        const levels = this.generator.getFloorLevels(floors);
+
+        const selectedId = this.generator.selectedElementId;
+        const found = selectedId ? this.editor.findElement(selectedId) : null;
+        if (found) {
+            const floor = floors[found.floorIndex];
+            const base = levels[found.floorIndex].base;
+            switch (found.type) {
+                case 'wall':
+                    this.addWallHandle(floor, floor.walls[found.index], base);
+                    break;
+                case 'door':
+                case 'window':
+                    this.addOpeningHandle(floor, floor[`${found.type}s`][found.index], found.type, base);
+                    break;
+                case 'patio':
+                    this.addPatioHandles(floor.patios[found.index], base);
+                    break;
+            }
+        }
+
+        // Every sloped roof can be pitched, whatever is selected
+        if (this.generator.showRoof) {
+            floors.forEach((floor, floorIndex) => {
+                if (floor.hasRoof && floor.walls.length > 0) {
+                    this.addRoofHandle(floorIndex, levels[floorIndex].top);
+                }
+            });
+        }
+    }
+
+    addWallHandle(floor, wall, base) {
+        // Above the middle of the wall, dragging along its normal
+        const length = Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY);
+        if (length < 1e-6) return;
+        const height = wall.height || floor.wallHeight || 8;
+        const position = this.toWorld((wall.startX + wall.endX) / 2, (wall.startY + wall.endY) / 2, base + height);
+        position.y += GIZMO_DEFAULTS.handleLift;
+        const normal = new THREE.Vector3(-(wall.endY - wall.startY) / length, 0, (wall.endX - wall.startX) / length);
+        this.addHandle('wall', position, normal, { elementId: wall.id });
+    }
+
+    addOpeningHandle(floor, opening, type, base) {
+        // Over the head of the opening, dragging along the wall
+        const wall = this.editor.getWallById(opening.wallId, this.editor.floors.indexOf(floor));
+        if (!wall) return;
+        const length = Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY);
+        if (length < 1e-6) return;
+        const head = type === 'door' ? getDoorHeight(opening) : getWindowSillHeight(opening) + getWindowHeight(opening);
+        const position = this.toWorld(
+            wall.startX + (wall.endX - wall.startX) * opening.position,
+            wall.startY + (wall.endY - wall.startY) * opening.position,
+            base + head
+        );
+        position.y += GIZMO_DEFAULTS.handleLift;
+        const along = new THREE.Vector3((wall.endX - wall.startX) / length, 0, (wall.endY - wall.startY) / length);
+        this.addHandle('opening', position, along, { elementId: opening.id });
+    }
+
+    addPatioHandles(patio, base) {
+        // One handle in the middle of each edge, dragging it outward; deck height as built (0.3 m plus elevation)
+        const top = base + (patio.elevation || 0) + 0.3 / FEET_TO_METERS;
+        const edges = [
+            { edge: 'east', x: patio.x + patio.width, y: patio.y + patio.height / 2, axis: [1, 0] },
+            { edge: 'west', x: patio.x, y: patio.y + patio.height / 2, axis: [-1, 0] },
+            { edge: 'south', x: patio.x + patio.width / 2, y: patio.y + patio.height, axis: [0, 1] },
+            { edge: 'north', x: patio.x + patio.width / 2, y: patio.y, axis: [0, -1] }
+        ];
+        edges.forEach(({ edge, x, y, axis }) => {
+            const position = this.toWorld(x, y, top);
+            position.y += GIZMO_DEFAULTS.handleRadius;
+            this.addHandle('patio', position, new THREE.Vector3(axis[0], 0, axis[1]), { elementId: patio.id, edge });
+        });
+    }
+
+    addRoofHandle(floorIndex, top) {
+        // On the highest point of the floor's sloped roofs, dragging up and down
+        const peak = this.editor.getRoofs(floorIndex)
+            .filter(roof => roof.style !== 'flat')
+            .flatMap(roof => roof.faces.flatMap(face => face.points))
+            .reduce((best, point) => (!best || point.height > best.height ? point : best), null);
+        if (!peak || peak.height <= 0) return;
+
+        const position = this.toWorld(peak.x, peak.y, top + peak.height);
+        position.y += GIZMO_DEFAULTS.handleLift;
+        this.addHandle('roof', position, new THREE.Vector3(0, 1, 0), { floorIndex, ridgeHeight: peak.height });
+    }
+
+    /**
+     * Add a draggable handle with a line showing which way it moves
+     * @param {string} kind - 'wall', 'opening', 'patio' or 'roof'
+     * @param {THREE.Vector3} position - Handle position in meters
+     * @param {THREE.Vector3} axis - Unit drag direction (+ grows or moves the element that way)
+     * @param {Object} data - What the handle edits
+     */
+    addHandle(kind, position, axis, data) {
+        const handle = new THREE.Mesh(this.handleGeometry, this.handleMaterials[kind]);
+        handle.position.copy(position);
+        handle.renderOrder = 2;
+        handle.userData.gizmo = { kind, origin: position.clone(), axis, ...data };
+        this.group.add(handle);
+
+        const reach = axis.clone().multiplyScalar(GIZMO_DEFAULTS.axisLength);
+        const axisGeometry = new THREE.BufferGeometry().setFromPoints([
+            position.clone().sub(reach),
+            position.clone().add(reach)
+        ]);
+        const axisLine = new THREE.LineSegments(axisGeometry, this.axisMaterials[kind]);
+        axisLine.renderOrder = 2;
+        this.group.add(axisLine);
+    }
+
+    toWorld(x, y, height) {
+        // Plan feet to scene meters (plan y runs along world z)
+        return new THREE.Vector3(x * FEET_TO_METERS, height * FEET_TO_METERS, y * FEET_TO_METERS);
+    }
+
+    setRayFromPointer(e) {
+        const rect = this.generator.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.generator.raycaster.setFromCamera(pointer, this.generator.camera);
+        return this.generator.raycaster.ray;
+    }
+
+    /**
+     * Distance along a handle's axis to the point nearest the pointer ray
+     * @param {PointerEvent} e - Pointer event
+     * @param {Object} gizmo - Handle data { origin, axis }
+     * @returns {number|null} Meters from the handle's origin, or null when looking straight down the axis
+     */
+    getAxisOffset(e, gizmo) {
+        const ray = this.setRayFromPointer(e);
+        const toOrigin = gizmo.origin.clone().sub(ray.origin);
+        const b = gizmo.axis.dot(ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) return null;
+        return (b * ray.direction.dot(toOrigin) - gizmo.axis.dot(toOrigin)) / denominator;
+    }
+
+    handlePointerDown(e) {
+        // Hidden handles (walk mode, screenshots) can't be grabbed
+        if (!e.isPrimary || !this.group.visible || this.group.children.length === 0) return;
+
+        this.setRayFromPointer(e);
+        const handles = this.group.children.filter(child => child.userData.gizmo);
+        const hit = this.generator.raycaster.intersectObjects(handles, false)[0];
+        if (!hit) return;
+
+        const gizmo = hit.object.userData.gizmo;
+        const start = this.getAxisOffset(e, gizmo);
+        if (start === null) return;
+
+        e.stopImmediatePropagation();
+        e.preventDefault();
+        this.generator.renderer.domElement.setPointerCapture(e.pointerId);
+        this.generator.controls.enabled = false;
+        this.drag = { gizmo, start, original: this.getOriginal(gizmo), changed: false };
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || !e.isPrimary) return;
+        e.stopImmediatePropagation();
+
+        const offset = this.getAxisOffset(e, this.drag.gizmo);
+        if (offset === null) return;
+        if (this.applyDrag(this.drag, (offset - this.drag.start) / FEET_TO_METERS)) {
+            this.drag.changed = true;
+            this.scheduleChange();
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag || !e.isPrimary) return;
+        e.stopImmediatePropagation();
+
+        const { gizmo, changed } = this.drag;
+        this.drag = null;
+        this.generator.controls.enabled = true;
+        if (this.generator.renderer.domElement.hasPointerCapture(e.pointerId)) {
+            this.generator.renderer.domElement.releasePointerCapture(e.pointerId);
+        }
+        if (!changed) return;
+
+        this.editor.saveState(); // Save state for undo
+        this.editor.render();
+        this.editor.updateMeasurements();
+        this.onChange();
+        console.log(`✋ ${gizmo.kind === 'roof' ? 'Roof pitch' : gizmo.kind.charAt(0).toUpperCase() + gizmo.kind.slice(1)} changed in 3D`);
+    }
+
+    scheduleChange() {
+        // At most one rebuild per frame while dragging
+        if (this.changePending) return;
+        this.changePending = true;
+        requestAnimationFrame(() => {
+            this.changePending = false;
+            this.editor.render();
+            this.onChange();
+        });
+    }
+
+    getOriginal(gizmo) {
+        // Values at the start of the drag; drags are applied to these, not accumulated
+        if (gizmo.kind === 'roof') {
+            return { pitch: this.editor.floors[gizmo.floorIndex].roofPitch || 6 };
+        }
+
+        const found = this.editor.findElement(gizmo.elementId);
+        const floor = this.editor.floors[found.floorIndex];
+        const item = floor[`${found.type}s`][found.index];
+        if (gizmo.kind === 'wall') {
+            // Walls meeting this one's ends stay attached
+            const ends = [{ x: item.startX, y: item.startY }, { x: item.endX, y: item.endY }];
+            const isAtEnd = (x, y) => ends.some(end => Math.abs(end.x - x) < 1e-6 && Math.abs(end.y - y) < 1e-6);
+            const attached = [];
+            floor.walls.forEach(other => {
+                if (other === item) return;
+                if (isAtEnd(other.startX, other.startY)) attached.push({ wall: other, key: 'start', x: other.startX, y: other.startY });
+                if (isAtEnd(other.endX, other.endY)) attached.push({ wall: other, key: 'end', x: other.endX, y: other.endY });
+            });
+            return { floor, item, startX: item.startX, startY: item.startY, endX: item.endX, endY: item.endY, attached };
+        }
+        if (gizmo.kind === 'opening') {
+            return { item, wall: this.editor.getWallById(item.wallId, found.floorIndex), position: item.position };
+        }
+        return { item, x: item.x, y: item.y, width: item.width, height: item.height };
+    }
+
+    /**
+     * Write a drag into the floors
+     * @param {Object} drag - Drag state { gizmo, original }
+     * @param {number} distance - Feet moved along the handle's axis since the drag started
+     * @returns {boolean} True if anything changed since the last call
+     */
+    applyDrag(drag, distance) {
+        const { gizmo, original } = drag;
+        const toInches = (feet) => Math.round(feet * 12) / 12;
+
+        if (gizmo.kind === 'wall') {
+            const shift = toInches(distance);
+            const dx = toInches(gizmo.axis.x * shift);
+            const dy = toInches(gizmo.axis.z * shift);
+            const wall = original.item;
+            if (wall.startX === original.startX + dx && wall.startY === original.startY + dy) return false;
+            wall.startX = original.startX + dx;
+            wall.startY = original.startY + dy;
+            wall.endX = original.endX + dx;
+            wall.endY = original.endY + dy;
+            original.attached.forEach(({ wall: other, key, x, y }) => {
+                other[`${key}X`] = x + dx;
+                other[`${key}Y`] = y + dy;
+            });
+            return true;
+        }
+
+        if (gizmo.kind === 'opening') {
+            // Kept whole inside its wall
+            const { item, wall } = original;
+            if (!wall) return false;
+            const length = Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY);
+            const half = Math.min(item.width / 2, length / 2);
+            const along = Math.min(length - half, Math.max(half, toInches(original.position * length + distance)));
+            const position = along / length;
+            if (item.position === position) return false;
+            item.position = position;
+            return true;
+        }
+
+        if (gizmo.kind === 'patio') {
+            const { item } = original;
+            const min = GIZMO_DEFAULTS.minPatioSize;
+            const grow = toInches(distance);
+            const before = `${item.x},${item.y},${item.width},${item.height}`;
+            if (gizmo.edge === 'east') {
+                item.width = Math.max(min, original.width + grow);
+            } else if (gizmo.edge === 'south') {
+                item.height = Math.max(min, original.height + grow);
+            } else if (gizmo.edge === 'west') {
+                item.width = Math.max(min, original.width + grow);
+                item.x = original.x + original.width - item.width;
+            } else {
+                item.height = Math.max(min, original.height + grow);
+                item.y = original.y + original.height - item.height;
+            }
+            return before !== `${item.x},${item.y},${item.width},${item.height}`;
+        }
+
+        // Ridge height is proportional to the pitch
+        const floor = this.editor.floors[gizmo.floorIndex];
+        const height = Math.max(0, gizmo.ridgeHeight + distance);
+        const pitch = Math.min(GIZMO_DEFAULTS.maxPitch, Math.max(GIZMO_DEFAULTS.minPitch,
+            Math.round(original.pitch * height / gizmo.ridgeHeight)));
+        if (floor.roofPitch === pitch) return false;
+        floor.roofPitch = pitch;
+        return true;
+    }
+}
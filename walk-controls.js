@@ -0,0 +1,494 @@
+// Walk Controls for 3D Home Design Application
+// First-person walkthrough at eye height: mouse look with pointer lock and WASD on desktop, a virtual
+// joystick and drag-to-look on touch screens. Walls block the way except at doors, and stairs and
+// patios are climbed, so clients can walk from room to room and floor to floor.
+// Collisions use the plan itself (feet), the same inputs the generator builds the meshes from.
+
+import { STAIR_DEFAULTS } from './stair-geometry.js';
+
+export const WALK_DEFAULTS = {
+    eyeHeight: 5.5,         // feet above the floor
+    bodyHeight: 6,          // feet; anything lower than this overhead is bumped into
+    bodyRadius: 0.75,       // feet; fits through a 2 ft door
+    stepHeight: 1.25,       // feet; tallest thing stepped onto (stair risers, patio decks)
+    walkSpeed: 4.5,         // feet per second
+    runMultiplier: 2,       // with Shift held
+    gravity: 32,            // feet per second squared, for walking off a deck or down a stairwell
+    mouseLookSpeed: 0.0025, // radians per pixel
+    touchLookSpeed: 0.005,  // radians per pixel
+    maxLookAngle: 85        // degrees up or down
+};
+
+const FEET_TO_METERS = 0.3048;
+const PATIO_DECK_HEIGHT = 0.3 / FEET_TO_METERS; // Deck thickness as the generator builds it
+
+// Movement keys (KeyboardEvent.code) and the direction they push: [forward, right]
+const MOVE_KEYS = {
+    KeyW: [1, 0], ArrowUp: [1, 0],
+    KeyS: [-1, 0], ArrowDown: [-1, 0],
+    KeyA: [0, -1], ArrowLeft: [0, -1],
+    KeyD: [0, 1], ArrowRight: [0, 1]
+};
+
+export class WalkControls {
+    /**
+     * @param {ThreeJSGenerator} generator - 3D view to walk through
+     * @param {FloorPlanEditor} editor - Editor whose floors are walked
+     * @param {Function} onToggle - Called with true when walking starts and false when it ends
+     */
+    constructor(generator, editor, onToggle) {
+        this.generator = generator;
+        this.editor = editor;
+        this.onToggle = onToggle;
+        this.active = false;
+        this.locked = false;
+        this.keys = new Set();
+        this.look = null;     // Pointer dragging to look { pointerId, x, y }
+        this.stick = null;    // Joystick pointer { pointerId } and its deflection
+        this.stickInput = { forward: 0, right: 0 };
+        this.joystick = null;
+
+        // Position in plan feet; yaw 0 looks up the plan (-y), pitch is up and down
+        this.position = { x: 0, y: 0 };
+        this.feet = 0;
+        this.eye = 0;
+        this.fallSpeed = 0;
+        this.yaw = 0;
+        this.pitch = 0;
+
+        this.walls = [];
+        this.surfaces = [];
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        const canvas = this.generator.renderer.domElement;
+
+        document.addEventListener('pointerlockchange', () => {
+            if (document.pointerLockElement === canvas) {
+                this.locked = true;
+            } else if (this.locked) {
+                // Esc releases the pointer, which ends the walk
+                this.locked = false;
+                this.exit();
+            }
+        });
+        document.addEventListener('pointerlockerror', () => {
+            if (this.active) console.warn('⚠️ Pointer lock unavailable - drag to look around');
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.active || !this.locked) return;
+            this.turn(e.movementX * WALK_DEFAULTS.mouseLookSpeed, e.movementY * WALK_DEFAULTS.mouseLookSpeed);
+        });
+
+        // Without pointer lock (touch screens) dragging on the view looks around
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.active || this.locked || this.look) return;
+            this.look = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+            canvas.setPointerCapture(e.pointerId);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.look || e.pointerId !== this.look.pointerId) return;
+            const speed = e.pointerType === 'mouse' ? WALK_DEFAULTS.mouseLookSpeed : WALK_DEFAULTS.touchLookSpeed;
+            this.turn((e.clientX - this.look.x) * speed, (e.clientY - this.look.y) * speed);
+            this.look.x = e.clientX;
+            this.look.y = e.clientY;
+        });
+        const endLook = (e) => {
+            if (this.look && e.pointerId === this.look.pointerId) this.look = null;
+        };
+        canvas.addEventListener('pointerup', endLook);
+        canvas.addEventListener('pointercancel', endLook);
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.active || e.target.closest?.('input, select, textarea')) return;
+            if (e.key === 'Escape') {
+                this.exit();
+                return;
+            }
+            if (MOVE_KEYS[e.code] || e.key === 'Shift') {
+                this.keys.add(e.code);
+                e.preventDefault(); // Arrow keys would scroll the page
+            }
+        });
+        window.addEventListener('keyup', (e) => this.keys.delete(e.code));
+        window.addEventListener('blur', () => this.keys.clear());
+    }
+
+    /**
+     * Virtual joystick for touch screens: dragging its knob walks, the farther the faster
+     * @param {HTMLElement} element - Joystick base, with the knob as its first child
+     */
+    attachJoystick(element) {
+        const knob = element.firstElementChild;
+        const moveKnob = (e) => {
+            const rect = element.getBoundingClientRect();
+            const radius = rect.width / 2;
+            let dx = (e.clientX - rect.left - radius) / radius;
+            let dy = (e.clientY - rect.top - radius) / radius;
+            const length = Math.hypot(dx, dy);
+            if (length > 1) {
+                dx /= length;
+                dy /= length;
+            }
+            this.stickInput = { forward: -dy, right: dx };
+            if (knob) knob.style.transform = `translate(${dx * radius}px, ${dy * radius}px)`;
+        };
+        const release = (e) => {
+            if (!this.stick || e.pointerId !== this.stick.pointerId) return;
+            this.stick = null;
+            this.stickInput = { forward: 0, right: 0 };
+            if (knob) knob.style.transform = '';
+        };
+
+        element.addEventListener('pointerdown', (e) => {
+            if (this.stick) return;
+            e.preventDefault();
+            this.stick = { pointerId: e.pointerId };
+            element.setPointerCapture(e.pointerId);
+            moveKnob(e);
+        });
+        element.addEventListener('pointermove', (e) => {
+            if (this.stick && e.pointerId === this.stick.pointerId) moveKnob(e);
+        });
+        element.addEventListener('pointerup', release);
+        element.addEventListener('pointercancel', release);
+        this.joystick = element;
+    }
+
+    /**
+     * Start walking on the floor being edited, in its largest room
+     * @param {Object} options - { touch: true } walks with the joystick instead of locking the pointer
+     */
+    enter(options = {}) {
+        if (this.active) return;
+        const { camera, controls } = this.generator;
+
+        this.buildColliders();
+        this.saved = {
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            target: controls.target.clone()
+        };
+        this.placeAtStart();
+
+        this.active = true;
+        controls.enabled = false;
+        camera.rotation.order = 'YXZ'; // Yaw then pitch, no roll
+        this.generator.frameUpdate = (delta) => this.update(delta);
+        this.generator.setEditorHelpersVisible(false);
+        this.setDoorsVisible(false);
+        this.applyCamera();
+
+        if (options.touch) {
+            if (this.joystick) this.joystick.style.display = 'block';
+        } else {
+            this.generator.renderer.domElement.requestPointerLock?.();
+        }
+
+        if (this.onToggle) this.onToggle(true);
+        console.log(`🚶 Walking on floor ${this.editor.currentFloor + 1}`);
+    }
+
+    /**
+     * Stop walking and put the orbit camera back where it was
+     */
+    exit() {
+        if (!this.active) return;
+        const { camera, controls } = this.generator;
+
+        this.active = false;
+        this.keys.clear();
+        this.look = null;
+        this.generator.frameUpdate = null;
+        if (document.pointerLockElement === this.generator.renderer.domElement) {
+            this.locked = false;
+            document.exitPointerLock();
+        }
+        if (this.joystick) this.joystick.style.display = 'none';
+
+        camera.rotation.order = 'XYZ';
+        camera.position.copy(this.saved.position);
+        camera.quaternion.copy(this.saved.quaternion);
+        controls.target.copy(this.saved.target);
+        controls.enabled = true;
+        controls.update();
+        this.generator.setEditorHelpersVisible(true);
+        this.setDoorsVisible(true);
+
+        if (this.onToggle) this.onToggle(false);
+        console.log('🚶 Walk ended');
+    }
+
+    toggle(options = {}) {
+        if (this.active) {
+            this.exit();
+        } else {
+            this.enter(options);
+        }
+        return this.active;
+    }
+
+    /**
+     * Pick up plan changes made while walking (the model was just rebuilt)
+     */
+    refresh() {
+        if (!this.active) return;
+        this.buildColliders();
+        this.setDoorsVisible(false);
+    }
+
+    setDoorsVisible(visible) {
+        // Door panels hide while walking so doorways look as open as they are
+        this.generator.scene.children
+            .filter(child => child.userData.isDoor)
+            .forEach(child => { child.visible = visible; });
+    }
+
+    /**
+     * Walls (split at their doors) and walkable surfaces of every floor
+     * Walls are { ax, ay, bx, by, halfThickness, bottom, top }; surfaces are plan polygons
+     * { polygon, holes, top, bottom } - upper floor slabs, stair treads and patio decks.
+     * Ground level is everywhere, below all of them.
+     */
+    buildColliders() {
+        const generator = this.generator;
+        const floors = this.editor.floors;
+        const levels = generator.getFloorLevels(floors);
+        const floorStairs = floors.map((floor, floorIndex) => generator.stairGeometry.buildFloorStairs(floors, floorIndex));
+        const containsPoint = (polygon, point) => generator.roomDetector.containsPoint(polygon, point);
+
+        this.levels = levels;
+        this.walls = [];
+        this.surfaces = [];
+
+        floors.forEach((floor, floorIndex) => {
+            const base = levels[floorIndex].base;
+
+            floor.walls.forEach(wall => {
+                const length = Math.hypot(wall.endX - wall.startX, wall.endY - wall.startY);
+                if (length < 1e-6) return;
+                const ux = (wall.endX - wall.startX) / length;
+                const uy = (wall.endY - wall.startY) / length;
+                const solid = {
+                    halfThickness: (wall.thickness || generator.wallThickness) / 2,
+                    bottom: base,
+                    top: base + (wall.height || floor.wallHeight || 8)
+                };
+
+                // Solid runs between the doors, in feet along the wall
+                const doors = floor.doors
+                    .filter(door => door.wallId === wall.id)
+                    .map(door => [door.position * length - door.width / 2, door.position * length + door.width / 2])
+                    .sort((a, b) => a[0] - b[0]);
+                let from = 0;
+                [...doors, [length, length]].forEach(([start, end]) => {
+                    if (start > from) {
+                        const to = Math.min(start, length);
+                        this.walls.push({
+                            ...solid,
+                            ax: wall.startX + ux * from, ay: wall.startY + uy * from,
+                            bx: wall.startX + ux * to, by: wall.startY + uy * to
+                        });
+                    }
+                    from = Math.max(from, end);
+                });
+            });
+
+            // Upper floor slabs, open over the stairs coming up from below (as cut by the generator)
+            if (floorIndex > 0) {
+                const thickness = generator.getFloorThickness(floor);
+                const stairwells = floorStairs[floorIndex - 1].map(stair => stair.outline);
+                generator.getFloorFootprints(floor).forEach(footprint => {
+                    this.surfaces.push({
+                        polygon: footprint,
+                        holes: stairwells.filter(opening => opening.every(point => containsPoint(footprint, point))),
+                        top: base,
+                        bottom: base - thickness
+                    });
+                });
+            }
+
+            floorStairs[floorIndex].forEach(stair => {
+                const thickness = stair.pole ? STAIR_DEFAULTS.treadThickness : stair.riserHeight;
+                stair.steps.forEach(step => {
+                    this.surfaces.push({ polygon: step.points, holes: [], top: base + step.height, bottom: base + step.height - thickness });
+                });
+            });
+
+            (floor.patios || []).forEach(patio => {
+                this.surfaces.push({
+                    polygon: [
+                        { x: patio.x, y: patio.y },
+                        { x: patio.x + patio.width, y: patio.y },
+                        { x: patio.x + patio.width, y: patio.y + patio.height },
+                        { x: patio.x, y: patio.y + patio.height }
+                    ],
+                    holes: [],
+                    top: base + (patio.elevation || 0) + PATIO_DECK_HEIGHT,
+                    bottom: base
+                });
+            });
+        });
+    }
+
+    placeAtStart() {
+        // Middle of the largest room on the floor being edited, else the middle of its walls
+        const floorIndex = this.editor.currentFloor;
+        const floor = this.editor.floors[floorIndex];
+        const rooms = this.generator.roomDetector.detectRooms(floor.walls).rooms
+            .sort((a, b) => b.area - a.area);
+        if (rooms.length > 0) {
+            this.position = { ...rooms[0].labelPoint };
+        } else if (floor.walls.length > 0) {
+            const xs = floor.walls.flatMap(wall => [wall.startX, wall.endX]);
+            const ys = floor.walls.flatMap(wall => [wall.startY, wall.endY]);
+            this.position = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+        } else {
+            this.position = { x: 0, y: 0 };
+        }
+
+        this.feet = this.getSupport(this.position, this.levels[floorIndex]?.base ?? 0);
+        this.eye = this.feet + WALK_DEFAULTS.eyeHeight;
+        this.fallSpeed = 0;
+        this.yaw = 0;
+        this.pitch = 0;
+    }
+
+    turn(yawDelta, pitchDelta) {
+        const limit = WALK_DEFAULTS.maxLookAngle * Math.PI / 180;
+        this.yaw -= yawDelta;
+        this.pitch = Math.max(-limit, Math.min(limit, this.pitch - pitchDelta));
+    }
+
+    /**
+     * Move one frame; called by the generator's render loop in place of the orbit controls
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        const dt = Math.min(delta, 0.1); // A stalled tab shouldn't teleport through walls
+
+        // Keys and joystick add up, never faster than full speed
+        let forward = this.stickInput.forward;
+        let right = this.stickInput.right;
+        this.keys.forEach(code => {
+            if (!MOVE_KEYS[code]) return;
+            forward += MOVE_KEYS[code][0];
+            right += MOVE_KEYS[code][1];
+        });
+        const amount = Math.hypot(forward, right);
+        if (amount > 1) {
+            forward /= amount;
+            right /= amount;
+        }
+
+        if (amount > 0) {
+            const running = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight');
+            const distance = WALK_DEFAULTS.walkSpeed * (running ? WALK_DEFAULTS.runMultiplier : 1) * dt;
+            // Plan y runs along world z; yaw 0 faces -y
+            const dx = (-Math.sin(this.yaw) * forward + Math.cos(this.yaw) * right) * distance;
+            const dy = (-Math.cos(this.yaw) * forward - Math.sin(this.yaw) * right) * distance;
+
+            // Small steps so fast moves can't skip over a wall
+            const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / (WALK_DEFAULTS.bodyRadius / 2)));
+            for (let i = 0; i < steps; i++) {
+                this.moveBy(dx / steps, dy / steps);
+            }
+        }
+
+        // Step up onto what's underfoot, or fall to it
+        const support = this.getSupport(this.position, this.feet);
+        if (support >= this.feet) {
+            this.feet = support;
+            this.fallSpeed = 0;
+        } else {
+            this.fallSpeed += WALK_DEFAULTS.gravity * dt;
+            this.feet = Math.max(support, this.feet - this.fallSpeed * dt);
+        }
+
+        // Eyes ease toward their height so stairs feel like steps, not jolts
+        const target = this.feet + WALK_DEFAULTS.eyeHeight;
+        this.eye += (target - this.eye) * Math.min(1, dt * 12);
+
+        this.applyCamera();
+    }
+
+    moveBy(dx, dy) {
+        // Slide along walls; a tread or deck too high to step onto stops that direction
+        const tries = [[dx, dy], [dx, 0], [0, dy]];
+        for (const [x, y] of tries) {
+            const next = this.pushOutOfWalls({ x: this.position.x + x, y: this.position.y + y });
+            if (!this.isBlocked(next)) {
+                this.position = next;
+                return;
+            }
+        }
+    }
+
+    pushOutOfWalls(point) {
+        // Keep the body's circle clear of every wall at the height it's walking
+        const low = this.feet + WALK_DEFAULTS.stepHeight;
+        const high = this.feet + WALK_DEFAULTS.bodyHeight;
+        const walls = this.walls.filter(wall => wall.top > low && wall.bottom < high);
+        const result = { ...point };
+
+        for (let pass = 0; pass < 3; pass++) {
+            let moved = false;
+            walls.forEach(wall => {
+                const vx = wall.bx - wall.ax;
+                const vy = wall.by - wall.ay;
+                const t = Math.max(0, Math.min(1, ((result.x - wall.ax) * vx + (result.y - wall.ay) * vy) / (vx * vx + vy * vy)));
+                const cx = wall.ax + vx * t;
+                const cy = wall.ay + vy * t;
+                const distance = Math.hypot(result.x - cx, result.y - cy);
+                const clearance = wall.halfThickness + WALK_DEFAULTS.bodyRadius;
+                if (distance >= clearance) return;
+
+                // Standing on the wall line: push out square to the wall
+                const nx = distance > 1e-9 ? (result.x - cx) / distance : -vy / Math.hypot(vx, vy);
+                const ny = distance > 1e-9 ? (result.y - cy) / distance : vx / Math.hypot(vx, vy);
+                result.x = cx + nx * clearance;
+                result.y = cy + ny * clearance;
+                moved = true;
+            });
+            if (!moved) break;
+        }
+        return result;
+    }
+
+    surfaceContains(surface, point) {
+        const containsPoint = (polygon) => this.generator.roomDetector.containsPoint(polygon, point);
+        return containsPoint(surface.polygon) && !surface.holes.some(containsPoint);
+    }
+
+    isBlocked(point) {
+        // Something underfoot too high to step onto but low enough to hit
+        const low = this.feet + WALK_DEFAULTS.stepHeight;
+        const high = this.feet + WALK_DEFAULTS.bodyHeight;
+        return this.surfaces.some(surface => surface.top > low && surface.bottom < high && this.surfaceContains(surface, point));
+    }
+
+    /**
+     * Highest surface under a point that can be stepped onto from a height
+     * @param {Object} point - Plan point {x, y} in feet
+     * @param {number} feet - Current foot height in feet
+     * @returns {number} Height of the surface in feet (0 is the ground)
+     */
+    getSupport(point, feet) {
+        return this.surfaces
+            .filter(surface => surface.top <= feet + WALK_DEFAULTS.stepHeight && this.surfaceContains(surface, point))
+            .reduce((highest, surface) => Math.max(highest, surface.top), 0);
+    }
+
+    applyCamera() {
+        const camera = this.generator.camera;
+        camera.position.set(
+            this.position.x * FEET_TO_METERS,
+            this.eye * FEET_TO_METERS,
+            this.position.y * FEET_TO_METERS
+        );
+        camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+    }
+}